@@ -0,0 +1,201 @@
+// City Layout
+// Deterministic block/road layout for urban chunks. Shared by the client
+// (WorldManager builds meshes from it) and the server (static collision boxes),
+// so it must stay free of DOM/THREE dependencies.
+//
+// Every solid footprint is listed in `colliders` as an axis-aligned box
+// { kind, min: {x,y,z}, max: {x,y,z} }; meshes are placed from the same numbers.
+
+import { CONFIG, getUrbanBiomeType } from './config.js';
+import { hash, seededRandom, getCityInfluence } from './terrain.js';
+
+export const SIDEWALK_HEIGHT = 0.15; // Curb height - small enough to step on
+
+// Hydrants are 6-sided cylinders; their vertex extents are narrower along x
+const HEXAGON_HALF_WIDTH = Math.sin(Math.PI * 2 / 3);
+
+export function blockRandom(gx, gz, offset = 0) {
+    return seededRandom((gx + offset * 17.13) * 0.1337 + (gz - offset * 11.41) * 0.7331);
+}
+
+// Urban biome for a chunk, or null if the chunk is wilderness
+export function getChunkUrbanBiome(cx, cz) {
+    const centerX = cx * CONFIG.chunkSize + CONFIG.chunkSize / 2;
+    const centerZ = cz * CONFIG.chunkSize + CONFIG.chunkSize / 2;
+    return getUrbanBiomeType(getCityInfluence(centerX, centerZ));
+}
+
+// Block type from its roll; thresholds depend on the biome's park chance
+function blockType(roll, parkChance) {
+    if (roll < parkChance) return 'park';
+    if (roll < 0.25) return 'garden';
+    if (roll < 0.33) return 'amphitheater';
+    if (roll < 0.40) return 'parking';
+    if (roll < 0.48) return 'sculpture';
+    if (roll < 0.56) return 'market';
+    if (roll < 0.62) return 'subway';
+    if (roll < 0.65) return 'memorial';
+    return 'buildings';
+}
+
+function furnitureType(roll) {
+    if (roll < 0.15) return 'traffic';
+    if (roll < 0.27) return 'kiosk';
+    if (roll < 0.37) return 'billboard';
+    return null;
+}
+
+// Returns { biome, baseHeight, blocks, roads, colliders } or null for non-urban chunks
+export function generateCityLayout(cx, cz, biome = getChunkUrbanBiome(cx, cz)) {
+    if (!biome) return null;
+
+    const { blockSize, roadWidth, buildingMinHeight, buildingMaxHeight, parkChance } = biome;
+    const baseHeight = CONFIG.cityPlateauHeight;
+    const groundY = baseHeight + SIDEWALK_HEIGHT;
+    const ox = cx * CONFIG.chunkSize;
+    const oz = cz * CONFIG.chunkSize;
+
+    const blocks = [];
+    const roads = [];
+    const colliders = [];
+    const box = (kind, x, y, z, sx, sy, sz, padding = 0) => {
+        colliders.push({
+            kind,
+            min: { x: x - sx / 2 - padding, y: y - sy / 2 - padding, z: z - sz / 2 - padding },
+            max: { x: x + sx / 2 + padding, y: y + sy / 2 + padding, z: z + sz / 2 + padding }
+        });
+    };
+
+    const startX = ox - ((ox % blockSize + blockSize) % blockSize);
+    const startZ = oz - ((oz % blockSize + blockSize) % blockSize);
+
+    for (let gx = startX; gx < ox + CONFIG.chunkSize + blockSize; gx += blockSize) {
+        for (let gz = startZ; gz < oz + CONFIG.chunkSize + blockSize; gz += blockSize) {
+            const buildable = blockSize - roadWidth - 8;
+            const centerX = gx + buildable / 2 + 4;
+            const centerZ = gz + buildable / 2 + 4;
+
+            // Skip blocks on the fringe of the settlement
+            if (getCityInfluence(centerX, centerZ) < CONFIG.cityInfluenceThreshold * 0.85) continue;
+
+            const random = (offset) => blockRandom(gx, gz, offset);
+            const block = {
+                gx, gz, centerX, centerZ, buildable,
+                type: blockType(random(1), parkChance),
+                furniture: furnitureType(random(100))
+            };
+
+            box('sidewalk', centerX, baseHeight + SIDEWALK_HEIGHT / 2, centerZ, buildable + 8, SIDEWALK_HEIGHT, buildable + 8, 0.01);
+
+            if (block.type === 'park') {
+                block.benches = [0, 1, 2, 3].map(i => ({
+                    x: centerX + Math.cos(i * Math.PI / 2) * (buildable * 0.35),
+                    z: centerZ + Math.sin(i * Math.PI / 2) * (buildable * 0.35)
+                }));
+                block.benches.forEach(b => box('bench', b.x, groundY + 1, b.z, 6, 1, 2, 0.01));
+            } else if (block.type === 'parking') {
+                block.cars = [];
+                for (let i = 0; i < 6; i++) {
+                    if (random(200 + i) <= 0.3) continue;
+                    const car = {
+                        x: centerX + (i % 2 === 0 ? -buildable * 0.2 : buildable * 0.2),
+                        z: centerZ - buildable * 0.35 + Math.floor(i / 2) * (buildable * 0.15),
+                        colorIndex: Math.floor(random(210 + i) * 5)
+                    };
+                    block.cars.push(car);
+                    box('car', car.x, groundY + 1.5, car.z, 4, 2.5, 7);
+                }
+            } else if (block.type === 'sculpture') {
+                block.sculptures = [0, 1, 2].map(i => ({
+                    x: centerX + (random(i + 40) - 0.5) * (buildable * 0.55),
+                    z: centerZ + (random(i + 50) - 0.5) * (buildable * 0.55),
+                    radius: 4 + random(i + 30) * 2
+                }));
+                block.sculptures.forEach(s => box('sculpture', s.x, groundY + 2.5, s.z, 6, 6, 6));
+            } else if (block.type === 'market') {
+                const stallCount = 6;
+                block.stalls = [];
+                for (let i = 0; i < stallCount; i++) {
+                    const angle = (Math.PI * 2 / stallCount) * i;
+                    const stall = {
+                        x: centerX + Math.cos(angle) * buildable * 0.32,
+                        z: centerZ + Math.sin(angle) * buildable * 0.32
+                    };
+                    block.stalls.push(stall);
+                    box('stall', stall.x, groundY + 2.5, stall.z, 8, 5, 6);
+                }
+                box('tower', centerX, groundY + 7, centerZ, 5, 14, 5);
+            } else if (block.type === 'subway') {
+                box('subway', centerX, groundY + 4, centerZ, 12, 8, 12);
+            } else if (block.type === 'memorial') {
+                box('monument', centerX, groundY + 10, centerZ, 10, 20, 10);
+            } else if (block.type === 'buildings') {
+                // Tower count and heights vary by urban biome type
+                const towerCount = biome.key === 'megacity' ? 1 + Math.floor(random(60) * 3) :
+                                   biome.key === 'village' ? 1 : 1 + Math.floor(random(60) * 2);
+                block.towers = [];
+                for (let i = 0; i < towerCount; i++) {
+                    const footprint = buildable * (towerCount === 1 ? 1 : 0.55);
+                    const height = buildingMinHeight + Math.abs(hash(gx * 0.75 + i, gz * 0.5 - i)) * (buildingMaxHeight - buildingMinHeight);
+                    const offset = towerCount === 1 ? 0 : (i === 0 ? -buildable * 0.22 : buildable * 0.22);
+                    const tower = {
+                        x: centerX + offset,
+                        z: centerZ + offset,
+                        footprint,
+                        height,
+                        roofType: random(70 + i),
+                        doorSeed: cx * 1000 + cz * 100 + gx + gz + i
+                    };
+                    block.towers.push(tower);
+                    box('building', tower.x, groundY + height / 2, tower.z, footprint, height, footprint, 0.02);
+                }
+            }
+
+            if (block.furniture === 'traffic') {
+                box('traffic-light', centerX + buildable / 2 + 6, groundY + 5, centerZ + buildable / 2 + 6, 0.7, 10, 0.7);
+            } else if (block.furniture === 'kiosk') {
+                box('kiosk', centerX - buildable / 2 + 3, groundY + 3, centerZ - buildable / 2 + 2, 5, 6, 4);
+            }
+
+            // Trash can (8-sided, r 0.9) and hydrant (6-sided, r 0.7) on every block
+            box('trash', centerX - buildable / 2 + 1.5, groundY + 1.25, centerZ + buildable / 2 - 1.5, 1.8, 2.5, 1.8, 0.01);
+            box('hydrant', centerX + buildable / 2 - 1.5, groundY + 1, centerZ - buildable / 2 + 1.5,
+                1.4 * HEXAGON_HALF_WIDTH, 2, 1.4, 0.01);
+
+            blocks.push(block);
+        }
+    }
+
+    // Roads run the full chunk, flush with the plateau
+    const roadLength = CONFIG.chunkSize + blockSize;
+    for (let x = -roadWidth; x <= CONFIG.chunkSize + roadWidth; x += blockSize) {
+        const road = { axis: 'z', x: ox + x + roadWidth / 2, z: oz + CONFIG.chunkSize / 2, width: roadWidth, length: roadLength };
+        if (getCityInfluence(road.x, road.z) < CONFIG.cityInfluenceThreshold * 0.9) continue;
+        roads.push(road);
+        box('road', road.x, baseHeight + 0.005, road.z, roadWidth, 0, roadLength, 0.01);
+    }
+    for (let z = -roadWidth; z <= CONFIG.chunkSize + roadWidth; z += blockSize) {
+        const road = { axis: 'x', x: ox + CONFIG.chunkSize / 2, z: oz + z + roadWidth / 2, width: roadWidth, length: roadLength };
+        if (getCityInfluence(road.x, road.z) < CONFIG.cityInfluenceThreshold * 0.9) continue;
+        roads.push(road);
+        box('road', road.x, baseHeight + 0.005, road.z, roadLength, 0, roadWidth, 0.01);
+    }
+
+    return { biome, baseHeight, blocks, roads, colliders };
+}
+
+// Order-independent fingerprint of a set of boxes (centimetre precision), used to
+// check that two builds of the same chunk produced the same footprints
+export function footprintDigest(colliders) {
+    const round = value => Math.round(value * 100);
+    const lines = colliders
+        .map(({ min, max }) => [min.x, min.y, min.z, max.x, max.y, max.z].map(round).join(','))
+        .sort();
+    let h = 2166136261;
+    const text = lines.join(';');
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return `${lines.length}:${(h >>> 0).toString(16)}`;
+}
@@ -1960,18 +1960,16 @@ export const CITY_HEIGHT_BLUEPRINTS = [
 // Lookup for quickly mapping world coordinates to a stable mask selection
 const maskSelectionCache = new Map();
 
-function maskKey(wx, wz) {
+function selectMaskIndex(wx, wz) {
     const gx = Math.floor(wx / CONFIG.chunkSize);
     const gz = Math.floor(wz / CONFIG.chunkSize);
-    return `${gx},${gz}`;
-}
-
-function selectMaskIndex(wx, wz) {
-    const key = maskKey(wx, wz);
+    const key = `${gx},${gz}`;
     if (maskSelectionCache.has(key)) {
         return maskSelectionCache.get(key);
     }
-    const seed = hash(wx * 0.031, wz * 0.047);
+    // Seeded from the chunk, not the first point sampled in it: the client and
+    // the server ask for heights in different orders and must get the same ground
+    const seed = hash(gx * CONFIG.chunkSize * 0.031, gz * CONFIG.chunkSize * 0.047);
     const index = Math.floor(seed * MASK_COUNT) % MASK_COUNT;
     maskSelectionCache.set(key, index);
     return index;
@@ -30,8 +30,12 @@ export const CONFIG = {
     staminaDrainRate: 6,
     staminaRecoveryRate: 10,
     maxStamina: 100,
+    maxHealth: 100,
     cameraLag: 0.35,
 
+    // Persistence
+    autosaveInterval: 60,            // seconds between autosaves (0 disables)
+
     // Networking
     networkServerUrl: 'ws://192.168.1.2:8080',
     networkUpdateRate: 50,           // ms between network updates
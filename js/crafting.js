@@ -0,0 +1,162 @@
+// Crafting System
+// Resolves recipes against the player's inventory and resources and performs fabrication.
+// Online, the server crafts: it takes the inputs from its inventory record, spends the
+// resource cost from its ledger and hands back the inventory with the outputs added.
+
+import { getItem } from './items/item-loader.js';
+import { RECIPES, CRAFTING_STATIONS, allocateRecipeInputs } from './items/recipes.js';
+import { PlayerResources, playerResources } from './player-resources.js';
+import { playerInventory } from './inventory.js';
+import { MessageType } from './network-manager.js';
+
+export class CraftingSystem {
+    constructor(inventory, resources) {
+        this.inventory = inventory;
+        this.resources = resources;
+        this.recipes = RECIPES;
+        this.stationProvider = () => []; // Returns defs of usable interactive objects nearby
+        this.onCraftResult = null;       // Called with the result of a craft the server had to approve
+
+        this.networkManager = null;
+        this.pendingCrafts = new Map();  // requestId -> recipeId
+        this.craftRequestCounter = 0;
+    }
+
+    setStationProvider(fn) {
+        this.stationProvider = fn;
+    }
+
+    setNetworkManager(networkManager) {
+        this.networkManager = networkManager;
+        networkManager.registerMessageHandler(MessageType.CRAFT_RESULT, (data) => {
+            this.handleCraftResult(data);
+        });
+    }
+
+    // Online the server owns the inventory and credits/intel/salvage, so it crafts
+    isServerAuthoritative() {
+        return !!(this.networkManager?.isConnected && this.networkManager.serverObjectAuthority);
+    }
+
+    getRecipe(recipeId) {
+        return this.recipes.find(recipe => recipe.id === recipeId) || null;
+    }
+
+    findStation(stationKey) {
+        const station = CRAFTING_STATIONS[stationKey];
+        if (!station) return null;
+        return this.stationProvider().find(def => station.categories.includes(def.category)) || null;
+    }
+
+    // Work out which inventory items would be consumed
+    allocateInputs(recipe) {
+        return allocateRecipeInputs(recipe, this.inventory.items);
+    }
+
+    // Full satisfiability check used by the UI and craft()
+    evaluate(recipe) {
+        const { consumed, missing } = this.allocateInputs(recipe);
+        const resourceShortfall = this.resources ? this.resources.checkCost(recipe.resources) : null;
+
+        let station = null;
+        let stationMissing = null;
+        if (recipe.station) {
+            station = this.findStation(recipe.station);
+            if (!station) {
+                stationMissing = `Requires a ${CRAFTING_STATIONS[recipe.station]?.label || recipe.station}`;
+            }
+        }
+
+        // Outputs must fit the slots and weight limit once the inputs are gone
+        const capacityIssue = this.inventory.checkAdd(recipe.outputs, consumed);
+        const fits = !capacityIssue;
+
+        return {
+            recipe,
+            consumed,
+            missing,
+            resourceShortfall,
+            station,
+            stationMissing,
+            fits,
+            capacityIssue,
+            satisfiable: missing.length === 0 && !resourceShortfall && !stationMissing && fits
+        };
+    }
+
+    getRecipeStates() {
+        return this.recipes.map(recipe => this.evaluate(recipe));
+    }
+
+    craft(recipeId) {
+        const recipe = this.getRecipe(recipeId);
+        if (!recipe) return { success: false, message: `Unknown recipe: ${recipeId}` };
+
+        const check = this.evaluate(recipe);
+        if (!check.satisfiable) {
+            const reason = check.stationMissing || check.resourceShortfall ||
+                (check.missing.length ? `Missing ${check.missing.join(', ')}` : check.capacityIssue);
+            return { success: false, message: reason };
+        }
+
+        if (this.isServerAuthoritative()) {
+            const requestId = ++this.craftRequestCounter;
+            this.pendingCrafts.set(requestId, recipe.id);
+            this.networkManager.send(MessageType.CRAFT_ITEM, { requestId, recipeId: recipe.id });
+            return { success: true, pending: true, message: `Fabricating ${recipe.name}...` };
+        }
+
+        let spent = '';
+        if (this.resources && recipe.resources) {
+            const costs = {};
+            Object.entries(recipe.resources).forEach(([key, amount]) => { costs[key] = -amount; });
+            spent = PlayerResources.describe(this.resources.applyDeltas(costs));
+        }
+        return this.produce(recipe, check.consumed, check.station, spent);
+    }
+
+    // Swap the consumed inputs for the recipe's outputs
+    produce(recipe, consumed, station, spent) {
+        consumed.forEach((quantity, itemId) => this.inventory.removeItem(itemId, quantity));
+        recipe.outputs.forEach(output => this.inventory.addItem(output.item, output.quantity));
+        return this.describeCraft(recipe, station, spent);
+    }
+
+    describeCraft(recipe, station, spent) {
+        const produced = recipe.outputs
+            .map(output => `${output.quantity}x ${getItem(output.item)?.name || output.item}`)
+            .join(', ');
+        const where = station ? ` at ${station.name}` : '';
+
+        console.log(`[Crafting] ${recipe.id}: produced ${produced}${where}`);
+        return {
+            success: true,
+            message: `Crafted ${produced}${where}${spent ? ` [${spent}]` : ''}`
+        };
+    }
+
+    // The server has crafted (or refused to craft) a recipe. Its inventory and
+    // ledger totals replace ours either way.
+    handleCraftResult(data) {
+        if (!data || !this.pendingCrafts.has(data.requestId)) return;
+        this.pendingCrafts.delete(data.requestId);
+
+        if (this.resources && data.resources) {
+            // Server totals are authoritative; stamina is only simulated locally
+            this.resources.fromJSON({ ...data.resources, stamina: this.resources.stamina });
+        }
+        if (data.inventory) this.inventory.fromJSON(data.inventory);
+
+        const recipe = this.getRecipe(data.recipeId);
+        let result;
+        if (!data.ok || !recipe) {
+            result = { success: false, message: data.reason || 'Craft rejected.' };
+        } else {
+            const station = recipe.station ? this.findStation(recipe.station) : null;
+            result = this.describeCraft(recipe, station, PlayerResources.describe(data.applied || {}));
+        }
+        this.onCraftResult?.(result);
+    }
+}
+
+export const playerCrafting = new CraftingSystem(playerInventory, playerResources);
@@ -0,0 +1,314 @@
+// Effect System
+// Applies item use effects, equipment modifiers and timed buffs to the player.
+// Other systems read the summed modifiers through getStat() (see EFFECT_STATS).
+// Online, uses and worn equipment are reported to the server, which keeps its own
+// copy and only honours bonuses for items its inventory record holds.
+
+import { getItem } from './items/item-loader.js';
+import { EFFECT_STATS, getUseEffects, getEquipSpec, clampStat, formatStat } from './items/item-effects.js';
+import { PlayerResources, playerResources } from './player-resources.js';
+import { playerInventory } from './inventory.js';
+import { MessageType } from './network-manager.js';
+
+export class EffectSystem {
+    constructor(inventory, resources) {
+        this.inventory = inventory;
+        this.resources = resources;
+        this.equipped = new Map(); // slot -> itemId
+        this.buffs = []; // { itemId, stat, value, remaining, duration }
+        this.useCooldowns = new Map(); // itemId -> seconds remaining
+        this.listeners = [];
+        this.networkManager = null;
+
+        // Equipment only works while the item is still carried
+        this.inventory.addListener(() => this.dropMissingEquipment());
+    }
+
+    setNetworkManager(networkManager) {
+        this.networkManager = networkManager;
+        networkManager.registerMessageHandler(MessageType.ITEM_USE_RESULT, (data) => {
+            this.handleUseResult(data);
+        });
+        networkManager.registerMessageHandler(MessageType.ITEM_EQUIP_RESULT, (data) => {
+            this.handleEquipResult(data);
+        });
+    }
+
+    isServerAuthoritative() {
+        return !!(this.networkManager?.isConnected && this.networkManager.serverObjectAuthority);
+    }
+
+    // Tell the server what is worn; it ignores items its inventory record doesn't hold
+    syncEquipment() {
+        if (!this.isServerAuthoritative()) return;
+        this.networkManager.send(MessageType.ITEM_EQUIP, { itemIds: Array.from(this.equipped.values()) });
+    }
+
+    // The server settled a use: its ledger totals win, and a refused use loses its
+    // buffs and hands back the server's inventory (with the item, if it still has it)
+    handleUseResult(data) {
+        if (!data) return;
+        if (data.resources) {
+            this.resources.fromJSON({ ...data.resources, stamina: this.resources.stamina });
+        }
+        if (data.ok) return;
+
+        if (data.inventory) this.inventory.fromJSON(data.inventory);
+        this.buffs = this.buffs.filter(buff => buff.itemId !== data.itemId);
+        this.applyStats();
+        this.notifyListeners('rejected', { itemId: data.itemId, reason: data.reason });
+    }
+
+    // Take off whatever the server refused to count as worn. Only items from that
+    // request are touched, so a later equip isn't undone by an older reply.
+    handleEquipResult(data) {
+        if (!Array.isArray(data?.requested) || !Array.isArray(data.worn)) return;
+        const refused = new Set(data.requested.filter(itemId => !data.worn.includes(itemId)));
+        if (refused.size === 0) return;
+
+        let changed = false;
+        this.equipped.forEach((itemId, slot) => {
+            if (!refused.has(itemId)) return;
+            this.equipped.delete(slot);
+            changed = true;
+            this.notifyListeners('unequip', { itemId, slot });
+            this.notifyListeners('rejected', { itemId, reason: 'Not in your inventory' });
+        });
+        if (changed) {
+            this.applyStats();
+            this.syncEquipment();
+        }
+    }
+
+    // ============================================
+    // STATS
+    // ============================================
+
+    getStat(stat) {
+        let total = 0;
+        this.equipped.forEach(itemId => {
+            total += getEquipSpec(getItem(itemId))?.modifiers?.[stat] || 0;
+        });
+        this.buffs.forEach(buff => {
+            if (buff.stat === stat) total += buff.value;
+        });
+        return clampStat(stat, total);
+    }
+
+    getStats() {
+        const stats = {};
+        Object.keys(EFFECT_STATS).forEach(stat => {
+            const value = this.getStat(stat);
+            if (value) stats[stat] = value;
+        });
+        return stats;
+    }
+
+    // Push stats that live on other objects
+    applyStats() {
+        this.inventory.setWeightBonus(this.getStat('carryCapacity'));
+    }
+
+    // ============================================
+    // USE
+    // ============================================
+
+    // Returns null if the item can be used, otherwise a reason
+    checkUse(itemId) {
+        const def = getItem(itemId);
+        if (!def || !this.inventory.hasItem(itemId)) return 'Item not in inventory.';
+
+        const effects = getUseEffects(def);
+        if (effects.length === 0) return `${def.name} has no use.`;
+
+        const cooldown = this.useCooldowns.get(itemId) || 0;
+        if (cooldown > 0) return `${def.name} is recharging (${cooldown.toFixed(1)}s).`;
+
+        // Don't waste a consumable whose every effect would do nothing
+        const wasted = effects.every(effect => effect.type === 'restore' &&
+            this.resources.clamp(effect.resource, this.resources.get(effect.resource) + effect.amount) ===
+            this.resources.get(effect.resource));
+        if (wasted) return `Already at full ${effects[0].resource}.`;
+
+        return null;
+    }
+
+    useItem(itemId) {
+        const reason = this.checkUse(itemId);
+        if (reason) return { success: false, message: reason };
+
+        const def = getItem(itemId);
+        this.inventory.removeItem(itemId, 1);
+
+        const parts = [];
+        const restore = {};
+        getUseEffects(def).forEach(effect => {
+            if (effect.type === 'restore') {
+                restore[effect.resource] = (restore[effect.resource] || 0) + effect.amount;
+            } else if (effect.type === 'buff') {
+                this.addBuff(itemId, effect);
+                parts.push(`${formatStat(effect.stat, effect.value)} for ${effect.duration}s`);
+            }
+        });
+        const applied = PlayerResources.describe(this.resources.applyDeltas(restore));
+        if (applied) parts.unshift(applied);
+
+        this.useCooldowns.set(itemId, Math.max(1, def.cooldown || 0));
+        this.applyStats();
+        if (this.isServerAuthoritative()) {
+            this.networkManager.send(MessageType.ITEM_USE, { itemId });
+        }
+        this.notifyListeners('use', { itemId });
+
+        console.log(`[Effects] Used ${def.name}`);
+        return { success: true, message: `Used ${def.name}${parts.length ? ` [${parts.join(', ')}]` : ''}` };
+    }
+
+    // Re-using the same item refreshes its buff instead of stacking it
+    addBuff(itemId, effect) {
+        const existing = this.buffs.find(buff => buff.itemId === itemId && buff.stat === effect.stat);
+        if (existing) {
+            existing.value = effect.value;
+            existing.remaining = effect.duration;
+            existing.duration = effect.duration;
+            return;
+        }
+        this.buffs.push({
+            itemId,
+            stat: effect.stat,
+            value: effect.value,
+            remaining: effect.duration,
+            duration: effect.duration
+        });
+    }
+
+    // ============================================
+    // EQUIPMENT
+    // ============================================
+
+    isEquipped(itemId) {
+        return Array.from(this.equipped.values()).includes(itemId);
+    }
+
+    equip(itemId) {
+        const def = getItem(itemId);
+        const spec = getEquipSpec(def);
+        if (!spec) return { success: false, message: `${def?.name || itemId} cannot be equipped.` };
+        if (!this.inventory.hasItem(itemId)) return { success: false, message: 'Item not in inventory.' };
+
+        const replaced = this.equipped.get(spec.slot);
+        this.equipped.set(spec.slot, itemId);
+        this.applyStats();
+        this.syncEquipment();
+        this.notifyListeners('equip', { itemId, slot: spec.slot });
+
+        const swap = replaced && replaced !== itemId ? ` (replacing ${getItem(replaced)?.name || replaced})` : '';
+        return { success: true, message: `Equipped ${def.name} [${spec.slot}]${swap}` };
+    }
+
+    unequip(slot) {
+        const itemId = this.equipped.get(slot);
+        if (!itemId) return { success: false, message: `Nothing equipped in ${slot}.` };
+
+        this.equipped.delete(slot);
+        this.applyStats();
+        this.syncEquipment();
+        this.notifyListeners('unequip', { itemId, slot });
+        return { success: true, message: `Unequipped ${getItem(itemId)?.name || itemId}` };
+    }
+
+    toggleEquip(itemId) {
+        const spec = getEquipSpec(getItem(itemId));
+        if (spec && this.equipped.get(spec.slot) === itemId) {
+            return this.unequip(spec.slot);
+        }
+        return this.equip(itemId);
+    }
+
+    dropMissingEquipment() {
+        let changed = false;
+        this.equipped.forEach((itemId, slot) => {
+            if (!this.inventory.hasItem(itemId)) {
+                this.equipped.delete(slot);
+                changed = true;
+                this.notifyListeners('unequip', { itemId, slot });
+            }
+        });
+        if (changed) {
+            this.applyStats();
+            this.syncEquipment();
+        }
+    }
+
+    // ============================================
+    // TIMERS
+    // ============================================
+
+    update(delta) {
+        this.useCooldowns.forEach((remaining, itemId) => {
+            if (remaining - delta <= 0) this.useCooldowns.delete(itemId);
+            else this.useCooldowns.set(itemId, remaining - delta);
+        });
+
+        if (this.buffs.length === 0) return;
+        const expired = [];
+        this.buffs = this.buffs.filter(buff => {
+            buff.remaining -= delta;
+            if (buff.remaining > 0) return true;
+            expired.push(buff);
+            return false;
+        });
+        if (expired.length) {
+            this.applyStats();
+            expired.forEach(buff => this.notifyListeners('expire', buff));
+        }
+    }
+
+    describeBuff(buff) {
+        return `${formatStat(buff.stat, buff.value)} (${Math.ceil(buff.remaining)}s)`;
+    }
+
+    // Event system
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    removeListener(callback) {
+        const index = this.listeners.indexOf(callback);
+        if (index > -1) {
+            this.listeners.splice(index, 1);
+        }
+    }
+
+    notifyListeners(action, detail) {
+        this.listeners.forEach(callback => {
+            callback(action, detail, this);
+        });
+    }
+
+    // Serialization
+    toJSON() {
+        return {
+            equipped: Array.from(this.equipped.entries()),
+            buffs: this.buffs.map(buff => ({ ...buff }))
+        };
+    }
+
+    fromJSON(data) {
+        if (!data) return;
+        this.equipped.clear();
+        (data.equipped || []).forEach(([slot, itemId]) => {
+            if (getEquipSpec(getItem(itemId))?.slot === slot) {
+                this.equipped.set(slot, itemId);
+            }
+        });
+        this.buffs = (data.buffs || []).filter(buff =>
+            EFFECT_STATS[buff.stat] && typeof buff.value === 'number' && buff.remaining > 0);
+        this.dropMissingEquipment();
+        this.applyStats();
+        this.syncEquipment();
+        this.notifyListeners('load', null);
+    }
+}
+
+export const playerEffects = new EffectSystem(playerInventory, playerResources);
@@ -39,6 +39,22 @@ export class EnvironmentSystem {
         return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
     }
 
+    // Serialization
+    toJSON() {
+        return {
+            timeOfDay: this.timeOfDay,
+            weather: this.weather,
+            tick: this.tick
+        };
+    }
+
+    fromJSON(data) {
+        if (!data) return;
+        if (typeof data.timeOfDay === 'number') this.timeOfDay = ((data.timeOfDay % 24) + 24) % 24;
+        if (typeof data.weather === 'string') this.weather = data.weather;
+        if (typeof data.tick === 'number') this.tick = data.tick;
+    }
+
     rollWeather() {
         const states = ['clear', 'rain', 'dust', 'storm', 'fog', 'aurora'];
         const next = states[Math.floor(Math.random() * states.length)];
@@ -26,6 +26,8 @@ export const ACTION_LIBRARY = {
                 log: `The ${def.name} dispenses ${payout} credits worth of utility.`,
                 credits: payout,
                 stamina: -staminaCost,
+                cost: { stamina: staminaCost },
+                object: { signal: -10 },
                 cooldown: def.cooldown
             };
         }
@@ -38,6 +40,7 @@ export const ACTION_LIBRARY = {
             const salvageUsed = 3 + Math.floor(rng * 5);
             const reward = Math.round(8 + rng * 12 + def.energy * 3);
             const repaired = rng > 0.35;
+            const progress = Math.round((repaired ? 35 : 15) + rng * 25);
             return {
                 log: repaired
                     ? `You burn ${salvageUsed} salvage to bring the ${def.name} online. It yields ${reward} credits.`
@@ -45,6 +48,8 @@ export const ACTION_LIBRARY = {
                 credits: repaired ? reward : Math.round(reward * 0.5),
                 salvage: -salvageUsed,
                 stamina: -3,
+                cost: { salvage: salvageUsed, stamina: 3 },
+                object: { repair: progress },
                 cooldown: def.cooldown * (repaired ? 0.5 : 0.8)
             };
         }
@@ -52,9 +57,11 @@ export const ACTION_LIBRARY = {
     hack: {
         label: 'Hack',
         flavor: 'Brute-force past access shrouds.',
-        apply: (def, seed, state) => {
+        apply: (def, seed, state, modifiers) => {
             const rng = seededRandom(seed + 4);
-            const success = rng > 0.25;
+            // Hardened security makes a clean breach less likely; hacking gear offsets it
+            const security = state?.security ?? 50;
+            const success = rng > 0.1 + security * 0.003 - (modifiers?.hackChance || 0);
             const intel = Math.round((def.energy + 1) * (success ? 12 : 4));
             const backlash = success ? 0 : 6;
             return {
@@ -64,6 +71,8 @@ export const ACTION_LIBRARY = {
                 intel,
                 stamina: -4 - backlash,
                 health: success ? 0 : -6,
+                cost: { stamina: 4 },
+                object: success ? { security: -15 } : { security: 10 },
                 cooldown: def.cooldown * (success ? 0.6 : 1)
             };
         }
@@ -73,7 +82,9 @@ export const ACTION_LIBRARY = {
         flavor: 'Force the device to output beyond spec.',
         apply: (def, seed, state) => {
             const rng = seededRandom(seed + 5);
-            const unstable = rng > 0.6;
+            // Worn-down hardware is more likely to melt down
+            const integrity = state?.integrity ?? 100;
+            const unstable = rng > 0.3 + integrity * 0.003;
             const payout = Math.round(def.energy * 30 + rng * 20);
             return {
                 log: unstable
@@ -82,6 +93,8 @@ export const ACTION_LIBRARY = {
                 credits: payout,
                 salvage: unstable ? -2 : 0,
                 health: unstable ? -10 : 0,
+                object: { integrity: unstable ? -40 : -10 },
+                disabled: unstable,
                 cooldown: def.cooldown * (unstable ? 1.5 : 0.75)
             };
         }
@@ -98,6 +111,7 @@ export const ACTION_LIBRARY = {
                     ? `You neatly pull ${haul} salvage and keep the ${def.name} operational.`
                     : `You rip ${haul} salvage out. The ${def.name} powers down with a sigh.`,
                 salvage: haul,
+                object: { integrity: integrity ? -20 : -60 },
                 cooldown: def.cooldown * (integrity ? 0.5 : 2),
                 disabled: !integrity
             };
@@ -114,16 +128,19 @@ export const ACTION_LIBRARY = {
                 credits: essence,
                 intel: Math.round(essence * 0.1),
                 stamina: -8,
+                cost: { stamina: 8 },
+                object: { signal: -25 },
                 cooldown: def.cooldown * 1.25
             };
         }
     }
 };
 
-export function evaluateAction(def, action, seed, state) {
+// modifiers: player stat bonuses from the EffectSystem (e.g. { hackChance: 0.1 })
+export function evaluateAction(def, action, seed, state, modifiers = {}) {
     const entry = ACTION_LIBRARY[action];
     if (!entry) {
         return { log: `${action} is not wired into the grid yet.`, cooldown: 2 };
     }
-    return entry.apply(def, seed, state);
+    return entry.apply(def, seed, state, modifiers);
 }
@@ -1,7 +1,11 @@
 import { CONFIG } from './config.js';
-import { getRandomItemForBiome } from './items/item-loader.js';
 import { seededRandom } from './terrain.js';
-import { biomeInfoAtPosition } from './terrain.js';
+import { getItem } from './items/item-loader.js';
+import { getChunkObjectSpawns } from './object-spawns.js';
+import { MessageType } from './network-manager.js';
+import { evaluateAction } from './interaction-actions.js';
+import { PlayerResources } from './player-resources.js';
+import { ObjectStateStore, objectKey } from './object-state.js';
 
 export class InteractionManager {
     constructor(scene) {
@@ -10,7 +14,19 @@ export class InteractionManager {
         this.activePrompt = null;
         this.heightSampler = (x, z) => 0;
         this.cooldowns = new Map();
+        // Survives clearForChunk so damaged/disabled objects stay that way when reloaded
+        this.objectStates = new ObjectStateStore();
         this.inventory = null; // Will be set by main.js
+        this.resources = null; // Will be set by main.js
+        this.effects = null;   // EffectSystem: reach and hack bonuses
+        this.networkManager = null;
+        this.pendingActions = new Map(); // requestId -> { target, action }
+        this.actionRequestCounter = 0;
+        this.onActionResult = null; // (result, target) for server-resolved actions
+        this.pickups = new Map(); // pickupId -> mesh for items dropped in the world
+        this.localPickupCounter = 0;
+        this.positionProvider = null; // () => player position, for drops
+        this.onPickupMessage = null; // (message) for async drop/pickup outcomes
     }
 
     setHeightSampler(fn) {
@@ -21,36 +37,45 @@ export class InteractionManager {
         this.inventory = inventory;
     }
 
-    generateForChunk(cx, cz) {
-        const key = `${cx},${cz}`;
-        if (this.objects.has(key)) return this.objects.get(key);
+    setEffects(effects) {
+        this.effects = effects;
+    }
 
-        const list = [];
-        const baseSeed = (cx + 991) * 7919 + (cz + 37) * 2971;
-        const count = Math.floor(6 + CONFIG.objectDensity * 14 * seededRandom(baseSeed));
+    // Base reach plus equipment bonuses
+    getInteractionRange() {
+        return CONFIG.interactionRange + (this.effects?.getStat('interactionRange') || 0);
+    }
 
-        // Get biome at chunk center for biome-specific item spawning
-        const centerX = cx * CONFIG.chunkSize + CONFIG.chunkSize / 2;
-        const centerZ = cz * CONFIG.chunkSize + CONFIG.chunkSize / 2;
-        const biome = biomeInfoAtPosition(centerX, centerZ);
+    // Stat bonuses that feed into action rolls
+    getActionModifiers() {
+        return { hackChance: this.effects?.getStat('hackChance') || 0 };
+    }
 
-        for (let i = 0; i < count; i++) {
-            const seed = baseSeed + i * 17;
+    setResources(resources) {
+        this.resources = resources;
+    }
 
-            // Use biome-specific item selection
-            const def = getRandomItemForBiome(biome.key, () => seededRandom(seed));
+    setPositionProvider(fn) {
+        this.positionProvider = fn;
+    }
 
-            if (!def) continue; // Skip if no item available
+    generateForChunk(cx, cz) {
+        const key = `${cx},${cz}`;
+        if (this.objects.has(key)) return this.objects.get(key);
 
-            const x = cx * CONFIG.chunkSize + seededRandom(seed + 1) * CONFIG.chunkSize;
-            const z = cz * CONFIG.chunkSize + seededRandom(seed + 2) * CONFIG.chunkSize;
+        const list = [];
+        getChunkObjectSpawns(cx, cz).forEach(({ index, seed, def, x, z }) => {
             const y = this.heightSampler(x, z);
             const mesh = this.createMesh(def, seed);
             mesh.position.set(x, y, z);
-            mesh.userData = { type: 'interactive', def, seed };
+            mesh.userData = { type: 'interactive', def, seed, chunkX: cx, chunkZ: cz, index };
+            const stateKey = objectKey(def, seed);
+            if (this.objectStates.has(stateKey)) {
+                this.applyStateVisuals(mesh, this.objectStates.get(def, seed));
+            }
             list.push(mesh);
             this.scene.add(mesh);
-        }
+        });
 
         this.objects.set(key, list);
         return list;
@@ -78,6 +103,7 @@ export class InteractionManager {
             new THREE.TorusGeometry(2.4, 0.3, 12, 48),
             new THREE.MeshBasicMaterial({ color: new THREE.Color(baseColor).offsetHSL(0.1, 0.2, 0.1) })
         );
+        glow.name = 'status-ring';
         glow.rotation.x = Math.PI / 2;
         glow.position.y = (body.geometry.parameters.height || 4) * 0.55;
         group.add(glow);
@@ -89,6 +115,37 @@ export class InteractionManager {
         return group;
     }
 
+    // Dim the status ring of disabled/depleted objects
+    applyStateVisuals(mesh, state) {
+        const ring = mesh.getObjectByName('status-ring');
+        if (!ring) return;
+        if (!ring.userData.baseColor) {
+            ring.userData.baseColor = ring.material.color.clone();
+        }
+        if (state.disabled) {
+            ring.material.color.set('#333333');
+        } else if (this.objectStates.isDepleted(state)) {
+            ring.material.color.set('#665544');
+        } else {
+            ring.material.color.copy(ring.userData.baseColor);
+        }
+    }
+
+    findMesh(key) {
+        for (const list of this.objects.values()) {
+            const mesh = list.find(obj => objectKey(obj.userData.def, obj.userData.seed) === key);
+            if (mesh) return mesh;
+        }
+        return null;
+    }
+
+    refreshVisuals(key) {
+        const mesh = this.findMesh(key);
+        if (mesh) {
+            this.applyStateVisuals(mesh, this.objectStates.get(mesh.userData.def, mesh.userData.seed));
+        }
+    }
+
     makeLabel(text, rarity) {
         const canvas = document.createElement('canvas');
         canvas.width = 256;
@@ -111,15 +168,16 @@ export class InteractionManager {
         const origin = camera.position.clone();
         const direction = new THREE.Vector3(0, 0, -1);
         direction.applyQuaternion(camera.quaternion);
-        const raycaster = new THREE.Raycaster(origin, direction, 0, CONFIG.interactionRange);
+        const raycaster = new THREE.Raycaster(origin, direction, 0, this.getInteractionRange());
         raycaster.camera = camera;
-        const hits = raycaster.intersectObjects(Array.from(this.objects.values()).flat(), true);
+        const candidates = Array.from(this.objects.values()).flat().concat(Array.from(this.pickups.values()));
+        const hits = raycaster.intersectObjects(candidates, true);
         if (!hits.length) return null;
 
         const target = hits.find(hit => {
             let obj = hit.object;
             while (obj && !obj.userData.type && obj.parent) obj = obj.parent;
-            if (!obj || obj.userData.type !== 'interactive') return false;
+            if (!obj || (obj.userData.type !== 'interactive' && obj.userData.type !== 'pickup')) return false;
             const angle = direction.angleTo(obj.position.clone().sub(origin));
             return angle < CONFIG.interactionScanAngle;
         });
@@ -131,62 +189,110 @@ export class InteractionManager {
         return data ? data.userData : null;
     }
 
+    // Defs of operational (not disabled) objects within range, e.g. crafting stations
+    findNearby(position, range = this.getInteractionRange()) {
+        const nearby = [];
+        const rangeSq = range * range;
+        this.objects.forEach(list => list.forEach(mesh => {
+            const { def, seed } = mesh.userData;
+            const dx = mesh.position.x - position.x;
+            const dz = mesh.position.z - position.z;
+            if (dx * dx + dz * dz > rangeSq) return;
+            const state = this.objectStates.peek(objectKey(def, seed));
+            if (state?.disabled) return;
+            nearby.push(def);
+        }));
+        return nearby;
+    }
+
     beginInteraction(target) {
         if (!target) return null;
-        const cooldownKey = `${target.def.id}_${target.seed}`;
+        const cooldownKey = objectKey(target.def, target.seed);
+        const state = this.objectStates.get(target.def, target.seed);
+        const blockedActions = this.objectStates.blockedActions(target.def, state);
         const remaining = this.cooldowns.get(cooldownKey) || 0;
         const now = performance.now();
         if (remaining > now) {
             return {
                 def: target.def,
                 seed: target.seed,
+                state,
+                blockedActions,
                 locked: true,
                 remaining: ((remaining - now) / 1000).toFixed(1)
             };
         }
 
         const readings = this.sampleDiagnostics(target);
-        return { def: target.def, seed: target.seed, readings };
+        return { def: target.def, seed: target.seed, state, blockedActions, readings };
     }
 
     sampleDiagnostics(target) {
         const rng = seededRandom(target.seed);
+        const state = this.objectStates.get(target.def, target.seed);
         return {
-            integrity: Math.floor(60 + rng * 40),
-            risk: Math.floor(5 + rng * 25),
-            output: (0.5 + rng * 4).toFixed(2)
+            integrity: state.integrity,
+            risk: Math.floor(5 + state.security * 0.2 + rng * 5),
+            output: (state.disabled ? 0 : (0.5 + rng * 4) * (state.signal / 100)).toFixed(2),
+            security: state.security,
+            signal: state.signal,
+            disabled: state.disabled,
+            repairProgress: state.repairProgress
         };
     }
 
     performAction(target, action) {
         if (!target) return { message: 'No target available.', locked: false };
-        const cooldownKey = `${target.def.id}_${target.seed}`;
+        const cooldownKey = objectKey(target.def, target.seed);
         const now = performance.now();
         const lockUntil = this.cooldowns.get(cooldownKey) || 0;
         if (lockUntil > now) {
             return { message: `Cooling down (${((lockUntil - now) / 1000).toFixed(1)}s)`, locked: true };
         }
 
+        const state = this.objectStates.get(target.def, target.seed);
+        const unavailable = this.objectStates.blockedReason(state, action);
+        if (unavailable) {
+            return { message: unavailable, locked: false, blocked: true, state };
+        }
+
         const diagnostics = this.sampleDiagnostics(target);
-        const template = target.def.outcomes?.[action] || `${action} executed.`;
-        let message = template
-            .replace('{integrity}', diagnostics.integrity)
-            .replace('{risk}', diagnostics.risk)
-            .replace('{output}', diagnostics.output);
+        const outcome = evaluateAction(target.def, action, this.objectStates.rollSeed(state, target.seed), state, this.getActionModifiers());
+
+        // Gate on up-front cost before anything is consumed
+        const shortfall = this.resources ? this.resources.checkCost(outcome.cost) : null;
+        if (shortfall) {
+            return { message: shortfall, locked: false, blocked: true, diagnostics };
+        }
+
+        // Online: the server rolls the outcome and owns rewards; only the stamina check above is local
+        if (this.isServerAuthoritative()) {
+            return this.requestServerAction(target, action);
+        }
+
+        let message = this.describeOutcome(target, action, diagnostics, outcome.log);
+
+        let applied = {};
+        if (this.resources) {
+            applied = this.resources.applyDeltas(outcome);
+            const summary = PlayerResources.describe(applied);
+            if (summary) message += ` [${summary}]`;
+        }
 
         // Handle salvage action - add item to inventory
         let itemAdded = false;
-        if (action === 'salvage' && this.inventory) {
-            const success = this.inventory.addItem(target.def.id, 1);
-            if (success) {
-                message += ` [+1 ${target.def.name} added to inventory]`;
-                itemAdded = true;
-            } else {
-                message += ' [Inventory full - item lost!]';
-            }
+        if (action === 'salvage') {
+            const salvage = this.collectSalvage(target.def.id);
+            message += salvage.message;
+            itemAdded = salvage.itemAdded;
         }
 
-        const cooldownMs = Math.max(3000, target.def.cooldown * 1000 * 0.25);
+        const wasDisabled = state.disabled;
+        this.objectStates.applyOutcome(state, action, outcome);
+        message += this.describeStateChange(state, wasDisabled);
+        this.refreshVisuals(cooldownKey);
+
+        const cooldownMs = Math.max(3000, (outcome.cooldown || 0) * 1000);
         this.cooldowns.set(cooldownKey, now + cooldownMs);
 
         return {
@@ -194,10 +300,147 @@ export class InteractionManager {
             locked: false,
             cooldown: cooldownMs / 1000,
             diagnostics,
+            applied,
+            state,
             itemAdded
         };
     }
 
+    describeOutcome(target, action, diagnostics, log) {
+        const template = target.def.outcomes?.[action] || `${action} executed.`;
+        const message = template
+            .replace('{integrity}', diagnostics.integrity)
+            .replace('{risk}', diagnostics.risk)
+            .replace('{output}', diagnostics.output);
+        return log ? `${message} ${log}` : message;
+    }
+
+    collectSalvage(itemId) {
+        if (!this.inventory) return { message: '', itemAdded: false };
+        const name = getItem(itemId)?.name || itemId;
+        if (this.inventory.addItem(itemId, 1)) {
+            return { message: ` [+1 ${name} added to inventory]`, itemAdded: true };
+        }
+        // Overflow lands at the player's feet instead of being lost
+        this.dropItem(itemId, 1);
+        return { message: ` [Inventory full - ${name} dropped]`, itemAdded: false };
+    }
+
+    describeStateChange(state, wasDisabled) {
+        if (state.disabled && !wasDisabled) return ' [OFFLINE]';
+        if (wasDisabled && !state.disabled) return ' [Back online]';
+        if (state.disabled) return ` [Repair ${Math.floor(state.repairProgress)}%]`;
+        return '';
+    }
+
+    // ============================================
+    // SERVER-AUTHORITATIVE ACTIONS
+    // ============================================
+
+    setNetworkManager(networkManager) {
+        this.networkManager = networkManager;
+        if (networkManager) {
+            this.setupNetworkHandlers();
+        }
+    }
+
+    setupNetworkHandlers() {
+        this.networkManager.registerMessageHandler(MessageType.OBJECT_ACTION_RESULT, (data) => {
+            this.handleActionResult(data);
+        });
+        this.networkManager.registerMessageHandler(MessageType.OBJECT_STATE, (data) => {
+            (data?.objects || []).forEach(entry => this.applyServerEntry(entry));
+        });
+        this.networkManager.registerMessageHandler(MessageType.PICKUP_SPAWN, (data) => {
+            (data?.pickups || []).forEach(entry => this.spawnPickup(entry));
+        });
+        this.networkManager.registerMessageHandler(MessageType.PICKUP_REMOVE, (data) => {
+            (data?.ids || []).forEach(id => this.removePickup(id));
+        });
+        this.networkManager.registerMessageHandler(MessageType.PICKUP_RESULT, (data) => {
+            this.handlePickupResult(data);
+        });
+        this.networkManager.registerMessageHandler(MessageType.ITEM_DROP_RESULT, (data) => {
+            this.handleDropRejected(data);
+        });
+    }
+
+    isServerAuthoritative() {
+        return !!(this.networkManager?.isConnected && this.networkManager.serverObjectAuthority);
+    }
+
+    requestServerAction(target, action) {
+        const requestId = ++this.actionRequestCounter;
+        this.pendingActions.set(requestId, { target, action });
+        this.networkManager.send(MessageType.OBJECT_ACTION, {
+            requestId,
+            objectId: objectKey(target.def, target.seed),
+            chunkX: target.chunkX,
+            chunkZ: target.chunkZ,
+            index: target.index,
+            action
+        });
+        return { message: 'Transmitting to grid...', locked: false, pending: true };
+    }
+
+    handleActionResult(data) {
+        if (!data) return;
+        const pending = this.pendingActions.get(data.requestId);
+        this.pendingActions.delete(data.requestId);
+        const wasDisabled = pending
+            ? this.objectStates.get(pending.target.def, pending.target.seed).disabled
+            : false;
+        this.applyServerEntry(data);
+        if (!pending) return;
+
+        const { target, action } = pending;
+        if (!data.ok) {
+            this.onActionResult?.({ message: data.reason || 'Action rejected.', locked: false, blocked: true }, target);
+            return;
+        }
+
+        const diagnostics = this.sampleDiagnostics(target);
+        let message = this.describeOutcome(target, action, diagnostics, data.log);
+
+        let applied = { ...(data.applied || {}) };
+        if (this.resources) {
+            // Server totals are authoritative; stamina is only simulated locally
+            const stamina = this.resources.applyDeltas({ stamina: data.stamina }).stamina;
+            if (stamina) applied.stamina = stamina;
+            this.resources.fromJSON({ ...data.resources, stamina: this.resources.stamina });
+            const summary = PlayerResources.describe(applied);
+            if (summary) message += ` [${summary}]`;
+        }
+
+        let itemAdded = false;
+        if (data.itemId) {
+            const salvage = this.collectSalvage(data.itemId);
+            message += salvage.message;
+            itemAdded = salvage.itemAdded;
+        }
+
+        const state = this.objectStates.get(target.def, target.seed);
+        message += this.describeStateChange(state, wasDisabled);
+
+        this.onActionResult?.({
+            message,
+            locked: false,
+            cooldown: data.cooldown,
+            diagnostics,
+            applied,
+            state,
+            itemAdded
+        }, target);
+    }
+
+    applyServerEntry(entry) {
+        if (!entry?.objectId) return;
+        this.syncObjectState(entry.objectId, {
+            ...(entry.state || {}),
+            cooldownUntil: performance.now() + (entry.cooldownRemaining || 0)
+        });
+    }
+
     // Network sync method for receiving state from other clients
     syncObjectState(objectId, state) {
         if (!state) return;
@@ -207,14 +450,164 @@ export class InteractionManager {
             const cooldownKey = objectId;
             this.cooldowns.set(cooldownKey, state.cooldownUntil);
         }
+
+        this.objectStates.merge(objectId, state);
+        this.refreshVisuals(objectId);
+    }
+
+    // Replace every persistent object state (save/load) and repaint loaded objects
+    restoreObjectStates(entries) {
+        this.objectStates.fromJSON(entries);
+        for (const list of this.objects.values()) {
+            list.forEach(mesh => {
+                this.applyStateVisuals(mesh, this.objectStates.get(mesh.userData.def, mesh.userData.seed));
+            });
+        }
+    }
+
+    // ============================================
+    // DROPPED ITEMS (PICKUPS)
+    // ============================================
+
+    createPickupMesh(def, quantity) {
+        const group = new THREE.Group();
+        const crate = new THREE.Mesh(
+            new THREE.BoxGeometry(0.8, 0.8, 0.8),
+            new THREE.MeshStandardMaterial({ color: '#334455', emissive: '#00ff88', emissiveIntensity: 0.25 })
+        );
+        crate.castShadow = true;
+        group.add(crate);
+
+        const label = this.makeLabel(`${def?.name || 'Unknown'} x${quantity}`, def?.rarity);
+        label.scale.set(4, 1, 1);
+        label.position.y = 1.2;
+        group.add(label);
+        return group;
+    }
+
+    // Add or replace a pickup; the server re-sends an entry when its stack shrinks
+    spawnPickup(entry) {
+        if (!entry?.id || !entry.position) return;
+        this.removePickup(entry.id);
+
+        const def = getItem(entry.itemId);
+        const mesh = this.createPickupMesh(def, entry.quantity);
+        const { x, z } = entry.position;
+        mesh.position.set(x, this.heightSampler(x, z) + 0.4, z);
+        mesh.userData = {
+            type: 'pickup',
+            pickupId: entry.id,
+            itemId: entry.itemId,
+            quantity: entry.quantity,
+            def: def || { id: entry.itemId, name: entry.itemId, rarity: 'common' }
+        };
+        this.scene.add(mesh);
+        this.pickups.set(entry.id, mesh);
+    }
+
+    removePickup(pickupId) {
+        const mesh = this.pickups.get(pickupId);
+        if (!mesh) return;
+        this.scene.remove(mesh);
+        this.pickups.delete(pickupId);
+    }
+
+    // Put an item that is no longer in the inventory into the world
+    dropItem(itemId, quantity) {
+        if (this.isServerAuthoritative()) {
+            // The server places it at our authoritative body position
+            this.networkManager.send(MessageType.ITEM_DROP, { itemId, quantity });
+            return;
+        }
+
+        const origin = this.positionProvider?.();
+        if (!origin) return;
+        const angle = Math.random() * Math.PI * 2;
+        this.spawnPickup({
+            id: `local-${++this.localPickupCounter}`,
+            itemId,
+            quantity,
+            position: { x: origin.x + Math.cos(angle) * 1.5, y: origin.y, z: origin.z + Math.sin(angle) * 1.5 }
+        });
+    }
+
+    // Inventory panel DROP buttons
+    dropFromSlot(slotIndex, quantity) {
+        if (!this.inventory) return { success: false, message: 'No inventory.' };
+        const removed = this.inventory.removeFromSlot(slotIndex, quantity);
+        if (!removed) return { success: false, message: 'Nothing in that slot.' };
+
+        this.dropItem(removed.itemId, removed.quantity);
+        return { success: true, message: `Dropped ${removed.quantity}x ${getItem(removed.itemId)?.name || removed.itemId}` };
+    }
+
+    // Take as much of a pickup as fits; the rest stays on the ground
+    pickUp(target) {
+        const mesh = this.pickups.get(target?.pickupId);
+        if (!mesh || !this.inventory) return { message: 'Nothing to pick up.' };
+
+        const { itemId, quantity, def } = mesh.userData;
+        const amount = this.inventory.getAcceptableQuantity(itemId, quantity);
+        if (amount === 0) {
+            return { message: this.inventory.checkAdd([{ item: itemId, quantity: 1 }]) || `Cannot carry ${def.name}.` };
+        }
+
+        if (this.isServerAuthoritative()) {
+            this.networkManager.send(MessageType.ITEM_PICKUP, { pickupId: target.pickupId, quantity: amount });
+            return { message: `Picking up ${def.name}...`, pending: true };
+        }
+
+        this.inventory.addItem(itemId, amount);
+        if (amount < quantity) {
+            this.spawnPickup({
+                id: target.pickupId,
+                itemId,
+                quantity: quantity - amount,
+                position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z }
+            });
+        } else {
+            this.removePickup(target.pickupId);
+        }
+        return { message: `Picked up ${amount}x ${def.name}${amount < quantity ? ` (${quantity - amount} left, too much to carry)` : ''}` };
+    }
+
+    handlePickupResult(data) {
+        if (!data) return;
+        if (!data.ok) {
+            this.onPickupMessage?.(`Pickup failed: ${data.reason || 'rejected'}`);
+            return;
+        }
+
+        const name = getItem(data.itemId)?.name || data.itemId;
+        if (this.inventory?.addItem(data.itemId, data.quantity)) {
+            this.onPickupMessage?.(`Picked up ${data.quantity}x ${name}`);
+        } else {
+            // Inventory changed while the claim was in flight; put it back down
+            this.dropItem(data.itemId, data.quantity);
+            this.onPickupMessage?.(`No room for ${name}; dropped it again.`);
+        }
+    }
+
+    // The server refused a drop, so the item never left us
+    handleDropRejected(data) {
+        if (!data || data.ok) return;
+        const restored = this.inventory?.addItem(data.itemId, data.quantity);
+        this.onPickupMessage?.(`Drop failed: ${data.reason || 'rejected'}${restored ? '' : ' (item lost)'}`);
     }
 
     // Get current state for syncing to other clients
     getObjectState(target) {
-        const cooldownKey = `${target.def.id}_${target.seed}`;
+        const cooldownKey = objectKey(target.def, target.seed);
+        const state = this.objectStates.get(target.def, target.seed);
         return {
             objectId: cooldownKey,
-            cooldownUntil: this.cooldowns.get(cooldownKey) || 0
+            cooldownUntil: this.cooldowns.get(cooldownKey) || 0,
+            integrity: state.integrity,
+            security: state.security,
+            signal: state.signal,
+            disabled: state.disabled,
+            repairProgress: state.repairProgress,
+            interactions: state.interactions
         };
     }
 }
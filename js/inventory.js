@@ -2,14 +2,113 @@
 // Manages player's collected items and inventory UI
 
 import { getItem } from './items/item-loader.js';
+import { getUseEffects, getEquipSpec, describeEffects } from './items/item-effects.js';
+import { getItemWeight, getStackSize, formatWeight } from './items/item-stacking.js';
+
+export const INVENTORY_SLOTS = 24;
+export const BASE_CARRY_WEIGHT = 50; // kg
+
+// Put `quantity` of an item into a slot array, topping up partial stacks before
+// opening empty slots. Mutates `slots` and returns the quantity that didn't fit.
+function fillSlots(slots, itemId, quantity) {
+    const stackSize = getStackSize(getItem(itemId));
+    let remaining = quantity;
+    slots.forEach(slot => {
+        if (remaining <= 0 || !slot || slot.itemId !== itemId || slot.quantity >= stackSize) return;
+        const added = Math.min(stackSize - slot.quantity, remaining);
+        slot.quantity += added;
+        remaining -= added;
+    });
+    for (let i = 0; i < slots.length && remaining > 0; i++) {
+        if (slots[i]) continue;
+        const added = Math.min(stackSize, remaining);
+        slots[i] = { itemId, quantity: added };
+        remaining -= added;
+    }
+    return remaining;
+}
+
+// Take from the last (usually partial) stacks first so full stacks stay intact
+function takeFromSlots(slots, itemId, quantity) {
+    let remaining = quantity;
+    for (let i = slots.length - 1; i >= 0 && remaining > 0; i--) {
+        const slot = slots[i];
+        if (!slot || slot.itemId !== itemId) continue;
+        const taken = Math.min(slot.quantity, remaining);
+        slot.quantity -= taken;
+        remaining -= taken;
+        if (slot.quantity <= 0) slots[i] = null;
+    }
+    return remaining;
+}
 
 export class Inventory {
     constructor() {
-        this.items = new Map(); // itemId -> quantity
-        this.maxCapacity = 50;
+        this.slots = new Array(INVENTORY_SLOTS).fill(null); // { itemId, quantity } per grid cell
+        this.items = new Map(); // itemId -> total quantity (index rebuilt from slots)
+        this.baseWeight = BASE_CARRY_WEIGHT;
+        this.weightBonus = 0; // From equipment (EffectSystem)
+        this.maxWeight = this.baseWeight;
         this.listeners = [];
     }
 
+    setWeightBonus(bonus) {
+        if (bonus === this.weightBonus) return;
+        this.weightBonus = bonus;
+        this.maxWeight = this.baseWeight + bonus;
+        this.notifyListeners('capacity', null, 0);
+    }
+
+    rebuildIndex() {
+        this.items.clear();
+        this.slots.forEach(slot => {
+            if (slot) this.items.set(slot.itemId, (this.items.get(slot.itemId) || 0) + slot.quantity);
+        });
+    }
+
+    getTotalWeight() {
+        let total = 0;
+        this.items.forEach((quantity, itemId) => {
+            total += getItemWeight(getItem(itemId)) * quantity;
+        });
+        return total;
+    }
+
+    getUsedSlots() {
+        return this.slots.filter(Boolean).length;
+    }
+
+    // Why the additions wouldn't fit after the removals, or null if they would.
+    // additions: [{ item, quantity }], removals: Map itemId -> quantity
+    checkAdd(additions, removals = new Map()) {
+        const slots = this.slots.map(slot => slot && { ...slot });
+        let weight = this.getTotalWeight();
+
+        removals.forEach((quantity, itemId) => {
+            takeFromSlots(slots, itemId, quantity);
+            weight -= getItemWeight(getItem(itemId)) * quantity;
+        });
+
+        for (const { item, quantity } of additions) {
+            weight += getItemWeight(getItem(item)) * quantity;
+            if (fillSlots(slots, item, quantity) > 0) return 'No free inventory slots';
+        }
+
+        // Small tolerance so fractional weights that exactly fill the limit still fit
+        if (weight > this.maxWeight + 1e-6) {
+            return `Too heavy (${formatWeight(weight)} / ${formatWeight(this.maxWeight)})`;
+        }
+        return null;
+    }
+
+    // Largest part of `quantity` that fits right now (used for partial pickups)
+    getAcceptableQuantity(itemId, quantity) {
+        for (let amount = quantity; amount > 0; amount--) {
+            if (!this.checkAdd([{ item: itemId, quantity: amount }])) return amount;
+        }
+        return 0;
+    }
+
     addItem(itemId, quantity = 1) {
         const item = getItem(itemId);
         if (!item) {
@@ -17,15 +116,14 @@ export class Inventory {
             return false;
         }
 
-        const currentQty = this.items.get(itemId) || 0;
-        const totalItems = this.getTotalItems();
-
-        if (totalItems + quantity > this.maxCapacity) {
-            console.warn(`[Inventory] Capacity exceeded. Cannot add ${quantity} of ${item.name}`);
+        const reason = this.checkAdd([{ item: itemId, quantity }]);
+        if (reason) {
+            console.warn(`[Inventory] ${reason}. Cannot add ${quantity} of ${item.name}`);
             return false;
         }
 
-        this.items.set(itemId, currentQty + quantity);
+        fillSlots(this.slots, itemId, quantity);
+        this.rebuildIndex();
         this.notifyListeners('add', item, quantity);
         console.log(`[Inventory] Added ${quantity}x ${item.name}`);
         return true;
@@ -41,18 +139,48 @@ export class Inventory {
             return false;
         }
 
-        const newQty = currentQty - quantity;
-        if (newQty <= 0) {
-            this.items.delete(itemId);
-        } else {
-            this.items.set(itemId, newQty);
-        }
-
+        takeFromSlots(this.slots, itemId, quantity);
+        this.rebuildIndex();
         this.notifyListeners('remove', item, quantity);
         console.log(`[Inventory] Removed ${quantity}x ${item.name}`);
         return true;
     }
 
+    // Take up to `quantity` from one grid cell (dropping a stack)
+    // Returns { itemId, quantity } actually removed, or null
+    removeFromSlot(index, quantity) {
+        const slot = this.slots[index];
+        if (!slot) return null;
+
+        const taken = Math.min(slot.quantity, quantity ?? slot.quantity);
+        slot.quantity -= taken;
+        if (slot.quantity <= 0) this.slots[index] = null;
+        this.rebuildIndex();
+        this.notifyListeners('remove', getItem(slot.itemId), taken);
+        return { itemId: slot.itemId, quantity: taken };
+    }
+
+    // Drag between grid cells: merge matching stacks, otherwise swap
+    moveSlot(from, to) {
+        if (from === to || !this.slots[from] || to < 0 || to >= this.slots.length) return false;
+        const source = this.slots[from];
+        const target = this.slots[to];
+
+        if (target && target.itemId === source.itemId) {
+            const stackSize = getStackSize(getItem(source.itemId));
+            const moved = Math.min(stackSize - target.quantity, source.quantity);
+            if (moved <= 0) return false;
+            target.quantity += moved;
+            source.quantity -= moved;
+            if (source.quantity <= 0) this.slots[from] = null;
+        } else {
+            this.slots[to] = source;
+            this.slots[from] = target;
+        }
+        this.notifyListeners('move', getItem(source.itemId), 0);
+        return true;
+    }
+
     hasItem(itemId, quantity = 1) {
         const currentQty = this.items.get(itemId) || 0;
         return currentQty >= quantity;
@@ -79,7 +207,16 @@ export class Inventory {
         return result;
     }
 
+    // Grid cells with resolved definitions (null for empty cells)
+    getSlots() {
+        return this.slots.map(slot => {
+            const item = slot && getItem(slot.itemId);
+            return item ? { item, quantity: slot.quantity } : null;
+        });
+    }
+
     clear() {
+        this.slots.fill(null);
         this.items.clear();
         this.notifyListeners('clear', null, 0);
     }
@@ -105,31 +242,66 @@ export class Inventory {
     // Serialization
     toJSON() {
         return {
-            items: Array.from(this.items.entries()),
-            maxCapacity: this.maxCapacity
+            slots: this.slots.map(slot => slot ? [slot.itemId, slot.quantity] : null),
+            maxWeight: this.baseWeight
         };
     }
 
     fromJSON(data) {
-        this.items.clear();
-        if (data.items) {
+        this.slots.fill(null);
+        if (Array.isArray(data.slots)) {
+            const overflow = [];
+            data.slots.forEach((entry, index) => {
+                if (!Array.isArray(entry) || !(entry[1] > 0)) return;
+                // The server may list stacks past our grid; they fill free slots
+                if (index >= this.slots.length) {
+                    overflow.push([entry[0], entry[1]]);
+                    return;
+                }
+                // Stack sizes may have shrunk since the save was written
+                const quantity = Math.min(entry[1], getStackSize(getItem(entry[0])));
+                this.slots[index] = { itemId: entry[0], quantity };
+                if (entry[1] > quantity) overflow.push([entry[0], entry[1] - quantity]);
+            });
+            overflow.forEach(([itemId, quantity]) => fillSlots(this.slots, itemId, quantity));
+        } else if (data.items) {
+            // Pre-grid saves and profiles: { items: [[itemId, qty]] }
             data.items.forEach(([itemId, quantity]) => {
-                this.items.set(itemId, quantity);
+                const lost = fillSlots(this.slots, itemId, quantity);
+                if (lost > 0) console.warn(`[Inventory] No room for ${lost}x ${itemId} from old save`);
             });
         }
-        if (data.maxCapacity) {
-            this.maxCapacity = data.maxCapacity;
+        if (data.maxWeight) {
+            this.baseWeight = data.maxWeight;
+            this.maxWeight = this.baseWeight + this.weightBonus;
         }
+        this.rebuildIndex();
         this.notifyListeners('load', null, 0);
     }
 }
 
+const RARITY_COLORS = {
+    common: '#888888',
+    uncommon: '#55dd55',
+    rare: '#00aaff',
+    epic: '#bb66ff',
+    legendary: '#ff00ff'
+};
+
 // Inventory UI Manager
 export class InventoryUI {
     constructor(inventory) {
         this.inventory = inventory;
         this.isOpen = false;
         this.container = null;
+        this.crafting = null;
+        this.effects = null;
+        this.activeTab = 'items';
+        this.craftStatus = '';
+        this.itemStatus = '';
+        this.selectedSlot = null;
+        this.dragSlot = null;
+        this.onDropItem = null; // (slotIndex, quantity) => { success, message }
         this.createUI();
 
         // Listen to inventory changes
@@ -195,14 +367,72 @@ export class InventoryUI {
         header.appendChild(capacity);
         header.appendChild(closeBtn);
 
+        // Tabs
+        const tabs = document.createElement('div');
+        tabs.style.cssText = 'display: flex; gap: 8px; margin-bottom: 10px;';
+        this.tabButtons = {};
+        [['items', 'ITEMS'], ['crafting', 'CRAFTING']].forEach(([key, label]) => {
+            const tab = document.createElement('button');
+            tab.textContent = label;
+            tab.style.cssText = `
+                background: transparent;
+                border: 1px solid #00ff88;
+                color: #00ff88;
+                padding: 4px 14px;
+                font-family: 'VT323', monospace;
+                font-size: 18px;
+                cursor: pointer;
+            `;
+            tab.onclick = () => this.setTab(key);
+            this.tabButtons[key] = tab;
+            tabs.appendChild(tab);
+        });
+
         // Create items list
         const itemsList = document.createElement('div');
         itemsList.id = 'inventory-items';
         itemsList.style.cssText = 'margin-top: 10px;';
 
+        // Crafting recipes list
+        const craftingList = document.createElement('div');
+        craftingList.id = 'inventory-crafting';
+        craftingList.style.cssText = 'margin-top: 10px; display: none;';
+
         this.container.appendChild(header);
+        this.container.appendChild(tabs);
         this.container.appendChild(itemsList);
+        this.container.appendChild(craftingList);
         document.body.appendChild(this.container);
+        this.setTab(this.activeTab);
+    }
+
+    setCrafting(crafting) {
+        this.crafting = crafting;
+        // Resource changes (salvage, intel) affect which recipes are satisfiable
+        crafting.resources?.addListener(() => this.updateUI());
+        crafting.onCraftResult = (result) => {
+            this.craftStatus = result.message;
+            this.updateUI();
+        };
+    }
+
+    setEffects(effects) {
+        this.effects = effects;
+        // Equip state, buffs and restored vitals change what the item rows show
+        effects.addListener(() => this.updateUI());
+        effects.resources?.addListener(() => this.updateUI());
+    }
+
+    setTab(tab) {
+        this.activeTab = tab;
+        Object.entries(this.tabButtons).forEach(([key, button]) => {
+            button.style.background = key === tab ? 'rgba(0, 255, 136, 0.25)' : 'transparent';
+        });
+        const itemsList = this.container.querySelector('#inventory-items');
+        const craftingList = this.container.querySelector('#inventory-crafting');
+        itemsList.style.display = tab === 'items' ? 'block' : 'none';
+        craftingList.style.display = tab === 'crafting' ? 'block' : 'none';
+        this.updateUI();
     }
 
     toggle() {
@@ -230,73 +460,133 @@ export class InventoryUI {
         // Update capacity
         const capacityEl = document.getElementById('inventory-capacity');
         if (capacityEl) {
-            const total = this.inventory.getTotalItems();
-            capacityEl.textContent = `${total}/${this.inventory.maxCapacity}`;
+            const weight = this.inventory.getTotalWeight();
+            capacityEl.textContent = `${formatWeight(weight)}/${formatWeight(this.inventory.maxWeight)} • ` +
+                `${this.inventory.getUsedSlots()}/${this.inventory.slots.length} slots`;
         }
 
-        // Update items list
+        if (this.activeTab === 'crafting') {
+            this.updateCraftingUI();
+            return;
+        }
+
+        // Update items grid
         const itemsList = document.getElementById('inventory-items');
         if (!itemsList) return;
 
         itemsList.innerHTML = '';
 
-        const items = this.inventory.getItems();
+        if (this.itemStatus) {
+            const status = document.createElement('div');
+            status.textContent = this.itemStatus;
+            status.style.cssText = 'margin-bottom: 10px; font-size: 16px; color: #aeeaff;';
+            itemsList.appendChild(status);
+        }
+
+        if (this.effects?.buffs.length) {
+            const buffs = document.createElement('div');
+            buffs.textContent = `Active: ${this.effects.buffs.map(buff => this.effects.describeBuff(buff)).join(' • ')}`;
+            buffs.style.cssText = 'margin-bottom: 10px; font-size: 16px; color: #ffdd66;';
+            itemsList.appendChild(buffs);
+        }
+
+        const slots = this.inventory.getSlots();
+        if (this.selectedSlot !== null && !slots[this.selectedSlot]) {
+            this.selectedSlot = null;
+        }
 
-        if (items.length === 0) {
-            const emptyMsg = document.createElement('div');
-            emptyMsg.textContent = 'No items in inventory';
-            emptyMsg.style.cssText = 'text-align: center; padding: 40px; opacity: 0.5;';
-            itemsList.appendChild(emptyMsg);
+        const grid = document.createElement('div');
+        grid.style.cssText = 'display: grid; grid-template-columns: repeat(6, 1fr); gap: 6px; margin-bottom: 12px;';
+        slots.forEach((entry, index) => grid.appendChild(this.createSlotElement(entry, index)));
+        itemsList.appendChild(grid);
+
+        if (this.selectedSlot === null) {
+            const hint = document.createElement('div');
+            hint.textContent = slots.some(Boolean)
+                ? 'Select a slot for details. Drag to move or merge stacks.'
+                : 'No items in inventory';
+            hint.style.cssText = 'text-align: center; padding: 10px; opacity: 0.5;';
+            itemsList.appendChild(hint);
             return;
         }
 
-        // Sort by rarity and name
-        items.sort((a, b) => {
-            const rarityOrder = { legendary: 0, rare: 1, common: 2 };
-            const rarityDiff = (rarityOrder[a.item.rarity] || 2) - (rarityOrder[b.item.rarity] || 2);
-            if (rarityDiff !== 0) return rarityDiff;
-            return a.item.name.localeCompare(b.item.name);
-        });
+        const { item, quantity } = slots[this.selectedSlot];
+        itemsList.appendChild(this.createItemElement(item, quantity, this.selectedSlot));
+    }
 
-        items.forEach(({ item, quantity }) => {
-            const itemEl = this.createItemElement(item, quantity);
-            itemsList.appendChild(itemEl);
-        });
+    createSlotElement(entry, index) {
+        const cell = document.createElement('div');
+        const selected = index === this.selectedSlot;
+        cell.style.cssText = `
+            height: 64px;
+            padding: 4px;
+            border: 1px solid ${entry ? RARITY_COLORS[entry.item.rarity] || '#00ff88' : '#224433'};
+            background: rgba(0, 255, 136, ${selected ? 0.3 : entry ? 0.1 : 0.02});
+            font-size: 14px;
+            overflow: hidden;
+            position: relative;
+            cursor: ${entry ? 'pointer' : 'default'};
+        `;
+
+        // Drop target for drag-to-move
+        cell.ondragover = (event) => event.preventDefault();
+        cell.ondrop = (event) => {
+            event.preventDefault();
+            if (this.dragSlot === null) return;
+            if (this.inventory.moveSlot(this.dragSlot, index) && this.selectedSlot === this.dragSlot) {
+                this.selectedSlot = index;
+            }
+            this.dragSlot = null;
+            this.updateUI();
+        };
+
+        if (!entry) return cell;
+
+        cell.draggable = true;
+        cell.ondragstart = () => { this.dragSlot = index; };
+        cell.onclick = () => {
+            this.selectedSlot = selected ? null : index;
+            this.updateUI();
+        };
+
+        const name = document.createElement('div');
+        name.textContent = entry.item.name;
+        name.style.cssText = `color: ${RARITY_COLORS[entry.item.rarity] || '#00ff88'}; line-height: 1.1;`;
+
+        const qty = document.createElement('span');
+        qty.textContent = `x${entry.quantity}`;
+        qty.style.cssText = 'position: absolute; right: 4px; bottom: 2px; opacity: 0.8;';
+
+        cell.appendChild(name);
+        cell.appendChild(qty);
+        if (this.effects?.isEquipped(entry.item.id)) {
+            const badge = document.createElement('span');
+            badge.textContent = 'E';
+            badge.title = 'Equipped';
+            badge.style.cssText = 'position: absolute; left: 4px; bottom: 2px; color: #ffdd66;';
+            cell.appendChild(badge);
+        }
+        return cell;
     }
 
-    createItemElement(item, quantity) {
+    createItemElement(item, quantity, slotIndex) {
         const el = document.createElement('div');
         el.style.cssText = `
             background: rgba(0, 255, 136, 0.1);
             border: 1px solid #00ff88;
             padding: 10px;
             margin-bottom: 10px;
-            cursor: pointer;
-            transition: background 0.2s;
         `;
 
-        el.onmouseenter = () => {
-            el.style.background = 'rgba(0, 255, 136, 0.2)';
-        };
-        el.onmouseleave = () => {
-            el.style.background = 'rgba(0, 255, 136, 0.1)';
-        };
-
-        const rarityColors = {
-            common: '#888888',
-            rare: '#00aaff',
-            legendary: '#ff00ff'
-        };
-
         const header = document.createElement('div');
         header.style.cssText = 'display: flex; justify-content: space-between; margin-bottom: 5px;';
 
         const name = document.createElement('span');
         name.textContent = item.name;
-        name.style.cssText = `font-size: 20px; color: ${rarityColors[item.rarity] || '#00ff88'};`;
+        name.style.cssText = `font-size: 20px; color: ${RARITY_COLORS[item.rarity] || '#00ff88'};`;
 
         const qtyBadge = document.createElement('span');
-        qtyBadge.textContent = `x${quantity}`;
+        qtyBadge.textContent = `x${quantity} / ${getStackSize(item)}`;
         qtyBadge.style.cssText = 'font-size: 18px; opacity: 0.8;';
 
         header.appendChild(name);
@@ -308,12 +598,163 @@ export class InventoryUI {
 
         const meta = document.createElement('div');
         meta.style.cssText = 'margin-top: 5px; font-size: 14px; opacity: 0.6;';
-        meta.textContent = `Category: ${item.category} | Rarity: ${item.rarity} | Energy: ${item.energy}`;
+        meta.textContent = `Category: ${item.category} | Rarity: ${item.rarity} | ` +
+            `Weight: ${formatWeight(getItemWeight(item))} each (${formatWeight(getItemWeight(item) * quantity)})`;
 
         el.appendChild(header);
         el.appendChild(desc);
         el.appendChild(meta);
 
+        const actions = this.createItemActions(item, quantity, slotIndex);
+        if (actions) el.appendChild(actions);
+
+        return el;
+    }
+
+    // Effect summary plus USE / EQUIP / DROP buttons
+    createItemActions(item, quantity, slotIndex) {
+        const canUse = !!this.effects && getUseEffects(item).length > 0;
+        const equipSpec = this.effects ? getEquipSpec(item) : null;
+        if (!canUse && !equipSpec && !this.onDropItem) return null;
+
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-top: 6px;';
+
+        const summary = document.createElement('span');
+        summary.textContent = canUse || equipSpec ? describeEffects(item) : '';
+        summary.style.cssText = 'font-size: 14px; color: #aeeaff;';
+        row.appendChild(summary);
+
+        const buttons = document.createElement('span');
+        const addButton = (label, enabled, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.disabled = !enabled;
+            button.style.cssText = `
+                background: transparent;
+                border: 1px solid #00ff88;
+                color: #00ff88;
+                margin-left: 6px;
+                padding: 2px 12px;
+                font-family: 'VT323', monospace;
+                font-size: 16px;
+                cursor: ${enabled ? 'pointer' : 'not-allowed'};
+            `;
+            button.onclick = (event) => {
+                event.stopPropagation();
+                this.itemStatus = onClick().message;
+                this.updateUI();
+            };
+            buttons.appendChild(button);
+        };
+
+        if (canUse) {
+            const blocked = this.effects.checkUse(item.id);
+            addButton('USE', !blocked, () => this.effects.useItem(item.id));
+            if (blocked) summary.title = blocked;
+        }
+        if (equipSpec) {
+            const equipped = this.effects.isEquipped(item.id);
+            addButton(equipped ? 'UNEQUIP' : 'EQUIP', true, () => this.effects.toggleEquip(item.id));
+            if (equipped) summary.textContent = `[EQUIPPED] ${summary.textContent}`;
+        }
+        if (this.onDropItem) {
+            addButton('DROP 1', true, () => this.onDropItem(slotIndex, 1));
+            if (quantity > 1) addButton('DROP ALL', true, () => this.onDropItem(slotIndex, quantity));
+        }
+
+        row.appendChild(buttons);
+        return row;
+    }
+
+    updateCraftingUI() {
+        const list = document.getElementById('inventory-crafting');
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (!this.crafting) {
+            list.textContent = 'Crafting unavailable';
+            return;
+        }
+
+        if (this.craftStatus) {
+            const status = document.createElement('div');
+            status.textContent = this.craftStatus;
+            status.style.cssText = 'margin-bottom: 10px; font-size: 16px; color: #aeeaff;';
+            list.appendChild(status);
+        }
+
+        // Satisfiable recipes first
+        const states = this.crafting.getRecipeStates()
+            .sort((a, b) => Number(b.satisfiable) - Number(a.satisfiable));
+        states.forEach(state => list.appendChild(this.createRecipeElement(state)));
+    }
+
+    createRecipeElement(state) {
+        const { recipe } = state;
+        const el = document.createElement('div');
+        el.style.cssText = `
+            background: rgba(0, 255, 136, ${state.satisfiable ? 0.12 : 0.03});
+            border: 1px solid ${state.satisfiable ? '#00ff88' : '#335544'};
+            padding: 10px;
+            margin-bottom: 10px;
+            opacity: ${state.satisfiable ? 1 : 0.65};
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+
+        const name = document.createElement('span');
+        name.textContent = recipe.name;
+        name.style.cssText = 'font-size: 20px;';
+
+        const craftBtn = document.createElement('button');
+        craftBtn.textContent = 'CRAFT';
+        craftBtn.disabled = !state.satisfiable;
+        craftBtn.style.cssText = `
+            background: transparent;
+            border: 1px solid #00ff88;
+            color: #00ff88;
+            padding: 2px 12px;
+            font-family: 'VT323', monospace;
+            font-size: 16px;
+            cursor: ${state.satisfiable ? 'pointer' : 'not-allowed'};
+        `;
+        craftBtn.onclick = () => {
+            const result = this.crafting.craft(recipe.id);
+            this.craftStatus = result.message;
+            this.updateUI();
+        };
+
+        header.appendChild(name);
+        header.appendChild(craftBtn);
+
+        const describeInput = input => input.item
+            ? `${input.quantity}x ${getItem(input.item)?.name || input.item}`
+            : `${input.quantity}x any ${input.category}`;
+        const inputs = recipe.inputs.map(describeInput);
+        Object.entries(recipe.resources || {}).forEach(([key, amount]) => inputs.push(`${amount} ${key}`));
+        const outputs = recipe.outputs.map(output => `${output.quantity}x ${getItem(output.item)?.name || output.item}`);
+
+        const meta = document.createElement('div');
+        meta.style.cssText = 'margin-top: 5px; font-size: 14px; opacity: 0.8;';
+        meta.textContent = `${inputs.join(' + ')} → ${outputs.join(', ')}`;
+
+        el.appendChild(header);
+        el.appendChild(meta);
+
+        const blockers = [];
+        if (state.stationMissing) blockers.push(state.stationMissing);
+        if (state.missing.length) blockers.push(`Missing ${state.missing.join(', ')}`);
+        if (state.resourceShortfall) blockers.push(state.resourceShortfall);
+        if (!state.fits) blockers.push(state.capacityIssue);
+        if (blockers.length || state.station) {
+            const note = document.createElement('div');
+            note.style.cssText = `margin-top: 4px; font-size: 14px; color: ${blockers.length ? '#ff8866' : '#aeeaff'};`;
+            note.textContent = blockers.length ? blockers.join(' • ') : `Station: ${state.station.name}`;
+            el.appendChild(note);
+        }
+
         return el;
     }
 }
@@ -6,6 +6,7 @@ export const BIOME_ITEM_CONFIG = {
         categories: ['training', 'utility', 'systems'],
         specificItems: ['obj_001', 'obj_002', 'obj_003', 'obj_004', 'obj_005'],
         weight: 1.0,
+        rarityWeights: { common: 0.55, legendary: 0.02 },
         description: 'Basic salvage and training equipment'
     },
     marsh: {
@@ -18,24 +19,28 @@ export const BIOME_ITEM_CONFIG = {
         categories: ['exploration', 'utility', 'systems'],
         specificItems: ['obj_020', 'obj_021', 'obj_022'],
         weight: 0.85,
+        rarityWeights: { uncommon: 0.3 },
         description: 'Survey and exploration gear'
     },
     crystal: {
         categories: ['research', 'hacking', 'systems'],
         specificItems: ['obj_030', 'obj_031', 'obj_032'],
         weight: 0.8,
+        rarityWeights: { rare: 0.22, epic: 0.14 },
         description: 'Advanced research equipment'
     },
     oasis: {
         categories: ['agriculture', 'commerce', 'systems'],
         specificItems: ['obj_040', 'obj_041', 'obj_042'],
         weight: 0.75,
+        rarityWeights: { uncommon: 0.32, epic: 0.06 },
         description: 'Trade and agricultural systems'
     },
     volcanic: {
         categories: ['manufacturing', 'resource', 'systems'],
         specificItems: ['obj_050', 'obj_051', 'obj_052'],
         weight: 0.7,
+        rarityWeights: { epic: 0.12 },
         description: 'Industrial equipment'
     },
     tundra: {
@@ -48,32 +53,65 @@ export const BIOME_ITEM_CONFIG = {
         categories: ['medical', 'agriculture', 'exploration', 'systems'],
         specificItems: ['obj_070', 'obj_071', 'obj_072'],
         weight: 0.6,
+        rarityWeights: { uncommon: 0.3 },
         description: 'Biological and exploration equipment'
     },
     corrupted: {
         categories: ['hacking', 'security', 'systems'],
         specificItems: ['obj_080', 'obj_081', 'obj_082'],
         weight: 0.55,
+        rarityWeights: { common: 0.35, epic: 0.14, legendary: 0.08 },
         description: 'Compromised and hacking equipment'
     },
     bioluminescent: {
         categories: ['research', 'medical', 'systems'],
         specificItems: ['obj_090', 'obj_091', 'obj_092'],
         weight: 0.5,
+        rarityWeights: { rare: 0.2, legendary: 0.07 },
         description: 'Exotic research equipment'
     }
 };
 
-// Item rarity weights for spawning
+// Item rarity weights for spawning (relative, need not sum to 1).
+// Biomes can override individual tiers via `rarityWeights`.
 export const RARITY_WEIGHTS = {
-    common: 0.7,
-    rare: 0.25,
-    legendary: 0.05
+    common: 0.45,
+    uncommon: 0.25,
+    rare: 0.17,
+    epic: 0.09,
+    legendary: 0.04
 };
 
+// Tier order from most to least common
+export const RARITY_TIERS = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+
+// Per-chunk loot rules. Rolls are deterministic per chunk, so these never carry
+// state between chunks (the server re-derives chunks independently).
+export const LOOT_RULES = {
+    // After this many consecutive rolls below `minRarity`, the next roll is forced to `minRarity` or better
+    pity: { threshold: 6, minRarity: 'rare' },
+    // Every chunk with at least `minObjects` objects contains `count` items of `minRarity` or better
+    guarantees: [
+        { minRarity: 'uncommon', count: 1, minObjects: 1 },
+        { minRarity: 'epic', count: 1, minObjects: 10 }
+    ]
+};
+
+// Blended biome keys ("marsh_tundra") resolve to their dominant biome
+export function resolveBiomeKey(biomeKey) {
+    if (!biomeKey || BIOME_ITEM_CONFIG[biomeKey]) return biomeKey;
+    const primary = biomeKey.split('_')[0];
+    return BIOME_ITEM_CONFIG[primary] ? primary : biomeKey;
+}
+
+export function getRarityWeightsForBiome(biomeKey) {
+    const config = BIOME_ITEM_CONFIG[resolveBiomeKey(biomeKey)];
+    return { ...RARITY_WEIGHTS, ...(config?.rarityWeights || {}) };
+}
+
 // Get items that can spawn in a specific biome
 export function getItemsForBiome(biomeKey, allItems) {
-    const config = BIOME_ITEM_CONFIG[biomeKey];
+    const config = BIOME_ITEM_CONFIG[resolveBiomeKey(biomeKey)];
     if (!config) return allItems;
 
     // Filter items by category or specific ID
@@ -88,7 +126,7 @@ export function getItemsForBiome(biomeKey, allItems) {
     });
 }
 
-// Get spawn weight for a biome (affects density)
+// Get spawn weight for a biome (scales chunk object density)
 export function getBiomeSpawnWeight(biomeKey) {
-    return BIOME_ITEM_CONFIG[biomeKey]?.weight || 1.0;
+    return BIOME_ITEM_CONFIG[resolveBiomeKey(biomeKey)]?.weight || 1.0;
 }
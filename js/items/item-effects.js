@@ -0,0 +1,150 @@
+// Item Effects
+// Declarative `effects` blocks for inventory items:
+//
+//   "effects": {
+//       "use":   [{ "type": "restore", "resource": "health", "amount": 25 },
+//                 { "type": "buff", "stat": "hackChance", "value": 0.15, "duration": 60 }],
+//       "equip": { "slot": "legs", "modifiers": { "speed": 0.12 } }
+//   }
+//
+// `use` effects fire when the item is consumed (one unit is spent). `equip` items stay
+// in the inventory and apply their modifiers while worn. Items without an effects block
+// fall back to a per-category default so legacy loot is still usable.
+
+// Modifiable player stats. Values from all sources are summed; `cap` bounds the total
+// (the server's PlayerEffects sums and caps its own copy the same way).
+export const EFFECT_STATS = {
+    speed: { label: 'Move speed', format: 'percent', cap: 0.5 },            // fraction added to the speed multiplier
+    interactionRange: { label: 'Reach', format: 'meters', cap: 8 },         // meters added to CONFIG.interactionRange
+    carryCapacity: { label: 'Carry weight', format: 'kg', cap: 60 },        // kg added to Inventory.maxWeight
+    hackChance: { label: 'Hack success', format: 'percent', cap: 0.35 },    // subtracted from the hack failure threshold
+    staminaRecovery: { label: 'Stamina recovery', format: 'percent', cap: 1 }
+};
+
+export const EQUIP_SLOTS = ['head', 'body', 'legs', 'back', 'tool'];
+
+export const RESTORABLE_RESOURCES = ['health', 'stamina', 'credits', 'intel', 'salvage'];
+
+// Default use effects for items without an `effects` block, scaled by rarity
+const CATEGORY_USE_EFFECTS = {
+    medical: [{ type: 'restore', resource: 'health', amount: 20 }],
+    utility: [{ type: 'restore', resource: 'stamina', amount: 35 }],
+    hacking: [{ type: 'buff', stat: 'hackChance', value: 0.1, duration: 60 }],
+    exploration: [{ type: 'buff', stat: 'speed', value: 0.1, duration: 45 }],
+    research: [{ type: 'restore', resource: 'intel', amount: 8 }]
+};
+
+const RARITY_SCALE = { common: 1, uncommon: 1.25, rare: 1.5, epic: 2, legendary: 3 };
+
+export function getUseEffects(def) {
+    if (!def) return [];
+    if (def.effects) return def.effects.use || [];
+    const defaults = CATEGORY_USE_EFFECTS[def.category];
+    if (!defaults) return [];
+
+    const scale = RARITY_SCALE[def.rarity] || 1;
+    return defaults.map(effect => effect.type === 'restore'
+        ? { ...effect, amount: Math.round(effect.amount * scale) }
+        : { ...effect, value: Math.round(effect.value * scale * 100) / 100 });
+}
+
+export function getEquipSpec(def) {
+    return def?.effects?.equip || null;
+}
+
+export function clampStat(stat, total) {
+    const cap = EFFECT_STATS[stat]?.cap;
+    return cap === undefined ? total : Math.max(-cap, Math.min(cap, total));
+}
+
+export function formatStat(stat, value) {
+    const spec = EFFECT_STATS[stat];
+    const sign = value >= 0 ? '+' : '';
+    if (!spec) return `${stat} ${sign}${value}`;
+    if (spec.format === 'percent') return `${spec.label} ${sign}${Math.round(value * 100)}%`;
+    if (spec.format === 'meters') return `${spec.label} ${sign}${value}m`;
+    if (spec.format === 'kg') return `${spec.label} ${sign}${value}kg`;
+    return `${spec.label} ${sign}${value}`;
+}
+
+// One-line summary for tooltips/inventory rows
+export function describeEffects(def) {
+    const parts = getUseEffects(def).map(effect => {
+        if (effect.type === 'restore') return `+${effect.amount} ${effect.resource}`;
+        return `${formatStat(effect.stat, effect.value)} for ${effect.duration}s`;
+    });
+    const equip = getEquipSpec(def);
+    if (equip) {
+        const mods = Object.entries(equip.modifiers || {}).map(([stat, value]) => formatStat(stat, value));
+        parts.push(`Equip (${equip.slot}): ${mods.join(', ')}`);
+    }
+    return parts.join(' • ');
+}
+
+// ============================================
+// VALIDATION (used by the pack schema)
+// ============================================
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Returns [{ path, message }] relative to the item (paths start with "effects")
+export function validateEffects(effects) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+
+    if (!effects || typeof effects !== 'object' || Array.isArray(effects)) {
+        error('effects', 'effects must be an object with "use" and/or "equip"');
+        return errors;
+    }
+
+    Object.keys(effects).forEach(key => {
+        if (key !== 'use' && key !== 'equip') error(`effects.${key}`, `Unknown effects key "${key}" (expected use, equip)`);
+    });
+
+    if (effects.use !== undefined) {
+        if (!Array.isArray(effects.use)) {
+            error('effects.use', 'effects.use must be an array');
+        } else {
+            effects.use.forEach((effect, i) => {
+                const path = `effects.use[${i}]`;
+                if (!effect || typeof effect !== 'object') {
+                    error(path, 'effect must be an object');
+                } else if (effect.type === 'restore') {
+                    if (!RESTORABLE_RESOURCES.includes(effect.resource)) {
+                        error(`${path}.resource`, `Unknown resource "${effect.resource}" (expected ${RESTORABLE_RESOURCES.join(', ')})`);
+                    }
+                    if (!isNumber(effect.amount) || effect.amount <= 0) error(`${path}.amount`, 'amount must be a number > 0');
+                } else if (effect.type === 'buff') {
+                    if (!EFFECT_STATS[effect.stat]) {
+                        error(`${path}.stat`, `Unknown stat "${effect.stat}" (expected ${Object.keys(EFFECT_STATS).join(', ')})`);
+                    }
+                    if (!isNumber(effect.value)) error(`${path}.value`, 'value must be a number');
+                    if (!isNumber(effect.duration) || effect.duration <= 0) error(`${path}.duration`, 'duration must be a number > 0');
+                } else {
+                    error(`${path}.type`, `Unknown effect type "${effect.type}" (expected restore, buff)`);
+                }
+            });
+        }
+    }
+
+    if (effects.equip !== undefined) {
+        const equip = effects.equip;
+        if (!equip || typeof equip !== 'object' || Array.isArray(equip)) {
+            error('effects.equip', 'effects.equip must be an object');
+        } else {
+            if (!EQUIP_SLOTS.includes(equip.slot)) {
+                error('effects.equip.slot', `Unknown slot "${equip.slot}" (expected ${EQUIP_SLOTS.join(', ')})`);
+            }
+            if (!equip.modifiers || typeof equip.modifiers !== 'object' || Object.keys(equip.modifiers).length === 0) {
+                error('effects.equip.modifiers', 'equip needs at least one modifier');
+            } else {
+                Object.entries(equip.modifiers).forEach(([stat, value]) => {
+                    if (!EFFECT_STATS[stat]) error(`effects.equip.modifiers.${stat}`, `Unknown stat "${stat}"`);
+                    else if (!isNumber(value)) error(`effects.equip.modifiers.${stat}`, 'modifier must be a number');
+                });
+            }
+        }
+    }
+
+    return errors;
+}
@@ -2,7 +2,12 @@
 // This module loads all items and manages item registration
 
 import { INTERACTIVE_OBJECTS } from '../interactive-objects.js';
-import { getItemsForBiome as filterItemsByBiome, getBiomeSpawnWeight } from './biome-items-config.js';
+import { BIOME_ITEM_CONFIG, getItemsForBiome as filterItemsByBiome, getBiomeSpawnWeight, getRarityWeightsForBiome, resolveBiomeKey } from './biome-items-config.js';
+import { LootTable } from './loot-tables.js';
+import { validateItemPack, formatPackIssue } from './item-schema.js';
+
+// JSON content packs live next to this module; manifest.json lists them in load order
+export const ITEM_PACK_DIR = new URL('./packs/', import.meta.url);
 
 class ItemRegistry {
     constructor() {
@@ -10,6 +15,8 @@ class ItemRegistry {
         this.itemsByCategory = new Map();
         this.itemsByRarity = new Map();
         this.itemsByBiome = new Map();
+        this.lootTables = new Map(); // biomeKey -> LootTable (rebuilt with the biome caches)
+        this.packs = new Map(); // source -> { name, version, ids, overridden }
         this.initialized = false;
     }
 
@@ -45,16 +52,132 @@ class ItemRegistry {
         this.itemsByRarity.get(item.rarity).push(item);
     }
 
+    unregisterItem(id) {
+        const item = this.items.get(id);
+        if (!item) return;
+        this.items.delete(id);
+
+        const byCategory = this.itemsByCategory.get(item.category);
+        if (byCategory) byCategory.splice(byCategory.indexOf(item), 1);
+        const byRarity = this.itemsByRarity.get(item.rarity);
+        if (byRarity) byRarity.splice(byRarity.indexOf(item), 1);
+    }
+
+    // ============================================
+    // CONTENT PACKS
+    // ============================================
+
+    // Validate a JSON pack and merge its items. Later packs override earlier
+    // definitions with the same id; reloading a source replaces its previous items.
+    loadPackText(text, source) {
+        const { pack, items, issues } = validateItemPack(text, source);
+        issues.forEach(issue => {
+            const line = `[ItemRegistry] ${formatPackIssue(issue)}`;
+            if (issue.severity === 'warning') console.warn(line);
+            else console.error(line);
+        });
+        if (!pack) {
+            return { source, loaded: 0, issues };
+        }
+
+        this.unloadPack(source, false);
+
+        const overridden = new Map();
+        items.forEach(def => {
+            const previous = this.items.get(def.id);
+            if (previous) {
+                overridden.set(def.id, previous);
+                this.unregisterItem(def.id);
+            }
+            this.registerItem(def);
+        });
+
+        this.packs.set(source, {
+            name: pack.name,
+            version: pack.version,
+            ids: items.map(def => def.id),
+            overridden
+        });
+        this.buildBiomeCaches();
+
+        console.log(`[ItemRegistry] Pack "${pack.name}" (${source}): ${items.length} items, ${overridden.size} overrides`);
+        return { source, loaded: items.length, issues };
+    }
+
+    unloadPack(source, rebuild = true) {
+        const entry = this.packs.get(source);
+        if (!entry) return false;
+
+        entry.ids.forEach(id => this.unregisterItem(id));
+        entry.overridden.forEach(previous => this.registerItem(previous));
+        this.packs.delete(source);
+
+        if (rebuild) this.buildBiomeCaches();
+        return true;
+    }
+
+    async loadPack(url) {
+        const source = typeof url === 'string' ? url : url.href;
+        try {
+            const response = await fetch(url, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return this.loadPackText(await response.text(), source);
+        } catch (error) {
+            console.error(`[ItemRegistry] Failed to load pack ${source}:`, error.message);
+            return { source, loaded: 0, issues: [], error: error.message };
+        }
+    }
+
+    // Hot-reload a previously loaded pack from its source
+    reloadPack(source) {
+        return this.loadPack(source);
+    }
+
+    async loadPacksFromManifest(baseUrl = ITEM_PACK_DIR) {
+        let manifest;
+        try {
+            const response = await fetch(new URL('manifest.json', baseUrl), { cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            manifest = await response.json();
+        } catch (error) {
+            console.warn('[ItemRegistry] No item pack manifest:', error.message);
+            return [];
+        }
+
+        const reports = [];
+        for (const file of manifest.packs || []) {
+            reports.push(await this.loadPack(new URL(file, baseUrl)));
+        }
+        return reports;
+    }
+
     buildBiomeCaches() {
-        const biomes = ['wasteland', 'marsh', 'highlands', 'crystal', 'oasis',
-                       'volcanic', 'tundra', 'jungle', 'corrupted', 'bioluminescent'];
+        const biomes = Object.keys(BIOME_ITEM_CONFIG);
 
+        this.lootTables.clear();
         biomes.forEach(biomeKey => {
             const items = filterItemsByBiome(biomeKey, Array.from(this.items.values()));
             this.itemsByBiome.set(biomeKey, items);
+            this.lootTables.set(biomeKey, new LootTable(biomeKey, items, getRarityWeightsForBiome(biomeKey)));
         });
     }
 
+    // Loot table for a biome; unknown biomes roll over the whole catalogue
+    getLootTable(biomeKey) {
+        const key = resolveBiomeKey(biomeKey);
+        if (!this.lootTables.has(key)) {
+            this.lootTables.set(key, new LootTable(key, this.getItemsForBiome(key), getRarityWeightsForBiome(key)));
+        }
+        return this.lootTables.get(key);
+    }
+
+    describeLootTables() {
+        return Object.keys(BIOME_ITEM_CONFIG).map(biomeKey => ({
+            ...this.getLootTable(biomeKey).describe(),
+            spawnWeight: getBiomeSpawnWeight(biomeKey)
+        }));
+    }
+
     getItem(id) {
         return this.items.get(id);
     }
@@ -68,7 +191,7 @@ class ItemRegistry {
     }
 
     getItemsForBiome(biomeKey) {
-        return this.itemsByBiome.get(biomeKey) || Array.from(this.items.values());
+        return this.itemsByBiome.get(resolveBiomeKey(biomeKey)) || Array.from(this.items.values());
     }
 
     getAllItems() {
@@ -76,25 +199,12 @@ class ItemRegistry {
     }
 
     getRandomItemForBiome(biomeKey, rng = Math.random) {
-        const items = this.getItemsForBiome(biomeKey);
-        if (items.length === 0) return null;
-
-        // Apply rarity weighting
-        const rarityRoll = rng();
-        let targetRarity = 'common';
-        if (rarityRoll > 0.95) targetRarity = 'legendary';
-        else if (rarityRoll > 0.75) targetRarity = 'rare';
-
-        // Try to get an item of target rarity from this biome
-        const rarityFiltered = items.filter(i => i.rarity === targetRarity);
-        if (rarityFiltered.length > 0) {
-            const index = Math.floor(rng() * rarityFiltered.length);
-            return rarityFiltered[index];
-        }
+        return this.getLootTable(biomeKey).roll(rng);
+    }
 
-        // Fallback to any item
-        const index = Math.floor(rng() * items.length);
-        return items[index];
+    // Roll all objects of a chunk with pity/guarantee rules applied
+    rollChunkItems(biomeKey, count, rngForIndex) {
+        return this.getLootTable(biomeKey).rollChunk(count, rngForIndex);
     }
 
     getCategoryStats() {
@@ -133,6 +243,18 @@ export function getRandomItemForBiome(biomeKey, rng) {
     return itemRegistry.getRandomItemForBiome(biomeKey, rng);
 }
 
+export function rollChunkItems(biomeKey, count, rngForIndex) {
+    return itemRegistry.rollChunkItems(biomeKey, count, rngForIndex);
+}
+
 export function getAllItems() {
     return itemRegistry.getAllItems();
 }
+
+export function describeLootTables() {
+    return itemRegistry.describeLootTables();
+}
+
+export function loadItemPacks(baseUrl) {
+    return itemRegistry.loadPacksFromManifest(baseUrl);
+}
@@ -0,0 +1,314 @@
+// Item Definition Schema
+// Validates JSON item packs before they are merged into the ItemRegistry.
+// Problems are reported with the pack file and the line of the offending value.
+
+import { ACTION_LIBRARY } from '../interaction-actions.js';
+import { validateEffects } from './item-effects.js';
+import { validateStacking } from './item-stacking.js';
+
+export const ITEM_RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+export const ITEM_ACTIONS = Object.keys(ACTION_LIBRARY);
+export const OUTCOME_PLACEHOLDERS = ['integrity', 'risk', 'output'];
+
+const ID_PATTERN = /^[a-z0-9_-]+$/i;
+const KNOWN_FIELDS = ['id', 'name', 'category', 'rarity', 'energy', 'cooldown', 'description', 'spawnable', 'actions', 'dials', 'outcomes', 'effects', 'weight', 'stackSize'];
+
+// ============================================
+// JSON PARSER WITH LINE TRACKING
+// ============================================
+
+// JSON.parse loses positions, so packs are parsed with a small recursive descent
+// parser that records the line each value starts on, keyed by path ("items[2].dials[0].min").
+export class PackSyntaxError extends Error {
+    constructor(message, line) {
+        super(message);
+        this.name = 'PackSyntaxError';
+        this.line = line;
+    }
+}
+
+export function parseJsonWithLines(text) {
+    const lines = new Map();
+    let pos = 0;
+    let line = 1;
+
+    const fail = (message) => {
+        throw new PackSyntaxError(message, line);
+    };
+
+    const skipWhitespace = () => {
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (ch === '\n') {
+                line++;
+                pos++;
+            } else if (ch === ' ' || ch === '\t' || ch === '\r') {
+                pos++;
+            } else {
+                break;
+            }
+        }
+    };
+
+    const expect = (ch) => {
+        if (text[pos] !== ch) fail(`Expected '${ch}' but found ${text[pos] ? `'${text[pos]}'` : 'end of file'}`);
+        pos++;
+    };
+
+    const parseString = () => {
+        const start = pos;
+        expect('"');
+        while (pos < text.length && text[pos] !== '"') {
+            if (text[pos] === '\n') fail('Unterminated string');
+            pos += text[pos] === '\\' ? 2 : 1;
+        }
+        expect('"');
+        try {
+            return JSON.parse(text.slice(start, pos));
+        } catch (error) {
+            return fail('Invalid string escape');
+        }
+    };
+
+    const parseLiteral = () => {
+        const match = /^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/.exec(text.slice(pos, pos + 64));
+        if (!match) fail(`Unexpected ${text[pos] ? `'${text[pos]}'` : 'end of file'}`);
+        pos += match[0].length;
+        return JSON.parse(match[0]);
+    };
+
+    const parseValue = (path) => {
+        skipWhitespace();
+        lines.set(path, line);
+        const ch = text[pos];
+        if (ch === '{') return parseObject(path);
+        if (ch === '[') return parseArray(path);
+        if (ch === '"') return parseString();
+        return parseLiteral();
+    };
+
+    const parseObject = (path) => {
+        const result = {};
+        expect('{');
+        skipWhitespace();
+        if (text[pos] === '}') {
+            pos++;
+            return result;
+        }
+        while (true) {
+            skipWhitespace();
+            const key = parseString();
+            if (Object.prototype.hasOwnProperty.call(result, key)) fail(`Duplicate key "${key}"`);
+            skipWhitespace();
+            expect(':');
+            result[key] = parseValue(path ? `${path}.${key}` : key);
+            skipWhitespace();
+            if (text[pos] === ',') {
+                pos++;
+                continue;
+            }
+            expect('}');
+            return result;
+        }
+    };
+
+    const parseArray = (path) => {
+        const result = [];
+        expect('[');
+        skipWhitespace();
+        if (text[pos] === ']') {
+            pos++;
+            return result;
+        }
+        while (true) {
+            result.push(parseValue(`${path}[${result.length}]`));
+            skipWhitespace();
+            if (text[pos] === ',') {
+                pos++;
+                continue;
+            }
+            expect(']');
+            return result;
+        }
+    };
+
+    const value = parseValue('');
+    skipWhitespace();
+    if (pos < text.length) fail('Unexpected content after end of JSON');
+    return { value, lines };
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Validate a single definition. Returns [{ path, message, severity }] with paths relative to the item.
+export function validateItemDefinition(def) {
+    const issues = [];
+    const error = (path, message) => issues.push({ path, message, severity: 'error' });
+    const warn = (path, message) => issues.push({ path, message, severity: 'warning' });
+
+    if (!def || typeof def !== 'object' || Array.isArray(def)) {
+        error('', 'Item definition must be an object');
+        return issues;
+    }
+
+    if (!isNonEmptyString(def.id)) error('id', 'Missing id');
+    else if (!ID_PATTERN.test(def.id)) error('id', `Invalid id "${def.id}" (letters, digits, _ and - only)`);
+
+    if (!isNonEmptyString(def.name)) error('name', 'Missing name');
+    if (!isNonEmptyString(def.category)) error('category', 'Missing category');
+
+    if (!ITEM_RARITIES.includes(def.rarity)) {
+        error('rarity', `Unknown rarity "${def.rarity}" (expected ${ITEM_RARITIES.join(', ')})`);
+    }
+
+    if (!isNumber(def.energy) || def.energy < 0) error('energy', 'energy must be a number >= 0');
+    if (!isNumber(def.cooldown) || def.cooldown <= 0) error('cooldown', 'cooldown must be a number > 0');
+    if (def.description !== undefined && typeof def.description !== 'string') {
+        error('description', 'description must be a string');
+    }
+    if (def.spawnable !== undefined && typeof def.spawnable !== 'boolean') {
+        error('spawnable', 'spawnable must be true or false');
+    }
+    validateStacking(def).forEach(({ path, message }) => error(path, message));
+
+    if (!Array.isArray(def.actions) || def.actions.length === 0) {
+        error('actions', 'actions must be a non-empty array');
+    } else {
+        def.actions.forEach((action, i) => {
+            if (!ITEM_ACTIONS.includes(action)) {
+                error(`actions[${i}]`, `Unknown action "${action}" (expected ${ITEM_ACTIONS.join(', ')})`);
+            } else if (def.actions.indexOf(action) !== i) {
+                error(`actions[${i}]`, `Duplicate action "${action}"`);
+            }
+        });
+    }
+
+    if (def.dials !== undefined) {
+        if (!Array.isArray(def.dials)) {
+            error('dials', 'dials must be an array');
+        } else {
+            def.dials.forEach((dial, i) => {
+                const path = `dials[${i}]`;
+                if (!dial || typeof dial !== 'object') {
+                    error(path, 'dial must be an object');
+                    return;
+                }
+                if (!isNonEmptyString(dial.label)) error(`${path}.label`, 'Missing dial label');
+                ['min', 'max', 'default'].forEach(field => {
+                    if (!isNumber(dial[field])) error(`${path}.${field}`, `dial ${field} must be a number`);
+                });
+                if (isNumber(dial.min) && isNumber(dial.max) && dial.min > dial.max) {
+                    error(`${path}.min`, `dial min (${dial.min}) is greater than max (${dial.max})`);
+                } else if (isNumber(dial.default) && (dial.default < dial.min || dial.default > dial.max)) {
+                    error(`${path}.default`, `dial default (${dial.default}) is outside ${dial.min}..${dial.max}`);
+                }
+            });
+        }
+    }
+
+    if (def.outcomes !== undefined) {
+        if (!def.outcomes || typeof def.outcomes !== 'object' || Array.isArray(def.outcomes)) {
+            error('outcomes', 'outcomes must be an object keyed by action');
+        } else {
+            Object.entries(def.outcomes).forEach(([action, text]) => {
+                const path = `outcomes.${action}`;
+                if (Array.isArray(def.actions) && !def.actions.includes(action)) {
+                    error(path, `Outcome for "${action}" which is not in actions`);
+                }
+                if (typeof text !== 'string') {
+                    error(path, 'Outcome text must be a string');
+                    return;
+                }
+                (text.match(/\{(\w+)\}/g) || []).forEach(token => {
+                    const name = token.slice(1, -1);
+                    if (!OUTCOME_PLACEHOLDERS.includes(name)) {
+                        warn(path, `Unknown placeholder ${token}`);
+                    }
+                });
+            });
+        }
+    }
+
+    if (def.effects !== undefined) {
+        validateEffects(def.effects).forEach(({ path, message }) => error(path, message));
+    }
+
+    Object.keys(def).forEach(key => {
+        if (!KNOWN_FIELDS.includes(key)) warn(key, `Unknown field "${key}"`);
+    });
+
+    return issues;
+}
+
+// Parse and validate a pack file. Returns { pack, items, issues } where every issue
+// carries { file, line, path, message, severity }. Only items without errors are returned.
+export function validateItemPack(text, file = 'pack.json') {
+    const issues = [];
+    const report = (line, path, message, severity = 'error') => {
+        issues.push({ file, line, path, message, severity });
+    };
+
+    let parsed;
+    try {
+        parsed = parseJsonWithLines(text);
+    } catch (error) {
+        report(error.line || 1, '', error.message);
+        return { pack: null, items: [], issues };
+    }
+
+    const { value, lines } = parsed;
+    const lineOf = (path) => {
+        // Fall back to the nearest parent that has a recorded position
+        let current = path;
+        while (current && !lines.has(current)) {
+            current = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+        }
+        return lines.get(current) || 1;
+    };
+
+    const rawItems = Array.isArray(value) ? value : value?.items;
+    if (!Array.isArray(rawItems)) {
+        report(1, 'items', 'Pack must be an array of items or an object with an "items" array');
+        return { pack: null, items: [], issues };
+    }
+    const prefix = Array.isArray(value) ? '' : 'items';
+
+    const pack = {
+        name: (!Array.isArray(value) && value.pack) || file,
+        version: (!Array.isArray(value) && value.version) || 1
+    };
+
+    const seenIds = new Map();
+    const items = [];
+    rawItems.forEach((def, i) => {
+        const itemPath = `${prefix}[${i}]`;
+        const itemIssues = validateItemDefinition(def);
+
+        if (def?.id && seenIds.has(def.id)) {
+            itemIssues.push({ path: 'id', message: `Duplicate id "${def.id}" (first defined on line ${seenIds.get(def.id)})`, severity: 'error' });
+        } else if (def?.id) {
+            seenIds.set(def.id, lineOf(`${itemPath}.id`));
+        }
+
+        itemIssues.forEach(issue => {
+            const path = issue.path ? `${itemPath}.${issue.path}` : itemPath;
+            report(lineOf(path), path, issue.message, issue.severity);
+        });
+
+        if (!itemIssues.some(issue => issue.severity === 'error')) {
+            items.push(def);
+        }
+    });
+
+    return { pack, items, issues };
+}
+
+export function formatPackIssue(issue) {
+    const label = issue.severity === 'warning' ? 'warning' : 'error';
+    return `${issue.file}:${issue.line} ${label}: ${issue.path ? `${issue.path}: ` : ''}${issue.message}`;
+}
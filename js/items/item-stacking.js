@@ -0,0 +1,61 @@
+// Item Stacking
+// Per-item weight (kg per unit) and stack size (units per inventory slot).
+// Pack items can set both explicitly:
+//
+//   "weight": 0.4,
+//   "stackSize": 10
+//
+// Items without them fall back to category weights and rarity stack sizes so
+// legacy objects and loot still get sensible values.
+
+export const DEFAULT_ITEM_WEIGHT = 1;
+
+const CATEGORY_WEIGHTS = {
+    medical: 0.3,
+    hacking: 0.5,
+    research: 0.5,
+    utility: 0.8,
+    commerce: 1,
+    exploration: 1.5,
+    agriculture: 1.5,
+    resource: 2,
+    training: 2,
+    systems: 2.5,
+    security: 3,
+    logistics: 3,
+    manufacturing: 3
+};
+
+const RARITY_STACK_SIZES = { common: 20, uncommon: 10, rare: 5, epic: 3, legendary: 1 };
+
+export const MAX_STACK_SIZE = 99;
+
+export function getItemWeight(def) {
+    if (!def) return DEFAULT_ITEM_WEIGHT;
+    if (def.weight !== undefined) return def.weight;
+    return CATEGORY_WEIGHTS[def.category] ?? DEFAULT_ITEM_WEIGHT;
+}
+
+export function getStackSize(def) {
+    if (!def) return 1;
+    if (def.stackSize !== undefined) return def.stackSize;
+    return RARITY_STACK_SIZES[def.rarity] || 10;
+}
+
+export function formatWeight(kg) {
+    return `${Math.round(kg * 10) / 10}kg`;
+}
+
+// Returns [{ path, message }] for the pack schema
+export function validateStacking(def) {
+    const errors = [];
+    if (def.weight !== undefined &&
+        (typeof def.weight !== 'number' || !Number.isFinite(def.weight) || def.weight < 0)) {
+        errors.push({ path: 'weight', message: 'weight must be a number >= 0' });
+    }
+    if (def.stackSize !== undefined &&
+        (!Number.isInteger(def.stackSize) || def.stackSize < 1 || def.stackSize > MAX_STACK_SIZE)) {
+        errors.push({ path: 'stackSize', message: `stackSize must be an integer from 1 to ${MAX_STACK_SIZE}` });
+    }
+    return errors;
+}
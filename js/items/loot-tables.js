@@ -0,0 +1,136 @@
+// Loot Tables
+// Weighted rarity tables per biome. A roll first picks a rarity tier by weight,
+// then an item from that tier. Tiers with no items in the biome are skipped and
+// the remaining weights renormalised, so every populated tier can be targeted.
+
+import { seededRandom } from '../terrain.js';
+import { RARITY_TIERS, RARITY_WEIGHTS, LOOT_RULES } from './biome-items-config.js';
+
+export function rarityRank(rarity) {
+    const rank = RARITY_TIERS.indexOf(rarity);
+    return rank === -1 ? 0 : rank;
+}
+
+// Deterministic random stream from a single seed (first value is seededRandom(seed))
+export function seededStream(seed) {
+    let n = 0;
+    return () => seededRandom(seed + 31 * n++);
+}
+
+export class LootTable {
+    constructor(biomeKey, items, weights = RARITY_WEIGHTS, rules = LOOT_RULES) {
+        this.biomeKey = biomeKey;
+        this.rules = rules;
+        // Crafted-only items (spawnable: false) never appear in the world
+        items = items.filter(item => item.spawnable !== false);
+        this.itemCount = items.length;
+        this.tiers = RARITY_TIERS
+            .map(rarity => ({
+                rarity,
+                rank: rarityRank(rarity),
+                weight: weights[rarity] || 0,
+                items: items.filter(item => item.rarity === rarity)
+            }))
+            .filter(tier => tier.weight > 0 && tier.items.length > 0);
+        this.totalWeight = this.tiers.reduce((sum, tier) => sum + tier.weight, 0);
+    }
+
+    isEmpty() {
+        return this.tiers.length === 0;
+    }
+
+    // Pick a tier by weight among tiers at or above minRarity. If nothing
+    // qualifies, the best available tier is used.
+    rollTier(rng, minRarity = null) {
+        const minRank = minRarity ? rarityRank(minRarity) : 0;
+        const eligible = this.tiers.filter(tier => tier.rank >= minRank);
+        if (eligible.length === 0) return this.tiers[this.tiers.length - 1] || null;
+
+        const total = eligible.reduce((sum, tier) => sum + tier.weight, 0);
+        let roll = rng() * total;
+        for (const tier of eligible) {
+            roll -= tier.weight;
+            if (roll < 0) return tier;
+        }
+        return eligible[eligible.length - 1];
+    }
+
+    roll(rng, minRarity = null) {
+        const tier = this.rollTier(rng, minRarity);
+        if (!tier) return null;
+        return tier.items[Math.floor(rng() * tier.items.length)];
+    }
+
+    // Roll every object of a chunk, applying pity and guarantee rules.
+    // rngForIndex(i) must return the deterministic stream for object i.
+    rollChunk(count, rngForIndex) {
+        if (this.isEmpty()) return new Array(count).fill(null);
+
+        const streams = [];
+        const results = [];
+        const pity = this.rules.pity;
+        let dryStreak = 0;
+
+        for (let i = 0; i < count; i++) {
+            const rng = rngForIndex(i);
+            streams.push(rng);
+
+            const forced = pity && dryStreak >= pity.threshold ? pity.minRarity : null;
+            const def = this.roll(rng, forced);
+            results.push(def);
+
+            if (pity && rarityRank(def.rarity) < rarityRank(pity.minRarity)) {
+                dryStreak++;
+            } else {
+                dryStreak = 0;
+            }
+        }
+
+        (this.rules.guarantees || []).forEach(rule => {
+            if (count < rule.minObjects) return;
+            const minRank = rarityRank(rule.minRarity);
+            let have = results.filter(def => rarityRank(def.rarity) >= minRank).length;
+            while (have < rule.count) {
+                // Upgrade the lowest-rarity object (latest first) using its own stream
+                let target = -1;
+                results.forEach((def, i) => {
+                    if (rarityRank(def.rarity) < minRank &&
+                        (target === -1 || rarityRank(def.rarity) <= rarityRank(results[target].rarity))) {
+                        target = i;
+                    }
+                });
+                if (target === -1) break;
+                const upgraded = this.roll(streams[target], rule.minRarity);
+                if (!upgraded || rarityRank(upgraded.rarity) < minRank) break; // biome has no such tier
+                results[target] = upgraded;
+                have++;
+            }
+        });
+
+        return results;
+    }
+
+    getProbabilities() {
+        const probabilities = {};
+        this.tiers.forEach(tier => {
+            probabilities[tier.rarity] = this.totalWeight > 0 ? tier.weight / this.totalWeight : 0;
+        });
+        return probabilities;
+    }
+
+    // Plain-object summary for debugging / the /loot command
+    describe() {
+        const probabilities = this.getProbabilities();
+        return {
+            biome: this.biomeKey,
+            itemCount: this.itemCount,
+            tiers: this.tiers.map(tier => ({
+                rarity: tier.rarity,
+                weight: tier.weight,
+                probability: probabilities[tier.rarity],
+                items: tier.items.length
+            })),
+            rules: this.rules
+        };
+    }
+}
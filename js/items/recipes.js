@@ -0,0 +1,144 @@
+// Crafting recipes
+// Inputs match either a specific item id ({ item }) or any item of a category ({ category }).
+// `resources` are drawn from PlayerResources; `station` restricts a recipe to being
+// crafted next to an interactive object of one of the listed categories.
+
+import { getItem } from './item-loader.js';
+import { rarityRank } from './loot-tables.js';
+
+export const CRAFTING_STATIONS = {
+    fabricator: {
+        label: 'Fabricator',
+        categories: ['manufacturing']
+    }
+};
+
+export const RECIPES = [
+    {
+        id: 'rcp_alloy_plate',
+        name: 'Press Alloy Plates',
+        inputs: [{ category: 'systems', quantity: 2 }],
+        outputs: [{ item: 'craft_alloy_plate', quantity: 2 }]
+    },
+    {
+        id: 'rcp_med_patch',
+        name: 'Cut Med Patches',
+        inputs: [{ category: 'medical', quantity: 1, exclude: ['craft_med_patch'] }],
+        resources: { salvage: 2 },
+        outputs: [{ item: 'craft_med_patch', quantity: 3 }]
+    },
+    {
+        id: 'rcp_stim_cell',
+        name: 'Charge Stim Cells',
+        inputs: [{ category: 'resource', quantity: 1, exclude: ['craft_alloy_plate'] }],
+        resources: { salvage: 1 },
+        outputs: [{ item: 'craft_stim_cell', quantity: 2 }]
+    },
+    {
+        id: 'rcp_intrusion_spike',
+        name: 'Wrap Intrusion Spike',
+        inputs: [
+            { category: 'hacking', quantity: 1, exclude: ['craft_intrusion_spike', 'gear_signal_visor'] },
+            { item: 'craft_alloy_plate', quantity: 1 }
+        ],
+        outputs: [{ item: 'craft_intrusion_spike', quantity: 1 }]
+    },
+    {
+        id: 'rcp_servo_kit',
+        name: 'Fabricate Servo Kit',
+        station: 'fabricator',
+        inputs: [
+            { item: 'craft_alloy_plate', quantity: 2 },
+            { category: 'manufacturing', quantity: 1, exclude: ['craft_servo_kit'] }
+        ],
+        resources: { salvage: 4 },
+        outputs: [{ item: 'craft_servo_kit', quantity: 1 }]
+    },
+    {
+        id: 'rcp_drone_core',
+        name: 'Print Drone Core',
+        station: 'fabricator',
+        inputs: [
+            { item: 'craft_servo_kit', quantity: 1 },
+            { category: 'utility', quantity: 1, exclude: ['craft_stim_cell', 'craft_drone_core'] },
+            { category: 'research', quantity: 1 }
+        ],
+        resources: { intel: 40 },
+        outputs: [{ item: 'craft_drone_core', quantity: 1 }]
+    },
+    {
+        id: 'rcp_cargo_harness',
+        name: 'Rivet Cargo Harness',
+        inputs: [{ item: 'craft_alloy_plate', quantity: 3 }],
+        resources: { salvage: 6 },
+        outputs: [{ item: 'gear_cargo_harness', quantity: 1 }]
+    },
+    {
+        id: 'rcp_sprint_servos',
+        name: 'Tune Sprint Servos',
+        station: 'fabricator',
+        inputs: [
+            { item: 'craft_servo_kit', quantity: 1 },
+            { item: 'craft_stim_cell', quantity: 1 }
+        ],
+        resources: { salvage: 3 },
+        outputs: [{ item: 'gear_sprint_servos', quantity: 1 }]
+    },
+    {
+        id: 'rcp_signal_visor',
+        name: 'Flash Signal Visor',
+        station: 'fabricator',
+        inputs: [
+            { item: 'craft_intrusion_spike', quantity: 1 },
+            { category: 'research', quantity: 1 }
+        ],
+        resources: { intel: 25 },
+        outputs: [{ item: 'gear_signal_visor', quantity: 1 }]
+    }
+];
+
+// Work out which items a recipe would consume from `totals` (itemId -> quantity).
+// Specific item inputs are reserved first; category inputs then take the
+// lowest-rarity matches. Shared by the client and the server so both pick the same.
+export function allocateRecipeInputs(recipe, totals) {
+    const available = new Map(totals);
+    const consumed = new Map();
+    const missing = [];
+
+    const take = (itemId, quantity) => {
+        available.set(itemId, (available.get(itemId) || 0) - quantity);
+        consumed.set(itemId, (consumed.get(itemId) || 0) + quantity);
+    };
+
+    const byId = recipe.inputs.filter(input => input.item);
+    const byCategory = recipe.inputs.filter(input => !input.item && input.category);
+
+    byId.forEach(input => {
+        const have = available.get(input.item) || 0;
+        if (have < input.quantity) {
+            missing.push(`${input.quantity - have}x ${getItem(input.item)?.name || input.item}`);
+            return;
+        }
+        take(input.item, input.quantity);
+    });
+
+    byCategory.forEach(input => {
+        const exclude = input.exclude || [];
+        const candidates = Array.from(available.entries())
+            .filter(([itemId, qty]) => qty > 0 && !exclude.includes(itemId))
+            .map(([itemId, qty]) => ({ def: getItem(itemId), qty }))
+            .filter(({ def }) => def && def.category === input.category)
+            .sort((a, b) => rarityRank(a.def.rarity) - rarityRank(b.def.rarity) || a.def.id.localeCompare(b.def.id));
+
+        let needed = input.quantity;
+        candidates.forEach(({ def, qty }) => {
+            if (needed <= 0) return;
+            const used = Math.min(qty, needed);
+            take(def.id, used);
+            needed -= used;
+        });
+        if (needed > 0) missing.push(`${needed}x any ${input.category}`);
+    });
+
+    return { consumed, missing };
+}
@@ -3,19 +3,29 @@ import { WarManager } from './war-manager.js';
 import { PlayerController } from './player-controller.js';
 import { PhysicsSystem } from './physics.js';
 import { EnvironmentSystem } from './environment.js';
-import { initCharCreator, logChat, setGender, updateMinimap } from './ui.js';
+import { initCharCreator, logChat, setGender, updateMinimap, showRespawnPanel, hideRespawnPanel } from './ui.js';
 import { playerInventory, inventoryUI } from './inventory.js';
+import { playerResources } from './player-resources.js';
+import { playerCrafting } from './crafting.js';
+import { playerEffects } from './effects.js';
+import { formatStat } from './items/item-effects.js';
 import { CONFIG } from './config.js';
 import { networkManager, NetworkPlayer, NetworkEntityType, MessageType } from './network-manager.js';
 import { Character } from './character.js';
 import { VehicleManager } from './vehicle-manager.js';
+import { ProjectileSystem } from './projectiles.js';
 import { PhysicsNetworkClient } from './physics-network-client.js';
+import { loadItemPacks, getItem } from './items/item-loader.js';
+import { SaveGameManager } from './save-game.js';
+import { GOLDEN_SAMPLES_URL, verifyGoldenSamples, describeGoldenFailures } from './worldgen-golden.js';
 
 let scene, camera, renderer, clock;
-let playerController, worldManager, warManager, physics, environment, vehicleManager;
+let playerController, worldManager, warManager, physics, environment, vehicleManager, projectiles;
 let physicsNetworkClient = null;
+let saveGame = null;
 let isGameActive = false;
 let previewChar;
+let itemPacksReady = Promise.resolve();
 const keys = {};
 const mouse = { x: 0, y: 0 };
 
@@ -23,8 +33,13 @@ const mouse = { x: 0, y: 0 };
 const remotePlayers = new Map(); // networkId -> { character, networkEntity }
 let localPlayerEntity = null;
 let localPlayerEntityId = null;
+let pendingDeath = null;    // PLAYER_DEATH for the local player until it respawns
 
 function init() {
+    // JSON content packs must be merged before any chunk rolls its objects
+    itemPacksReady = loadItemPacks();
+    checkWorldgen();
+
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x445566);
     scene.fog = new THREE.Fog(0x445566, 50, 350);
@@ -89,8 +104,10 @@ function init() {
                     const username = document.getElementById('cc-username').value || 'Player';
                     logChat(username, input.value);
 
-                    // Send chat over network
-                    if (CONFIG.networkEnabled && networkManager.isConnected) {
+                    // Save slot and parity commands are handled locally; everything else goes to the server
+                    const command = input.value.trim();
+                    const handledLocally = isGameActive && (handleSaveCommand(command) || handleCityParityCommand(command));
+                    if (!handledLocally && CONFIG.networkEnabled && networkManager.isConnected) {
                         networkManager.sendChat(input.value, username);
                     }
 
@@ -142,14 +159,48 @@ function startGame() {
     warManager = new WarManager(scene);
     vehicleManager = new VehicleManager(scene, physics);
 
+    // Vehicle guns and the faction war share one pool of rounds
+    projectiles = new ProjectileSystem(scene, physics);
+    warManager.setProjectiles(projectiles);
+    vehicleManager.setProjectiles(projectiles);
+
     // Connect inventory to interaction manager
     worldManager.interactionManager.setInventory(playerInventory);
+    worldManager.interactionManager.setResources(playerResources);
+    worldManager.interactionManager.setEffects(playerEffects);
 
-    playerController = new PlayerController({ scene, camera, worldManager, logChat, keys, mouse, physics, interactionManager: worldManager.interactionManager, environment, vehicleManager });
+    playerController = new PlayerController({ scene, camera, worldManager, logChat, keys, mouse, physics, interactionManager: worldManager.interactionManager, environment, vehicleManager, resources: playerResources, effects: playerEffects });
+
+    // Dropped items land next to the player as pickups
+    worldManager.interactionManager.setPositionProvider(() => playerController.char.group.position);
+    inventoryUI.onDropItem = (slotIndex, quantity) => worldManager.interactionManager.dropFromSlot(slotIndex, quantity);
+
+    // Consumables and equipment from the inventory panel
+    inventoryUI.setEffects(playerEffects);
+    playerEffects.addListener((action, detail) => {
+        if (action === 'expire') {
+            logChat('System', `${formatStat(detail.stat, detail.value)} wore off.`);
+        }
+    });
+
+    // Station-only recipes need an operational fabricator within reach
+    inventoryUI.setCrafting(playerCrafting);
+    playerCrafting.setStationProvider(() =>
+        worldManager.interactionManager.findNearby(playerController.char.group.position)
+    );
 
     playerController.char.params = { ...previewChar.params };
     playerController.char.rebuild();
 
+    saveGame = new SaveGameManager({
+        playerController,
+        worldManager,
+        environment,
+        inventory: playerInventory,
+        resources: playerResources,
+        effects: playerEffects
+    });
+
     // Spawn the player inside a city hub so points of interest are immediately visible
     const spawn = worldManager.findCitySpawnPoint();
     playerController.char.group.position.set(spawn.x, spawn.y, spawn.z);
@@ -173,6 +224,8 @@ function startGame() {
     // Initialize networking if enabled
     if (CONFIG.networkEnabled) {
         initializeNetworking(username);
+    } else {
+        announceSaves();
     }
 
     gameLoop();
@@ -190,6 +243,26 @@ function initializeNetworking(username) {
     playerController.setPhysicsNetworkClient(physicsNetworkClient);
     vehicleManager.setPhysicsNetworkClient(physicsNetworkClient);
 
+    // Saves move to the server's store while connected
+    networkManager.username = username;
+    networkManager.profileToken = loadProfileToken(username);
+    saveGame.setNetworkManager(networkManager);
+
+    // Recipes that cost resources are paid from the server ledger while connected
+    playerCrafting.setNetworkManager(networkManager);
+
+    // Item uses and worn equipment are mirrored on the server, which grants the bonuses
+    playerEffects.setNetworkManager(networkManager);
+
+    // Keep the server profile's copy of the inventory layout current
+    playerInventory.addListener(() => scheduleProfileSync());
+
+    // The server owns what the inventory holds; it answers a report that
+    // disagrees with its own record
+    networkManager.registerMessageHandler(MessageType.INVENTORY_STATE, (data) => {
+        if (data?.inventory) playerInventory.fromJSON(data.inventory);
+    });
+
     // Set up callbacks
     networkManager.onConnected = () => {
         logChat('System', 'Connected to multiplayer server!');
@@ -197,7 +270,11 @@ function initializeNetworking(username) {
 
     // Register player AFTER handshake completes (so serverPhysicsEnabled is set)
     networkManager.onHandshakeComplete = () => {
+        applyServerProfile(username, networkManager.profile);
         registerLocalPlayer(username);
+        syncProfile();
+        playerEffects.syncEquipment();
+        announceSaves();
     };
 
     networkManager.onDisconnected = () => {
@@ -227,25 +304,82 @@ function initializeNetworking(username) {
         logChat('System', `${data.username || 'Player'} left the game.`);
     };
 
+    // Out of range - stop interpolating bodies we no longer receive
+    networkManager.onEntitiesLeft = (entities) => {
+        entities.forEach(entity => physicsNetworkClient.removeEntity(entity.id));
+    };
+
     networkManager.onChatMessage = (data, clientId) => {
         if (clientId !== networkManager.clientId) {
             logChat(data.username || 'Player', data.message);
         }
     };
 
-    // Handle unit sync messages from host
-    networkManager.registerMessageHandler('unit_sync', (data, clientId) => {
-        // Non-host clients receive and apply unit sync data
-        if (!networkManager.isHost && warManager && data.units) {
-            warManager.applyUnitsSyncData(data.units);
+    // Faction war units and combat, simulated by the server
+    networkManager.registerMessageHandler(MessageType.WAR_STATE, (data) => {
+        if (warManager) warManager.applyWarState(data);
+    });
+
+    // Vehicle weapon hits, traced by the server at the time the gunner saw
+    networkManager.registerMessageHandler(MessageType.WEAPON_HIT, (data) => {
+        vehicleManager.handleWeaponHit(data, networkManager.clientId);
+    });
+
+    // Bombs fall and burst on the server; we just draw them
+    networkManager.registerMessageHandler(MessageType.BOMB_DROP, (data) => {
+        vehicleManager.handleBombDrop(data);
+    });
+
+    networkManager.registerMessageHandler(MessageType.EXPLOSION, (data) => {
+        vehicleManager.handleExplosion(data);
+    });
+
+    // Health, deaths and respawns are decided by the server
+    networkManager.registerMessageHandler(MessageType.PLAYER_HEALTH, (data) => {
+        if (typeof data.health === 'number') {
+            playerResources.applyDeltas({ health: data.health - playerResources.health });
         }
+        if (data.reason) logChat('System', data.reason);
+        showDeathScreen(data);
     });
 
-    // Handle physics state updates from server
-    networkManager.registerMessageHandler(MessageType.PHYSICS_STATE, (data, clientId, timestamp) => {
-        handlePhysicsStateUpdate(data, timestamp);
+    networkManager.registerMessageHandler(MessageType.PLAYER_DEATH, (data) => {
+        handlePlayerDeath(data);
+    });
+
+    networkManager.registerMessageHandler(MessageType.PLAYER_RESPAWN, (data) => {
+        handlePlayerRespawn(data);
+    });
+
+    // Vehicle hits, wrecks and repairs
+    networkManager.registerMessageHandler(MessageType.VEHICLE_DAMAGE, (data) => {
+        vehicleManager.handleVehicleDamage(data);
+    });
+    vehicleManager.onVehicleWrecked = (vehicle) => logChat('WarNet', `A ${vehicle.type} was destroyed.`);
+
+    networkManager.registerMessageHandler(MessageType.VEHICLE_REPAIR_RESULT, (data) => {
+        playerController.reportRepairResult(data);
+    });
+
+    // Item uses (healing included) and equipment are applied locally at once; the
+    // server settles them through item_use_result, item_equip_result and player_health
+    playerEffects.addListener((action, detail) => {
+        if (action !== 'rejected') return;
+        logChat('System', `${getItem(detail.itemId)?.name || detail.itemId}: ${detail.reason || 'use refused'} (server)`);
+    });
+
+    networkManager.registerMessageHandler(MessageType.CITY_PARITY_RESULT, (data) => {
+        const { checked, mismatches = [] } = data;
+        logChat('System', mismatches.length
+            ? `City colliders differ from the server in ${mismatches.length}/${checked} chunks: ${mismatches.map(m => m.chunk).join(' ')}`
+            : `City colliders match the server (${checked} chunks).`);
     });
 
+    // Handle physics state updates from server (JSON or decoded binary snapshots)
+    physicsNetworkClient.onPhysicsState = (data, timestamp) => {
+        handlePhysicsStateUpdate(data, timestamp);
+    };
+
     // Try to connect
     networkManager.connect(CONFIG.networkServerUrl)
         .then(() => {
@@ -254,9 +388,137 @@ function initializeNetworking(username) {
         .catch((error) => {
             logChat('System', 'Multiplayer: Running in offline mode.');
             console.log('Network connection failed:', error);
+            announceSaves();
         });
 }
 
+// ============================================
+// SERVER PROFILE
+// ============================================
+
+function profileTokenKey(username) {
+    return `cyberia.profile.${username.toLowerCase()}`;
+}
+
+function loadProfileToken(username) {
+    try {
+        return localStorage.getItem(profileTokenKey(username));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Store a newly issued token and resume a returning player's profile
+function applyServerProfile(username, profile) {
+    if (!profile) return;
+
+    if (profile.token) {
+        try {
+            localStorage.setItem(profileTokenKey(username), profile.token);
+        } catch (error) {
+            console.warn('[Profile] Could not store profile token:', error);
+        }
+        logChat('System', `Profile created for ${username}. Progress is kept on this server.`);
+        return;
+    }
+    if (profile.status !== 'restored') return;
+
+    // Appearance and position are restored before spawning so the server body matches
+    playerController.fromJSON({
+        position: profile.position,
+        appearance: profile.appearance
+    });
+    if (profile.inventory) playerInventory.fromJSON(profile.inventory);
+    if (profile.resources) {
+        playerResources.fromJSON({ ...profile.resources, stamina: playerResources.stamina });
+    }
+
+    const hours = (profile.stats?.playTime || 0) / 3600;
+    logChat('System', `Welcome back, ${username}. Session ${profile.stats?.sessions || 1}, ${hours.toFixed(1)}h played.`);
+}
+
+let profileSyncTimer = null;
+
+function scheduleProfileSync() {
+    if (profileSyncTimer) return;
+    profileSyncTimer = setTimeout(() => {
+        profileSyncTimer = null;
+        syncProfile();
+    }, 2000);
+}
+
+// Guests report their inventory too; the server keeps the layout, or corrects us
+function syncProfile() {
+    if (!networkManager.isConnected) return;
+    networkManager.send(MessageType.PROFILE_UPDATE, {
+        inventory: playerInventory.toJSON(),
+        appearance: playerController.char.params
+    });
+}
+
+// The server runs the same terrain generator; if this browser's output differs
+// from the golden samples, its ground won't match server physics
+function checkWorldgen() {
+    fetch(GOLDEN_SAMPLES_URL, { cache: 'no-store' })
+        .then(response => response.json())
+        .then(fixture => {
+            const result = verifyGoldenSamples(fixture.samples);
+            if (!result.ok) {
+                console.error(`[Worldgen] Terrain differs from golden samples: ${describeGoldenFailures(result.failures)}`);
+                logChat('System', 'Warning: terrain generation differs from the server in this browser.');
+            }
+        })
+        .catch(error => console.warn('[Worldgen] Could not load golden samples:', error));
+}
+
+// Chat commands: /save [slot], /load [slot], /saves, /delsave <slot>
+function handleSaveCommand(text) {
+    const [command, slot] = text.split(/\s+/);
+    const report = (promise, describe) => promise
+        .then(result => logChat('System', describe(result)))
+        .catch(error => logChat('System', `Save error: ${error.message}`));
+
+    if (command === '/save') {
+        report(saveGame.save(slot), ({ slot, where }) => `Game saved to slot "${slot}" (${where}).`);
+    } else if (command === '/load') {
+        report(saveGame.load(slot), ({ slot, save }) =>
+            `Loaded slot "${slot}" — ${save.label || 'unknown area'}, ${new Date(save.savedAt).toLocaleString()}.`);
+    } else if (command === '/saves') {
+        report(saveGame.listSlots(), slots => slots.length
+            ? `Saves: ${slots.map(entry => `${entry.slot} (${entry.label || '?'}, ${new Date(entry.savedAt).toLocaleString()})`).join(', ')}`
+            : 'No saved games.');
+    } else if (command === '/delsave' && slot) {
+        report(saveGame.deleteSlot(slot), name => `Deleted save slot "${name}".`);
+    } else {
+        return false;
+    }
+    return true;
+}
+
+// Chat command: /cityparity - compare loaded city colliders with the server's
+function handleCityParityCommand(text) {
+    if (text !== '/cityparity') return false;
+    if (!networkManager.isConnected) {
+        logChat('System', 'City parity check needs a server connection.');
+    } else if (worldManager.cityFootprints.size === 0) {
+        logChat('System', 'No city chunks loaded.');
+    } else {
+        networkManager.send(MessageType.CITY_PARITY, {
+            footprints: Object.fromEntries(worldManager.cityFootprints)
+        });
+    }
+    return true;
+}
+
+function announceSaves() {
+    saveGame.listSlots()
+        .then(slots => {
+            if (slots.length === 0) return;
+            logChat('System', `${slots.length} saved game(s) found. Type /saves to list, /load [slot] to resume.`);
+        })
+        .catch(error => console.warn('[SaveGame] Could not list saves:', error));
+}
+
 function handlePhysicsStateUpdate(data, timestamp) {
     if (!data.bodies || !Array.isArray(data.bodies)) return;
 
@@ -280,7 +542,7 @@ function handlePhysicsStateUpdate(data, timestamp) {
                     bodyState.position.z
                 );
             }
-            if (bodyState.velocity) {
+            if (bodyState.velocity && !remotePlayer.dead) {
                 const speed = Math.sqrt(
                     bodyState.velocity.x * bodyState.velocity.x +
                     bodyState.velocity.z * bodyState.velocity.z
@@ -293,6 +555,51 @@ function handlePhysicsStateUpdate(data, timestamp) {
     }
 }
 
+function handlePlayerDeath(data) {
+    const killer = data.killerName ? ` by ${data.killerName}` : '';
+    logChat('WarNet', `${data.username || 'Player'} died (${data.cause})${killer}.`);
+
+    if (data.clientId === networkManager.clientId) {
+        playerController.setDead(true);
+        // Spawn points arrive with the player's own health update
+        pendingDeath = data;
+        return;
+    }
+
+    const remotePlayer = remotePlayers.get(data.entityId);
+    if (remotePlayer) {
+        remotePlayer.dead = true;
+        remotePlayer.character.group.rotation.x = -Math.PI / 2;
+        remotePlayer.character.animate(0);
+    }
+}
+
+function handlePlayerRespawn(data) {
+    if (data.clientId === networkManager.clientId) {
+        pendingDeath = null;
+        hideRespawnPanel();
+        playerController.respawnAt(data.position);
+        document.body.requestPointerLock();
+        logChat('System', 'Respawned.');
+        return;
+    }
+
+    const remotePlayer = remotePlayers.get(data.entityId);
+    if (remotePlayer) {
+        remotePlayer.dead = false;
+        remotePlayer.character.group.rotation.x = 0;
+    }
+}
+
+// The death screen opens once the server has sent where the player may respawn
+function showDeathScreen(status) {
+    if (!pendingDeath || !status.spawnPoints) return;
+    document.exitPointerLock();
+    showRespawnPanel({ ...pendingDeath, spawnPoints: status.spawnPoints, respawnIn: status.respawnIn }, (spawnPoint) => {
+        networkManager.send(MessageType.RESPAWN_REQUEST, { spawnPoint });
+    });
+}
+
 function setupNetworkEntityHandlers() {
     // Player entity handler
     networkManager.registerEntityHandler(NetworkEntityType.PLAYER, {
@@ -413,6 +720,9 @@ function registerLocalPlayer(username) {
     // Connect vehicle manager to network for vehicle syncing
     vehicleManager.setNetworkManager(networkManager);
 
+    // Object actions are resolved by the server when it supports it
+    worldManager.interactionManager.setNetworkManager(networkManager);
+
     // Check if server has physics enabled
     if (networkManager.serverPhysicsEnabled) {
         logChat('System', 'Server physics enabled - using server-authoritative simulation.');
@@ -509,7 +819,10 @@ function gameLoop() {
         worldManager.update(playerController.char.group.position, delta);
         warManager.update(delta, playerController.char.group.position);
         vehicleManager.update(delta);
+        projectiles.update(delta);
         environment.update(delta, playerController.char.group.position);
+        playerEffects.update(delta);
+        saveGame.update(delta);
         updateMinimap(playerController, worldManager, warManager);
 
         // Network updates
@@ -528,7 +841,7 @@ function gameLoop() {
 }
 
 // Make functions available globally for HTML onclick handlers
-window.startGame = startGame;
+window.startGame = () => itemPacksReady.then(startGame);
 window.setGender = (gender) => {
     if (previewChar) {
         setGender(previewChar, gender);
@@ -1,4 +1,5 @@
 import { CONFIG } from './config.js';
+import { PHYSICS_FORMAT_BINARY, PHYSICS_FORMAT_JSON } from './physics-codec.js';
 
 // ============================================
 // NETWORK ENTITY TYPES
@@ -33,15 +34,77 @@ export const MessageType = {
 
     // Physics (server-authoritative)
     PHYSICS_STATE: 'physics_state',
+    PHYSICS_ACK: 'physics_ack',
     PLAYER_INPUT: 'player_input',
     VEHICLE_INPUT: 'vehicle_input',
     SPAWN_PLAYER: 'spawn_player',
     SPAWN_VEHICLE: 'spawn_vehicle',
 
+    // Area of interest (server tells us what came into / went out of range)
+    INTEREST_ENTER: 'interest_enter',
+    INTEREST_LEAVE: 'interest_leave',
+
+    // Faction war (server-simulated)
+    WAR_STATE: 'war_state',
+
+    // Vehicle weapons (the server traces shots and reports hits)
+    WEAPON_FIRE: 'weapon_fire',
+    WEAPON_HIT: 'weapon_hit',
+    TURRET_AIM: 'turret_aim',
+    // Bombs (the server simulates the fall and reports the explosion)
+    BOMB_DROP: 'bomb_drop',
+    EXPLOSION: 'explosion',
+
     // Player events
     PLAYER_JOIN: 'player_join',
     PLAYER_LEAVE: 'player_leave',
 
+    // Player health (server-authoritative)
+    PLAYER_HEALTH: 'player_health',
+    PLAYER_DEATH: 'player_death',
+    PLAYER_RESPAWN: 'player_respawn',
+    RESPAWN_REQUEST: 'respawn_request',
+
+    // Vehicle damage (server-authoritative)
+    VEHICLE_DAMAGE: 'vehicle_damage',
+    VEHICLE_REPAIR: 'vehicle_repair',
+    VEHICLE_REPAIR_RESULT: 'vehicle_repair_result',
+
+    // Interactive objects (server-authoritative)
+    OBJECT_ACTION: 'object_action',
+    OBJECT_ACTION_RESULT: 'object_action_result',
+    OBJECT_STATE: 'object_state',
+
+    // Crafting (the server takes the inputs and resources and grants the outputs)
+    CRAFT_ITEM: 'craft_item',
+    CRAFT_RESULT: 'craft_result',
+
+    // Save games (server-side store)
+    SAVE_GAME: 'save_game',
+    SAVE_GAME_RESULT: 'save_game_result',
+
+    // Persistent player profile
+    PROFILE_UPDATE: 'profile_update',
+    INVENTORY_STATE: 'inventory_state',
+
+    // Item use and worn equipment (mirrored by the server)
+    ITEM_USE: 'item_use',
+    ITEM_USE_RESULT: 'item_use_result',
+    ITEM_EQUIP: 'item_equip',
+    ITEM_EQUIP_RESULT: 'item_equip_result',
+
+    // Dropped items in the world
+    ITEM_DROP: 'item_drop',
+    ITEM_DROP_RESULT: 'item_drop_result',
+    ITEM_PICKUP: 'item_pickup',
+    PICKUP_RESULT: 'pickup_result',
+    PICKUP_SPAWN: 'pickup_spawn',
+    PICKUP_REMOVE: 'pickup_remove',
+
+    // City collider parity (client layout digests vs. the server's)
+    CITY_PARITY: 'city_parity',
+    CITY_PARITY_RESULT: 'city_parity_result',
+
     // Chat
     CHAT_MESSAGE: 'chat_message',
 
@@ -259,6 +322,8 @@ export class NetworkVehicle extends NetworkEntity {
             tiltX: 0,
             tiltZ: 0,
             targetAltitude: 0,
+            turretYaw: 0,       // relative to the hull
+            cannonPitch: 0,
             occupants: [] // Array of seat indices with occupant client IDs
         };
     }
@@ -274,6 +339,8 @@ export class NetworkVehicle extends NetworkEntity {
             tiltX: this.syncProperties.tiltX,
             tiltZ: this.syncProperties.tiltZ,
             targetAltitude: this.syncProperties.targetAltitude,
+            turretYaw: this.syncProperties.turretYaw,
+            cannonPitch: this.syncProperties.cannonPitch,
             occupants: this.syncProperties.occupants
         };
     }
@@ -299,6 +366,8 @@ export class NetworkVehicle extends NetworkEntity {
         if (data.tiltX !== undefined) this.syncProperties.tiltX = data.tiltX;
         if (data.tiltZ !== undefined) this.syncProperties.tiltZ = data.tiltZ;
         if (data.targetAltitude !== undefined) this.syncProperties.targetAltitude = data.targetAltitude;
+        if (data.turretYaw !== undefined) this.syncProperties.turretYaw = data.turretYaw;
+        if (data.cannonPitch !== undefined) this.syncProperties.cannonPitch = data.cannonPitch;
         if (data.occupants) this.syncProperties.occupants = data.occupants;
     }
 }
@@ -313,6 +382,9 @@ export class NetworkManager {
         this.isHost = false;
         this.clientId = NetworkEntity.generateId();
         this.roomId = null;
+        this.username = null;
+        this.profileToken = null; // Issued by the server the first time a username is used
+        this.profile = null;      // Profile returned in the handshake response
 
         // Entity registry
         this.entities = new Map(); // networkId -> NetworkEntity
@@ -320,6 +392,7 @@ export class NetworkManager {
 
         // Message handlers
         this.messageHandlers = new Map();
+        this.binaryHandlers = new Map(); // first byte of a binary frame -> handler
 
         // Callbacks
         this.onConnected = null;
@@ -330,12 +403,14 @@ export class NetworkManager {
         this.onChatMessage = null;
         this.onGameEvent = null;
         this.onPhysicsStateReceived = null;
+        this.onEntitiesLeft = null;       // Called with [{ id, type }] after they go out of range
 
         // Network stats
         this.ping = 0;
         this.lastPingTime = 0;
         this.packetsReceived = 0;
         this.packetsSent = 0;
+        this.bytesReceived = 0;
 
         // Update throttling
         this.updateInterval = CONFIG.networkUpdateRate || 50; // ms
@@ -349,6 +424,16 @@ export class NetworkManager {
         this.serverPhysicsEnabled = false;
         this.physicsTickRate = 60;
         this.networkBroadcastRate = 20;
+        this.physicsFormat = PHYSICS_FORMAT_JSON; // Negotiated in the handshake
+
+        // Server resolves interactive object actions
+        this.serverObjectAuthority = false;
+
+        // Server keeps save slots for this player
+        this.serverSaveStore = false;
+
+        // Server runs the faction war; WarManager only renders it
+        this.serverWarSimulation = false;
 
         this.setupDefaultHandlers();
     }
@@ -368,6 +453,7 @@ export class NetworkManager {
         return new Promise((resolve, reject) => {
             try {
                 this.socket = new WebSocket(serverUrl);
+                this.socket.binaryType = 'arraybuffer';
 
                 this.socket.onopen = () => {
                     console.log('Network: Connected to server');
@@ -412,7 +498,11 @@ export class NetworkManager {
         this.send(MessageType.HANDSHAKE, {
             clientId: this.clientId,
             roomId: this.roomId,
-            version: '1.0.0'
+            username: this.username,
+            token: this.profileToken,
+            version: '1.0.0',
+            // Preferred first; the server falls back to JSON if it knows neither
+            physicsFormats: [PHYSICS_FORMAT_BINARY, PHYSICS_FORMAT_JSON]
         });
     }
 
@@ -448,6 +538,12 @@ export class NetworkManager {
     handleMessage(rawData) {
         this.packetsReceived++;
 
+        if (rawData instanceof ArrayBuffer) {
+            this.handleBinaryMessage(rawData);
+            return;
+        }
+        this.bytesReceived += rawData.length;
+
         try {
             const message = JSON.parse(rawData);
             const { type, data, clientId, timestamp } = message;
@@ -470,10 +566,27 @@ export class NetworkManager {
         }
     }
 
+    handleBinaryMessage(buffer) {
+        this.bytesReceived += buffer.byteLength;
+        if (buffer.byteLength === 0) return;
+
+        const kind = new Uint8Array(buffer, 0, 1)[0];
+        const handler = this.binaryHandlers.get(kind);
+        if (handler) {
+            handler(buffer);
+        } else {
+            console.warn('Network: Unknown binary message kind:', kind);
+        }
+    }
+
     registerMessageHandler(type, handler) {
         this.messageHandlers.set(type, handler);
     }
 
+    registerBinaryHandler(kind, handler) {
+        this.binaryHandlers.set(kind, handler);
+    }
+
     setupDefaultHandlers() {
         // Handshake response
         this.registerMessageHandler(MessageType.HANDSHAKE, (data) => {
@@ -485,8 +598,17 @@ export class NetworkManager {
                 this.serverPhysicsEnabled = data.physicsEnabled;
                 this.physicsTickRate = data.physicsTickRate || 60;
                 this.networkBroadcastRate = data.networkBroadcastRate || 20;
+                this.physicsFormat = data.physicsFormat || PHYSICS_FORMAT_JSON;
                 console.log('Network: Server physics enabled:', this.serverPhysicsEnabled,
-                    'tick rate:', this.physicsTickRate, 'broadcast rate:', this.networkBroadcastRate);
+                    'tick rate:', this.physicsTickRate, 'broadcast rate:', this.networkBroadcastRate,
+                    'format:', this.physicsFormat);
+            }
+            this.serverObjectAuthority = !!data.objectAuthority;
+            this.serverSaveStore = !!data.saveStore;
+            this.serverWarSimulation = !!data.warSimulation;
+            this.profile = data.profile || null;
+            if (this.profile?.token) {
+                this.profileToken = this.profile.token;
             }
             console.log('Network: Handshake complete, isHost:', this.isHost);
 
@@ -518,6 +640,21 @@ export class NetworkManager {
             this.handleEntityDestroy(data);
         });
 
+        // Area of interest - remote players and vehicles spawn and despawn by range
+        this.registerMessageHandler(MessageType.INTEREST_ENTER, (data) => {
+            for (const entityData of data.entities || []) {
+                this.handleEntitySpawn(entityData, entityData.ownerId);
+            }
+        });
+
+        this.registerMessageHandler(MessageType.INTEREST_LEAVE, (data) => {
+            const entities = data.entities || [];
+            for (const entityData of entities) {
+                this.handleEntityDestroy(entityData);
+            }
+            if (this.onEntitiesLeft) this.onEntitiesLeft(entities);
+        });
+
         // World state (bulk sync)
         this.registerMessageHandler(MessageType.WORLD_STATE, (data, clientId, timestamp) => {
             this.handleWorldState(data, timestamp);
@@ -728,7 +865,8 @@ export class NetworkManager {
             ping: this.ping,
             entityCount: this.entities.size,
             packetsSent: this.packetsSent,
-            packetsReceived: this.packetsReceived
+            packetsReceived: this.packetsReceived,
+            bytesReceived: this.bytesReceived
         };
     }
 }
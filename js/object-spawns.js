@@ -0,0 +1,50 @@
+// Object Spawns
+// Deterministic placement of interactive objects per chunk. Shared by the client
+// (InteractionManager builds meshes from it) and the server (validates object actions),
+// so it must stay free of DOM/THREE dependencies.
+
+import { CONFIG } from './config.js';
+import { rollChunkItems } from './items/item-loader.js';
+import { getBiomeSpawnWeight } from './items/biome-items-config.js';
+import { seededStream } from './items/loot-tables.js';
+import { seededRandom, biomeInfoAtPosition } from './terrain.js';
+
+export function chunkBaseSeed(cx, cz) {
+    return (cx + 991) * 7919 + (cz + 37) * 2971;
+}
+
+// Returns [{ index, seed, def, x, z }] for every object in the chunk
+export function getChunkObjectSpawns(cx, cz) {
+    const spawns = [];
+    const baseSeed = chunkBaseSeed(cx, cz);
+
+    // Get biome at chunk center for biome-specific item spawning
+    const centerX = cx * CONFIG.chunkSize + CONFIG.chunkSize / 2;
+    const centerZ = cz * CONFIG.chunkSize + CONFIG.chunkSize / 2;
+    const biome = biomeInfoAtPosition(centerX, centerZ);
+
+    // Richer biomes carry denser object fields
+    const density = 6 + CONFIG.objectDensity * 14 * seededRandom(baseSeed);
+    const count = Math.max(1, Math.floor(density * getBiomeSpawnWeight(biome.key)));
+
+    // Biome loot table with pity/guarantee rules applied across the chunk
+    const defs = rollChunkItems(biome.key, count, i => seededStream(baseSeed + i * 17));
+
+    for (let i = 0; i < count; i++) {
+        const seed = baseSeed + i * 17;
+        const def = defs[i];
+
+        if (!def) continue; // Skip if no item available
+
+        const x = cx * CONFIG.chunkSize + seededRandom(seed + 1) * CONFIG.chunkSize;
+        const z = cz * CONFIG.chunkSize + seededRandom(seed + 2) * CONFIG.chunkSize;
+        spawns.push({ index: i, seed, def, x, z });
+    }
+
+    return spawns;
+}
+
+// Look up a single object by its chunk and index
+export function findChunkObjectSpawn(cx, cz, index) {
+    return getChunkObjectSpawns(cx, cz).find(spawn => spawn.index === index) || null;
+}
@@ -0,0 +1,169 @@
+// Object State Store
+// Persistent per-object state for procedurally generated interactive objects.
+// Objects are regenerated from their seed whenever a chunk streams in, so anything
+// that should outlive a chunk unload (damage, depletion, repairs) lives here,
+// keyed by `${def.id}_${seed}`. No DOM/THREE dependencies so the server can share it.
+
+export const REPAIR_COMPLETE = 100;
+
+// Dial labels in INTERACTIVE_OBJECTS -> state fields
+const DIAL_FIELDS = {
+    stability: 'integrity',
+    integrity: 'integrity',
+    security: 'security',
+    signal: 'signal'
+};
+
+const FIELD_DEFAULTS = {
+    integrity: 100,
+    security: 50,
+    signal: 100
+};
+
+// Actions that are still possible on a powered-down object
+const DISABLED_ACTIONS = ['inspect', 'repair'];
+// Actions that draw on the object's signal and stop once it is depleted
+const SIGNAL_ACTIONS = ['use', 'siphon'];
+
+export function objectKey(def, seed) {
+    return `${def.id}_${seed}`;
+}
+
+function clampDial(value) {
+    return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+export class ObjectStateStore {
+    constructor() {
+        this.states = new Map(); // objectKey -> state
+    }
+
+    createDefault(def) {
+        const state = {
+            ...FIELD_DEFAULTS,
+            disabled: false,
+            repairProgress: 0,
+            interactions: 0
+        };
+        (def?.dials || []).forEach(dial => {
+            const field = DIAL_FIELDS[dial.label];
+            if (field && typeof dial.default === 'number') {
+                state[field] = clampDial(dial.default);
+            }
+        });
+        state.baseline = {
+            integrity: state.integrity,
+            security: state.security,
+            signal: state.signal
+        };
+        return state;
+    }
+
+    // Fetch (lazily creating) the state for an object
+    get(def, seed) {
+        const key = objectKey(def, seed);
+        let state = this.states.get(key);
+        if (!state) {
+            state = this.createDefault(def);
+            this.states.set(key, state);
+        } else if (!state.baseline) {
+            // Entry was created from a network/save merge before the def was known
+            state = { ...this.createDefault(def), ...state };
+            this.states.set(key, state);
+        }
+        return state;
+    }
+
+    peek(key) {
+        return this.states.get(key) || null;
+    }
+
+    has(key) {
+        return this.states.has(key);
+    }
+
+    // Merge externally supplied state (network sync, save data)
+    merge(key, partial) {
+        if (!partial) return null;
+        const current = this.states.get(key) || {};
+        const next = { ...current };
+        ['integrity', 'security', 'signal', 'disabled', 'repairProgress', 'interactions'].forEach(field => {
+            if (partial[field] !== undefined) next[field] = partial[field];
+        });
+        this.states.set(key, next);
+        return next;
+    }
+
+    isDepleted(state) {
+        return state.signal <= 0;
+    }
+
+    // Returns a reason string when the action is unavailable in the current state
+    blockedReason(state, action) {
+        if (state.disabled && !DISABLED_ACTIONS.includes(action)) {
+            return `Offline. Repair progress ${Math.floor(state.repairProgress)}%.`;
+        }
+        if (!state.disabled && action === 'repair' && state.integrity >= state.baseline.integrity) {
+            return 'Already at full integrity.';
+        }
+        if (this.isDepleted(state) && SIGNAL_ACTIONS.includes(action)) {
+            return 'Signal depleted.';
+        }
+        return null;
+    }
+
+    blockedActions(def, state) {
+        return (def.actions || []).filter(action => this.blockedReason(state, action));
+    }
+
+    // Seed for the next roll so repeated actions on the same object don't replay one outcome
+    rollSeed(state, seed) {
+        return seed + state.interactions * 7919;
+    }
+
+    // Apply the object-side effects of an evaluated ACTION_LIBRARY outcome
+    applyOutcome(state, action, outcome) {
+        const effects = outcome.object || {};
+        state.interactions += 1;
+
+        ['integrity', 'security', 'signal'].forEach(field => {
+            if (effects[field]) state[field] = clampDial(state[field] + effects[field]);
+        });
+
+        if (effects.repair) {
+            if (state.disabled) {
+                state.repairProgress = Math.min(REPAIR_COMPLETE, state.repairProgress + effects.repair);
+                if (state.repairProgress >= REPAIR_COMPLETE) {
+                    state.disabled = false;
+                    state.repairProgress = 0;
+                    state.integrity = state.baseline.integrity;
+                }
+            } else {
+                state.integrity = Math.min(state.baseline.integrity, state.integrity + effects.repair);
+            }
+        }
+
+        if (!state.disabled && (outcome.disabled || state.integrity <= 0)) {
+            state.disabled = true;
+            state.repairProgress = 0;
+        }
+        return state;
+    }
+
+    // Serialization
+    toJSON() {
+        return Array.from(this.states.entries()).map(([key, state]) => [key, {
+            integrity: state.integrity,
+            security: state.security,
+            signal: state.signal,
+            disabled: state.disabled,
+            repairProgress: state.repairProgress,
+            interactions: state.interactions
+        }]);
+    }
+
+    fromJSON(entries) {
+        this.states.clear();
+        (entries || []).forEach(([key, state]) => this.merge(key, state));
+    }
+}
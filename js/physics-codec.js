@@ -0,0 +1,443 @@
+// Physics State Codec
+// Binary wire format for server physics snapshots, shared by the relay server
+// (one PhysicsStateEncoder per client) and PhysicsNetworkClient (decoder).
+// Must stay free of DOM/THREE dependencies.
+//
+// Each snapshot is encoded against the last snapshot the client acknowledged:
+// bodies whose quantized state hasn't changed are left out, changed bodies only
+// carry the fields that differ, and positions are sent as 16-bit deltas when
+// they fit. Sleeping bodies the client already knows are skipped outright.
+// Clients acknowledge snapshots with `physics_ack`; until they do, snapshots
+// are encoded in full.
+//
+// Layout (little endian):
+//   u8 kind, u8 version, u32 snapshot, u32 baseline (0 = full), f64 timestamp
+//   u16 definitions: { u16 handle, str entityId, str type, str vehicleType }
+//   u16 removals:    { u16 handle }
+//   u16 updates:     { u16 handle, u8 mask, fields by mask }
+// Strings are u8 length + UTF-8 bytes. Vehicles also carry their turret aim
+// (turretYaw, cannonPitch; 0 for vehicles without a turret).
+
+export const PHYSICS_FORMAT_BINARY = 'binary-delta-v2';
+export const PHYSICS_FORMAT_JSON = 'json';
+
+// First byte of every binary message, so receivers can route frames
+export const BINARY_KIND_PHYSICS_STATE = 1;
+
+const CODEC_VERSION = 2;
+
+// Quantization steps
+const POSITION_SCALE = 1024;        // 1 mm
+const ROTATION_SCALE = 32767;       // unit quaternion components
+const VELOCITY_SCALE = 100;         // 1 cm/s, +-327 m/s
+const ANGULAR_SCALE = 1000;         // +-32 rad/s
+const AIM_SCALE = 10000;            // turret angles, +-3.2 rad
+
+// Update field mask
+const FIELD_POSITION = 1;
+const FIELD_POSITION_DELTA = 2;     // position as i16 deltas from the baseline
+const FIELD_ROTATION = 4;
+const FIELD_VELOCITY = 8;
+const FIELD_ANGULAR = 16;
+const FIELD_GROUNDED = 32;          // value bit, not presence
+const FIELD_INPUT_SEQ = 64;
+const FIELD_AIM = 128;              // turret yaw and cannon pitch
+
+const MAX_PENDING_SNAPSHOTS = 32;   // unacknowledged snapshots kept as possible baselines
+const MAX_HANDLES = 0xffff;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function clampInt(value, limit) {
+    return Math.max(-limit, Math.min(limit, Math.round(value)));
+}
+
+function quantize(state) {
+    const p = state.position, r = state.rotation, v = state.velocity;
+    const w = state.angularVelocity || { x: 0, y: 0, z: 0 };
+    return {
+        px: clampInt(p.x * POSITION_SCALE, 0x7fffffff),
+        py: clampInt(p.y * POSITION_SCALE, 0x7fffffff),
+        pz: clampInt(p.z * POSITION_SCALE, 0x7fffffff),
+        rx: clampInt(r.x * ROTATION_SCALE, 32767),
+        ry: clampInt(r.y * ROTATION_SCALE, 32767),
+        rz: clampInt(r.z * ROTATION_SCALE, 32767),
+        rw: clampInt(r.w * ROTATION_SCALE, 32767),
+        vx: clampInt(v.x * VELOCITY_SCALE, 32767),
+        vy: clampInt(v.y * VELOCITY_SCALE, 32767),
+        vz: clampInt(v.z * VELOCITY_SCALE, 32767),
+        wx: clampInt(w.x * ANGULAR_SCALE, 32767),
+        wy: clampInt(w.y * ANGULAR_SCALE, 32767),
+        wz: clampInt(w.z * ANGULAR_SCALE, 32767),
+        grounded: !!state.grounded,
+        inputSeq: state.inputSeq || 0,
+        ay: clampInt((state.turretYaw || 0) * AIM_SCALE, 32767),
+        ap: clampInt((state.cannonPitch || 0) * AIM_SCALE, 32767)
+    };
+}
+
+function dequantize(def, q) {
+    const state = {
+        entityId: def.entityId,
+        type: def.type,
+        position: { x: q.px / POSITION_SCALE, y: q.py / POSITION_SCALE, z: q.pz / POSITION_SCALE },
+        rotation: { x: q.rx / ROTATION_SCALE, y: q.ry / ROTATION_SCALE, z: q.rz / ROTATION_SCALE, w: q.rw / ROTATION_SCALE },
+        velocity: { x: q.vx / VELOCITY_SCALE, y: q.vy / VELOCITY_SCALE, z: q.vz / VELOCITY_SCALE },
+        angularVelocity: { x: q.wx / ANGULAR_SCALE, y: q.wy / ANGULAR_SCALE, z: q.wz / ANGULAR_SCALE },
+        grounded: q.grounded
+    };
+    if (def.vehicleType) {
+        state.vehicleType = def.vehicleType;
+        state.turretYaw = q.ay / AIM_SCALE;
+        state.cannonPitch = q.ap / AIM_SCALE;
+    }
+    if (q.inputSeq) state.inputSeq = q.inputSeq;
+    return state;
+}
+
+const EMPTY_QUANTIZED = quantize({
+    position: { x: 0, y: 0, z: 0 },
+    rotation: { x: 0, y: 0, z: 0, w: 1 },
+    velocity: { x: 0, y: 0, z: 0 }
+});
+
+// Which fields of `q` differ from `base` (null base = everything)
+function changedFields(q, base) {
+    let mask = q.grounded ? FIELD_GROUNDED : 0;
+    if (!base || q.px !== base.px || q.py !== base.py || q.pz !== base.pz) {
+        const fitsDelta = base &&
+            Math.abs(q.px - base.px) <= 32767 &&
+            Math.abs(q.py - base.py) <= 32767 &&
+            Math.abs(q.pz - base.pz) <= 32767;
+        mask |= fitsDelta ? FIELD_POSITION_DELTA : FIELD_POSITION;
+    }
+    if (!base || q.rx !== base.rx || q.ry !== base.ry || q.rz !== base.rz || q.rw !== base.rw) mask |= FIELD_ROTATION;
+    if (!base || q.vx !== base.vx || q.vy !== base.vy || q.vz !== base.vz) mask |= FIELD_VELOCITY;
+    if (!base || q.wx !== base.wx || q.wy !== base.wy || q.wz !== base.wz) mask |= FIELD_ANGULAR;
+    if (q.inputSeq !== (base ? base.inputSeq : 0)) mask |= FIELD_INPUT_SEQ;
+    if (q.ay !== (base ? base.ay : 0) || q.ap !== (base ? base.ap : 0)) mask |= FIELD_AIM;
+    return mask;
+}
+
+class ByteWriter {
+    constructor(size = 1024) {
+        this.buffer = new ArrayBuffer(size);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+        const grown = new ArrayBuffer(Math.max(this.buffer.byteLength * 2, this.offset + bytes));
+        new Uint8Array(grown).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = grown;
+        this.view = new DataView(grown);
+    }
+
+    u8(v) { this.ensure(1); this.view.setUint8(this.offset, v); this.offset += 1; }
+    u16(v) { this.ensure(2); this.view.setUint16(this.offset, v, true); this.offset += 2; }
+    i16(v) { this.ensure(2); this.view.setInt16(this.offset, v, true); this.offset += 2; }
+    u32(v) { this.ensure(4); this.view.setUint32(this.offset, v, true); this.offset += 4; }
+    i32(v) { this.ensure(4); this.view.setInt32(this.offset, v, true); this.offset += 4; }
+    f64(v) { this.ensure(8); this.view.setFloat64(this.offset, v, true); this.offset += 8; }
+
+    str(value) {
+        const bytes = textEncoder.encode(value || '').subarray(0, 255);
+        this.u8(bytes.length);
+        this.ensure(bytes.length);
+        new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+        this.offset += bytes.length;
+    }
+
+    toUint8Array() {
+        return new Uint8Array(this.buffer, 0, this.offset);
+    }
+}
+
+class ByteReader {
+    constructor(buffer) {
+        this.view = new DataView(buffer.buffer || buffer, buffer.byteOffset || 0, buffer.byteLength);
+        this.bytes = new Uint8Array(this.view.buffer, this.view.byteOffset, this.view.byteLength);
+        this.offset = 0;
+    }
+
+    u8() { const v = this.view.getUint8(this.offset); this.offset += 1; return v; }
+    u16() { const v = this.view.getUint16(this.offset, true); this.offset += 2; return v; }
+    i16() { const v = this.view.getInt16(this.offset, true); this.offset += 2; return v; }
+    u32() { const v = this.view.getUint32(this.offset, true); this.offset += 4; return v; }
+    i32() { const v = this.view.getInt32(this.offset, true); this.offset += 4; return v; }
+    f64() { const v = this.view.getFloat64(this.offset, true); this.offset += 8; return v; }
+
+    str() {
+        const length = this.u8();
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+}
+
+// Binary when the client offers it; clients that offer nothing are older builds
+export function negotiatePhysicsFormat(offered) {
+    return Array.isArray(offered) && offered.includes(PHYSICS_FORMAT_BINARY)
+        ? PHYSICS_FORMAT_BINARY
+        : PHYSICS_FORMAT_JSON;
+}
+
+// Server side: one per client, since baselines depend on that client's acks
+export class PhysicsStateEncoder {
+    constructor() {
+        this.nextSnapshot = 1;
+        this.handles = new Map();       // entityId -> handle
+        this.definitions = new Map();   // handle -> { entityId, type, vehicleType }
+        this.freeHandles = [];
+        this.nextHandle = 0;
+        this.pending = new Map();       // snapshot -> Map(handle -> quantized)
+        this.baselineId = 0;
+        this.baseline = null;           // acknowledged Map(handle -> quantized)
+        this.lastEncoded = new Map();
+        this.settled = new Set();       // handles asleep and matching the baseline last time
+        this.stats = { snapshots: 0, bytes: 0, bodiesSent: 0, bodiesSkipped: 0 };
+    }
+
+    allocateHandle(state) {
+        let handle = this.handles.get(state.entityId);
+        if (handle !== undefined) return handle;
+
+        handle = this.freeHandles.length ? this.freeHandles.pop() : this.nextHandle++;
+        if (handle >= MAX_HANDLES) return null;
+        this.handles.set(state.entityId, handle);
+        this.definitions.set(handle, {
+            entityId: state.entityId,
+            type: state.type || '',
+            vehicleType: state.vehicleType || ''
+        });
+        return handle;
+    }
+
+    /**
+     * Encode body states (JoltPhysicsWorld.getAllBodyStates()) as one snapshot
+     * @returns {Uint8Array} Binary message
+     */
+    encode(states, timestamp = Date.now()) {
+        const snapshot = this.nextSnapshot++;
+        const baseline = this.baseline;
+        const current = new Map();
+        const settled = new Set();
+
+        const writer = new ByteWriter();
+        writer.u8(BINARY_KIND_PHYSICS_STATE);
+        writer.u8(CODEC_VERSION);
+        writer.u32(snapshot);
+        writer.u32(baseline ? this.baselineId : 0);
+        writer.f64(timestamp);
+
+        const updates = [];
+        const newDefinitions = [];
+        for (const state of states) {
+            const handle = this.allocateHandle(state);
+            if (handle === null) continue;
+
+            const base = baseline?.get(handle);
+            if (!base) newDefinitions.push(handle);
+
+            // A body that was already asleep and matching the baseline can't have moved
+            if (state.sleeping && this.settled.has(handle) && this.lastEncoded.get(handle) === base) {
+                current.set(handle, base);
+                settled.add(handle);
+                this.stats.bodiesSkipped++;
+                continue;
+            }
+
+            const q = quantize(state);
+            const mask = changedFields(q, base);
+            if (base && (mask & ~FIELD_GROUNDED) === 0 && q.grounded === base.grounded) {
+                current.set(handle, base);
+                if (state.sleeping) settled.add(handle);
+                this.stats.bodiesSkipped++;
+                continue;
+            }
+            current.set(handle, q);
+            updates.push({ handle, mask, q, base });
+        }
+
+        writer.u16(newDefinitions.length);
+        for (const handle of newDefinitions) {
+            const def = this.definitions.get(handle);
+            writer.u16(handle);
+            writer.str(def.entityId);
+            writer.str(def.type);
+            writer.str(def.vehicleType);
+        }
+
+        const removals = baseline ? [...baseline.keys()].filter(handle => !current.has(handle)) : [];
+        writer.u16(removals.length);
+        removals.forEach(handle => writer.u16(handle));
+
+        writer.u16(updates.length);
+        for (const { handle, mask, q, base } of updates) {
+            writer.u16(handle);
+            writer.u8(mask);
+            if (mask & FIELD_POSITION) {
+                writer.i32(q.px); writer.i32(q.py); writer.i32(q.pz);
+            } else if (mask & FIELD_POSITION_DELTA) {
+                writer.i16(q.px - base.px); writer.i16(q.py - base.py); writer.i16(q.pz - base.pz);
+            }
+            if (mask & FIELD_ROTATION) {
+                writer.i16(q.rx); writer.i16(q.ry); writer.i16(q.rz); writer.i16(q.rw);
+            }
+            if (mask & FIELD_VELOCITY) {
+                writer.i16(q.vx); writer.i16(q.vy); writer.i16(q.vz);
+            }
+            if (mask & FIELD_ANGULAR) {
+                writer.i16(q.wx); writer.i16(q.wy); writer.i16(q.wz);
+            }
+            if (mask & FIELD_INPUT_SEQ) writer.u32(q.inputSeq);
+            if (mask & FIELD_AIM) {
+                writer.i16(q.ay); writer.i16(q.ap);
+            }
+        }
+
+        this.pending.set(snapshot, current);
+        if (this.pending.size > MAX_PENDING_SNAPSHOTS) {
+            this.pending.delete(this.pending.keys().next().value);
+        }
+        this.lastEncoded = current;
+        this.settled = settled;
+
+        const bytes = writer.toUint8Array();
+        this.stats.snapshots++;
+        this.stats.bytes += bytes.byteLength;
+        this.stats.bodiesSent += updates.length;
+        return bytes;
+    }
+
+    /**
+     * Client confirmed it decoded a snapshot; later snapshots diff against it
+     */
+    acknowledge(snapshot) {
+        if (!snapshot) {
+            // Client lost its baselines - go back to full snapshots
+            this.baseline = null;
+            this.baselineId = 0;
+            return;
+        }
+
+        const acked = this.pending.get(snapshot);
+        if (!acked || snapshot <= this.baselineId) return;
+
+        this.baseline = acked;
+        this.baselineId = snapshot;
+        for (const id of this.pending.keys()) {
+            if (id <= snapshot) this.pending.delete(id);
+        }
+        this.releaseHandles();
+    }
+
+    // Handles of entities gone from every snapshot the client might still use
+    releaseHandles() {
+        for (const [handle, def] of this.definitions) {
+            if (this.baseline.has(handle) || this.lastEncoded.has(handle)) continue;
+            let pending = false;
+            for (const snapshot of this.pending.values()) {
+                if (snapshot.has(handle)) { pending = true; break; }
+            }
+            if (pending) continue;
+
+            this.definitions.delete(handle);
+            this.handles.delete(def.entityId);
+            this.freeHandles.push(handle);
+        }
+    }
+
+    getStats() {
+        return { ...this.stats, baseline: this.baselineId, handles: this.handles.size };
+    }
+}
+
+// Client side: rebuilds full body states from deltas
+export class PhysicsStateDecoder {
+    constructor() {
+        this.snapshots = new Map();     // snapshot -> Map(handle -> { def, q })
+        this.lastSnapshot = 0;
+    }
+
+    /**
+     * Decode a binary snapshot
+     * @returns {Object|null} { snapshot, timestamp, bodies } with every body in the
+     *   snapshot (unchanged ones carried over from the baseline), or null if the
+     *   baseline is unknown and the caller should acknowledge 0
+     */
+    decode(buffer) {
+        const reader = new ByteReader(buffer);
+        if (reader.u8() !== BINARY_KIND_PHYSICS_STATE || reader.u8() !== CODEC_VERSION) return null;
+
+        const snapshot = reader.u32();
+        const baselineId = reader.u32();
+        const timestamp = reader.f64();
+
+        const baseline = baselineId ? this.snapshots.get(baselineId) : new Map();
+        if (!baseline) return null;
+        const current = new Map(baseline);
+
+        const definitionCount = reader.u16();
+        for (let i = 0; i < definitionCount; i++) {
+            const handle = reader.u16();
+            const def = { entityId: reader.str(), type: reader.str(), vehicleType: reader.str() };
+            current.set(handle, { def, q: EMPTY_QUANTIZED, state: null });
+        }
+
+        const removalCount = reader.u16();
+        for (let i = 0; i < removalCount; i++) {
+            current.delete(reader.u16());
+        }
+
+        const updateCount = reader.u16();
+        for (let i = 0; i < updateCount; i++) {
+            const handle = reader.u16();
+            const mask = reader.u8();
+            const entry = current.get(handle);
+            if (!entry) return null;
+
+            const q = { ...entry.q, grounded: (mask & FIELD_GROUNDED) !== 0 };
+            if (mask & FIELD_POSITION) {
+                q.px = reader.i32(); q.py = reader.i32(); q.pz = reader.i32();
+            } else if (mask & FIELD_POSITION_DELTA) {
+                q.px += reader.i16(); q.py += reader.i16(); q.pz += reader.i16();
+            }
+            if (mask & FIELD_ROTATION) {
+                q.rx = reader.i16(); q.ry = reader.i16(); q.rz = reader.i16(); q.rw = reader.i16();
+            }
+            if (mask & FIELD_VELOCITY) {
+                q.vx = reader.i16(); q.vy = reader.i16(); q.vz = reader.i16();
+            }
+            if (mask & FIELD_ANGULAR) {
+                q.wx = reader.i16(); q.wy = reader.i16(); q.wz = reader.i16();
+            }
+            if (mask & FIELD_INPUT_SEQ) q.inputSeq = reader.u32();
+            if (mask & FIELD_AIM) {
+                q.ay = reader.i16(); q.ap = reader.i16();
+            }
+
+            current.set(handle, { def: entry.def, q, state: dequantize(entry.def, q) });
+        }
+
+        const bodies = [];
+        for (const entry of current.values()) {
+            if (entry.state) bodies.push(entry.state);
+        }
+
+        this.snapshots.set(snapshot, current);
+        for (const id of this.snapshots.keys()) {
+            if (id < snapshot - MAX_PENDING_SNAPSHOTS) this.snapshots.delete(id);
+        }
+        this.lastSnapshot = snapshot;
+
+        return { snapshot, timestamp, bodies };
+    }
+
+    reset() {
+        this.snapshots.clear();
+        this.lastSnapshot = 0;
+    }
+}
@@ -6,14 +6,19 @@
  */
 
 import { CONFIG } from './config.js';
+import { PhysicsStateDecoder, BINARY_KIND_PHYSICS_STATE } from './physics-codec.js';
 
 // Message types for physics networking
 export const PhysicsMessageType = {
     PHYSICS_STATE: 'physics_state',
+    PHYSICS_ACK: 'physics_ack',
     PLAYER_INPUT: 'player_input',
     VEHICLE_INPUT: 'vehicle_input',
     SPAWN_PLAYER: 'spawn_player',
-    SPAWN_VEHICLE: 'spawn_vehicle'
+    SPAWN_VEHICLE: 'spawn_vehicle',
+    WEAPON_FIRE: 'weapon_fire',
+    TURRET_AIM: 'turret_aim',
+    BOMB_DROP: 'bomb_drop'
 };
 
 /**
@@ -172,10 +177,18 @@ export class PhysicsNetworkClient {
         this.pendingPlayerInput = null;
         this.pendingVehicleInput = null;
         this.currentVehicleId = null;
+        this.inputSequence = 0;         // last sequence number handed out
+
+        // Binary physics snapshots (delta-encoded against the last one we acked)
+        this.decoder = new PhysicsStateDecoder();
+        this.lastAckedSnapshot = 0;
+        this.pendingAck = null;         // snapshot to acknowledge on the next send
 
         // Stats
         this.statesReceived = 0;
+        this.snapshotsDropped = 0;
         this.lastServerTime = 0;
+        this.prediction = { corrections: 0, lastError: 0, averageError: 0, maxError: 0 };
     }
 
     /**
@@ -192,6 +205,10 @@ export class PhysicsNetworkClient {
             PhysicsMessageType.PHYSICS_STATE,
             (data, clientId, timestamp) => this.handlePhysicsState(data, timestamp)
         );
+        this.networkManager.registerBinaryHandler(
+            BINARY_KIND_PHYSICS_STATE,
+            (buffer) => this.handlePhysicsState(buffer)
+        );
 
         this.enabled = true;
         console.log('PhysicsNetworkClient: Initialized');
@@ -211,9 +228,13 @@ export class PhysicsNetworkClient {
     }
 
     /**
-     * Handle incoming physics state from server
+     * Handle incoming physics state from server (JSON data or a binary snapshot)
      */
     handlePhysicsState(data, serverTimestamp) {
+        if (data instanceof ArrayBuffer) {
+            data = this.decodeSnapshot(data);
+            if (!data) return;
+        }
         if (!data.bodies || !Array.isArray(data.bodies)) return;
 
         this.statesReceived++;
@@ -246,6 +267,31 @@ export class PhysicsNetworkClient {
         }
     }
 
+    /**
+     * Decode a binary snapshot and queue its acknowledgement
+     */
+    decodeSnapshot(buffer) {
+        let decoded;
+        try {
+            decoded = this.decoder.decode(buffer);
+        } catch (error) {
+            console.error('PhysicsNetworkClient: Failed to decode snapshot:', error);
+            decoded = null;
+        }
+
+        if (!decoded) {
+            // Baseline already discarded (or corrupt data) - ask for full snapshots
+            this.snapshotsDropped++;
+            this.decoder.reset();
+            this.lastAckedSnapshot = 0;
+            this.pendingAck = 0;
+            return null;
+        }
+
+        this.pendingAck = decoded.snapshot;
+        return decoded;
+    }
+
     /**
      * Get interpolated state for an entity
      */
@@ -253,8 +299,14 @@ export class PhysicsNetworkClient {
         const buffer = this.entityBuffers.get(entityId);
         if (!buffer) return null;
 
-        const renderTime = Date.now() - this.interpolationDelay;
-        return buffer.getInterpolatedState(renderTime);
+        return buffer.getInterpolatedState(this.getRenderTime());
+    }
+
+    /**
+     * Server time remote bodies are currently shown at
+     */
+    getRenderTime() {
+        return Date.now() - this.interpolationDelay;
     }
 
     /**
@@ -277,19 +329,36 @@ export class PhysicsNetworkClient {
 
     /**
      * Send player input to server
+     * @returns {number|null} Sequence number the server will acknowledge
      */
     sendPlayerInput(input) {
-        if (!this.enabled || !this.serverPhysicsEnabled) return;
+        if (!this.enabled || !this.serverPhysicsEnabled) return null;
 
         this.pendingPlayerInput = {
+            seq: ++this.inputSequence,
             forward: input.forward || false,
             backward: input.backward || false,
             left: input.left || false,
             right: input.right || false,
             jump: input.jump || false,
             running: input.running || false,
-            rotationY: input.rotationY || 0
+            crouching: input.crouching || false,
+            rotationY: input.rotationY || 0,
+            speedMultiplier: input.speedMultiplier || 1
         };
+        return this.inputSequence;
+    }
+
+    /**
+     * Record how far the local prediction was from the server's corrected state
+     */
+    recordPredictionError(error) {
+        const stats = this.prediction;
+        stats.corrections++;
+        stats.lastError = error;
+        stats.maxError = Math.max(stats.maxError, error);
+        // Exponential moving average over roughly the last 20 corrections
+        stats.averageError += (error - stats.averageError) * 0.05;
     }
 
     /**
@@ -319,6 +388,41 @@ export class PhysicsNetworkClient {
         this.pendingVehicleInput = null;
     }
 
+    /**
+     * Report a vehicle weapon shot. The server traces it against where bodies
+     * were at our render time, so hits match what the gunner saw.
+     */
+    sendWeaponFire(vehicleId, weapon, seatRole, direction) {
+        if (!this.networkManager || !this.networkManager.isConnected) return;
+
+        this.networkManager.send(PhysicsMessageType.WEAPON_FIRE, {
+            vehicleId,
+            weapon,
+            seatRole,
+            direction: { x: direction.x, y: direction.y, z: direction.z },
+            time: this.getRenderTime()
+        });
+    }
+
+    /**
+     * Tell the server where we want a turret (yaw relative to the hull); it
+     * turns the turret there at the turret's own rate
+     */
+    sendTurretAim(vehicleId, seatRole, yaw, pitch) {
+        if (!this.networkManager || !this.networkManager.isConnected) return;
+
+        this.networkManager.send(PhysicsMessageType.TURRET_AIM, { vehicleId, seatRole, yaw, pitch });
+    }
+
+    /**
+     * Ask the server to drop a bomb; it simulates the fall and reports where it bursts
+     */
+    sendBombDrop(vehicleId, seatRole) {
+        if (!this.networkManager || !this.networkManager.isConnected) return;
+
+        this.networkManager.send(PhysicsMessageType.BOMB_DROP, { vehicleId, seatRole });
+    }
+
     /**
      * Request player spawn on server
      */
@@ -365,6 +469,13 @@ export class PhysicsNetworkClient {
             if (this.pendingVehicleInput) {
                 this.networkManager.send(PhysicsMessageType.VEHICLE_INPUT, this.pendingVehicleInput);
             }
+
+            // Acknowledge the newest snapshot so the server can delta against it
+            if (this.pendingAck !== null) {
+                this.networkManager.send(PhysicsMessageType.PHYSICS_ACK, { snapshot: this.pendingAck });
+                this.lastAckedSnapshot = this.pendingAck;
+                this.pendingAck = null;
+            }
         }
 
         // Update entity states through callback
@@ -397,6 +508,9 @@ export class PhysicsNetworkClient {
         this.pendingPlayerInput = null;
         this.pendingVehicleInput = null;
         this.currentVehicleId = null;
+        this.decoder.reset();
+        this.lastAckedSnapshot = 0;
+        this.pendingAck = null;
     }
 
     /**
@@ -409,7 +523,12 @@ export class PhysicsNetworkClient {
             entitiesTracked: this.entityBuffers.size,
             localEntities: this.localEntities.size,
             statesReceived: this.statesReceived,
-            interpolationDelay: this.interpolationDelay
+            physicsFormat: this.networkManager?.physicsFormat,
+            lastAckedSnapshot: this.lastAckedSnapshot,
+            snapshotsDropped: this.snapshotsDropped,
+            interpolationDelay: this.interpolationDelay,
+            inputSequence: this.inputSequence,
+            prediction: { ...this.prediction }
         };
     }
 }
@@ -1,11 +1,19 @@
 import { CONFIG } from './config.js';
 import { getTerrainHeight } from './terrain.js';
 import { Character } from './character.js';
-import { showInteractionPanel, hideInteractionPanel, updateInteractionStatus, showInteractionPrompt, hideInteractionPrompt } from './ui.js';
+import { showInteractionPanel, hideInteractionPanel, updateInteractionStatus, showInteractionPrompt, hideInteractionPrompt, updateVitalsHUD } from './ui.js';
+import { playerResources, PlayerResources } from './player-resources.js';
+import { playerEffects } from './effects.js';
 import { quaternionToEuler } from './physics-network-client.js';
+import { getVehicleTurret } from './vehicle-weapons.js';
+
+// Predicted frames kept for replay (~4 s at 60 fps); older ones can't be unacknowledged
+const MAX_PREDICTION_FRAMES = 240;
+// Corrections further off than this are teleports/respawns and aren't counted as error
+const PREDICTION_SNAP_DISTANCE = 5;
 
 export class PlayerController {
-    constructor({ scene, camera, worldManager, logChat, keys, mouse, physics, interactionManager, environment, vehicleManager }) {
+    constructor({ scene, camera, worldManager, logChat, keys, mouse, physics, interactionManager, environment, vehicleManager, resources, effects }) {
         this.scene = scene;
         this.camera = camera;
         this.worldManager = worldManager;
@@ -16,6 +24,8 @@ export class PlayerController {
         this.interactionManager = interactionManager;
         this.environment = environment;
         this.vehicleManager = vehicleManager;
+        this.resources = resources || playerResources;
+        this.effects = effects || playerEffects;
 
         this.char = new Character(true);
         this.scene.add(this.char.group);
@@ -32,12 +42,13 @@ export class PlayerController {
         this.pitch = 0;
         this.savedOutdoorPos = new THREE.Vector3();
         this.isInInterior = false;
-        this.stamina = CONFIG.maxStamina;
         this.hoverTarget = null;
         this.currentVehicle = null;
         this.seatRole = null;
+        this.turretAim = null;  // { yaw (world), pitch } while this seat aims a turret
         this.lastKeyStates = {};
         this.hoverVehicle = null;
+        this.dead = false;      // set by the server; no moving, interacting or firing until respawn
 
         // Server physics support
         this.physicsNetworkClient = null;
@@ -45,6 +56,18 @@ export class PlayerController {
         this.entityId = null;
         this.lastInputSendTime = 0;
         this.inputSendInterval = 50; // ms
+
+        // Client-side prediction: frames simulated since the last acknowledged input
+        this.inputSeq = 0;
+        this.inputHistory = [];     // { seq, input, delta }
+        this.terrainSampler = (x, z) => this.isInInterior ? 500 : getTerrainHeight(x, z);
+
+        this.interactionManager.onActionResult = (result, target) => this.reportActionResult(result, target);
+        this.interactionManager.onPickupMessage = (message) => this.logChat('System', message);
+
+        // Keep health/stamina bars and the resource ledger in sync outside the per-frame update
+        this.resources.addListener(() => updateVitalsHUD(this.resources));
+        updateVitalsHUD(this.resources);
     }
 
     setPhysicsNetworkClient(client) {
@@ -63,44 +86,89 @@ export class PlayerController {
         }
     }
 
-    // Apply physics state received from server
+    setDead(dead) {
+        this.dead = dead;
+        if (dead && this.currentVehicle) this.toggleVehicleSeat();
+        this.char.group.rotation.x = dead ? -Math.PI / 2 : 0;
+        this.physicsBody.velocity.set(0, 0, 0);
+        this.inputHistory = [];
+    }
+
+    // Server respawn: put the body where the server did
+    respawnAt(position) {
+        this.physicsBody.position.set(position.x, position.y, position.z);
+        this.physicsBody.velocity.set(0, 0, 0);
+        this.setDead(false);
+    }
+
+    // Reconcile the predicted player with the server: rewind to the server
+    // state, then replay every frame whose input the server hasn't processed yet
     applyServerPhysicsState(state) {
         if (!state || !this.useServerPhysics) return;
 
-        // Apply position with smoothing to avoid jitter
-        if (state.position) {
-            const targetPos = new THREE.Vector3(state.position.x, state.position.y, state.position.z);
-            const currentPos = this.char.group.position;
-
-            // Calculate distance to target
-            const dist = currentPos.distanceTo(targetPos);
-
-            // If too far off (teleport/spawn), snap directly
-            // Otherwise smoothly interpolate to reduce jitter
-            if (dist > 5) {
-                this.char.group.position.copy(targetPos);
-                this.physicsBody.position.copy(targetPos);
-            } else {
-                // Smooth lerp factor - higher = more responsive but more jittery
-                const lerpFactor = 0.3;
-                this.char.group.position.lerp(targetPos, lerpFactor);
-                this.physicsBody.position.lerp(targetPos, lerpFactor);
-            }
+        // Seated players follow their vehicle, not the server body
+        if (this.currentVehicle) {
+            this.inputHistory = [];
+            return;
+        }
+
+        const ack = state.inputSeq || 0;
+        this.inputHistory = this.inputHistory.filter(frame => frame.seq > ack);
+
+        const body = this.physicsBody;
+        const predicted = body.position.clone();
+
+        if (state.position) body.position.set(state.position.x, state.position.y, state.position.z);
+        if (state.velocity) body.velocity.set(state.velocity.x, state.velocity.y, state.velocity.z);
+        if (state.grounded !== undefined) body.grounded = state.grounded;
+
+        for (const frame of this.inputHistory) {
+            this.applyMovement(frame.input, frame.delta);
+            this.physics.integrate(body, frame.delta, this.terrainSampler);
         }
 
-        // Apply velocity for animations
-        if (state.velocity) {
-            this.physicsBody.velocity.set(state.velocity.x, state.velocity.y, state.velocity.z);
+        const error = predicted.distanceTo(body.position);
+        if (error < PREDICTION_SNAP_DISTANCE && this.physicsNetworkClient) {
+            this.physicsNetworkClient.recordPredictionError(error);
         }
+    }
 
-        // Update grounded state
-        if (state.grounded !== undefined) {
-            this.physicsBody.grounded = state.grounded;
+    // Steer the body toward the input's target velocity; shared by local
+    // physics and prediction so replays move exactly like live frames.
+    // Returns the target speed for animation.
+    applyMovement(input, delta) {
+        const speed = (input.crouching ? CONFIG.crouchSpeed : input.running ? CONFIG.runSpeed : CONFIG.speed) *
+            input.speedMultiplier;
+
+        let dx = 0, dz = 0;
+        if (input.forward) dz = 1;
+        if (input.backward) dz = -1;
+        if (input.left) dx = -1;
+        if (input.right) dx = 1;
+
+        const moveDir = new THREE.Vector3(dx, 0, dz);
+        if (moveDir.lengthSq() > 0) {
+            moveDir.normalize().applyAxisAngle(new THREE.Vector3(0, 1, 0), input.rotationY);
         }
+
+        const targetVel = moveDir.multiplyScalar(speed);
+        const accel = this.physicsBody.grounded ? CONFIG.groundAccel : CONFIG.airAccel;
+        const lerpFactor = Math.min(1, accel * delta);
+
+        this.physicsBody.velocity.x = THREE.MathUtils.lerp(this.physicsBody.velocity.x, targetVel.x, lerpFactor);
+        this.physicsBody.velocity.z = THREE.MathUtils.lerp(this.physicsBody.velocity.z, targetVel.z, lerpFactor);
+
+        if (input.jump && this.physicsBody.grounded) {
+            this.physicsBody.velocity.y = CONFIG.jumpSpeed;
+            this.physicsBody.grounded = false;
+        }
+
+        return targetVel.length();
     }
 
     update(delta) {
         const pos = this.char.group.position;
+        const look = { x: this.mouse.x, y: this.mouse.y };
 
         this.yaw -= this.mouse.x * 0.0025;
         this.pitch -= this.mouse.y * 0.0025;
@@ -109,74 +177,46 @@ export class PlayerController {
         this.mouse.y = 0;
 
         if (this.currentVehicle) {
-            this.updateVehicleControl(delta);
+            this.updateVehicleControl(delta, look);
+        } else if (this.dead) {
+            // Lie still; the server body already stopped
+            this.applyMovement({ speedMultiplier: 1, rotationY: this.yaw }, delta);
+            if (this.useServerPhysics) this.physics.integrate(this.physicsBody, delta, this.terrainSampler);
+            this.char.animate(0);
         } else {
-            const running = this.keys['ShiftLeft'] && this.stamina > 0;
-            const crouching = this.keys['ControlLeft'];
-            const speed = crouching ? CONFIG.crouchSpeed : running ? CONFIG.runSpeed : CONFIG.speed;
-
-            // Gather input state
-            const forward = !!this.keys['KeyW'];
-            const backward = !!this.keys['KeyS'];
-            const left = !!this.keys['KeyA'];
-            const right = !!this.keys['KeyD'];
-            const jump = !!this.keys['Space'];
+            const running = this.keys['ShiftLeft'] && this.resources.stamina > 0;
+            const input = {
+                forward: !!this.keys['KeyW'],
+                backward: !!this.keys['KeyS'],
+                left: !!this.keys['KeyA'],
+                right: !!this.keys['KeyD'],
+                jump: !!this.keys['Space'],
+                running,
+                crouching: !!this.keys['ControlLeft'],
+                rotationY: this.yaw,
+                speedMultiplier: 1 + this.effects.getStat('speed')
+            };
+
+            const targetSpeed = this.applyMovement(input, delta);
 
             if (this.useServerPhysics) {
-                // Server physics mode: send input to server, don't simulate locally
+                // Server physics mode: send input to server and predict it locally
                 const now = Date.now();
                 if (now - this.lastInputSendTime >= this.inputSendInterval) {
                     this.lastInputSendTime = now;
-                    if (this.physicsNetworkClient) {
-                        this.physicsNetworkClient.sendPlayerInput({
-                            forward,
-                            backward,
-                            left,
-                            right,
-                            jump,
-                            running,
-                            rotationY: this.yaw
-                        });
-                    }
+                    const seq = this.physicsNetworkClient?.sendPlayerInput(input);
+                    if (seq) this.inputSeq = seq;
                 }
 
-                // Update animation based on velocity from server
-                const velLength = Math.sqrt(
-                    this.physicsBody.velocity.x * this.physicsBody.velocity.x +
-                    this.physicsBody.velocity.z * this.physicsBody.velocity.z
-                );
-                this.char.group.rotation.y = this.yaw + Math.PI;
-                this.char.animate(velLength);
-
-            } else {
-                // Local physics mode (fallback)
-                let dx = 0, dz = 0;
-                if (forward) dz = 1;
-                if (backward) dz = -1;
-                if (left) dx = -1;
-                if (right) dx = 1;
-
-                const moveDir = new THREE.Vector3(dx, 0, dz);
-                if (moveDir.lengthSq() > 0) {
-                    moveDir.normalize().applyAxisAngle(new THREE.Vector3(0, 1, 0), this.yaw);
-                }
-
-                const targetVel = moveDir.multiplyScalar(speed);
-                const accel = this.physicsBody.grounded ? CONFIG.groundAccel : CONFIG.airAccel;
-                const lerpFactor = Math.min(1, accel * delta);
-
-                this.physicsBody.velocity.x = THREE.MathUtils.lerp(this.physicsBody.velocity.x, targetVel.x, lerpFactor);
-                this.physicsBody.velocity.z = THREE.MathUtils.lerp(this.physicsBody.velocity.z, targetVel.z, lerpFactor);
-
-                if (jump && this.physicsBody.grounded) {
-                    this.physicsBody.velocity.y = CONFIG.jumpSpeed;
-                    this.physicsBody.grounded = false;
-                }
-
-                this.char.group.rotation.y = this.yaw + Math.PI;
-                this.char.animate(targetVel.length());
+                // Only the player is predicted; everything else comes from the server
+                this.physics.integrate(this.physicsBody, delta, this.terrainSampler);
+                this.inputHistory.push({ seq: this.inputSeq, input, delta });
+                if (this.inputHistory.length > MAX_PREDICTION_FRAMES) this.inputHistory.shift();
             }
 
+            this.char.group.rotation.y = this.yaw + Math.PI;
+            this.char.animate(targetSpeed);
+
             this.updateStamina(delta, running);
         }
 
@@ -186,13 +226,12 @@ export class PlayerController {
 
         // Only run local physics if server physics is disabled
         if (!this.useServerPhysics) {
-            const terrainSampler = (x, z) => this.isInInterior ? 500 : getTerrainHeight(x, z);
-            this.physics.step(delta, terrainSampler);
+            this.physics.step(delta, this.terrainSampler);
         }
 
         this.updateCamera();
 
-        if (!this.currentVehicle) {
+        if (!this.currentVehicle && !this.dead) {
             this.scanInteractions();
         } else {
             this.hoverTarget = null;
@@ -202,28 +241,29 @@ export class PlayerController {
     }
 
     updateStamina(delta, running) {
+        const stamina = this.resources.stamina;
         if (running && this.physicsBody.velocity.lengthSq() > 0.01) {
-            this.stamina = Math.max(0, this.stamina - CONFIG.staminaDrainRate * delta);
+            this.resources.setStamina(stamina - CONFIG.staminaDrainRate * delta);
         } else {
-            this.stamina = Math.min(CONFIG.maxStamina, this.stamina + CONFIG.staminaRecoveryRate * delta);
-        }
-        const bar = document.getElementById('hud-stamina-fill');
-        if (bar) {
-            bar.style.width = `${(this.stamina / CONFIG.maxStamina) * 100}%`;
+            const recovery = CONFIG.staminaRecoveryRate * (1 + this.effects.getStat('staminaRecovery'));
+            this.resources.setStamina(stamina + recovery * delta);
         }
+        updateVitalsHUD(this.resources);
     }
 
     scanInteractions() {
         this.hoverVehicle = this.vehicleManager?.findVehicleTarget(this.camera, 9) || null;
         if (this.hoverVehicle) {
-            showInteractionPrompt(`E - ${this.hoverVehicle.vehicle.type} (${this.hoverVehicle.available.length} seats open)`);
+            showInteractionPrompt(`E - ${this.describeVehicle(this.hoverVehicle.vehicle)} (${this.hoverVehicle.available.length} seats open)`);
             this.hoverTarget = null;
             return;
         }
 
         const data = this.interactionManager.findClosest(this.char, this.camera);
         this.hoverTarget = data;
-        if (data) {
+        if (data?.type === 'pickup') {
+            showInteractionPrompt(`E - Pick up ${data.def.name} x${data.quantity}`);
+        } else if (data) {
             showInteractionPrompt(`E - ${data.def.name} (${data.def.rarity})`);
         } else {
             hideInteractionPrompt();
@@ -231,6 +271,7 @@ export class PlayerController {
     }
 
     interact() {
+        if (this.dead) return;
         if (this.vehicleManager) {
             if (this.currentVehicle) {
                 const seatList = this.vehicleManager.listSeats(this.currentVehicle).map(seat => ({
@@ -277,14 +318,25 @@ export class PlayerController {
             }
 
             if (this.hoverVehicle) {
-                const seatList = this.vehicleManager.listSeats(this.hoverVehicle.vehicle);
+                const vehicle = this.hoverVehicle.vehicle;
+                const seatList = vehicle.damage?.wrecked ? [] : this.vehicleManager.listSeats(vehicle);
+                if (vehicle.damage?.repairCost) {
+                    seatList.push({ index: 'repair', role: `Repair (${vehicle.damage.repairCost} salvage)`, occupied: false });
+                }
                 showInteractionPanel(
                     {
-                        def: { name: `${this.hoverVehicle.vehicle.type} seats`, rarity: 'common' },
+                        def: { name: `${this.describeVehicle(vehicle)} seats`, rarity: 'common' },
                         readings: null,
                         locked: false
                     },
                     (action) => {
+                        if (action === 'repair') {
+                            updateInteractionStatus(this.vehicleManager.requestRepair(vehicle)
+                                ? 'Repairing...'
+                                : 'Repairs need the server.');
+                            return;
+                        }
+
                         const seatIndex = parseInt(action, 10);
                         const seatInfo = this.vehicleManager.listSeats(this.hoverVehicle.vehicle).find(s => s.index === seatIndex);
                         if (!seatInfo || seatInfo.occupied) {
@@ -320,6 +372,12 @@ export class PlayerController {
             }
         }
 
+        if (this.hoverTarget?.type === 'pickup') {
+            const result = this.interactionManager.pickUp(this.hoverTarget);
+            if (!result.pending) this.logChat('System', result.message);
+            return;
+        }
+
         if (this.hoverTarget) {
             const targetState = this.interactionManager.beginInteraction(this.hoverTarget);
             if (!targetState) return;
@@ -336,8 +394,76 @@ export class PlayerController {
 
     performAction(action, target) {
         const result = this.interactionManager.performAction(target, action);
+        if (result.pending) {
+            updateInteractionStatus(result.message);
+            return;
+        }
+        this.reportActionResult(result, target);
+    }
+
+    // Also invoked asynchronously when the server resolves an action
+    reportActionResult(result, target) {
         updateInteractionStatus(result.message);
         this.logChat('System', `${target.def.name}: ${result.message}`);
+        if (result.applied?.health < 0 && this.resources.isCritical()) {
+            this.logChat('System', `WARNING: Vitals critical (${Math.ceil(this.resources.health)} HP).`);
+        }
+    }
+
+    // Server reply to a vehicle repair
+    reportRepairResult(result) {
+        if (!result.ok) {
+            updateInteractionStatus(result.reason);
+            this.logChat('System', `Repair failed: ${result.reason}`);
+            return;
+        }
+        this.resources.applyDeltas(result.applied);
+        const message = `${result.wasWrecked ? 'Wreck back in working order' : 'Repaired'} ` +
+            `(+${result.restored} hull, ${PlayerResources.describe(result.applied)}).`;
+        updateInteractionStatus(message);
+        this.logChat('System', message);
+    }
+
+    // "tank", "tank 64%" or "tank wreck"
+    describeVehicle(vehicle) {
+        if (vehicle.damage?.wrecked) return `${vehicle.type} wreck`;
+        const hull = this.vehicleManager.getHullFraction(vehicle);
+        return hull !== null && hull < 1 ? `${vehicle.type} ${Math.round(hull * 100)}%` : vehicle.type;
+    }
+
+    // Serialization (stamina lives in the resource ledger)
+    toJSON() {
+        // Interiors are generated on demand, so save the street position instead
+        const pos = this.isInInterior && this.savedOutdoorPos.lengthSq() > 0
+            ? this.savedOutdoorPos
+            : this.char.group.position;
+        return {
+            position: { x: pos.x, y: pos.y, z: pos.z },
+            yaw: this.yaw,
+            pitch: this.pitch,
+            appearance: { ...this.char.params }
+        };
+    }
+
+    fromJSON(data) {
+        if (!data) return;
+        if (this.currentVehicle) this.toggleVehicleSeat();
+        if (this.isInInterior) {
+            this.isInInterior = false;
+            hideInteractionPanel();
+        }
+
+        if (data.position) {
+            const { x, y, z } = data.position;
+            this.char.group.position.set(x, Math.max(y, getTerrainHeight(x, z) + 1), z);
+            this.physicsBody.velocity.set(0, 0, 0);
+        }
+        if (typeof data.yaw === 'number') this.yaw = data.yaw;
+        if (typeof data.pitch === 'number') this.pitch = data.pitch;
+        if (data.appearance) {
+            this.char.params = { ...this.char.params, ...data.appearance };
+            this.char.rebuild();
+        }
     }
 
     enterInterior(seed) {
@@ -375,6 +501,7 @@ export class PlayerController {
             return;
         }
 
+        if (this.dead) return;
         const seatData = this.vehicleManager.findAvailableSeat(this.char.group.position, 5.5);
         if (seatData) {
             this.enterVehicle(seatData.vehicle, seatData.seat);
@@ -388,6 +515,7 @@ export class PlayerController {
         this.currentVehicle = vehicle;
         this.currentSeat = seat;
         this.seatRole = seat.role;
+        this.turretAim = null;
         this.char.group.visible = false;
 
         // Disable player physics so they don't fight the car
@@ -425,9 +553,10 @@ export class PlayerController {
         }
     }
 
-    updateVehicleControl(delta) {
+    updateVehicleControl(delta, look = { x: 0, y: 0 }) {
         if (!this.currentVehicle) return;
         const vehicle = this.currentVehicle;
+        const aiming = this.updateTurretAim(vehicle, delta, look);
 
         // Reset inputs
         vehicle.inputs = { throttle: 0, steer: 0, brake: false, pitch: 0, roll: 0, yaw: 0, lift: 0 };
@@ -468,13 +597,16 @@ export class PlayerController {
         const camDist = 10;
         const camHeight = 4.5;
         
-        // Calculate camera position relative to vehicle's heading
+        // Calculate camera position relative to vehicle's heading; whoever
+        // aims the turret looks along it instead
         const vehicleYaw = vehicle.heading || 0;
+        const cameraYaw = aiming ? vehicleYaw + vehicle.turretYaw : vehicleYaw + this.pitch;
+        const cameraRise = aiming ? 0 : Math.sin(this.pitch) * 2;
         
         const desired = anchor.clone().add(new THREE.Vector3(
-            -Math.sin(vehicleYaw + this.pitch) * camDist,
-            camHeight + Math.sin(this.pitch) * 2,
-            -Math.cos(vehicleYaw + this.pitch) * camDist
+            -Math.sin(cameraYaw) * camDist,
+            camHeight + cameraRise,
+            -Math.cos(cameraYaw) * camDist
         ));
         
         this.camera.position.lerp(desired, 0.2); // Faster lerp for responsive feel
@@ -484,6 +616,28 @@ export class PlayerController {
         this.char.group.position.copy(anchor);
     }
 
+    // Mouse traverses and elevates the turret if this seat has it. The aim is
+    // held as a world bearing, so it stays on target while the hull turns.
+    updateTurretAim(vehicle, delta, look) {
+        if (!this.vehicleManager || this.vehicleManager.getTurretSeat(vehicle) !== this.seatRole) {
+            this.turretAim = null;
+            return false;
+        }
+
+        const turret = getVehicleTurret(vehicle.type);
+        if (!this.turretAim) {
+            this.turretAim = { yaw: vehicle.heading + vehicle.turretYaw, pitch: vehicle.cannonPitch };
+        }
+        this.turretAim.yaw -= look.x * 0.0025;
+        this.turretAim.pitch = Math.max(turret.minPitch, Math.min(turret.maxPitch, this.turretAim.pitch - look.y * 0.0025));
+
+        this.vehicleManager.aimTurret(vehicle, this.seatRole, {
+            yaw: this.turretAim.yaw - vehicle.heading,
+            pitch: this.turretAim.pitch
+        }, delta);
+        return true;
+    }
+
     updateCamera() {
         if (!this.currentVehicle) {
             const crouching = this.keys['ControlLeft'];
@@ -502,7 +656,7 @@ export class PlayerController {
     }
 
     handleFire(button) {
-        if (!this.currentVehicle || !this.vehicleManager) return;
+        if (this.dead || !this.currentVehicle || !this.vehicleManager) return;
         
         // Only allow firing if we have a valid role
         if (this.currentVehicle.type === 'tank') {
@@ -0,0 +1,129 @@
+// Player Resources
+// Tracks the player's economy (credits, intel, salvage) and vitals (health, stamina)
+// and applies the deltas produced by ACTION_LIBRARY outcomes.
+
+import { CONFIG } from './config.js';
+
+export const RESOURCE_KEYS = ['credits', 'intel', 'salvage', 'health', 'stamina'];
+
+export class PlayerResources {
+    constructor() {
+        this.credits = 0;
+        this.intel = 0;
+        this.salvage = 0;
+        this.maxHealth = CONFIG.maxHealth;
+        this.health = this.maxHealth;
+        this.maxStamina = CONFIG.maxStamina;
+        this.stamina = this.maxStamina;
+        this.listeners = [];
+    }
+
+    get(key) {
+        return this[key] || 0;
+    }
+
+    // Check an action's up-front cost (e.g. { salvage: 4, stamina: 3 }) against current reserves.
+    // Returns null when affordable, otherwise a human readable reason.
+    checkCost(cost) {
+        if (!cost) return null;
+        for (const [key, amount] of Object.entries(cost)) {
+            if (!RESOURCE_KEYS.includes(key) || !amount) continue;
+            const have = this.get(key);
+            if (have < amount) {
+                return key === 'stamina'
+                    ? `Too exhausted (${Math.floor(have)}/${amount} stamina).`
+                    : `Requires ${amount} ${key} (have ${Math.floor(have)}).`;
+            }
+        }
+        return null;
+    }
+
+    canAfford(cost) {
+        return this.checkCost(cost) === null;
+    }
+
+    // Apply a set of signed deltas. Values are clamped to [0, max] and the
+    // actually applied change for each resource is returned.
+    applyDeltas(deltas) {
+        const applied = {};
+        if (!deltas) return applied;
+
+        RESOURCE_KEYS.forEach(key => {
+            const delta = deltas[key];
+            if (!delta) return;
+            const before = this.get(key);
+            this[key] = this.clamp(key, before + delta);
+            const change = this[key] - before;
+            if (change !== 0) applied[key] = change;
+        });
+
+        if (Object.keys(applied).length) {
+            this.notifyListeners('change', applied);
+        }
+        return applied;
+    }
+
+    // Per-frame stamina drain/recovery; HUD is refreshed by the caller
+    setStamina(value) {
+        this.stamina = this.clamp('stamina', value);
+    }
+
+    clamp(key, value) {
+        if (key === 'health') return Math.max(0, Math.min(this.maxHealth, value));
+        if (key === 'stamina') return Math.max(0, Math.min(this.maxStamina, value));
+        return Math.max(0, Math.round(value));
+    }
+
+    isCritical() {
+        return this.health <= this.maxHealth * 0.2;
+    }
+
+    // Summarise applied deltas for chat/status lines, e.g. "+12 credits, -3 salvage"
+    static describe(applied) {
+        return RESOURCE_KEYS
+            .filter(key => applied[key])
+            .map(key => `${applied[key] > 0 ? '+' : ''}${Math.round(applied[key])} ${key}`)
+            .join(', ');
+    }
+
+    // Event system
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    removeListener(callback) {
+        const index = this.listeners.indexOf(callback);
+        if (index > -1) {
+            this.listeners.splice(index, 1);
+        }
+    }
+
+    notifyListeners(action, applied) {
+        this.listeners.forEach(callback => {
+            callback(action, applied, this);
+        });
+    }
+
+    // Serialization
+    toJSON() {
+        return {
+            credits: this.credits,
+            intel: this.intel,
+            salvage: this.salvage,
+            health: this.health,
+            stamina: this.stamina
+        };
+    }
+
+    fromJSON(data) {
+        if (!data) return;
+        RESOURCE_KEYS.forEach(key => {
+            if (typeof data[key] === 'number') {
+                this[key] = this.clamp(key, data[key]);
+            }
+        });
+        this.notifyListeners('load', {});
+    }
+}
+
+export const playerResources = new PlayerResources();
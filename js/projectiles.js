@@ -0,0 +1,243 @@
+import { CONFIG } from './config.js';
+import { getTerrainHeight } from './terrain.js';
+
+// Projectiles
+// Ballistic rounds shared by VehicleManager and WarManager. A round falls with
+// `drop` times the world's gravity and stops at the first thing its path
+// crosses this frame: the terrain, a chunk collider from PhysicsSystem, or one
+// of the targets it was fired at. Rounds and impact flashes come from pools,
+// since machine guns fire several a second.
+
+const MAX_ROUNDS = 200;
+const IMPACT_TIME = 0.25;       // s an impact flash takes to fade
+
+export class ProjectileSystem {
+    constructor(scene, physics = null) {
+        this.scene = scene;
+        this.physics = physics;
+        this.gravity = CONFIG.gravity || 9.81;
+
+        this.rounds = [];
+        this.impacts = [];
+        this.roundPool = [];
+        this.impactPool = [];
+        this.roundGeometry = new THREE.CylinderGeometry(0.08, 0.08, 1.2, 6);
+        this.impactGeometry = new THREE.SphereGeometry(1, 10, 10);
+
+        // Reused every step
+        this.ray = new THREE.Ray();
+        this.hitPoint = new THREE.Vector3();
+        this.up = new THREE.Vector3(0, 1, 0);
+    }
+
+    /**
+     * Launch a round
+     * @param {Object} options
+     * @param {Object} options.position - Muzzle position
+     * @param {Object} options.velocity - m/s
+     * @param {number} [options.drop=0] - Fraction of world gravity the round falls with
+     * @param {number} [options.life=2] - s before it disappears without hitting anything
+     * @param {number} [options.color=0xffaa55]
+     * @param {number} [options.impact=0.6] - Radius of the impact flash (0 for none)
+     * @param {Array<THREE.Object3D>} [options.targets] - Objects it can hit besides the world
+     * @param {boolean} [options.burstOnExpire=false] - Flash where its life runs out, for
+     *   rounds drawn toward a hit point decided elsewhere (the server)
+     * @param {Function} [options.onImpact] - ({ point, type, object }) => void; type is
+     *   'terrain', 'collider' or 'target'
+     * @returns {Object|null} The round, or null if too many are in flight
+     */
+    fire(options) {
+        if (this.rounds.length >= MAX_ROUNDS) return null;
+
+        const mesh = this.roundPool.pop() || this.createRoundMesh();
+        mesh.material.color.setHex(options.color ?? 0xffaa55);
+        mesh.position.set(options.position.x, options.position.y, options.position.z);
+        mesh.visible = true;
+
+        const round = {
+            mesh,
+            velocity: new THREE.Vector3(options.velocity.x, options.velocity.y, options.velocity.z),
+            drop: options.drop || 0,
+            life: options.life ?? 2,
+            impact: options.impact ?? 0.6,
+            targets: options.targets || [],
+            burstOnExpire: options.burstOnExpire || false,
+            onImpact: options.onImpact || null
+        };
+        this.orient(round);
+        this.rounds.push(round);
+        return round;
+    }
+
+    update(delta) {
+        const colliderCache = new Map();
+        const targetBoxes = new Map();
+
+        for (let i = this.rounds.length - 1; i >= 0; i--) {
+            const round = this.rounds[i];
+            const from = round.mesh.position;
+            round.velocity.y -= this.gravity * round.drop * delta;
+            const step = round.velocity.clone().multiplyScalar(delta);
+            const to = from.clone().add(step);
+
+            const hit = this.findHit(from, to, round, colliderCache, targetBoxes);
+            round.life -= delta;
+            if (hit) {
+                this.spawnImpact(hit.point, round.impact, round.mesh.material.color.getHex());
+                if (round.onImpact) round.onImpact(hit);
+                this.releaseRound(i);
+                continue;
+            }
+            if (round.life <= 0) {
+                if (round.burstOnExpire) this.spawnImpact(to, round.impact, round.mesh.material.color.getHex());
+                this.releaseRound(i);
+                continue;
+            }
+
+            from.copy(to);
+            this.orient(round);
+        }
+
+        for (let i = this.impacts.length - 1; i >= 0; i--) {
+            const impact = this.impacts[i];
+            impact.age += delta;
+            const t = impact.age / IMPACT_TIME;
+            if (t >= 1) {
+                impact.mesh.visible = false;
+                this.impactPool.push(impact.mesh);
+                this.impacts.splice(i, 1);
+                continue;
+            }
+            impact.mesh.scale.setScalar(impact.radius * (0.6 + 0.4 * t));
+            impact.mesh.material.opacity = 0.8 * (1 - t);
+        }
+    }
+
+    /**
+     * First thing the segment from -> to passes through, or null
+     */
+    findHit(from, to, round, colliderCache, targetBoxes) {
+        const span = to.clone().sub(from);
+        const length = span.length();
+        if (length < 1e-6) return null;
+        this.ray.set(from, span.divideScalar(length));
+
+        let best = null;
+        let bestDistance = length;
+
+        // Terrain: find where the segment crosses the ground by bisection
+        if (to.y <= getTerrainHeight(to.x, to.z)) {
+            let lo = 0, hi = 1;
+            for (let k = 0; k < 8; k++) {
+                const mid = (lo + hi) / 2;
+                const y = from.y + (to.y - from.y) * mid;
+                const x = from.x + (to.x - from.x) * mid;
+                const z = from.z + (to.z - from.z) * mid;
+                if (y <= getTerrainHeight(x, z)) hi = mid; else lo = mid;
+            }
+            bestDistance = hi * length;
+            best = { point: from.clone().lerp(to, hi), type: 'terrain', object: null };
+        }
+
+        // Chunk colliders (buildings, walls) around the round
+        if (this.physics) {
+            const key = `${Math.floor(from.x / CONFIG.chunkSize)},${Math.floor(from.z / CONFIG.chunkSize)}`;
+            let boxes = colliderCache.get(key);
+            if (!boxes) {
+                boxes = this.physics.getNearbyColliders(from);
+                colliderCache.set(key, boxes);
+            }
+            for (const box of boxes) {
+                if (!this.ray.intersectBox(box, this.hitPoint)) continue;
+                const distance = this.hitPoint.distanceTo(from);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = { point: this.hitPoint.clone(), type: 'collider', object: box.owner || null };
+                }
+            }
+        }
+
+        for (const target of round.targets) {
+            if (!target.parent) continue; // Removed from the scene since
+            let box = targetBoxes.get(target);
+            if (!box) {
+                box = new THREE.Box3().setFromObject(target);
+                targetBoxes.set(target, box);
+            }
+            if (!this.ray.intersectBox(box, this.hitPoint)) continue;
+            const distance = this.hitPoint.distanceTo(from);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = { point: this.hitPoint.clone(), type: 'target', object: target };
+            }
+        }
+
+        return best;
+    }
+
+    spawnImpact(point, radius, color) {
+        if (!(radius > 0)) return;
+        const mesh = this.impactPool.pop() || this.createImpactMesh();
+        mesh.material.color.setHex(color);
+        mesh.material.opacity = 0.8;
+        mesh.position.copy(point);
+        mesh.scale.setScalar(radius * 0.6);
+        mesh.visible = true;
+        this.impacts.push({ mesh, radius, age: 0 });
+    }
+
+    // Point the round along its flight path
+    orient(round) {
+        if (round.velocity.lengthSq() < 1e-8) return;
+        round.mesh.quaternion.setFromUnitVectors(this.up, round.velocity.clone().normalize());
+    }
+
+    releaseRound(index) {
+        const round = this.rounds[index];
+        round.mesh.visible = false;
+        this.roundPool.push(round.mesh);
+        this.rounds.splice(index, 1);
+    }
+
+    createRoundMesh() {
+        const mesh = new THREE.Mesh(this.roundGeometry, new THREE.MeshBasicMaterial({ color: 0xffaa55 }));
+        mesh.userData.noCollision = true;
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    createImpactMesh() {
+        const mesh = new THREE.Mesh(
+            this.impactGeometry,
+            new THREE.MeshBasicMaterial({ color: 0xffaa00, transparent: true, opacity: 0.8 })
+        );
+        mesh.userData.noCollision = true;
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    clear() {
+        for (let i = this.rounds.length - 1; i >= 0; i--) this.releaseRound(i);
+        this.impacts.forEach(impact => {
+            impact.mesh.visible = false;
+            this.impactPool.push(impact.mesh);
+        });
+        this.impacts = [];
+    }
+}
+
+/**
+ * Launch velocity that carries a round from `from` to `to` at roughly `speed`,
+ * lifted to make up for the drop over the flight time
+ */
+export function aimVelocity(from, to, speed, drop = 0, gravity = CONFIG.gravity) {
+    const dx = to.x - from.x, dy = to.y - from.y, dz = to.z - from.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (distance < 1e-6) return { x: 0, y: 0, z: 0 };
+    const time = distance / speed;
+    return {
+        x: dx / time,
+        y: dy / time + 0.5 * gravity * drop * time,
+        z: dz / time
+    };
+}
@@ -0,0 +1,351 @@
+// Save Game
+// Versioned save slots for the local player: controller state, resources, inventory,
+// equipment/buffs, environment time/weather, discovered areas and persistent object state.
+// Offline saves go to IndexedDB (localStorage when unavailable); while connected to a
+// server that advertises a save store they are written server-side instead.
+
+import { CONFIG } from './config.js';
+import { MessageType } from './network-manager.js';
+
+export const SAVE_VERSION = 1;
+export const AUTOSAVE_SLOT = 'autosave';
+export const MAX_SAVE_SLOTS = 8;
+
+const SLOT_PATTERN = /^[a-z0-9_-]{1,24}$/;
+const SERVER_TIMEOUT = 5000; // ms
+
+// Migration hooks: MIGRATIONS.get(n) upgrades a version-n save to version n + 1
+const MIGRATIONS = new Map();
+
+export function registerSaveMigration(fromVersion, migrate) {
+    MIGRATIONS.set(fromVersion, migrate);
+}
+
+export function migrateSave(save) {
+    if (!save || typeof save !== 'object') {
+        throw new Error('Save data is empty or corrupt');
+    }
+    let data = save;
+    let version = typeof data.version === 'number' ? data.version : 0;
+    if (version > SAVE_VERSION) {
+        throw new Error(`Save version ${version} is newer than this build (${SAVE_VERSION})`);
+    }
+    while (version < SAVE_VERSION) {
+        const migrate = MIGRATIONS.get(version);
+        if (!migrate) throw new Error(`No migration from save version ${version}`);
+        data = { ...migrate(data), version: version + 1 };
+        version++;
+    }
+    return data;
+}
+
+export function normalizeSlot(slot) {
+    const name = String(slot || AUTOSAVE_SLOT).trim().toLowerCase();
+    if (!SLOT_PATTERN.test(name)) {
+        throw new Error('Slot names use 1-24 letters, digits, - or _');
+    }
+    return name;
+}
+
+// Slot listing entry derived from a stored save
+function describeSave(slot, save) {
+    return {
+        slot,
+        version: save?.version ?? 0,
+        savedAt: save?.savedAt || 0,
+        label: save?.label || ''
+    };
+}
+
+// ============================================
+// STORAGE BACKENDS - list/read/write/remove, all async
+// ============================================
+
+export class LocalSaveStorage {
+    constructor(prefix = 'cyberia.save.') {
+        this.prefix = prefix;
+        this.where = 'localStorage';
+    }
+
+    async list() {
+        const slots = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(this.prefix)) continue;
+            const slot = key.slice(this.prefix.length);
+            try {
+                slots.push(describeSave(slot, JSON.parse(localStorage.getItem(key))));
+            } catch (error) {
+                slots.push(describeSave(slot, null));
+            }
+        }
+        return slots;
+    }
+
+    async read(slot) {
+        const text = localStorage.getItem(this.prefix + slot);
+        return text ? JSON.parse(text) : null;
+    }
+
+    async write(slot, save) {
+        localStorage.setItem(this.prefix + slot, JSON.stringify(save));
+    }
+
+    async remove(slot) {
+        localStorage.removeItem(this.prefix + slot);
+    }
+}
+
+export class IndexedDBSaveStorage {
+    constructor(dbName = 'cyberia', storeName = 'saves') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.where = 'IndexedDB';
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'slot' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transact(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async list() {
+        const records = await this.transact('readonly', store => store.getAll());
+        return records.map(record => describeSave(record.slot, record.save));
+    }
+
+    async read(slot) {
+        const record = await this.transact('readonly', store => store.get(slot));
+        return record ? record.save : null;
+    }
+
+    async write(slot, save) {
+        await this.transact('readwrite', store => store.put({ slot, save }));
+    }
+
+    async remove(slot) {
+        await this.transact('readwrite', store => store.delete(slot));
+    }
+}
+
+// Request/response over the game socket; the server keys slots by player
+export class ServerSaveStorage {
+    constructor(networkManager) {
+        this.networkManager = networkManager;
+        this.where = 'server';
+        this.pending = new Map(); // requestId -> { resolve, reject, timer }
+        this.requestCounter = 0;
+
+        networkManager.registerMessageHandler(MessageType.SAVE_GAME_RESULT, (data) => {
+            this.handleResult(data);
+        });
+    }
+
+    request(op, payload = {}) {
+        const requestId = ++this.requestCounter;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(requestId);
+                reject(new Error('Save server did not respond'));
+            }, SERVER_TIMEOUT);
+            this.pending.set(requestId, { resolve, reject, timer });
+
+            if (!this.networkManager.send(MessageType.SAVE_GAME, { requestId, op, ...payload })) {
+                clearTimeout(timer);
+                this.pending.delete(requestId);
+                reject(new Error('Not connected to the save server'));
+            }
+        });
+    }
+
+    handleResult(data) {
+        const pending = this.pending.get(data?.requestId);
+        if (!pending) return;
+        this.pending.delete(data.requestId);
+        clearTimeout(pending.timer);
+        if (data.ok) {
+            pending.resolve(data);
+        } else {
+            pending.reject(new Error(data.reason || 'Save request rejected'));
+        }
+    }
+
+    async list() {
+        return (await this.request('list')).slots || [];
+    }
+
+    // Position and resources in the returned save are the server's current ones:
+    // loading a server save never rewinds the ledger or moves the player
+    async read(slot) {
+        return (await this.request('load', { slot })).save || null;
+    }
+
+    async write(slot, save) {
+        await this.request('write', { slot, save });
+    }
+
+    async remove(slot) {
+        await this.request('delete', { slot });
+    }
+}
+
+// ============================================
+// SAVE GAME MANAGER
+// ============================================
+
+export class SaveGameManager {
+    constructor({ playerController, worldManager, environment, inventory, resources, effects }) {
+        this.playerController = playerController;
+        this.worldManager = worldManager;
+        this.environment = environment;
+        this.inventory = inventory;
+        this.resources = resources;
+        this.effects = effects;
+
+        this.localStorage = typeof indexedDB !== 'undefined'
+            ? new IndexedDBSaveStorage()
+            : new LocalSaveStorage();
+        this.serverStorage = null;
+        this.networkManager = null;
+
+        this.autosaveTimer = 0;
+        this.busy = false;
+    }
+
+    setNetworkManager(networkManager) {
+        this.networkManager = networkManager;
+        this.serverStorage = new ServerSaveStorage(networkManager);
+    }
+
+    isServerBacked() {
+        return !!(this.serverStorage && this.networkManager.isConnected && this.networkManager.serverSaveStore);
+    }
+
+    getStorage() {
+        return this.isServerBacked() ? this.serverStorage : this.localStorage;
+    }
+
+    // Run a storage call, dropping to localStorage if IndexedDB cannot be opened
+    async withStorage(operation) {
+        const storage = this.getStorage();
+        try {
+            return await operation(storage);
+        } catch (error) {
+            if (storage !== this.localStorage || storage instanceof LocalSaveStorage) throw error;
+            console.warn('[SaveGame] IndexedDB unavailable, using localStorage:', error);
+            this.localStorage = new LocalSaveStorage();
+            return operation(this.localStorage);
+        }
+    }
+
+    capture() {
+        const pos = this.playerController.char.group.position;
+        const cx = Math.floor(pos.x / CONFIG.chunkSize);
+        const cz = Math.floor(pos.z / CONFIG.chunkSize);
+        const interaction = this.worldManager.interactionManager;
+
+        return {
+            version: SAVE_VERSION,
+            savedAt: Date.now(),
+            label: this.worldManager.generateAreaName(cx, cz, false),
+            player: this.playerController.toJSON(),
+            resources: this.resources.toJSON(),
+            inventory: this.inventory.toJSON(),
+            effects: this.effects?.toJSON(),
+            environment: this.environment.toJSON(),
+            world: {
+                discoveredAreas: this.worldManager.getDiscoveredAreas(),
+                objects: interaction.objectStates.toJSON()
+            }
+        };
+    }
+
+    apply(save) {
+        const data = migrateSave(save);
+        const interaction = this.worldManager.interactionManager;
+
+        this.playerController.fromJSON(data.player);
+        if (data.resources) this.resources.fromJSON(data.resources);
+        if (data.inventory) this.inventory.fromJSON(data.inventory);
+        if (data.effects && this.effects) this.effects.fromJSON(data.effects);
+        this.environment.fromJSON(data.environment);
+        this.worldManager.restoreDiscoveredAreas(data.world?.discoveredAreas);
+
+        // Shared servers own object state; only offline loads rewrite it
+        if (!interaction.isServerAuthoritative()) {
+            interaction.restoreObjectStates(data.world?.objects);
+        }
+        return data;
+    }
+
+    async save(slot = AUTOSAVE_SLOT) {
+        const name = normalizeSlot(slot);
+        const save = this.capture();
+        const where = await this.withStorage(async storage => {
+            if (name !== AUTOSAVE_SLOT) {
+                const slots = await storage.list();
+                if (!slots.some(entry => entry.slot === name) && slots.length >= MAX_SAVE_SLOTS) {
+                    throw new Error(`All ${MAX_SAVE_SLOTS} save slots are in use`);
+                }
+            }
+            await storage.write(name, save);
+            return storage.where;
+        });
+        console.log(`[SaveGame] Saved slot "${name}" to ${where}`);
+        return { slot: name, where, save };
+    }
+
+    async load(slot = AUTOSAVE_SLOT) {
+        const name = normalizeSlot(slot);
+        const { save, where } = await this.withStorage(async storage => ({
+            save: await storage.read(name),
+            where: storage.where
+        }));
+        if (!save) throw new Error(`No save in slot "${name}"`);
+
+        const data = this.apply(save);
+        console.log(`[SaveGame] Loaded slot "${name}" (v${save.version ?? 0}) from ${where}`);
+        return { slot: name, where, save: data };
+    }
+
+    async listSlots() {
+        const slots = await this.withStorage(storage => storage.list());
+        return slots.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    async deleteSlot(slot) {
+        const name = normalizeSlot(slot);
+        await this.withStorage(storage => storage.remove(name));
+        return name;
+    }
+
+    update(delta) {
+        if (!CONFIG.autosaveInterval || this.busy) return;
+        this.autosaveTimer += delta;
+        if (this.autosaveTimer < CONFIG.autosaveInterval) return;
+        this.autosaveTimer = 0;
+
+        this.busy = true;
+        this.save(AUTOSAVE_SLOT)
+            .catch(error => console.warn('[SaveGame] Autosave failed:', error))
+            .finally(() => { this.busy = false; });
+    }
+}
@@ -1,3 +1,9 @@
+// World Generation
+// Terrain height, biomes and city influence. This is the only terrain generator:
+// the browser client builds chunk meshes from it and the Node server builds its
+// physics heightfields from it, so it must stay free of DOM/THREE dependencies.
+// js/worldgen-golden.json locks its output at fixed coordinates (see worldgen-golden.js).
+
 import { CONFIG, BIOMES, CITY_BIOME, URBAN_BIOMES, getUrbanBiomeType } from './config.js';
 import { evaluateCityHeight } from './city-terrain-regulator.js';
 
@@ -5,6 +11,18 @@ function lerp(a, b, t) {
     return a + (b - a) * t;
 }
 
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Same curve as THREE.MathUtils.smoothstep, kept local so worldgen runs without THREE (server)
+function smoothstep(x, min, max) {
+    if (x <= min) return 0;
+    if (x >= max) return 1;
+    const t = (x - min) / (max - min);
+    return t * t * (3 - 2 * t);
+}
+
 function fade(t) {
     return t * t * t * (t * (t * 6 - 15) + 10);
 }
@@ -148,7 +166,7 @@ function blendedBiome(wx, wz) {
     const tx = Math.min(lx / size, 1 - lx / size);
     const tz = Math.min(lz / size, 1 - lz / size);
     const edge = Math.min(tx, tz);
-    const blendStrength = THREE.MathUtils.smoothstep(edge, 0, CONFIG.edgeBlendDistance / size);
+    const blendStrength = smoothstep(edge, 0, CONFIG.edgeBlendDistance / size);
 
     const mixTarget = neighbors[Math.floor(hash(cx, cz) * neighbors.length)];
     return blendBiomes(biome, mixTarget, blendStrength);
@@ -171,8 +189,8 @@ function cityMask(wx, wz) {
     const field = zoneField(wx, wz);
     const rings = perlin((wx + 1200) * 0.002, (wz - 800) * 0.002) * 0.12;
     const edgeNoise = perlin(wx * 0.008, wz * 0.008) * 0.15;
-    const intensity = THREE.MathUtils.clamp((field * 0.8 + rings + edgeNoise) * 0.85 + 0.25, -1, 1);
-    return THREE.MathUtils.smoothstep(intensity, CONFIG.cityThreshold - 0.15, CONFIG.cityThreshold + 0.15);
+    const intensity = clamp((field * 0.8 + rings + edgeNoise) * 0.85 + 0.25, -1, 1);
+    return smoothstep(intensity, CONFIG.cityThreshold - 0.15, CONFIG.cityThreshold + 0.15);
 }
 
 export function getCityInfluence(wx, wz) {
@@ -293,13 +311,17 @@ export function biomeInfoAtPosition(wx, wz) {
     return blendedBiome(wx, wz);
 }
 
-export function decorateTerrainNormal(wx, wz) {
+// Unit surface normal as a plain {x, y, z} (wrap in THREE.Vector3 on the client if needed)
+export function getTerrainNormal(wx, wz) {
     const eps = 0.5;
     const hL = getTerrainHeight(wx - eps, wz);
     const hR = getTerrainHeight(wx + eps, wz);
     const hD = getTerrainHeight(wx, wz - eps);
     const hU = getTerrainHeight(wx, wz + eps);
-    const normal = new THREE.Vector3(hL - hR, 2 * eps, hD - hU);
-    normal.normalize();
-    return normal;
+
+    const x = hL - hR;
+    const y = 2 * eps;
+    const z = hD - hU;
+    const len = Math.sqrt(x * x + y * y + z * z);
+    return { x: x / len, y: y / len, z: z / len };
 }
@@ -3,6 +3,7 @@ import { getCityInfluence } from './terrain.js';
 import { Character } from './character.js';
 
 let interactionCallbacks = null;
+let respawnTimer = null;
 
 export function logChat(user, msg) {
     const log = document.getElementById('chat-log');
@@ -153,12 +154,19 @@ export function showInteractionPanel(target, onAction, onClose, seatList = null)
     title.textContent = `${target.def.name} (${target.def.rarity})`;
     const infoLines = [];
     if (!seatList) {
-        infoLines.push(target.locked ? `Cooldown: ${target.remaining}s` : 'Online');
+        if (target.state?.disabled) {
+            infoLines.push(`OFFLINE (repair ${Math.floor(target.state.repairProgress)}%)`);
+        } else {
+            infoLines.push(target.locked ? `Cooldown: ${target.remaining}s` : 'Online');
+        }
         if (target.def.energy) infoLines.push(`Energy: ${target.def.energy}mw`);
         if (target.def.category) infoLines.push(`Category: ${target.def.category}`);
         if (target.readings) {
             infoLines.push(`Integrity ${target.readings.integrity}% | Risk ${target.readings.risk}`);
         }
+        if (target.state) {
+            infoLines.push(`Security ${target.state.security} | Signal ${target.state.signal}${target.state.signal <= 0 ? ' (depleted)' : ''}`);
+        }
     } else {
         infoLines.push('Select a seat to enter');
     }
@@ -180,7 +188,7 @@ export function showInteractionPanel(target, onAction, onClose, seatList = null)
             const btn = document.createElement('button');
             btn.className = 'action-btn';
             btn.textContent = action.toUpperCase();
-            btn.disabled = !!target.locked;
+            btn.disabled = !!target.locked || !!target.blockedActions?.includes(action);
             btn.addEventListener('click', () => handleAction(action));
             actions.appendChild(btn);
         });
@@ -208,6 +216,65 @@ export function updateInteractionStatus(text) {
     if (status) status.textContent = text;
 }
 
+export function updateVitalsHUD(resources) {
+    const health = document.getElementById('hud-health-fill');
+    if (health) {
+        health.style.width = `${(resources.health / resources.maxHealth) * 100}%`;
+    }
+    const stamina = document.getElementById('hud-stamina-fill');
+    if (stamina) {
+        stamina.style.width = `${(resources.stamina / resources.maxStamina) * 100}%`;
+    }
+    const ledger = document.getElementById('hud-resources');
+    if (ledger) {
+        const text = `¤${resources.credits} • INT ${resources.intel} • SLV ${resources.salvage}`;
+        if (ledger.textContent !== text) ledger.textContent = text;
+    }
+}
+
+// Death screen: spawn point buttons unlock once the server's respawn delay runs out
+export function showRespawnPanel(death, onChoose) {
+    const panel = document.getElementById('respawn-panel');
+    const desc = document.getElementById('respawn-desc');
+    const status = document.getElementById('respawn-status');
+    const actions = document.getElementById('respawn-actions');
+    if (!panel) return;
+
+    desc.textContent = death.killerName
+        ? `Killed by ${death.killerName} (${death.cause})`
+        : `Cause: ${death.cause || 'unknown'}`;
+
+    actions.innerHTML = '';
+    const buttons = (death.spawnPoints || []).map(point => {
+        const btn = document.createElement('button');
+        btn.className = 'action-btn';
+        btn.textContent = point.label.toUpperCase();
+        btn.addEventListener('click', () => onChoose(point.id));
+        actions.appendChild(btn);
+        return btn;
+    });
+
+    const readyAt = Date.now() + (death.respawnIn || 0);
+    const tick = () => {
+        const remaining = Math.max(0, readyAt - Date.now());
+        status.textContent = remaining > 0 ? `Respawn in ${(remaining / 1000).toFixed(1)}s` : 'Choose where to respawn.';
+        buttons.forEach(btn => { btn.disabled = remaining > 0; });
+        if (remaining <= 0) clearInterval(respawnTimer);
+    };
+    clearInterval(respawnTimer);
+    respawnTimer = setInterval(tick, 100);
+    tick();
+
+    panel.style.display = 'block';
+}
+
+export function hideRespawnPanel() {
+    clearInterval(respawnTimer);
+    respawnTimer = null;
+    const panel = document.getElementById('respawn-panel');
+    if (panel) panel.style.display = 'none';
+}
+
 export function showInteractionPrompt(text) {
     const prompt = document.getElementById('interaction-prompt');
     prompt.style.display = 'block';
@@ -2,13 +2,15 @@ import { getTerrainHeight } from './terrain.js';
 import { NetworkEntityType, NetworkVehicle, MessageType } from './network-manager.js';
 import { CONFIG } from './config.js';
 import { quaternionToEuler } from './physics-network-client.js';
+import { VEHICLE_WEAPONS, getVehicleWeapon, getVehicleBomb, getVehicleTurret, stepTurretAim, getMuzzlePosition, getBarrelDirection, headingFromQuaternion } from './vehicle-weapons.js';
+import { aimVelocity } from './projectiles.js';
 
 export class VehicleManager {
     constructor(scene, physics) {
         this.scene = scene;
         this.physics = physics;
         this.vehicles = [];
-        this.projectiles = [];
+        this.projectiles = null;    // ProjectileSystem, shared with WarManager
         this.bombs = [];
         this.raycaster = new THREE.Raycaster();
         this.networkManager = null;
@@ -22,6 +24,11 @@ export class VehicleManager {
         // Server physics mode
         this.useServerPhysics = false;
         this.vehicleIdMap = new Map(); // entityId -> vehicle
+        this.onVehicleWrecked = null;  // (vehicle) => void
+
+        // Turret aim we aim ourselves is predicted; synced aim is ignored meanwhile
+        this.turretAimSendInterval = 0.1;  // s
+        this.localAimHold = 500;           // ms after our last aim
     }
 
     setNetworkManager(networkManager) {
@@ -31,6 +38,10 @@ export class VehicleManager {
         }
     }
 
+    setProjectiles(projectiles) {
+        this.projectiles = projectiles;
+    }
+
     setPhysicsNetworkClient(physicsNetworkClient) {
         this.physicsNetworkClient = physicsNetworkClient;
         if (physicsNetworkClient) {
@@ -63,7 +74,8 @@ export class VehicleManager {
             const euler = quaternionToEuler(state.rotation);
             vehicle.body.rotation.set(euler.x, euler.y, euler.z, 'YXZ');
             vehicle.tilt.set(euler.x, euler.y, euler.z, 'YXZ');
-            vehicle.heading = euler.y;
+            // True yaw; euler.y folds headings past 90 degrees back towards the front
+            vehicle.heading = headingFromQuaternion(state.rotation);
         }
 
         if (state.velocity) {
@@ -78,6 +90,8 @@ export class VehicleManager {
             );
         }
 
+        if (state.turretYaw !== undefined) this.applyTurretState(vehicle, state.turretYaw, state.cannonPitch);
+
         // Update mesh position/rotation
         vehicle.mesh.position.copy(vehicle.body.position);
         vehicle.mesh.rotation.copy(vehicle.tilt);
@@ -116,6 +130,7 @@ export class VehicleManager {
                 this.vehicleIdMap.set(data.id, vehicle);
             }
         }
+        if (vehicle && data.damage) this.applyDamageState(vehicle, data.damage);
         const networkEntity = new NetworkVehicle(data.id);
         networkEntity.vehicleRef = vehicle;
         if (data.ownerId) networkEntity.ownerId = data.ownerId;
@@ -143,11 +158,13 @@ export class VehicleManager {
         vehicle.mesh.rotation.copy(vehicle.tilt);
 
         if (data.targetAltitude !== undefined) vehicle.targetAltitude = data.targetAltitude;
+        if (data.turretYaw !== undefined) this.applyTurretState(vehicle, data.turretYaw, data.cannonPitch);
     }
 
     handleNetworkVehicleDestroy(entity) {
         const vehicle = entity.vehicleRef;
         if (!vehicle) return;
+        this.vehicleIdMap.delete(entity.networkId);
         const idx = this.vehicles.indexOf(vehicle);
         if (idx >= 0) {
             this.scene.remove(vehicle.mesh);
@@ -186,6 +203,8 @@ export class VehicleManager {
             tiltX: vehicle.tiltX || 0,
             tiltZ: vehicle.tiltZ || 0,
             targetAltitude: vehicle.targetAltitude || 0,
+            turretYaw: vehicle.turretYaw || 0,
+            cannonPitch: vehicle.cannonPitch || 0,
             occupants
         });
     }
@@ -207,13 +226,18 @@ export class VehicleManager {
         const hull = new THREE.Mesh(new THREE.BoxGeometry(5.6, 2.2, 8.5), new THREE.MeshStandardMaterial({ color: 0x36423c }));
         hull.position.y = 1.2;
         group.add(hull);
-        const turret = new THREE.Mesh(new THREE.BoxGeometry(3.2, 1.4, 3.2), new THREE.MeshStandardMaterial({ color: 0x3f4d45 }));
+        // Turret turns about its centre; the barrel elevates about the mantlet
+        const turret = new THREE.Group();
         turret.position.y = 2.6;
         group.add(turret);
+        turret.add(new THREE.Mesh(new THREE.BoxGeometry(3.2, 1.4, 3.2), new THREE.MeshStandardMaterial({ color: 0x3f4d45 })));
+        const barrelPivot = new THREE.Group();
+        barrelPivot.position.z = 1.5;
+        turret.add(barrelPivot);
         const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 5.5, 12), new THREE.MeshStandardMaterial({ color: 0x1f1f1f }));
         barrel.rotation.x = Math.PI / 2;
-        barrel.position.set(0, 2.6, 4.2);
-        group.add(barrel);
+        barrel.position.z = 2.7;
+        barrelPivot.add(barrel);
         const topGunMount = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.35, 0.6, 10), new THREE.MeshStandardMaterial({ color: 0x252525 }));
         topGunMount.position.set(0, 3.2, -0.4);
         group.add(topGunMount);
@@ -264,6 +288,10 @@ export class VehicleManager {
             },
             turretYaw: 0,
             cannonPitch: 0,
+            turretMesh: turret,
+            barrelMesh: barrelPivot,
+            turretAimTimer: 0,
+            lastLocalAim: 0,
             seats: [
                 { role: 'driver', occupant: null, offset: new THREE.Vector3(0, 1.4, -1) },
                 { role: 'top-gunner', occupant: null, offset: new THREE.Vector3(0, 3.2, -0.4) }
@@ -487,7 +515,6 @@ export class VehicleManager {
         }
 
         if (shouldSync) this.lastSyncTime = 0;
-        this.updateProjectiles(delta);
         this.updateBombs(delta);
     }
 
@@ -666,43 +693,33 @@ export class VehicleManager {
         body.angularVelocity.add(torque.divideScalar(inertia));
     }
 
-    // ... (Keep existing projectile, bomb, tracer methods) ...
-    updateProjectiles(delta) {
-        for (let i = this.projectiles.length - 1; i >= 0; i--) {
-            const proj = this.projectiles[i];
-            proj.mesh.position.addScaledVector(proj.velocity, delta);
-            proj.life -= delta;
-            if (proj.life <= 0) {
-                this.scene.remove(proj.mesh);
-                this.projectiles.splice(i, 1);
-            }
-        }
-    }
-
+    // ... (Keep existing bomb methods) ...
+    // Server bombs (with an id) rest on the ground until the server says where
+    // they burst, or for a few seconds if we never hear; offline ones burst
+    // where they land
     updateBombs(delta) {
         for (let i = this.bombs.length - 1; i >= 0; i--) {
             const bomb = this.bombs[i];
-            bomb.velocity.y -= 9.8 * delta;
+            bomb.velocity.y -= this.GRAVITY * delta;
             bomb.mesh.position.addScaledVector(bomb.velocity, delta);
             const ground = getTerrainHeight(bomb.mesh.position.x, bomb.mesh.position.z);
-            if (bomb.mesh.position.y <= ground + 0.5) {
-                this.createExplosion(bomb.mesh.position, 6);
+            if (bomb.mesh.position.y > ground + 0.5) continue;
+
+            if (bomb.id) {
+                bomb.mesh.position.y = ground + 0.5;
+                bomb.velocity.set(0, 0, 0);
+                bomb.resting = (bomb.resting || 0) + delta;
+                if (bomb.resting < 3) continue;
                 this.scene.remove(bomb.mesh);
                 this.bombs.splice(i, 1);
+                continue;
             }
+            this.createExplosion(bomb.mesh.position, bomb.radius);
+            this.scene.remove(bomb.mesh);
+            this.bombs.splice(i, 1);
         }
     }
 
-    createTracer(position, direction, color = 0xffaa55, life = 0.8, speed = 120) {
-        const geo = new THREE.CylinderGeometry(0.08, 0.08, 1.2, 6);
-        const mat = new THREE.MeshBasicMaterial({ color });
-        const tracer = new THREE.Mesh(geo, mat);
-        tracer.position.copy(position);
-        tracer.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.clone().normalize());
-        this.scene.add(tracer);
-        this.projectiles.push({ mesh: tracer, velocity: direction.clone().setLength(speed), life });
-    }
-
     createExplosion(position, radius = 4) {
         const mesh = new THREE.Mesh(new THREE.SphereGeometry(radius, 10, 10), new THREE.MeshBasicMaterial({ color: 0xffaa00, transparent: true, opacity: 0.7 }));
         mesh.position.copy(position);
@@ -710,55 +727,233 @@ export class VehicleManager {
         setTimeout(() => this.scene.remove(mesh), 300);
     }
 
-    dropBomb(vehicle) {
-        if (vehicle.bombCooldown > 0) return;
-        const bomb = new THREE.Mesh(new THREE.SphereGeometry(0.4, 6, 6), new THREE.MeshStandardMaterial({ color: 0x222222 }));
-        const start = vehicle.mesh.position.clone().add(new THREE.Vector3(0, -1.5, 0));
-        bomb.position.copy(start);
-        this.scene.add(bomb);
-        this.bombs.push({ mesh: bomb, velocity: vehicle.body.velocity.clone().add(new THREE.Vector3(0, -4, 0)) });
-        vehicle.bombCooldown = 2.5;
+    // With server physics the bomb is only requested; it appears when the
+    // server echoes the drop
+    dropBomb(vehicle, seatRole) {
+        const spec = getVehicleBomb(vehicle.type);
+        if (!spec || vehicle.bombCooldown > 0) return;
+        vehicle.bombCooldown = spec.cooldown;
+
+        if (this.useServerPhysics && this.physicsNetworkClient && vehicle.networkId) {
+            this.physicsNetworkClient.sendBombDrop(vehicle.networkId, seatRole);
+            return;
+        }
+        const start = getMuzzlePosition(spec, vehicle.mesh.position, vehicle.heading);
+        const velocity = vehicle.body.velocity.clone().add(new THREE.Vector3(0, -spec.dropSpeed, 0));
+        this.spawnBomb(null, start, velocity, spec.blast.radius);
+    }
+
+    spawnBomb(id, position, velocity, radius) {
+        const mesh = new THREE.Mesh(new THREE.SphereGeometry(0.4, 6, 6), new THREE.MeshStandardMaterial({ color: 0x222222 }));
+        mesh.position.set(position.x, position.y, position.z);
+        this.scene.add(mesh);
+        this.bombs.push({ id, mesh, velocity: new THREE.Vector3(velocity.x, velocity.y, velocity.z), radius });
+    }
+
+    // Server-dropped bomb: draw the fall from the release point
+    handleBombDrop(data) {
+        if (!data?.id || !data.position || !data.velocity) return;
+        const vehicle = this.vehicleIdMap.get(data.vehicleId);
+        const spec = vehicle ? getVehicleBomb(vehicle.type) : null;
+        this.spawnBomb(data.id, data.position, data.velocity, spec ? spec.blast.radius : 6);
+    }
+
+    // Server-decided burst: the bomb (if we saw it fall) goes, the flash shows
+    handleExplosion(data) {
+        if (!data?.position) return;
+        const index = this.bombs.findIndex(bomb => bomb.id === data.id);
+        if (index !== -1) {
+            this.scene.remove(this.bombs[index].mesh);
+            this.bombs.splice(index, 1);
+        }
+        const position = new THREE.Vector3(data.position.x, data.position.y, data.position.z);
+        this.createExplosion(position, data.radius || 6);
+    }
+
+    // Seat that aims the turret: the first occupied one the turret lists
+    getTurretSeat(vehicle) {
+        const turret = getVehicleTurret(vehicle.type);
+        if (!turret) return null;
+        return turret.seats.find(role => vehicle.seats.some(seat => seat.role === role && seat.occupant)) || null;
+    }
+
+    // Turn our turret toward the aim (yaw relative to the hull) at its rate
+    // limits, and tell the server where we want it
+    aimTurret(vehicle, seatRole, aim, delta) {
+        const turret = getVehicleTurret(vehicle.type);
+        if (!turret || vehicle.damage?.wrecked) return;
+
+        const next = stepTurretAim(turret, { yaw: vehicle.turretYaw, pitch: vehicle.cannonPitch }, aim, delta);
+        vehicle.turretYaw = next.yaw;
+        vehicle.cannonPitch = next.pitch;
+        vehicle.lastLocalAim = performance.now();
+        this.updateTurretMesh(vehicle);
+
+        vehicle.turretAimTimer -= delta;
+        if (vehicle.turretAimTimer > 0) return;
+        vehicle.turretAimTimer = this.turretAimSendInterval;
+        if (this.useServerPhysics && this.physicsNetworkClient && vehicle.networkId) {
+            this.physicsNetworkClient.sendTurretAim(vehicle.networkId, seatRole, aim.yaw, aim.pitch);
+        }
+    }
+
+    // Synced turret angles, unless we are aiming this turret ourselves
+    applyTurretState(vehicle, yaw, pitch) {
+        if (!vehicle.turretMesh) return;
+        if (performance.now() - vehicle.lastLocalAim < this.localAimHold) return;
+        vehicle.turretYaw = yaw;
+        vehicle.cannonPitch = pitch || 0;
+        this.updateTurretMesh(vehicle);
+    }
+
+    updateTurretMesh(vehicle) {
+        if (!vehicle.turretMesh) return;
+        vehicle.turretMesh.rotation.y = vehicle.turretYaw;
+        vehicle.barrelMesh.rotation.x = -vehicle.cannonPitch;
     }
 
     fireWeapon(vehicle, seatRole, direction) {
+        const forward = new THREE.Vector3(Math.sin(vehicle.heading), 0, Math.cos(vehicle.heading));
         if (vehicle.type === 'tank') {
             if (seatRole === 'driver' && vehicle.weaponCooldown <= 0) {
-                const muzzle = vehicle.mesh.position.clone().add(new THREE.Vector3(0, 2.6, 4.2).applyAxisAngle(new THREE.Vector3(0, 1, 0), vehicle.turretYaw + vehicle.heading));
-                const dir = new THREE.Vector3(Math.sin(vehicle.turretYaw + vehicle.heading), Math.sin(vehicle.cannonPitch), Math.cos(vehicle.turretYaw + vehicle.heading)).normalize();
-                this.createTracer(muzzle, dir, 0xffd18f, 1.4, 160);
-                vehicle.weaponCooldown = 2.2;
-                this.createExplosion(muzzle.clone().add(dir.clone().multiplyScalar(2)), 1.2);
+                const barrel = getBarrelDirection(vehicle.heading, { yaw: vehicle.turretYaw, pitch: vehicle.cannonPitch });
+                const dir = new THREE.Vector3(barrel.x, barrel.y, barrel.z);
+                const muzzle = this.shoot(vehicle, 'cannon', seatRole, dir);
+                vehicle.weaponCooldown = VEHICLE_WEAPONS.tank.cannon.cooldown;
+                this.createExplosion(muzzle.clone().add(dir.clone().multiplyScalar(2)), VEHICLE_WEAPONS.tank.cannon.tracer.flash);
             }
             if ((seatRole === 'top-gunner' || seatRole === 'driver') && vehicle.mgCooldown <= 0) {
-                const gun = vehicle.mesh.position.clone().add(new THREE.Vector3(0, 3.2, -0.4).applyAxisAngle(new THREE.Vector3(0, 1, 0), vehicle.heading));
-                const dir = direction || new THREE.Vector3(Math.sin(vehicle.heading), 0, Math.cos(vehicle.heading));
-                this.createTracer(gun, dir.normalize(), 0xffaa55, 0.6, 90);
-                vehicle.mgCooldown = 0.08;
+                this.shoot(vehicle, 'mg', seatRole, direction || forward);
+                vehicle.mgCooldown = VEHICLE_WEAPONS.tank.mg.cooldown;
             }
         } else if (vehicle.type === 'helicopter') {
             if (seatRole === 'turret' && vehicle.weaponCooldown <= 0) {
-                const nose = vehicle.mesh.position.clone().add(new THREE.Vector3(0, 1.6, 3.5).applyAxisAngle(new THREE.Vector3(0, 1, 0), vehicle.heading));
-                const dir = direction || new THREE.Vector3(Math.sin(vehicle.heading), 0, Math.cos(vehicle.heading));
-                this.createTracer(nose, dir.normalize(), 0xffee88, 0.6, 120);
-                vehicle.weaponCooldown = 0.12;
+                this.shoot(vehicle, 'gun', seatRole, direction || forward);
+                vehicle.weaponCooldown = VEHICLE_WEAPONS.helicopter.gun.cooldown;
             }
             if (seatRole === 'pilot') {
-                this.dropBomb(vehicle);
+                this.dropBomb(vehicle, seatRole);
             }
         } else if (vehicle.type === 'jeep') {
             if (seatRole === 'gunner' && vehicle.weaponCooldown <= 0) {
-                const mount = vehicle.mesh.position.clone().add(new THREE.Vector3(0, 2.6, 1.8).applyAxisAngle(new THREE.Vector3(0, 1, 0), vehicle.heading));
-                const dir = direction || new THREE.Vector3(Math.sin(vehicle.heading), 0, Math.cos(vehicle.heading));
-                this.createTracer(mount, dir.normalize(), 0xffaa55, 0.5, 100);
-                vehicle.weaponCooldown = 0.1;
+                this.shoot(vehicle, 'mg', seatRole, direction || forward);
+                vehicle.weaponCooldown = VEHICLE_WEAPONS.jeep.mg.cooldown;
             }
         }
     }
+
+    // Round from the weapon's muzzle; it stops at the ground, buildings and
+    // other vehicles. With server physics the shot also goes to the server,
+    // which decides what it hit.
+    shoot(vehicle, weaponId, seatRole, direction) {
+        const weapon = VEHICLE_WEAPONS[vehicle.type][weaponId];
+        const dir = direction.clone().normalize();
+        const muzzle = new THREE.Vector3().copy(
+            getMuzzlePosition(weapon, vehicle.mesh.position, vehicle.heading, vehicle.turretYaw || 0)
+        );
+        this.projectiles?.fire({
+            position: muzzle,
+            velocity: dir.clone().multiplyScalar(weapon.speed),
+            drop: weapon.drop,
+            life: weapon.range / weapon.speed,
+            color: weapon.tracer.color,
+            impact: weapon.tracer.impact,
+            targets: this.vehicles.filter(other => other !== vehicle).map(other => other.mesh)
+        });
+
+        if (this.useServerPhysics && this.physicsNetworkClient && vehicle.networkId) {
+            this.physicsNetworkClient.sendWeaponFire(vehicle.networkId, weaponId, seatRole, dir);
+        }
+        return muzzle;
+    }
+
+    // Server-confirmed hit. Other gunners' shots get a round flying to the hit
+    // point; ours already flew, but only the server sees players, so a hit on
+    // one still gets its flash.
+    handleWeaponHit(data, localClientId) {
+        if (!data?.point || !this.projectiles) return;
+        const weapon = this.findWeaponSpec(data.vehicleId, data.weapon);
+        const color = weapon ? weapon.tracer.color : 0xffaa55;
+        const impact = weapon?.tracer.impact;
+
+        if (data.shooterId === localClientId || !data.origin) {
+            if (data.targetType === 'player') {
+                this.projectiles.spawnImpact(new THREE.Vector3(data.point.x, data.point.y, data.point.z), impact ?? 0.6, color);
+            }
+            return;
+        }
+
+        const speed = weapon ? weapon.speed : 120;
+        const distance = Math.hypot(data.point.x - data.origin.x, data.point.y - data.origin.y, data.point.z - data.origin.z);
+        this.projectiles.fire({
+            position: data.origin,
+            velocity: aimVelocity(data.origin, data.point, speed, weapon?.drop || 0),
+            drop: weapon?.drop || 0,
+            life: distance / speed,
+            color,
+            impact,
+            burstOnExpire: true
+        });
+    }
+
+    // Server damage report; wrecks throw out whoever is aboard
+    handleVehicleDamage(data) {
+        const vehicle = this.vehicleIdMap.get(data?.vehicleId);
+        if (!vehicle) return;
+
+        const wasWrecked = !!vehicle.damage?.wrecked;
+        this.applyDamageState(vehicle, data);
+        if (data.wrecked && !wasWrecked) {
+            this.createExplosion(vehicle.mesh.position, 6);
+            vehicle.seats.forEach(seat => {
+                if (seat.occupant) this.exitSeat(vehicle, seat, seat.occupant);
+            });
+            if (this.onVehicleWrecked) this.onVehicleWrecked(vehicle);
+        }
+    }
+
+    applyDamageState(vehicle, status) {
+        vehicle.damage = {
+            health: status.health,
+            maxHealth: status.maxHealth,
+            zones: status.zones || {},
+            wrecked: !!status.wrecked,
+            repairCost: status.repairCost || 0
+        };
+        this.setWreckLook(vehicle, vehicle.damage.wrecked);
+    }
+
+    // Wrecks are burnt black; repairing restores the paint
+    setWreckLook(vehicle, wrecked) {
+        vehicle.mesh.traverse(obj => {
+            const material = obj.material;
+            if (!material?.color) return;
+            if (obj.userData.baseColor === undefined) obj.userData.baseColor = material.color.getHex();
+            material.color.setHex(wrecked ? 0x1a1816 : obj.userData.baseColor);
+        });
+    }
+
+    // Hull health as a fraction, or null before the server has reported any damage
+    getHullFraction(vehicle) {
+        return vehicle.damage ? vehicle.damage.health / vehicle.damage.maxHealth : null;
+    }
+
+    requestRepair(vehicle) {
+        if (!this.networkManager?.isConnected || !vehicle.networkId) return false;
+        this.networkManager.send(MessageType.VEHICLE_REPAIR, { vehicleId: vehicle.networkId });
+        return true;
+    }
+
+    findWeaponSpec(vehicleId, weaponId) {
+        const vehicle = this.vehicleIdMap.get(vehicleId);
+        return vehicle ? getVehicleWeapon(vehicle.type, weaponId) : null;
+    }
     
     findAvailableSeat(position, radius = 5) {
         let best = null;
         let bestDist = radius;
         for (const vehicle of this.vehicles) {
+            if (vehicle.damage?.wrecked) continue;
             for (const seat of vehicle.seats) {
                 if (seat.occupant) continue;
                 const seatWorld = seat.offset.clone().applyEuler(vehicle.body.rotation).add(vehicle.mesh.position);
@@ -784,8 +979,9 @@ export class VehicleManager {
             while (obj && !obj.userData?.vehicle && obj.parent) obj = obj.parent;
             if (obj?.userData?.vehicle) {
                 const vehicle = obj.userData.vehicle;
-                const available = vehicle.seats.filter(s => !s.occupant);
-                if (available.length === 0) return null;
+                // Wrecks have no seats, but can still be repaired
+                const available = vehicle.damage?.wrecked ? [] : vehicle.seats.filter(s => !s.occupant);
+                if (available.length === 0 && !vehicle.damage?.repairCost) return null;
                 return { vehicle, available };
             }
         }
@@ -807,6 +1003,8 @@ export class VehicleManager {
     }
 
     exitSeat(vehicle, seat, playerController) {
+        // Stop driving first, or the seat's inputs keep going to the server
+        playerController.exitVehicle();
         seat.occupant = null;
         playerController.currentVehicle = null;
         playerController.seatRole = null;
@@ -0,0 +1,204 @@
+// Vehicle Weapons
+// Weapon specs for every vehicle seat, shared by VehicleManager (rounds and
+// cooldowns) and the relay server, which re-traces each shot against rewound
+// body positions before it counts as a hit. Must stay free of DOM/THREE
+// dependencies.
+//
+// Muzzle offsets are in vehicle space (+Z forward) and are turned by the
+// vehicle's heading only, like the client has always placed them. `arc` is the
+// largest horizontal angle between a shot and the vehicle's heading; turreted
+// weapons can fire all round, but only along the barrel: the server refuses
+// their shots more than `aimTolerance` off the turret as it stood. Weapons with `splash` also hurt everyone near
+// the impact, including where a shot hits the ground, and push them away from
+// it with `impulse` (N·s at the centre). Rounds with `drop` fall with that
+// fraction of the world's gravity, on the client and in the server's trace
+// alike; the rest fly straight.
+//
+// Turrets are aimed by the first occupied seat in `seats` and turn toward the
+// aim at no more than `yawRate`/`pitchRate`. The server steps the same rate
+// limits, so the turret everyone sees is the one that fires.
+//
+// Seats are listed per vehicle type; the first one drives. The server keeps
+// who holds which seat and only takes a weapon's `seats` from that.
+//
+// Bombs are simulated by the server: they leave the vehicle at `muzzle`, fall
+// under the world's gravity and burst with `blast` where they land. Clients
+// only draw the fall.
+
+export const VEHICLE_SEATS = {
+    tank: ['driver', 'top-gunner'],
+    jeep: ['driver', 'passenger', 'gunner'],
+    helicopter: ['pilot', 'turret']
+};
+
+export const VEHICLE_WEAPONS = {
+    tank: {
+        cannon: {
+            seats: ['driver'],
+            muzzle: { x: 0, y: 2.6, z: 4.2 },
+            turret: true,               // muzzle turns with the turret
+            arc: Math.PI,
+            aimTolerance: 0.15,         // rad
+            cooldown: 2.2,              // s
+            speed: 160,                 // m/s
+            range: 224,                 // m
+            damage: 120,
+            drop: 0.35,
+            splash: { radius: 6, damage: 60, impulse: 8000 },   // falls off to nothing at the radius
+            tracer: { color: 0xffd18f, flash: 1.2, impact: 2.5 }
+        },
+        mg: {
+            seats: ['top-gunner', 'driver'],
+            muzzle: { x: 0, y: 3.2, z: -0.4 },
+            arc: Math.PI,
+            cooldown: 0.08,
+            speed: 90,
+            range: 150,
+            damage: 8,
+            tracer: { color: 0xffaa55 }
+        }
+    },
+    helicopter: {
+        gun: {
+            seats: ['turret'],
+            muzzle: { x: 0, y: 1.6, z: 3.5 },
+            arc: Math.PI,
+            cooldown: 0.12,
+            speed: 120,
+            range: 200,
+            damage: 12,
+            tracer: { color: 0xffee88 }
+        }
+    },
+    jeep: {
+        mg: {
+            seats: ['gunner'],
+            muzzle: { x: 0, y: 2.6, z: 1.8 },
+            arc: Math.PI / 2,
+            cooldown: 0.1,
+            speed: 100,
+            range: 150,
+            damage: 8,
+            tracer: { color: 0xffaa55 }
+        }
+    }
+};
+
+export const VEHICLE_BOMBS = {
+    helicopter: {
+        seats: ['pilot'],
+        muzzle: { x: 0, y: -1.5, z: 0 },
+        dropSpeed: 4,               // m/s downward, on top of the vehicle's own velocity
+        cooldown: 2.5,              // s
+        blast: { radius: 8, damage: 150, impulse: 30000 }
+    }
+};
+
+export const VEHICLE_TURRETS = {
+    tank: {
+        seats: ['top-gunner', 'driver'],    // a gunner takes the turret off the driver
+        yawRate: 1.2,               // rad/s
+        pitchRate: 0.5,             // rad/s
+        minPitch: -0.1,             // rad
+        maxPitch: 0.35
+    }
+};
+
+export function getVehicleSeats(vehicleType) {
+    return VEHICLE_SEATS[vehicleType] || [];
+}
+
+export function getVehicleWeapon(vehicleType, weaponId) {
+    return VEHICLE_WEAPONS[vehicleType]?.[weaponId] || null;
+}
+
+export function getVehicleBomb(vehicleType) {
+    return VEHICLE_BOMBS[vehicleType] || null;
+}
+
+export function getVehicleTurret(vehicleType) {
+    return VEHICLE_TURRETS[vehicleType] || null;
+}
+
+/**
+ * Angle wrapped to [-PI, PI]
+ */
+export function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * Turn a turret toward its aim for one step, within its rate limits
+ * @param {Object} aim - { yaw, pitch } wanted, yaw relative to the hull
+ * @returns {Object} { yaw, pitch } after the step
+ */
+export function stepTurretAim(turret, current, aim, delta) {
+    const maxYaw = turret.yawRate * delta;
+    const maxPitch = turret.pitchRate * delta;
+    const yawError = wrapAngle(aim.yaw - current.yaw);
+    const pitch = Math.min(turret.maxPitch, Math.max(turret.minPitch, aim.pitch));
+    const pitchError = pitch - current.pitch;
+    // Land exactly on the aim, so a settled turret compares equal to it
+    return {
+        yaw: Math.abs(yawError) <= maxYaw ? wrapAngle(aim.yaw) : wrapAngle(current.yaw + Math.sign(yawError) * maxYaw),
+        pitch: Math.abs(pitchError) <= maxPitch ? pitch : current.pitch + Math.sign(pitchError) * maxPitch
+    };
+}
+
+/**
+ * World position of a weapon's muzzle
+ * @param {Object} position - Vehicle position
+ * @param {number} heading - Vehicle yaw
+ * @param {number} turretYaw - Turret yaw relative to the hull (turreted weapons only)
+ */
+export function getMuzzlePosition(weapon, position, heading, turretYaw = 0) {
+    const yaw = heading + (weapon.turret ? turretYaw : 0);
+    const { x, y, z } = weapon.muzzle;
+    const sin = Math.sin(yaw);
+    const cos = Math.cos(yaw);
+    return {
+        x: position.x + x * cos + z * sin,
+        y: position.y + y,
+        z: position.z - x * sin + z * cos
+    };
+}
+
+/**
+ * Unit direction a turret's barrel points in
+ * @param {number} heading - Vehicle yaw
+ * @param {Object} turret - { yaw, pitch }, yaw relative to the hull
+ */
+export function getBarrelDirection(heading, turret) {
+    const yaw = heading + turret.yaw;
+    const cos = Math.cos(turret.pitch);
+    return { x: Math.sin(yaw) * cos, y: Math.sin(turret.pitch), z: Math.cos(yaw) * cos };
+}
+
+/**
+ * Whether a turreted weapon's shot leaves along its barrel, within the
+ * weapon's aimTolerance; other weapons aren't tied to a barrel
+ */
+export function isAlongBarrel(weapon, heading, turret, direction) {
+    if (!weapon.turret) return true;
+    const barrel = getBarrelDirection(heading, turret);
+    const dot = barrel.x * direction.x + barrel.y * direction.y + barrel.z * direction.z;
+    return Math.acos(Math.min(1, Math.max(-1, dot))) <= weapon.aimTolerance;
+}
+
+/**
+ * Whether a shot direction lies inside the weapon's firing arc
+ */
+export function isInFiringArc(weapon, heading, direction) {
+    if (weapon.arc >= Math.PI) return true;
+    const flat = Math.hypot(direction.x, direction.z);
+    if (flat < 1e-6) return false;
+    const dot = (direction.x * Math.sin(heading) + direction.z * Math.cos(heading)) / flat;
+    return Math.acos(Math.min(1, Math.max(-1, dot))) <= weapon.arc;
+}
+
+/**
+ * Yaw of a body rotation quaternion (YXZ order), for placing muzzles
+ */
+export function headingFromQuaternion(q) {
+    return Math.atan2(2 * (q.w * q.y + q.x * q.z), 1 - 2 * (q.x * q.x + q.y * q.y));
+}
@@ -1,5 +1,9 @@
 import { FACTIONS, CONFIG } from './config.js';
 import { getTerrainHeight } from './terrain.js';
+import { aimVelocity } from './projectiles.js';
+
+// Rounds the skirmishing units fire at each other
+const WAR_ROUND = { speed: 90, drop: 0.25, range: 150, impact: 1 };
 
 // ============================================
 // WAR MANAGER
@@ -8,41 +12,47 @@ export class WarManager {
     constructor(scene) {
         this.scene = scene;
         this.units = [];
-        this.projectiles = [];
+        this.projectiles = null;    // ProjectileSystem, shared with VehicleManager
         this.spawnTimer = 0;
 
         // Network sync
         this.networkManager = null;
-        this.networkUpdateTimer = 0;
-        this.networkUpdateInterval = 0.1; // 10 times per second
+        this.wasServerDriven = false;
     }
 
     // Set network manager for syncing units
     setNetworkManager(networkManager) {
         this.networkManager = networkManager;
-        // Note: isHost is checked dynamically from networkManager to handle
-        // the case where host status is determined after connection
     }
 
-    // Check if this client is the network host (dynamic check)
-    get isNetworkHost() {
-        return this.networkManager?.isHost || false;
+    setProjectiles(projectiles) {
+        this.projectiles = projectiles;
     }
 
-    // Get sync data for all units
-    getUnitsSyncData() {
-        return this.units.map(unit => ({
-            id: unit.networkId || `unit_${this.units.indexOf(unit)}`,
-            position: {
-                x: unit.mesh.position.x,
-                y: unit.mesh.position.y,
-                z: unit.mesh.position.z
-            },
-            rotationY: unit.mesh.rotation.y,
-            faction: unit.faction,
-            unitType: unit.type,
-            speed: unit.speed
-        }));
+    // While connected to a server that runs the war, this client only renders it
+    get isServerDriven() {
+        return !!this.networkManager?.isConnected && this.networkManager.serverWarSimulation;
+    }
+
+    // Apply a war_state update: fire/kill events, then the units in range
+    applyWarState(data) {
+        for (const event of data.events || []) {
+            if (event.type === 'fire') {
+                this.fireProjectile(
+                    new THREE.Vector3(event.from.x, event.from.y, event.from.z),
+                    new THREE.Vector3(event.to.x, event.to.y, event.to.z),
+                    FACTIONS[event.faction].color
+                );
+            } else if (event.type === 'kill') {
+                const unit = this.units.find(u => u.networkId === event.id);
+                if (unit) {
+                    this.destroyUnit(unit);
+                } else {
+                    this.spawnExplosion(event.position);
+                }
+            }
+        }
+        this.applyUnitsSyncData(data.units);
     }
 
     // Apply sync data from network
@@ -52,25 +62,16 @@ export class WarManager {
         for (const unitData of data) {
             const existing = this.units.find(u => u.networkId === unitData.id);
             if (existing) {
-                // Update existing unit position
-                const targetPos = new THREE.Vector3(
-                    unitData.position.x,
-                    unitData.position.y,
-                    unitData.position.z
-                );
-                existing.mesh.position.lerp(targetPos, 0.3);
-                existing.mesh.rotation.y = THREE.MathUtils.lerp(
-                    existing.mesh.rotation.y,
-                    unitData.rotationY,
-                    0.3
-                );
+                // Eased towards in update()
+                existing.targetPosition.set(unitData.position.x, unitData.position.y, unitData.position.z);
+                existing.targetRotationY = unitData.rotationY;
             } else {
-                // Create new unit from sync data (for non-host clients)
+                // Create new unit from sync data
                 this.spawnSyncedUnit(unitData);
             }
         }
 
-        // Remove units that no longer exist on host
+        // Remove units the server no longer sends (killed, despawned or out of range)
         const syncedIds = new Set(data.map(u => u.id));
         for (let i = this.units.length - 1; i >= 0; i--) {
             if (!syncedIds.has(this.units[i].networkId)) {
@@ -140,38 +141,54 @@ export class WarManager {
             faction: data.faction,
             speed: data.speed || (isHeli ? 18 : 8),
             rotor: rotor,
-            networkId: data.id
+            networkId: data.id,
+            targetPosition: group.position.clone(),
+            targetRotationY: group.rotation.y
         });
     }
 
-    // Broadcast unit sync data to all clients (called by host)
-    broadcastUnitSync() {
-        if (!this.networkManager || !this.networkManager.isConnected) return;
+    update(delta, playerPos) {
+        const serverDriven = this.isServerDriven;
+        if (serverDriven !== this.wasServerDriven) {
+            // Local skirmishes don't carry over into (or out of) the server's war
+            this.wasServerDriven = serverDriven;
+            this.clearUnits();
+        }
 
-        const syncData = this.getUnitsSyncData();
-        this.networkManager.broadcast('unit_sync', {
-            units: syncData
-        });
+        if (serverDriven) {
+            this.updateSyncedUnits(delta);
+        } else {
+            this.simulate(delta, playerPos);
+        }
+
+        this.updateFactionCounts();
     }
 
-    update(delta, playerPos) {
-        this.spawnTimer += delta;
-        this.networkUpdateTimer += delta;
+    // Ease server-driven units towards their last synced state
+    updateSyncedUnits(delta) {
+        const t = 1 - Math.exp(-delta * 10);
+        for (const unit of this.units) {
+            if (unit.type === 'heli' && unit.rotor) {
+                unit.rotor.rotation.y += delta * 15;
+            }
+            unit.mesh.position.lerp(unit.targetPosition, t);
+
+            // Shortest way round
+            let turn = unit.targetRotationY - unit.mesh.rotation.y;
+            turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+            unit.mesh.rotation.y += turn * t;
+        }
+    }
 
-        // Only host spawns new units
-        const canSpawn = !this.networkManager || this.isNetworkHost;
+    // Offline play: run the skirmishes locally
+    simulate(delta, playerPos) {
+        this.spawnTimer += delta;
 
-        if (canSpawn && this.spawnTimer > 8 && this.units.length < 16) {
+        if (this.spawnTimer > 8 && this.units.length < 16) {
             this.spawnTimer = 0;
             this.spawnSkirmish(playerPos);
         }
 
-        // Host broadcasts unit sync data periodically
-        if (this.networkManager && this.isNetworkHost && this.networkUpdateTimer >= this.networkUpdateInterval) {
-            this.networkUpdateTimer = 0;
-            this.broadcastUnitSync();
-        }
-
         for (let i = this.units.length - 1; i >= 0; i--) {
             const unit = this.units[i];
 
@@ -198,10 +215,13 @@ export class WarManager {
                 }
 
                 if (Math.random() < 0.03) {
-                    this.fireProjectile(unit.mesh.position, enemy.mesh.position, FACTIONS[unit.faction].color);
-                    if (Math.random() < 0.08) {
-                        this.destroyUnit(enemy);
-                    }
+                    // Only rounds that reach the enemy can kill it
+                    this.fireProjectile(unit.mesh.position, enemy.mesh.position, FACTIONS[unit.faction].color, {
+                        targets: [enemy.mesh],
+                        onImpact: (hit) => {
+                            if (hit.object === enemy.mesh && Math.random() < 0.08) this.destroyUnit(enemy);
+                        }
+                    });
                 }
             } else {
                 const forward = new THREE.Vector3(
@@ -227,19 +247,6 @@ export class WarManager {
                 this.units.splice(i, 1);
             }
         }
-
-        for (let i = this.projectiles.length - 1; i >= 0; i--) {
-            const proj = this.projectiles[i];
-            proj.life -= delta;
-            proj.mesh.material.opacity = proj.life * 3;
-
-            if (proj.life <= 0) {
-                this.scene.remove(proj.mesh);
-                this.projectiles.splice(i, 1);
-            }
-        }
-
-        this.updateFactionCounts();
     }
 
     spawnSkirmish(playerPos) {
@@ -312,16 +319,12 @@ export class WarManager {
 
         this.scene.add(group);
 
-        // Generate unique network ID for syncing
-        const networkId = `unit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
         this.units.push({
             mesh: group,
             type: isHeli ? 'heli' : 'tank',
             faction: factionIndex,
             speed: isHeli ? 18 : 8,
-            rotor: rotor,
-            networkId: networkId
+            rotor: rotor
         });
     }
 
@@ -341,38 +344,54 @@ export class WarManager {
         return nearest;
     }
 
-    fireProjectile(from, to, color) {
+    // A round from one unit toward another. Server-driven fire events don't
+    // say who is shooting, so by default any unit but one at the muzzle can
+    // stop the round.
+    fireProjectile(from, to, color, options = {}) {
+        if (!this.projectiles) return;
+
         const start = from.clone();
-        const end = to.clone();
         start.y += 2;
-        end.y += 2;
-
-        const geo = new THREE.BufferGeometry().setFromPoints([start, end]);
-        const mat = new THREE.LineBasicMaterial({
-            color: color,
-            transparent: true,
-            opacity: 1
+        const end = to.clone();
+        end.y += 1;
+
+        const targets = options.targets || this.units
+            .filter(unit => unit.mesh.position.distanceTo(from) > 3)
+            .map(unit => unit.mesh);
+        this.projectiles.fire({
+            position: start,
+            velocity: aimVelocity(start, end, WAR_ROUND.speed, WAR_ROUND.drop),
+            drop: WAR_ROUND.drop,
+            life: WAR_ROUND.range / WAR_ROUND.speed,
+            color,
+            impact: WAR_ROUND.impact,
+            targets,
+            onImpact: options.onImpact
         });
-        const line = new THREE.Line(geo, mat);
-        this.scene.add(line);
-
-        this.projectiles.push({ mesh: line, life: 0.25 });
     }
 
     destroyUnit(unit) {
         const idx = this.units.indexOf(unit);
         if (idx === -1) return;
 
+        this.spawnExplosion(unit.mesh.position);
+        this.scene.remove(unit.mesh);
+        this.units.splice(idx, 1);
+    }
+
+    clearUnits() {
+        this.units.forEach(unit => this.scene.remove(unit.mesh));
+        this.units = [];
+    }
+
+    spawnExplosion(position) {
         const explosion = new THREE.Mesh(
             new THREE.SphereGeometry(4, 6, 6),
             new THREE.MeshBasicMaterial({ color: 0xffaa00 })
         );
-        explosion.position.copy(unit.mesh.position);
+        explosion.position.set(position.x, position.y, position.z);
         this.scene.add(explosion);
         setTimeout(() => this.scene.remove(explosion), 150);
-
-        this.scene.remove(unit.mesh);
-        this.units.splice(idx, 1);
     }
 
     updateFactionCounts() {
@@ -0,0 +1,92 @@
+// Worldgen Golden Samples
+// Terrain height, biome and city influence recorded at fixed coordinates in
+// worldgen-golden.json. The client and the server both check them at startup,
+// so a change to the noise stack (or a runtime whose Math differs) is reported
+// instead of silently giving players and physics different ground. The
+// samples are checked twice: in fixture order, then from cold caches in a
+// shuffled order, so heights that depend on what was asked first show up too.
+//
+// After an intentional worldgen change, regenerate the fixture with
+// `npm run worldgen:update` in server/ and commit it alongside the change.
+
+import { CONFIG } from './config.js';
+import { getTerrainHeight, getCityInfluence, biomeInfoAtPosition } from './terrain.js';
+import { clearCityMaskCache } from './city-terrain-regulator.js';
+
+export const GOLDEN_SAMPLES_URL = new URL('./worldgen-golden.json', import.meta.url);
+
+// Heights are stored to 1e-6; anything beyond the tolerance is a real difference
+const HEIGHT_TOLERANCE = 1e-4;
+const INFLUENCE_TOLERANCE = 1e-5;
+
+// Origin, chunk corners, far-out coordinates and settlements of each size
+export const GOLDEN_COORDINATES = [
+    [0, 0], [100, 100], [199.5, 0.5], [-0.5, -0.5],
+    [250, -75], [-420, 330], [777, 777], [-1200, 640],
+    [1530.25, -980.75], [-2500, -2500], [3210, 45], [-87.3, 4096.6],
+    [5000, -5000], [12345.6, -9876.5], [-25000, 18000], [60000, 60000],
+    [-1190, -695], [-1100, -700], [-1000, -700], [300, -700],
+    [440, -560], [-980, -520], [270, -420], [-1050, -620]
+];
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+export function sampleWorldgen(x, z) {
+    return {
+        x,
+        z,
+        height: round(getTerrainHeight(x, z)),
+        biome: biomeInfoAtPosition(x, z).key,
+        cityInfluence: round(getCityInfluence(x, z))
+    };
+}
+
+export function createGoldenSamples() {
+    return GOLDEN_COORDINATES.map(([x, z]) => sampleWorldgen(x, z));
+}
+
+// Same order every run, so a failure can be reproduced
+function shuffle(items) {
+    const result = items.slice();
+    let seed = 0x2545f491;
+    for (let i = result.length - 1; i > 0; i--) {
+        seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+        const j = seed % (i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function checkSample(expected, order, failures) {
+    const actual = sampleWorldgen(expected.x, expected.z);
+    const fail = (field) => failures.push({
+        x: expected.x, z: expected.z, order, field, expected: expected[field], actual: actual[field]
+    });
+
+    if (!(Math.abs(actual.height - expected.height) <= HEIGHT_TOLERANCE)) fail('height');
+    if (actual.biome !== expected.biome) fail('biome');
+    if (!(Math.abs(actual.cityInfluence - expected.cityInfluence) <= INFLUENCE_TOLERANCE)) fail('cityInfluence');
+}
+
+// Returns { ok, checked, failures: [{ x, z, order, field, expected, actual }] }
+export function verifyGoldenSamples(samples) {
+    const failures = [];
+    (samples || []).forEach(expected => checkSample(expected, 'fixture', failures));
+
+    // Cold caches, shuffled, and another point of each chunk asked for first
+    clearCityMaskCache();
+    shuffle(samples || []).forEach(expected => {
+        const size = CONFIG.chunkSize;
+        getTerrainHeight(Math.floor(expected.x / size) * size + size / 2, Math.floor(expected.z / size) * size + size / 2);
+        checkSample(expected, 'shuffled', failures);
+    });
+    return { ok: failures.length === 0, checked: samples?.length || 0, failures };
+}
+
+export function describeGoldenFailures(failures, limit = 5) {
+    return failures.slice(0, limit)
+        .map(f => `(${f.x}, ${f.z}) ${f.order} ${f.field}: expected ${f.expected}, got ${f.actual}`)
+        .join('; ') + (failures.length > limit ? `; +${failures.length - limit} more` : '');
+}
@@ -0,0 +1,69 @@
+/**
+ * City Colliders (server)
+ *
+ * Static collision for urban chunks, built from the shared city layout
+ * (js/city-layout.js) - the same data clients turn into meshes and Box3
+ * colliders, so buildings, stalls and parked cars block bodies on both sides.
+ * Layout digests let a client confirm that both sides built the same footprints.
+ */
+
+import { generateCityLayout, footprintDigest } from '../js/city-layout.js';
+
+const MAX_PARITY_CHUNKS = 64;   // chunks compared per parity request
+
+export class CityColliders {
+    constructor(world) {
+        this.world = world;
+        this.stats = { chunksBuilt: 0, boxesBuilt: 0 };
+    }
+
+    /**
+     * Build the static body for one chunk
+     * @returns {Object|null} Jolt body, or null for wilderness chunks
+     */
+    buildChunk(cx, cz) {
+        const layout = generateCityLayout(cx, cz);
+        if (!layout) return null;
+
+        const body = this.world.createStaticBoxes(layout.colliders);
+        if (!body) return null;
+
+        this.stats.chunksBuilt++;
+        this.stats.boxesBuilt += layout.colliders.length;
+        return body;
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+/**
+ * Footprint digest for a chunk, or null if it has no city
+ */
+export function getCityDigest(cx, cz) {
+    const layout = generateCityLayout(cx, cz);
+    return layout ? footprintDigest(layout.colliders) : null;
+}
+
+/**
+ * Compare client-reported digests with the server's layouts
+ * @param {Object} footprints - { "cx,cz": digest }
+ * @returns {Object} { checked, mismatches: [{ chunk, client, server }] }
+ */
+export function checkCityParity(footprints) {
+    const mismatches = [];
+    const entries = Object.entries(footprints || {}).slice(0, MAX_PARITY_CHUNKS);
+
+    entries.forEach(([chunk, clientDigest]) => {
+        const [cx, cz] = chunk.split(',').map(Number);
+        if (!Number.isInteger(cx) || !Number.isInteger(cz)) return;
+
+        const serverDigest = getCityDigest(cx, cz);
+        if (serverDigest !== clientDigest) {
+            mismatches.push({ chunk, client: clientDigest, server: serverDigest });
+        }
+    });
+
+    return { checked: entries.length, mismatches };
+}
@@ -0,0 +1,191 @@
+/**
+ * Interest Grid (server)
+ *
+ * Area-of-interest filtering for a room. Entities are bucketed by world chunk
+ * and each client only hears about the ones in the chunks around its focus (its
+ * player, or the vehicle it is driving). Entities coming into or going out of
+ * that area are reported so the relay can send enter/leave events. Entities are
+ * dropped one chunk further out than they are picked up, so a body idling on a
+ * chunk border doesn't flicker in and out.
+ */
+
+import { CONFIG } from '../js/config.js';
+
+const INTEREST_CONFIG = {
+    cellSize: CONFIG.chunkSize,    // m - cells are world chunks
+    enterRadius: 2,                // chunks around the focus chunk that bring entities into view
+    leaveRadius: 3                 // chunks beyond which they are dropped again
+};
+
+export class InterestGrid {
+    constructor(options = {}) {
+        this.config = { ...INTEREST_CONFIG, ...options };
+        this.cells = new Map();         // cell key -> Set(entityId)
+        this.entities = new Map();      // entityId -> { key, cx, cz, type, position }
+        this.subscribers = new Map();   // subscriber -> { focus, cx, cz, visible: Map(entityId -> type) }
+    }
+
+    cellCoord(value) {
+        return Math.floor(value / this.config.cellSize);
+    }
+
+    cellKey(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    // ============================================
+    // ENTITIES
+    // ============================================
+
+    /**
+     * Place an entity, moving it between cells as needed
+     */
+    updateEntity(entityId, position, type) {
+        const cx = this.cellCoord(position.x);
+        const cz = this.cellCoord(position.z);
+        const key = this.cellKey(cx, cz);
+
+        let entry = this.entities.get(entityId);
+        if (!entry) {
+            entry = { key: null, cx, cz, type, position: null };
+            this.entities.set(entityId, entry);
+        }
+        entry.position = { x: position.x, y: position.y, z: position.z };
+        if (entry.key === key) return;
+
+        if (entry.key) {
+            const previous = this.cells.get(entry.key);
+            previous?.delete(entityId);
+            if (previous?.size === 0) this.cells.delete(entry.key);
+        }
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = new Set();
+            this.cells.set(key, cell);
+        }
+        cell.add(entityId);
+        entry.key = key;
+        entry.cx = cx;
+        entry.cz = cz;
+    }
+
+    /**
+     * Forget an entity; subscribers that could see it are told on their next refresh
+     */
+    removeEntity(entityId) {
+        const entry = this.entities.get(entityId);
+        if (!entry) return;
+
+        const cell = this.cells.get(entry.key);
+        cell?.delete(entityId);
+        if (cell?.size === 0) this.cells.delete(entry.key);
+        this.entities.delete(entityId);
+    }
+
+    /**
+     * Forget every entity not in the given set
+     */
+    retainEntities(entityIds) {
+        for (const entityId of [...this.entities.keys()]) {
+            if (!entityIds.has(entityId)) this.removeEntity(entityId);
+        }
+    }
+
+    getEntityPosition(entityId) {
+        return this.entities.get(entityId)?.position || null;
+    }
+
+    // ============================================
+    // SUBSCRIBERS
+    // ============================================
+
+    addSubscriber(subscriber) {
+        if (!this.subscribers.has(subscriber)) {
+            this.subscribers.set(subscriber, { focus: null, cx: 0, cz: 0, visible: new Map() });
+        }
+    }
+
+    removeSubscriber(subscriber) {
+        this.subscribers.delete(subscriber);
+    }
+
+    /**
+     * Recompute what a subscriber can see around its focus entity
+     * @param {string|null} focusId - Entity the area is centred on
+     * @param {Array<string>} pinned - Entities always visible to this subscriber
+     * @returns {Object} { entered, left } - ids that came into view, and { id, type }
+     *   of those that went out of it
+     */
+    refresh(subscriber, focusId, pinned = []) {
+        const sub = this.subscribers.get(subscriber);
+        if (!sub) return { entered: [], left: [] };
+
+        const focus = focusId ? this.entities.get(focusId) : null;
+        sub.focus = focus ? focus.position : null;
+        if (focus) {
+            sub.cx = focus.cx;
+            sub.cz = focus.cz;
+        }
+
+        const { enterRadius, leaveRadius } = this.config;
+        const entered = [];
+        const left = [];
+
+        // Drop entities that wandered past the leave radius (or vanished)
+        for (const [entityId, type] of sub.visible) {
+            const entry = this.entities.get(entityId);
+            if (entry && pinned.includes(entityId)) continue;
+            if (!entry || !focus ||
+                Math.max(Math.abs(entry.cx - sub.cx), Math.abs(entry.cz - sub.cz)) > leaveRadius) {
+                sub.visible.delete(entityId);
+                left.push({ id: entityId, type });
+            }
+        }
+
+        const reveal = (entityId) => {
+            const entry = this.entities.get(entityId);
+            if (!entry || sub.visible.has(entityId)) return;
+            sub.visible.set(entityId, entry.type);
+            entered.push(entityId);
+        };
+
+        pinned.forEach(reveal);
+        if (focus) {
+            for (let dx = -enterRadius; dx <= enterRadius; dx++) {
+                for (let dz = -enterRadius; dz <= enterRadius; dz++) {
+                    const cell = this.cells.get(this.cellKey(sub.cx + dx, sub.cz + dz));
+                    if (cell) cell.forEach(reveal);
+                }
+            }
+        }
+
+        return { entered, left };
+    }
+
+    isVisible(subscriber, entityId) {
+        return this.subscribers.get(subscriber)?.visible.has(entityId) || false;
+    }
+
+    visibleCount(subscriber) {
+        return this.subscribers.get(subscriber)?.visible.size || 0;
+    }
+
+    /**
+     * Position the subscriber's area was last centred on, or null before it has a body
+     */
+    getFocus(subscriber) {
+        return this.subscribers.get(subscriber)?.focus || null;
+    }
+
+    /**
+     * Whether a world position lies inside the subscriber's area
+     */
+    isInRange(subscriber, position) {
+        const sub = this.subscribers.get(subscriber);
+        if (!sub?.focus || !position) return false;
+        return Math.max(
+            Math.abs(this.cellCoord(position.x) - sub.cx),
+            Math.abs(this.cellCoord(position.z) - sub.cz)
+        ) <= this.config.leaveRadius;
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * Item Pack Loading (server)
+ *
+ * The server derives interactive objects from the same ItemRegistry as the
+ * client, so it must merge the same JSON content packs. The browser fetches
+ * them; here they are read straight from disk.
+ */
+
+import { readFile } from 'fs/promises';
+import { itemRegistry, ITEM_PACK_DIR } from '../js/items/item-loader.js';
+
+/**
+ * Load every pack listed in js/items/packs/manifest.json into the registry
+ * @returns {Promise<Array>} Per-pack load reports
+ */
+export async function loadItemPacksFromDisk(baseUrl = ITEM_PACK_DIR) {
+    let manifest;
+    try {
+        manifest = JSON.parse(await readFile(new URL('manifest.json', baseUrl), 'utf8'));
+    } catch (error) {
+        console.warn('No item pack manifest:', error.message);
+        return [];
+    }
+
+    const reports = [];
+    for (const file of manifest.packs || []) {
+        const url = new URL(file, baseUrl);
+        try {
+            reports.push(itemRegistry.loadPackText(await readFile(url, 'utf8'), file));
+        } catch (error) {
+            console.error(`Failed to read item pack ${file}:`, error.message);
+            reports.push({ source: file, loaded: 0, issues: [], error: error.message });
+        }
+    }
+    return reports;
+}
@@ -6,6 +6,8 @@
  */
 
 import initJolt from 'jolt-physics/wasm-compat';
+import { CONFIG } from '../js/config.js';
+import { getVehicleTurret, stepTurretAim, wrapAngle } from '../js/vehicle-weapons.js';
 
 // Physics configuration
 const PHYSICS_CONFIG = {
@@ -13,7 +15,11 @@ const PHYSICS_CONFIG = {
     fixedTimeStep: 1/60,      // 60 Hz physics
     maxSubSteps: 4,           // Max physics sub-steps per frame
     broadPhaseLayerCount: 2,  // Moving and non-moving layers
-    objectLayerCount: 4       // Static, Dynamic, Player, Vehicle
+    objectLayerCount: 4,      // Static, Dynamic, Player, Vehicle
+    poseHistory: 1000,        // ms of player/vehicle poses kept for rewinding shots
+    maxBlastSpeed: 14,        // m/s - most an explosion can change a body's velocity
+    blastLift: 0.6,           // upward bias of the explosion push, so things get thrown rather than slid
+    projectileFuse: 20        // s - projectiles that never hit anything burst anyway
 };
 
 // Object layers for collision filtering
@@ -26,6 +32,60 @@ const LAYER_VEHICLE = 3;
 const BP_LAYER_NON_MOVING = 0;
 const BP_LAYER_MOVING = 1;
 
+// Vehicle configurations. Ground vehicles get a Jolt VehicleConstraint: wheel
+// positions are suspension attachment points in body space (+Z forward, +X left).
+// Forces scale with the game's 4x gravity, hence the large torques.
+const VEHICLE_CONFIGS = {
+    tank: {
+        halfExtents: { x: 2.8, y: 1.1, z: 4.25 },
+        mass: 12000,
+        controller: 'tracked',
+        // Five road wheels per track; the rear one is the drive sprocket
+        wheels: [3.5, 1.75, 0, -1.75, -3.5].flatMap(z => [
+            { pos: { x: 2.5, y: -0.5, z }, radius: 0.55, width: 0.6 },
+            { pos: { x: -2.5, y: -0.5, z }, radius: 0.55, width: 0.6 }
+        ]),
+        suspension: { minLength: 0.3, maxLength: 0.9, frequency: 1.4, damping: 0.7 },
+        engine: { maxTorque: 4000, maxRPM: 3000 },
+        transmission: { reverseGearRatios: [-4], shiftUpRPM: 2400, shiftDownRPM: 1200 },
+        maxBrakeTorque: 60000,
+        trackLateralFriction: 0.35,
+        // Neutral steer (no throttle) turns the hull by its own torque, held to
+        // pivotRate whatever the gear, engine speed or slope
+        pivotRate: 0.7,             // rad/s
+        pivotTorque: 1500000,       // N·m
+        pivotTrackDrive: 0.3,       // throttle counter-rotating the tracks meanwhile
+        maxPitchRollAngle: Math.PI / 3
+    },
+    jeep: {
+        halfExtents: { x: 1.2, y: 0.9, z: 2.3 },
+        mass: 2000,
+        controller: 'wheeled',
+        wheels: [
+            { pos: { x: 1.2, y: -0.2, z: 1.6 }, radius: 0.5, width: 0.3 },
+            { pos: { x: -1.2, y: -0.2, z: 1.6 }, radius: 0.5, width: 0.3 },
+            { pos: { x: 1.2, y: -0.2, z: -1.6 }, radius: 0.5, width: 0.3 },
+            { pos: { x: -1.2, y: -0.2, z: -1.6 }, radius: 0.5, width: 0.3 }
+        ],
+        suspension: { minLength: 0.3, maxLength: 0.8, frequency: 1.6, damping: 0.5 },
+        engine: { maxTorque: 1500, maxRPM: 6000 },
+        transmission: { reverseGearRatios: [-6], shiftUpRPM: 4000, shiftDownRPM: 2000 },
+        maxSteerAngle: 0.6,
+        maxBrakeTorque: 6000,
+        maxHandBrakeTorque: 8000,
+        maxPitchRollAngle: Math.PI / 3
+    },
+    helicopter: {
+        halfExtents: { x: 1.5, y: 1.5, z: 4.5 },
+        mass: 1800,
+        wheels: [], // No wheels for helicopter
+        isHelicopter: true
+    }
+};
+
+// Brake input applied to tank tracks whenever there is no throttle
+const IDLE_TRACK_BRAKE = 0.3;
+
 /**
  * JoltPhysicsWorld - Manages the Jolt physics simulation
  */
@@ -41,9 +101,26 @@ export class JoltPhysicsWorld {
         this.entityBodies = new Map();    // entityId -> bodyId
 
         // Terrain heightfield
-        this.terrainShape = null;
         this.terrainBody = null;
 
+        // Character controller queries (created in initialize)
+        this.characterFilters = null;
+        this.characterUpdateSettings = null;
+
+        // Recent player/vehicle poses for lag-compensated shots, oldest first:
+        // [{ time, poses: Map(entityId -> { position, rotation }) }]
+        this.poseHistory = [];
+        this.shotQueries = null;
+
+        // Characters that touched down since the last takeLandings(): [{ entityId, speed }]
+        this.landings = [];
+
+        // Falling projectiles (bombs): id -> { id, position, velocity, ignore, age }
+        this.projectiles = new Map();
+        // Projectiles that hit something since the last takeImpacts():
+        // [{ id, point, entityId, type, localPoint }]
+        this.impacts = [];
+
         // Accumulator for fixed timestep
         this.accumulator = 0;
 
@@ -88,6 +165,9 @@ export class JoltPhysicsWorld {
         // Set gravity
         this.physicsSystem.SetGravity(new this.Jolt.Vec3(0, PHYSICS_CONFIG.gravity, 0));
 
+        this.setupCharacterQueries();
+        this.setupShotQueries();
+
         console.log('Jolt Physics initialized successfully');
         return true;
     }
@@ -138,6 +218,55 @@ export class JoltPhysicsWorld {
         );
     }
 
+    /**
+     * Filters and step settings shared by every player character
+     */
+    setupCharacterQueries() {
+        const Jolt = this.Jolt;
+
+        this.characterFilters = {
+            broadPhase: new Jolt.DefaultBroadPhaseLayerFilter(
+                this.joltInterface.GetObjectVsBroadPhaseLayerFilter(), LAYER_PLAYER),
+            objectLayer: new Jolt.DefaultObjectLayerFilter(
+                this.joltInterface.GetObjectLayerPairFilter(), LAYER_PLAYER),
+            body: new Jolt.BodyFilter(),
+            shape: new Jolt.ShapeFilter()
+        };
+
+        // Step up ledges and snap down slopes by the client's step height
+        const settings = new Jolt.ExtendedUpdateSettings();
+        settings.mWalkStairsStepUp = new Jolt.Vec3(0, CONFIG.stepHeight, 0);
+        settings.mStickToFloorStepDown = new Jolt.Vec3(0, -CONFIG.stepHeight, 0);
+        this.characterUpdateSettings = settings;
+
+        this.characterGravity = new Jolt.Vec3(0, PHYSICS_CONFIG.gravity, 0);
+        this.characterVelocity = new Jolt.Vec3();
+
+        // Reused for per-step and per-message arguments; Jolt copies what it is given
+        this.scratchVector = new Jolt.Vec3();
+        this.scratchPosition = new Jolt.RVec3();
+    }
+
+    /**
+     * Filters for shot traces: only static geometry (terrain tiles, city
+     * colliders) is hit in the live world; moving bodies are tested at their
+     * rewound poses instead
+     */
+    setupShotQueries() {
+        const Jolt = this.Jolt;
+
+        this.shotQueries = {
+            settings: new Jolt.RayCastSettings(),
+            broadPhase: new Jolt.BroadPhaseLayerFilter(),
+            objectLayer: new Jolt.SpecifiedObjectLayerFilter(LAYER_STATIC),
+            body: new Jolt.BodyFilter(),
+            shape: new Jolt.ShapeFilter(),
+            // Explosions find every moving body
+            anyBroadPhase: new Jolt.BroadPhaseLayerFilter(),
+            anyObjectLayer: new Jolt.ObjectLayerFilter()
+        };
+    }
+
     /**
      * Create a static ground plane
      */
@@ -170,34 +299,42 @@ export class JoltPhysicsWorld {
      * Create a height field terrain from a sampler function
      */
     createTerrainHeightfield(centerX, centerZ, size, resolution, heightSampler) {
-        const Jolt = this.Jolt;
-
-        // Sample heights into a flat array
-        const samples = resolution * resolution;
-        const heights = new Float32Array(samples);
-        const scale = size / resolution;
-
-        let minHeight = Infinity;
-        let maxHeight = -Infinity;
+        const heights = new Float32Array(resolution * resolution);
+        const cellSize = size / (resolution - 1);
+        const originX = centerX - size / 2;
+        const originZ = centerZ - size / 2;
 
         for (let z = 0; z < resolution; z++) {
             for (let x = 0; x < resolution; x++) {
-                const wx = centerX - size/2 + x * scale;
-                const wz = centerZ - size/2 + z * scale;
-                const h = heightSampler(wx, wz);
-                heights[z * resolution + x] = h;
-                minHeight = Math.min(minHeight, h);
-                maxHeight = Math.max(maxHeight, h);
+                heights[z * resolution + x] = heightSampler(originX + x * cellSize, originZ + z * cellSize);
             }
         }
 
-        // Create height field shape settings
-        const shapeSettings = new Jolt.HeightFieldShapeSettings(
-            heights,
-            new Jolt.Vec3(centerX - size/2, 0, centerZ - size/2),
-            new Jolt.Vec3(scale, 1, scale),
-            resolution
-        );
+        const body = this.createHeightfieldBody({ x: originX, z: originZ }, cellSize, resolution, heights);
+        this.terrainBody = body;
+        return body;
+    }
+
+    /**
+     * Create a static height field body from pre-sampled heights.
+     * @param {Object} origin - World x/z of sample (0, 0)
+     * @param {number} cellSize - Distance between samples
+     * @param {number} sampleCount - Samples per side (heights is sampleCount^2, row-major by z)
+     * @param {Float32Array} heights - Absolute world heights
+     * @returns {Object|null} Jolt body, or null if the shape could not be built
+     */
+    createHeightfieldBody(origin, cellSize, sampleCount, heights) {
+        const Jolt = this.Jolt;
+
+        const shapeSettings = new Jolt.HeightFieldShapeSettings();
+        shapeSettings.mOffset = new Jolt.Vec3(origin.x, 0, origin.z);
+        shapeSettings.mScale = new Jolt.Vec3(cellSize, 1, cellSize);
+        shapeSettings.mSampleCount = sampleCount;
+        shapeSettings.mHeightSamples.resize(heights.length);
+
+        // Copy straight into the WASM heap backing the sample array
+        const samplesPtr = Jolt.getPointer(shapeSettings.mHeightSamples.data()) / 4;
+        Jolt.HEAPF32.set(heights, samplesPtr);
 
         const shapeResult = shapeSettings.Create();
         if (shapeResult.HasError()) {
@@ -215,6 +352,7 @@ export class JoltPhysicsWorld {
             Jolt.EMotionType_Static,
             LAYER_STATIC
         );
+        creationSettings.mFriction = 0.8;
 
         const body = this.bodyInterface.CreateBody(creationSettings);
         this.bodyInterface.AddBody(body.GetID(), Jolt.EActivation_DontActivate);
@@ -222,10 +360,71 @@ export class JoltPhysicsWorld {
         Jolt.destroy(creationSettings);
         Jolt.destroy(shapeSettings);
 
-        this.terrainBody = body;
         return body;
     }
 
+    /**
+     * Create one static body from a set of axis-aligned boxes (city blocks).
+     * Boxes are merged into a compound shape so a chunk costs a single body.
+     * @param {Array<{min, max}>} boxes - World-space corners
+     * @returns {Object|null} Jolt body, or null if there was nothing to build
+     */
+    createStaticBoxes(boxes) {
+        const Jolt = this.Jolt;
+        if (!boxes.length) return null;
+
+        const compoundSettings = new Jolt.StaticCompoundShapeSettings();
+        const rotation = new Jolt.Quat(0, 0, 0, 1);
+
+        boxes.forEach(({ min, max }) => {
+            const hx = Math.max((max.x - min.x) / 2, 0.005);
+            const hy = Math.max((max.y - min.y) / 2, 0.005);
+            const hz = Math.max((max.z - min.z) / 2, 0.005);
+            // Flat surfaces (roads, curbs) are too thin for the default convex radius
+            const convexRadius = Math.min(hx, hy, hz) > 0.1 ? 0.05 : 0;
+            const boxSettings = new Jolt.BoxShapeSettings(new Jolt.Vec3(hx, hy, hz), convexRadius);
+            compoundSettings.AddShape(
+                new Jolt.Vec3(min.x + hx, min.y + hy, min.z + hz),
+                rotation,
+                boxSettings,
+                0
+            );
+        });
+
+        const shapeResult = compoundSettings.Create();
+        if (shapeResult.HasError()) {
+            console.error('Failed to create static boxes:', shapeResult.GetError().c_str());
+            Jolt.destroy(compoundSettings);
+            return null;
+        }
+
+        const creationSettings = new Jolt.BodyCreationSettings(
+            shapeResult.Get(),
+            new Jolt.RVec3(0, 0, 0),
+            rotation,
+            Jolt.EMotionType_Static,
+            LAYER_STATIC
+        );
+        creationSettings.mFriction = 0.8;
+
+        const body = this.bodyInterface.CreateBody(creationSettings);
+        this.bodyInterface.AddBody(body.GetID(), Jolt.EActivation_DontActivate);
+
+        Jolt.destroy(creationSettings);
+        Jolt.destroy(compoundSettings);
+
+        return body;
+    }
+
+    /**
+     * Remove an untracked static body (terrain tiles, city colliders, ground planes)
+     */
+    removeStaticBody(body) {
+        if (!body) return;
+        this.bodyInterface.RemoveBody(body.GetID());
+        this.bodyInterface.DestroyBody(body.GetID());
+    }
+
     /**
      * Create a dynamic box body (for vehicles, crates, etc.)
      */
@@ -260,6 +459,11 @@ export class JoltPhysicsWorld {
         creationSettings.mRestitution = options.restitution ?? 0.1;
         creationSettings.mGravityFactor = options.gravityFactor ?? 1.0;
 
+        // Fast vehicles must not tunnel through thin heightfield tiles
+        if (options.isVehicle) {
+            creationSettings.mMotionQuality = Jolt.EMotionQuality_LinearCast;
+        }
+
         const body = this.bodyInterface.CreateBody(creationSettings);
         const bodyId = body.GetID();
 
@@ -284,53 +488,42 @@ export class JoltPhysicsWorld {
     }
 
     /**
-     * Create a capsule body for players
+     * Create a player as a Jolt CharacterVirtual. The character's origin is at
+     * its feet, like the client's player body, so predicted and server
+     * positions can be compared directly.
      */
-    createCapsuleBody(entityId, position, height, radius, mass, options = {}) {
+    createCharacter(entityId, position, height, radius, mass) {
         const Jolt = this.Jolt;
 
         // Capsule with height as the cylinder part (total height = height + 2*radius)
-        const shape = new Jolt.CapsuleShape(height / 2, radius);
-
-        const creationSettings = new Jolt.BodyCreationSettings(
-            shape,
-            new Jolt.RVec3(position.x, position.y + height/2 + radius, position.z),
-            new Jolt.Quat(0, 0, 0, 1),
-            Jolt.EMotionType_Dynamic,
-            LAYER_PLAYER
+        const settings = new Jolt.CharacterVirtualSettings();
+        settings.mShape = new Jolt.CapsuleShape(height / 2, radius);
+        settings.mShapeOffset = new Jolt.Vec3(0, height / 2 + radius, 0);
+        settings.mMass = mass;
+        settings.mMaxSlopeAngle = CONFIG.slopeLimit;
+        // Only contacts below the centre of the bottom sphere can support the player
+        settings.mSupportingVolume = new Jolt.Plane(new Jolt.Vec3(0, 1, 0), -radius);
+
+        const character = new Jolt.CharacterVirtual(
+            settings,
+            new Jolt.RVec3(position.x, position.y, position.z),
+            Jolt.Quat.prototype.sIdentity(),
+            this.physicsSystem
         );
-
-        creationSettings.mOverrideMassProperties = Jolt.EOverrideMassProperties_CalculateInertia;
-        creationSettings.mMassPropertiesOverride.mMass = mass;
-
-        // Player-specific settings
-        creationSettings.mLinearDamping = 0.0;
-        creationSettings.mAngularDamping = 0.0;
-        creationSettings.mFriction = 0.5;
-        creationSettings.mRestitution = 0.0;
-        creationSettings.mAllowSleeping = false;
-
-        // Lock rotation for character controller
-        creationSettings.mAllowedDOFs = Jolt.EAllowedDOFs_TranslationX |
-                                        Jolt.EAllowedDOFs_TranslationY |
-                                        Jolt.EAllowedDOFs_TranslationZ;
-
-        const body = this.bodyInterface.CreateBody(creationSettings);
-        const bodyId = body.GetID();
-
-        this.bodyInterface.AddBody(bodyId, Jolt.EActivation_Activate);
-
-        Jolt.destroy(creationSettings);
+        Jolt.destroy(settings);
 
         const bodyInfo = {
-            id: bodyId.GetIndexAndSequenceNumber(),
+            id: `character:${entityId}`,
             type: 'player',
             entityId: entityId,
-            body: body,
+            character: character,
             mass: mass,
             height: height,
             radius: radius,
-            grounded: false
+            grounded: false,
+            // Latest input: horizontal target velocity and jump
+            move: { x: 0, z: 0, jump: false },
+            inputSeq: 0         // sequence number of the last input applied
         };
 
         this.bodies.set(bodyInfo.id, bodyInfo);
@@ -345,40 +538,6 @@ export class JoltPhysicsWorld {
     createVehicle(entityId, vehicleType, position, rotation) {
         const Jolt = this.Jolt;
 
-        // Vehicle configurations
-        const VEHICLE_CONFIGS = {
-            tank: {
-                halfExtents: { x: 2.8, y: 1.1, z: 4.25 },
-                mass: 12000,
-                wheels: [
-                    { pos: { x: 2.5, y: -0.2, z: 3.5 }, radius: 0.5, width: 0.4 },
-                    { pos: { x: -2.5, y: -0.2, z: 3.5 }, radius: 0.5, width: 0.4 },
-                    { pos: { x: 2.5, y: -0.2, z: -3.5 }, radius: 0.5, width: 0.4 },
-                    { pos: { x: -2.5, y: -0.2, z: -3.5 }, radius: 0.5, width: 0.4 }
-                ],
-                maxEngineTorque: 800,
-                maxSteerAngle: 0.5
-            },
-            jeep: {
-                halfExtents: { x: 1.2, y: 0.9, z: 2.3 },
-                mass: 2000,
-                wheels: [
-                    { pos: { x: 1.2, y: -0.2, z: 1.6 }, radius: 0.5, width: 0.3 },
-                    { pos: { x: -1.2, y: -0.2, z: 1.6 }, radius: 0.5, width: 0.3 },
-                    { pos: { x: 1.2, y: -0.2, z: -1.6 }, radius: 0.5, width: 0.3 },
-                    { pos: { x: -1.2, y: -0.2, z: -1.6 }, radius: 0.5, width: 0.3 }
-                ],
-                maxEngineTorque: 400,
-                maxSteerAngle: 0.6
-            },
-            helicopter: {
-                halfExtents: { x: 1.5, y: 1.5, z: 4.5 },
-                mass: 1800,
-                wheels: [], // No wheels for helicopter
-                isHelicopter: true
-            }
-        };
-
         const config = VEHICLE_CONFIGS[vehicleType] || VEHICLE_CONFIGS.jeep;
 
         // Create vehicle body
@@ -393,10 +552,113 @@ export class JoltPhysicsWorld {
         bodyInfo.vehicleType = vehicleType;
         bodyInfo.vehicleConfig = config;
         bodyInfo.inputs = { throttle: 0, steer: 0, brake: false, lift: 0, pitch: 0, roll: 0, yaw: 0 };
+        bodyInfo.handling = { drive: 1, steer: 1, lift: 1, control: 1, wrecked: false };
+        // Turret angles relative to the hull, and where the gunner wants them
+        bodyInfo.turret = getVehicleTurret(vehicleType)
+            ? { yaw: 0, pitch: 0, aim: { yaw: 0, pitch: 0 } }
+            : null;
+
+        if (config.controller) {
+            this.createVehicleConstraint(bodyInfo, config);
+        }
 
         return bodyInfo;
     }
 
+    /**
+     * Attach a Jolt VehicleConstraint (suspension, engine, gearbox, brakes) to a
+     * vehicle body. Jeeps use the wheeled controller with front-wheel steering
+     * and a rear differential; tanks use the tracked controller and steer by
+     * driving the two tracks at different ratios.
+     */
+    createVehicleConstraint(bodyInfo, config) {
+        const Jolt = this.Jolt;
+        const tracked = config.controller === 'tracked';
+        const { suspension } = config;
+
+        const settings = new Jolt.VehicleConstraintSettings();
+        settings.mMaxPitchRollAngle = config.maxPitchRollAngle;
+        settings.mWheels.clear();
+
+        config.wheels.forEach(wheel => {
+            const wheelSettings = tracked ? new Jolt.WheelSettingsTV() : new Jolt.WheelSettingsWV();
+            const position = new Jolt.Vec3(wheel.pos.x, wheel.pos.y, wheel.pos.z);
+            wheelSettings.mPosition = position;
+            Jolt.destroy(position);
+            wheelSettings.mRadius = wheel.radius;
+            wheelSettings.mWidth = wheel.width;
+            wheelSettings.mSuspensionMinLength = suspension.minLength;
+            wheelSettings.mSuspensionMaxLength = suspension.maxLength;
+            wheelSettings.mSuspensionSpring.mFrequency = suspension.frequency;
+            wheelSettings.mSuspensionSpring.mDamping = suspension.damping;
+
+            if (tracked) {
+                // Tracks must scrub sideways to pivot, so they grip less laterally than tyres
+                wheelSettings.mLateralFriction = config.trackLateralFriction;
+            } else {
+                const front = wheel.pos.z > 0;
+                wheelSettings.mMaxSteerAngle = front ? config.maxSteerAngle : 0;
+                wheelSettings.mMaxBrakeTorque = config.maxBrakeTorque;
+                wheelSettings.mMaxHandBrakeTorque = front ? 0 : config.maxHandBrakeTorque;
+            }
+            settings.mWheels.push_back(wheelSettings);
+        });
+
+        const controllerSettings = tracked
+            ? new Jolt.TrackedVehicleControllerSettings()
+            : new Jolt.WheeledVehicleControllerSettings();
+        controllerSettings.mEngine.mMaxTorque = config.engine.maxTorque;
+        controllerSettings.mEngine.mMaxRPM = config.engine.maxRPM;
+        const transmission = controllerSettings.mTransmission;
+        transmission.mShiftUpRPM = config.transmission.shiftUpRPM;
+        transmission.mShiftDownRPM = config.transmission.shiftDownRPM;
+        transmission.mReverseGearRatios.clear();
+        config.transmission.reverseGearRatios.forEach(ratio => transmission.mReverseGearRatios.push_back(ratio));
+
+        if (tracked) {
+            // Track 0 is the left (+X) side, track 1 the right
+            [0, 1].forEach(side => {
+                const track = controllerSettings.get_mTracks(side);
+                track.mWheels.clear();
+                config.wheels.forEach((wheel, index) => {
+                    if ((wheel.pos.x > 0) === (side === 0)) track.mWheels.push_back(index);
+                });
+                track.mDrivenWheel = track.mWheels.at(track.mWheels.size() - 1);
+                track.mMaxBrakeTorque = config.maxBrakeTorque;
+            });
+        } else {
+            // Rear-wheel drive through a single differential
+            const rear = config.wheels
+                .map((wheel, index) => ({ wheel, index }))
+                .filter(({ wheel }) => wheel.pos.z < 0);
+            const differential = new Jolt.VehicleDifferentialSettings();
+            differential.mLeftWheel = rear.find(({ wheel }) => wheel.pos.x > 0).index;
+            differential.mRightWheel = rear.find(({ wheel }) => wheel.pos.x < 0).index;
+            controllerSettings.mDifferentials.clear();
+            controllerSettings.mDifferentials.push_back(differential);
+            Jolt.destroy(differential); // push_back copied it
+        }
+        settings.mController = controllerSettings;
+
+        const constraint = new Jolt.VehicleConstraint(bodyInfo.body, settings);
+        // The settings hold the controller settings and wheel settings by reference,
+        // so destroying them frees the controller settings too. The constraint has
+        // built its own controller and keeps its own references to the wheels.
+        Jolt.destroy(settings);
+        constraint.SetVehicleCollisionTester(new Jolt.VehicleCollisionTesterCastCylinder(LAYER_VEHICLE));
+        this.physicsSystem.AddConstraint(constraint);
+
+        const stepListener = new Jolt.VehicleConstraintStepListener(constraint);
+        this.physicsSystem.AddStepListener(stepListener);
+
+        bodyInfo.constraint = constraint;
+        bodyInfo.stepListener = stepListener;
+        bodyInfo.controller = Jolt.castObject(
+            constraint.GetController(),
+            tracked ? Jolt.TrackedVehicleController : Jolt.WheeledVehicleController
+        );
+    }
+
     /**
      * Apply input to a vehicle
      */
@@ -411,7 +673,41 @@ export class JoltPhysicsWorld {
     }
 
     /**
-     * Apply input to a player
+     * Scale a vehicle's response to input (damage). A wreck ignores input, and
+     * a wrecked helicopter falls.
+     * @param {Object} handling - { drive, steer, lift, control, wrecked }
+     */
+    setVehicleHandling(entityId, handling) {
+        const bodyId = this.entityBodies.get(entityId);
+        const bodyInfo = bodyId ? this.bodies.get(bodyId) : null;
+        if (!bodyInfo || bodyInfo.type !== 'vehicle') return;
+
+        bodyInfo.handling = { ...handling };
+        if (bodyInfo.vehicleConfig.isHelicopter) {
+            this.bodyInterface.SetGravityFactor(bodyInfo.body.GetID(), handling.wrecked ? 1.0 : 0.0);
+        }
+        this.bodyInterface.ActivateBody(bodyInfo.body.GetID());
+    }
+
+    /**
+     * Point a vehicle's turret. Only sets the aim; the turret turns toward it
+     * at its rate limits each step.
+     */
+    setTurretAim(entityId, yaw, pitch) {
+        const bodyId = this.entityBodies.get(entityId);
+        const bodyInfo = bodyId ? this.bodies.get(bodyId) : null;
+        if (!bodyInfo?.turret) return;
+
+        const turret = getVehicleTurret(bodyInfo.vehicleType);
+        bodyInfo.turret.aim = {
+            yaw: wrapAngle(yaw),
+            pitch: Math.min(turret.maxPitch, Math.max(turret.minPitch, pitch))
+        };
+    }
+
+    /**
+     * Apply input to a player. Only sets the target; the character controller
+     * accelerates toward it each physics step.
      */
     applyPlayerInput(entityId, inputs) {
         const bodyId = this.entityBodies.get(entityId);
@@ -420,18 +716,19 @@ export class JoltPhysicsWorld {
         const bodyInfo = this.bodies.get(bodyId);
         if (!bodyInfo || bodyInfo.type !== 'player') return;
 
-        const Jolt = this.Jolt;
-        const body = bodyInfo.body;
-
         // Calculate movement velocity based on inputs
-        const speed = inputs.running ? 35.0 : 20.0;
-        const moveX = (inputs.right ? 1 : 0) - (inputs.left ? 1 : 0);
-        const moveZ = (inputs.forward ? 1 : 0) - (inputs.backward ? 1 : 0);
-
-        // Get current velocity
-        const currentVel = body.GetLinearVelocity();
+        const baseSpeed = inputs.crouching ? CONFIG.crouchSpeed : inputs.running ? CONFIG.runSpeed : CONFIG.speed;
+        const speed = baseSpeed * (inputs.speedMultiplier || 1);
+        let moveX = (inputs.right ? 1 : 0) - (inputs.left ? 1 : 0);
+        let moveZ = (inputs.forward ? 1 : 0) - (inputs.backward ? 1 : 0);
+
+        // Diagonals are no faster than straight lines (as on the client)
+        const length = Math.hypot(moveX, moveZ);
+        if (length > 0) {
+            moveX /= length;
+            moveZ /= length;
+        }
 
-        // Calculate desired horizontal velocity
         let vx = moveX * speed;
         let vz = moveZ * speed;
 
@@ -446,18 +743,10 @@ export class JoltPhysicsWorld {
             vz = rz;
         }
 
-        // Preserve vertical velocity, apply horizontal
-        let vy = currentVel.GetY();
-
-        // Jump
-        if (inputs.jump && bodyInfo.grounded) {
-            vy = 15.5; // Jump speed
+        bodyInfo.move = { x: vx, z: vz, jump: !!inputs.jump };
+        if (inputs.seq > bodyInfo.inputSeq) {
+            bodyInfo.inputSeq = inputs.seq;
         }
-
-        this.bodyInterface.SetLinearVelocity(
-            body.GetID(),
-            new Jolt.Vec3(vx, vy, vz)
-        );
     }
 
     /**
@@ -480,6 +769,12 @@ export class JoltPhysicsWorld {
                 // Ground vehicle physics
                 this.updateGroundVehiclePhysics(bodyInfo, delta);
             }
+
+            // Wrecked turrets are jammed
+            if (bodyInfo.turret && !bodyInfo.handling.wrecked) {
+                const turret = bodyInfo.turret;
+                Object.assign(turret, stepTurretAim(getVehicleTurret(bodyInfo.vehicleType), turret, turret.aim, delta));
+            }
         }
     }
 
@@ -488,6 +783,10 @@ export class JoltPhysicsWorld {
         const body = bodyInfo.body;
         const inputs = bodyInfo.inputs;
         const mass = bodyInfo.mass;
+        const handling = bodyInfo.handling;
+
+        // A wreck just falls
+        if (handling.wrecked) return;
 
         // Get current state
         const pos = body.GetPosition();
@@ -501,111 +800,199 @@ export class JoltPhysicsWorld {
 
         // Lift input adds/subtracts from hover
         const liftInput = inputs.lift || 0;
-        const totalLift = hoverForce * (1 + liftInput * 0.8);
+        const totalLift = hoverForce * handling.lift * (1 + liftInput * 0.8);
 
         // Apply lift force in world up direction (rotated by helicopter orientation)
         const upLocal = new Jolt.Vec3(0, 1, 0);
         const upWorld = rot.RotateAxisX(upLocal);
 
-        const liftForce = new Jolt.Vec3(
+        const scratch = this.scratchVector;
+        scratch.Set(
             upWorld.GetX() * totalLift,
             upWorld.GetY() * totalLift,
             upWorld.GetZ() * totalLift
         );
 
-        body.AddForce(liftForce);
+        body.AddForce(scratch);
 
         // Pitch/roll/yaw torques
-        const pitchTorque = (inputs.pitch || 0) * 50000;
-        const rollTorque = -(inputs.roll || 0) * 50000;
-        const yawTorque = (inputs.yaw || 0) * 25000;
+        const pitchTorque = (inputs.pitch || 0) * 50000 * handling.control;
+        const rollTorque = -(inputs.roll || 0) * 50000 * handling.control;
+        const yawTorque = (inputs.yaw || 0) * 25000 * handling.control;
 
-        body.AddTorque(new Jolt.Vec3(pitchTorque, yawTorque, rollTorque));
+        scratch.Set(pitchTorque, yawTorque, rollTorque);
+        body.AddTorque(scratch);
 
         // Damping
-        const dampedVel = new Jolt.Vec3(
+        scratch.Set(
             vel.GetX() * 0.995,
             vel.GetY() * 0.995,
             vel.GetZ() * 0.995
         );
-        this.bodyInterface.SetLinearVelocity(body.GetID(), dampedVel);
+        this.bodyInterface.SetLinearVelocity(body.GetID(), scratch);
 
-        const dampedAngVel = new Jolt.Vec3(
+        scratch.Set(
             angVel.GetX() * 0.95,
             angVel.GetY() * 0.95,
             angVel.GetZ() * 0.95
         );
-        this.bodyInterface.SetAngularVelocity(body.GetID(), dampedAngVel);
+        this.bodyInterface.SetAngularVelocity(body.GetID(), scratch);
 
         Jolt.destroy(upLocal);
     }
 
-    updateGroundVehiclePhysics(bodyInfo, delta) {
+    /**
+     * Turn a tracked vehicle's hull about its up axis toward steer * pivotRate,
+     * with no more than pivotTorque
+     */
+    applyPivotTorque(bodyInfo, steer) {
         const Jolt = this.Jolt;
+        const body = bodyInfo.body;
+        const { pivotRate, pivotTorque } = bodyInfo.vehicleConfig;
+
+        const up = body.GetRotation().RotateAxisY();
+        const angVel = body.GetAngularVelocity();
+        const yawRate = angVel.GetX() * up.GetX() + angVel.GetY() * up.GetY() + angVel.GetZ() * up.GetZ();
+
+        // Full torque until close to the wanted rate, then ease off
+        const error = (steer * pivotRate - yawRate) / pivotRate;
+        const torque = Math.max(-1, Math.min(1, error * 4)) * pivotTorque;
+        const torqueVec = new Jolt.Vec3(up.GetX() * torque, up.GetY() * torque, up.GetZ() * torque);
+        body.AddTorque(torqueVec);
+        Jolt.destroy(torqueVec);
+    }
+
+    /**
+     * Feed throttle / steer / brake into the vehicle's Jolt controller
+     */
+    updateGroundVehiclePhysics(bodyInfo, delta) {
+        const controller = bodyInfo.controller;
+        if (!controller) return;
+
         const body = bodyInfo.body;
         const inputs = bodyInfo.inputs;
-        const config = bodyInfo.vehicleConfig;
+        const handling = bodyInfo.handling;
+        const steer = (inputs.steer || 0) * handling.steer;     // +1 = left
+        let forward = (inputs.throttle || 0) * handling.drive;
+        let brake = inputs.brake ? 1 : 0;
+
+        // Wrecks sit where they stopped
+        if (handling.wrecked) {
+            if (bodyInfo.vehicleConfig.controller === 'tracked') {
+                controller.SetDriverInput(0, 1, 1, 1);
+            } else {
+                controller.SetDriverInput(0, 0, 1, 1);
+            }
+            return;
+        }
 
-        // Get current state
-        const pos = body.GetPosition();
-        const rot = body.GetRotation();
+        // Speed along the vehicle's forward axis
         const vel = body.GetLinearVelocity();
+        const forwardDir = body.GetRotation().RotateAxisZ();
+        const speed = vel.GetX() * forwardDir.GetX() + vel.GetY() * forwardDir.GetY() + vel.GetZ() * forwardDir.GetZ();
+
+        // Pressing against the direction of travel brakes until (almost) stopped,
+        // then the gearbox is allowed to reverse
+        if (forward !== 0 && speed * forward < -1) {
+            brake = Math.max(brake, Math.abs(forward));
+            forward = 0;
+        }
 
-        // Calculate forward direction
-        const forwardLocal = new Jolt.Vec3(0, 0, 1);
-        const forward = rot.RotateAxisX(forwardLocal);
-
-        // Engine force
-        const throttle = inputs.throttle || 0;
-        const engineForce = throttle * (config.maxEngineTorque || 400) * 100;
-
-        body.AddForce(new Jolt.Vec3(
-            forward.GetX() * engineForce,
-            0,
-            forward.GetZ() * engineForce
-        ));
-
-        // Steering torque
-        const steer = inputs.steer || 0;
-        const speed = Math.sqrt(vel.GetX() * vel.GetX() + vel.GetZ() * vel.GetZ());
-        const steerTorque = steer * speed * bodyInfo.mass * 2;
-
-        body.AddTorque(new Jolt.Vec3(0, steerTorque, 0));
-
-        // Brake
-        if (inputs.brake) {
-            const brakeForce = 0.95;
-            const brakeedVel = new Jolt.Vec3(
-                vel.GetX() * brakeForce,
-                vel.GetY(),
-                vel.GetZ() * brakeForce
-            );
-            this.bodyInterface.SetLinearVelocity(body.GetID(), brakeedVel);
+        if (bodyInfo.vehicleConfig.controller === 'tracked') {
+            let leftRatio = 1;
+            let rightRatio = 1;
+            if (steer !== 0 && forward === 0 && brake === 0) {
+                // Neutral steer: the torque turns the hull, and the tracks run
+                // lightly in opposite directions so they roll with the turn
+                // instead of scrubbing the tank downhill
+                this.applyPivotTorque(bodyInfo, steer);
+                forward = bodyInfo.vehicleConfig.pivotTrackDrive * Math.abs(steer);
+                leftRatio = steer > 0 ? -1 : 1;
+                rightRatio = -leftRatio;
+            } else if (steer !== 0) {
+                // Slow the inner track
+                const inner = 1 - 0.6 * Math.abs(steer);
+                if (steer > 0) leftRatio = inner;
+                else rightRatio = inner;
+            }
+
+            // Tracks have heavy rolling resistance: off the throttle a tank drags to a halt
+            if (forward === 0) brake = Math.max(brake, IDLE_TRACK_BRAKE);
+            controller.SetDriverInput(forward, leftRatio, rightRatio, brake);
+        } else {
+            // Jolt's "right" is -X for a +Z-forward vehicle, so left steer is negative
+            controller.SetDriverInput(forward, -steer, brake, inputs.brake ? 1 : 0);
         }
 
-        Jolt.destroy(forwardLocal);
+        // Sleeping bodies ignore the controller
+        if (inputs.throttle || steer !== 0 || inputs.brake) {
+            this.bodyInterface.ActivateBody(body.GetID());
+        }
     }
 
     /**
-     * Check if player is grounded
+     * Move a player character for one fixed step. Horizontal velocity eases
+     * toward the input target with the client's ground/air acceleration;
+     * ExtendedUpdate handles slopes, stepping up ledges and sticking to the floor.
      */
-    updatePlayerGroundState(bodyInfo) {
+    updateCharacter(bodyInfo, dt) {
         const Jolt = this.Jolt;
-        const body = bodyInfo.body;
+        const character = bodyInfo.character;
+        const move = bodyInfo.move;
+
+        character.UpdateGroundVelocity();
+        const vel = character.GetLinearVelocity();
+        const groundVel = character.GetGroundVelocity();
+        const vx = vel.GetX(), vy = vel.GetY(), vz = vel.GetZ();
+
+        // Standing on walkable ground (and not already leaving it from a jump)
+        const grounded = character.GetGroundState() === Jolt.EGroundState_OnGround &&
+            vy - groundVel.GetY() < 0.1;
+
+        // Don't let input push up slopes that are too steep to walk
+        let targetX = move.x;
+        let targetZ = move.z;
+        if (character.GetGroundState() === Jolt.EGroundState_OnSteepGround && (targetX || targetZ)) {
+            this.characterVelocity.Set(targetX, 0, targetZ);
+            const cancelled = character.CancelVelocityTowardsSteepSlopes(this.characterVelocity);
+            targetX = cancelled.GetX();
+            targetZ = cancelled.GetZ();
+        }
 
-        // Cast a ray downward from the player
-        const pos = body.GetPosition();
-        const rayOrigin = new Jolt.RVec3(pos.GetX(), pos.GetY(), pos.GetZ());
-        const rayDir = new Jolt.Vec3(0, -1, 0);
+        const accel = grounded ? CONFIG.groundAccel : CONFIG.airAccel;
+        const lerp = Math.min(1, accel * dt);
+        let newY = grounded ? groundVel.GetY() : vy;
+        if (grounded && move.jump) {
+            newY += CONFIG.jumpSpeed;
+        }
+        newY += PHYSICS_CONFIG.gravity * dt;
 
-        const rayLength = bodyInfo.height / 2 + bodyInfo.radius + 0.1;
+        this.characterVelocity.Set(
+            vx + (targetX - vx) * lerp,
+            newY,
+            vz + (targetZ - vz) * lerp
+        );
+        character.SetLinearVelocity(this.characterVelocity);
+        const wasAirborne = !bodyInfo.grounded;
+
+        const filters = this.characterFilters;
+        character.ExtendedUpdate(
+            dt,
+            this.characterGravity,
+            this.characterUpdateSettings,
+            filters.broadPhase,
+            filters.objectLayer,
+            filters.body,
+            filters.shape,
+            this.joltInterface.GetTempAllocator()
+        );
 
-        // Simple ground check based on velocity
-        const vel = body.GetLinearVelocity();
-        bodyInfo.grounded = Math.abs(vel.GetY()) < 0.5 && pos.GetY() < bodyInfo.height + 1;
+        bodyInfo.grounded = character.GetGroundState() === Jolt.EGroundState_OnGround;
 
-        Jolt.destroy(rayOrigin);
-        Jolt.destroy(rayDir);
+        // Falls hurt by how fast the character was coming down when it landed
+        if (wasAirborne && bodyInfo.grounded && newY < -1) {
+            this.landings.push({ entityId: bodyInfo.entityId, speed: -newY });
+        }
     }
 
     /**
@@ -619,22 +1006,23 @@ export class JoltPhysicsWorld {
         // Update vehicles with their inputs
         this.updateVehicles(deltaTime);
 
-        // Update player ground states
-        for (const [bodyId, bodyInfo] of this.bodies) {
-            if (bodyInfo.type === 'player') {
-                this.updatePlayerGroundState(bodyInfo);
-            }
-        }
-
         // Fixed timestep accumulation
         this.accumulator += deltaTime;
 
         let steps = 0;
         while (this.accumulator >= PHYSICS_CONFIG.fixedTimeStep && steps < PHYSICS_CONFIG.maxSubSteps) {
+            // Characters move before the step so bodies they push react in it
+            for (const bodyInfo of this.bodies.values()) {
+                if (bodyInfo.character) {
+                    this.updateCharacter(bodyInfo, PHYSICS_CONFIG.fixedTimeStep);
+                }
+            }
+
             this.joltInterface.Step(
                 PHYSICS_CONFIG.fixedTimeStep,
                 1 // Collision steps
             );
+            this.updateProjectiles(PHYSICS_CONFIG.fixedTimeStep);
             this.accumulator -= PHYSICS_CONFIG.fixedTimeStep;
             steps++;
         }
@@ -644,6 +1032,10 @@ export class JoltPhysicsWorld {
             this.accumulator = 0;
         }
 
+        if (steps > 0) {
+            this.recordPoses(Date.now());
+        }
+
         this.stepCount++;
         this.lastStepTime = performance.now() - startTime;
     }
@@ -658,13 +1050,13 @@ export class JoltPhysicsWorld {
         const bodyInfo = this.bodies.get(bodyId);
         if (!bodyInfo) return null;
 
-        const Jolt = this.Jolt;
-        const body = bodyInfo.body;
+        // Characters expose the same accessors as bodies, minus spin
+        const body = bodyInfo.character || bodyInfo.body;
 
         const pos = body.GetPosition();
         const rot = body.GetRotation();
         const vel = body.GetLinearVelocity();
-        const angVel = body.GetAngularVelocity();
+        const angVel = bodyInfo.character ? null : body.GetAngularVelocity();
 
         return {
             entityId: entityId,
@@ -672,9 +1064,18 @@ export class JoltPhysicsWorld {
             position: { x: pos.GetX(), y: pos.GetY(), z: pos.GetZ() },
             rotation: { x: rot.GetX(), y: rot.GetY(), z: rot.GetZ(), w: rot.GetW() },
             velocity: { x: vel.GetX(), y: vel.GetY(), z: vel.GetZ() },
-            angularVelocity: { x: angVel.GetX(), y: angVel.GetY(), z: angVel.GetZ() },
+            angularVelocity: angVel
+                ? { x: angVel.GetX(), y: angVel.GetY(), z: angVel.GetZ() }
+                : { x: 0, y: 0, z: 0 },
             grounded: bodyInfo.grounded || false,
-            vehicleType: bodyInfo.vehicleType
+            // Lets the binary encoder skip bodies Jolt has put to sleep
+            // (a turret can still be turning on a hull at rest)
+            sleeping: !bodyInfo.character && !body.IsActive() && !isTurretTurning(bodyInfo.turret),
+            vehicleType: bodyInfo.vehicleType,
+            turretYaw: bodyInfo.turret ? bodyInfo.turret.yaw : undefined,
+            cannonPitch: bodyInfo.turret ? bodyInfo.turret.pitch : undefined,
+            // Acknowledges the owner's inputs for client-side prediction
+            inputSeq: bodyInfo.inputSeq
         };
     }
 
@@ -694,6 +1095,338 @@ export class JoltPhysicsWorld {
         return states;
     }
 
+    /**
+     * Positions of players and vehicles (what terrain must exist around)
+     */
+    getFocusPositions() {
+        const positions = [];
+        for (const bodyInfo of this.bodies.values()) {
+            if (bodyInfo.type !== 'player' && bodyInfo.type !== 'vehicle') continue;
+            const pos = (bodyInfo.character || bodyInfo.body).GetPosition();
+            positions.push({ x: pos.GetX(), y: pos.GetY(), z: pos.GetZ() });
+        }
+        return positions;
+    }
+
+    /**
+     * Landings since the last call, with their downward speed (m/s)
+     */
+    takeLandings() {
+        const landings = this.landings;
+        this.landings = [];
+        return landings;
+    }
+
+    /**
+     * Drop a projectile into the world. It falls with the world's gravity
+     * until it hits something, which shows up in takeImpacts().
+     * @param {Array<string>} ignore - Entities it passes through (the vehicle that dropped it)
+     */
+    launchProjectile(id, position, velocity, ignore = []) {
+        this.projectiles.set(id, {
+            id,
+            position: { x: position.x, y: position.y, z: position.z },
+            velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+            ignore,
+            age: 0
+        });
+    }
+
+    /**
+     * Move projectiles one fixed step, sweeping each one's path for hits
+     */
+    updateProjectiles(dt) {
+        for (const projectile of this.projectiles.values()) {
+            const { position, velocity } = projectile;
+            velocity.y += PHYSICS_CONFIG.gravity * dt;
+            projectile.age += dt;
+
+            const dx = velocity.x * dt, dy = velocity.y * dt, dz = velocity.z * dt;
+            const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            const hit = length > 1e-6
+                ? this.castShot(position, { x: dx / length, y: dy / length, z: dz / length },
+                    length, Infinity, projectile.ignore)
+                : null;
+
+            if (hit) {
+                this.impacts.push({
+                    id: projectile.id,
+                    point: hit.point,
+                    entityId: hit.entityId,
+                    type: hit.type,
+                    localPoint: hit.localPoint
+                });
+                this.projectiles.delete(projectile.id);
+                continue;
+            }
+
+            position.x += dx;
+            position.y += dy;
+            position.z += dz;
+            if (projectile.age >= PHYSICS_CONFIG.projectileFuse) {
+                this.impacts.push({ id: projectile.id, point: { ...position }, entityId: null, type: 'fuse', localPoint: null });
+                this.projectiles.delete(projectile.id);
+            }
+        }
+    }
+
+    /**
+     * Projectile impacts since the last call
+     */
+    takeImpacts() {
+        const impacts = this.impacts;
+        this.impacts = [];
+        return impacts;
+    }
+
+    /**
+     * Push everything near an explosion away from it. Rigid bodies are found
+     * through the broadphase; players are virtual characters that aren't in
+     * it, so they are checked directly. The push falls off linearly from the
+     * centre to nothing at the radius.
+     * @param {number} impulse - N·s given to a body at the centre
+     * @returns {Array<Object>} { entityId, type, distance } for every player and
+     *   dynamic body in range; distance is to the body's surface
+     */
+    applyExplosion(center, radius, impulse) {
+        const Jolt = this.Jolt;
+        const queries = this.shotQueries;
+        const affected = [];
+
+        const found = [];
+        const collector = new Jolt.CollideShapeBodyCollectorJS();
+        collector.Reset = () => {};
+        collector.AddHit = (bodyId) => {
+            found.push(Jolt.wrapPointer(bodyId, Jolt.BodyID).GetIndexAndSequenceNumber());
+        };
+        const centerVec = new Jolt.Vec3(center.x, center.y, center.z);
+        this.physicsSystem.GetBroadPhaseQuery().CollideSphere(
+            centerVec, radius, collector, queries.anyBroadPhase, queries.anyObjectLayer
+        );
+        Jolt.destroy(centerVec);
+        Jolt.destroy(collector);
+
+        for (const id of found) {
+            const bodyInfo = this.bodies.get(id);
+            if (!bodyInfo || !bodyInfo.mass || !bodyInfo.halfExtents) continue; // Terrain and city blocks
+
+            const pos = bodyInfo.body.GetCenterOfMassPosition();
+            const rot = bodyInfo.body.GetRotation();
+            const offset = { x: pos.GetX() - center.x, y: pos.GetY() - center.y, z: pos.GetZ() - center.z };
+            const local = inverseRotate(offset, { x: rot.GetX(), y: rot.GetY(), z: rot.GetZ(), w: rot.GetW() });
+            const distance = Math.hypot(
+                Math.max(0, Math.abs(local.x) - bodyInfo.halfExtents.x),
+                Math.max(0, Math.abs(local.y) - bodyInfo.halfExtents.y),
+                Math.max(0, Math.abs(local.z) - bodyInfo.halfExtents.z)
+            );
+            if (distance >= radius) continue;
+
+            const push = blastPush(offset, impulse * (1 - distance / radius), bodyInfo.mass);
+            const pushVec = new Jolt.Vec3(push.x, push.y, push.z);
+            this.bodyInterface.AddImpulse(bodyInfo.body.GetID(), pushVec);
+            this.bodyInterface.ActivateBody(bodyInfo.body.GetID());
+            Jolt.destroy(pushVec);
+            affected.push({ entityId: bodyInfo.entityId, type: bodyInfo.type, distance });
+        }
+
+        for (const bodyInfo of this.bodies.values()) {
+            if (!bodyInfo.character) continue;
+
+            // Nearest point on the capsule's axis, less its radius
+            const pos = bodyInfo.character.GetPosition();
+            const bottom = pos.GetY() + bodyInfo.radius;
+            const axisY = Math.min(bottom + bodyInfo.height, Math.max(bottom, center.y));
+            const offset = { x: pos.GetX() - center.x, y: axisY - center.y, z: pos.GetZ() - center.z };
+            const distance = Math.max(0, Math.hypot(offset.x, offset.y, offset.z) - bodyInfo.radius);
+            if (distance >= radius) continue;
+
+            const push = blastPush(offset, impulse * (1 - distance / radius), bodyInfo.mass);
+            const vel = bodyInfo.character.GetLinearVelocity();
+            this.characterVelocity.Set(
+                vel.GetX() + push.x / bodyInfo.mass,
+                vel.GetY() + push.y / bodyInfo.mass,
+                vel.GetZ() + push.z / bodyInfo.mass
+            );
+            bodyInfo.character.SetLinearVelocity(this.characterVelocity);
+            affected.push({ entityId: bodyInfo.entityId, type: bodyInfo.type, distance });
+        }
+
+        return affected;
+    }
+
+    /**
+     * Remember where every player and vehicle is, for rewinding shots
+     */
+    recordPoses(time) {
+        const poses = new Map();
+        for (const bodyInfo of this.bodies.values()) {
+            if (bodyInfo.type !== 'player' && bodyInfo.type !== 'vehicle') continue;
+            const body = bodyInfo.character || bodyInfo.body;
+            const pos = body.GetPosition();
+            const rot = body.GetRotation();
+            poses.set(bodyInfo.entityId, {
+                position: { x: pos.GetX(), y: pos.GetY(), z: pos.GetZ() },
+                rotation: { x: rot.GetX(), y: rot.GetY(), z: rot.GetZ(), w: rot.GetW() },
+                turret: bodyInfo.turret ? { yaw: bodyInfo.turret.yaw, pitch: bodyInfo.turret.pitch } : null
+            });
+        }
+
+        this.poseHistory.push({ time, poses });
+        const oldest = time - PHYSICS_CONFIG.poseHistory;
+        while (this.poseHistory.length > 1 && this.poseHistory[0].time < oldest) {
+            this.poseHistory.shift();
+        }
+    }
+
+    /**
+     * Player and vehicle poses as they were at a past time, interpolated
+     * between the recorded steps around it
+     * @param {number} time - Server time (ms); clamped to the recorded window
+     * @returns {Map} entityId -> { position, rotation, turret } - turret is
+     *   { yaw, pitch } for vehicles with one, otherwise null
+     */
+    getPosesAt(time) {
+        const history = this.poseHistory;
+        if (history.length === 0) return new Map();
+
+        let after = history.findIndex(frame => frame.time >= time);
+        if (after === -1) return history[history.length - 1].poses;
+        if (after === 0) return history[0].poses;
+
+        const a = history[after - 1];
+        const b = history[after];
+        const t = (time - a.time) / (b.time - a.time);
+
+        const poses = new Map();
+        for (const [entityId, to] of b.poses) {
+            const from = a.poses.get(entityId);
+            poses.set(entityId, from ? {
+                position: lerpVector(from.position, to.position, t),
+                rotation: nlerpQuaternion(from.rotation, to.rotation, t),
+                turret: from.turret && to.turret ? {
+                    yaw: wrapAngle(from.turret.yaw + wrapAngle(to.turret.yaw - from.turret.yaw) * t),
+                    pitch: from.turret.pitch + (to.turret.pitch - from.turret.pitch) * t
+                } : to.turret
+            } : to);
+        }
+        return poses;
+    }
+
+    /**
+     * Trace a shot through the world as it was at `time`. Players and vehicles
+     * are tested at their rewound poses; static geometry blocks the shot.
+     * @param {Object} origin - Muzzle position
+     * @param {Object} direction - Unit direction
+     * @param {number} range - Max distance (m)
+     * @param {number} time - Server time (ms) the shooter saw
+     * @param {Array<string>} ignore - Entities the shot passes through (the shooter)
+     * @returns {Object|null} { entityId, type, distance, point, localPoint } - entityId
+     *   is null when static geometry was hit; localPoint is the hit in the body's
+     *   own space, for boxes (vehicles); null if nothing was hit
+     */
+    castShot(origin, direction, range, time, ignore = []) {
+        let distance = this.castStaticRay(origin, direction, range);
+        let target = null;
+        let targetPose = null;
+
+        for (const [entityId, pose] of this.getPosesAt(time)) {
+            if (ignore.includes(entityId)) continue;
+            const bodyInfo = this.bodies.get(this.entityBodies.get(entityId));
+            if (!bodyInfo) continue; // Removed since
+
+            let hit;
+            if (bodyInfo.character) {
+                const base = { x: pose.position.x, y: pose.position.y + bodyInfo.radius, z: pose.position.z };
+                const top = { x: base.x, y: base.y + bodyInfo.height, z: base.z };
+                hit = rayCapsuleDistance(origin, direction, range, base, top, bodyInfo.radius);
+            } else {
+                hit = rayBoxDistance(origin, direction, pose.position, pose.rotation, bodyInfo.halfExtents);
+            }
+
+            if (hit !== null && hit <= (distance ?? range)) {
+                distance = hit;
+                target = bodyInfo;
+                targetPose = pose;
+            }
+        }
+
+        if (distance === null) return null;
+        const point = {
+            x: origin.x + direction.x * distance,
+            y: origin.y + direction.y * distance,
+            z: origin.z + direction.z * distance
+        };
+        const localPoint = target && !target.character
+            ? inverseRotate({
+                x: point.x - targetPose.position.x,
+                y: point.y - targetPose.position.y,
+                z: point.z - targetPose.position.z
+            }, targetPose.rotation)
+            : null;
+        return {
+            entityId: target ? target.entityId : null,
+            type: target ? target.type : 'static',
+            distance,
+            point,
+            localPoint
+        };
+    }
+
+    /**
+     * Trace a falling shot (see castShot) along its arc, a segment at a time
+     * @param {Object} velocity - Launch velocity (m/s)
+     * @param {number} drop - Fraction of world gravity the shot falls with
+     * @param {number} duration - Flight time (s) before it is spent
+     * @returns {Object|null} As castShot; distance is along the arc
+     */
+    castArc(origin, velocity, drop, duration, time, ignore = [], segments = 16) {
+        const dt = duration / segments;
+        const position = { ...origin };
+        const vel = { ...velocity };
+        let travelled = 0;
+
+        for (let i = 0; i < segments; i++) {
+            vel.y += PHYSICS_CONFIG.gravity * drop * dt;
+            const dx = vel.x * dt, dy = vel.y * dt, dz = vel.z * dt;
+            const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (length < 1e-6) continue;
+
+            const hit = this.castShot(position, { x: dx / length, y: dy / length, z: dz / length }, length, time, ignore);
+            if (hit) return { ...hit, distance: travelled + hit.distance };
+
+            position.x += dx;
+            position.y += dy;
+            position.z += dz;
+            travelled += length;
+        }
+        return null;
+    }
+
+    /**
+     * Distance along a ray to the nearest static body, or null
+     */
+    castStaticRay(origin, direction, range) {
+        const Jolt = this.Jolt;
+        const queries = this.shotQueries;
+
+        const start = new Jolt.RVec3(origin.x, origin.y, origin.z);
+        const span = new Jolt.Vec3(direction.x * range, direction.y * range, direction.z * range);
+        const ray = new Jolt.RRayCast(start, span);
+        const collector = new Jolt.CastRayClosestHitCollisionCollector();
+
+        this.physicsSystem.GetNarrowPhaseQuery().CastRay(
+            ray, queries.settings, collector,
+            queries.broadPhase, queries.objectLayer, queries.body, queries.shape
+        );
+        const distance = collector.HadHit() ? collector.mHit.mFraction * range : null;
+
+        Jolt.destroy(collector);
+        Jolt.destroy(ray);
+        Jolt.destroy(span);
+        Jolt.destroy(start);
+        return distance;
+    }
+
     /**
      * Set body position directly (for teleportation)
      */
@@ -705,11 +1438,14 @@ export class JoltPhysicsWorld {
         if (!bodyInfo) return;
 
         const Jolt = this.Jolt;
-        this.bodyInterface.SetPosition(
-            bodyInfo.body.GetID(),
-            new Jolt.RVec3(position.x, position.y, position.z),
-            Jolt.EActivation_Activate
-        );
+        this.scratchPosition.Set(position.x, position.y, position.z);
+        if (bodyInfo.character) {
+            bodyInfo.character.SetPosition(this.scratchPosition);
+            bodyInfo.character.SetLinearVelocity(Jolt.Vec3.prototype.sZero());
+            return;
+        }
+
+        this.bodyInterface.SetPosition(bodyInfo.body.GetID(), this.scratchPosition, Jolt.EActivation_Activate);
     }
 
     /**
@@ -723,6 +1459,18 @@ export class JoltPhysicsWorld {
         if (!bodyInfo) return;
 
         const Jolt = this.Jolt;
+        if (bodyInfo.character) {
+            Jolt.destroy(bodyInfo.character);
+            this.bodies.delete(bodyId);
+            this.entityBodies.delete(entityId);
+            return;
+        }
+
+        if (bodyInfo.constraint) {
+            this.physicsSystem.RemoveStepListener(bodyInfo.stepListener);
+            this.physicsSystem.RemoveConstraint(bodyInfo.constraint);
+            Jolt.destroy(bodyInfo.stepListener);
+        }
         this.bodyInterface.RemoveBody(bodyInfo.body.GetID());
         this.bodyInterface.DestroyBody(bodyInfo.body.GetID());
 
@@ -734,6 +1482,11 @@ export class JoltPhysicsWorld {
      * Cleanup
      */
     destroy() {
+        // Characters live outside the physics system and must go first
+        for (const bodyInfo of this.bodies.values()) {
+            if (bodyInfo.character) this.Jolt.destroy(bodyInfo.character);
+        }
+
         if (this.joltInterface) {
             this.Jolt.destroy(this.joltInterface);
             this.joltInterface = null;
@@ -756,4 +1509,123 @@ export class JoltPhysicsWorld {
     }
 }
 
+function isTurretTurning(turret) {
+    return !!turret && (Math.abs(wrapAngle(turret.aim.yaw - turret.yaw)) > 1e-6 ||
+        Math.abs(turret.aim.pitch - turret.pitch) > 1e-6);
+}
+
+// ============================================
+// SHOT AND BLAST GEOMETRY
+// ============================================
+
+function lerpVector(a, b, t) {
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+}
+
+function nlerpQuaternion(a, b, t) {
+    // Take the short way round
+    const sign = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w < 0 ? -1 : 1;
+    const q = {
+        x: a.x + (b.x * sign - a.x) * t,
+        y: a.y + (b.y * sign - a.y) * t,
+        z: a.z + (b.z * sign - a.z) * t,
+        w: a.w + (b.w * sign - a.w) * t
+    };
+    const length = Math.hypot(q.x, q.y, q.z, q.w) || 1;
+    return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+}
+
+/**
+ * Impulse pushing a body away from an explosion (along `offset`, lifted a
+ * little), capped so light bodies aren't flung off the map
+ */
+function blastPush(offset, impulse, mass) {
+    const length = Math.hypot(offset.x, offset.y, offset.z);
+    const away = length > 1e-6
+        ? { x: offset.x / length, y: offset.y / length + PHYSICS_CONFIG.blastLift, z: offset.z / length }
+        : { x: 0, y: 1, z: 0 };
+    const scale = Math.min(impulse, mass * PHYSICS_CONFIG.maxBlastSpeed) / (Math.hypot(away.x, away.y, away.z) || 1);
+    return { x: away.x * scale, y: away.y * scale, z: away.z * scale };
+}
+
+/**
+ * Rotate a vector by the inverse of a unit quaternion (world -> body space)
+ */
+function inverseRotate(v, q) {
+    const qx = -q.x, qy = -q.y, qz = -q.z, qw = q.w;
+    // t = 2 * cross(q.xyz, v); v' = v + w * t + cross(q.xyz, t)
+    const tx = 2 * (qy * v.z - qz * v.y);
+    const ty = 2 * (qz * v.x - qx * v.z);
+    const tz = 2 * (qx * v.y - qy * v.x);
+    return {
+        x: v.x + qw * tx + (qy * tz - qz * ty),
+        y: v.y + qw * ty + (qz * tx - qx * tz),
+        z: v.z + qw * tz + (qx * ty - qy * tx)
+    };
+}
+
+/**
+ * Distance along a ray to an oriented box (slab test in box space), or null
+ */
+function rayBoxDistance(origin, direction, center, rotation, halfExtents) {
+    const o = inverseRotate({ x: origin.x - center.x, y: origin.y - center.y, z: origin.z - center.z }, rotation);
+    const d = inverseRotate(direction, rotation);
+
+    let near = 0;
+    let far = Infinity;
+    for (const axis of ['x', 'y', 'z']) {
+        const extent = halfExtents[axis];
+        if (Math.abs(d[axis]) < 1e-9) {
+            if (Math.abs(o[axis]) > extent) return null;
+            continue;
+        }
+        let t1 = (-extent - o[axis]) / d[axis];
+        let t2 = (extent - o[axis]) / d[axis];
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        near = Math.max(near, t1);
+        far = Math.min(far, t2);
+        if (near > far) return null;
+    }
+    return near;
+}
+
+/**
+ * Distance along a ray segment to a capsule, or null. Uses the closest points
+ * between the ray and the capsule's axis, which is exact for shots across the
+ * capsule and close enough for glancing ones.
+ */
+function rayCapsuleDistance(origin, direction, range, base, top, radius) {
+    const d1 = { x: direction.x * range, y: direction.y * range, z: direction.z * range };
+    const d2 = { x: top.x - base.x, y: top.y - base.y, z: top.z - base.z };
+    const r = { x: origin.x - base.x, y: origin.y - base.y, z: origin.z - base.z };
+    const dot = (u, v) => u.x * v.x + u.y * v.y + u.z * v.z;
+    const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+    const a = dot(d1, d1);
+    const e = dot(d2, d2);
+    const f = dot(d2, r);
+    const c = dot(d1, r);
+    const b = dot(d1, d2);
+    const denom = a * e - b * b;
+
+    // s along the ray, t along the axis
+    let s = denom > 1e-9 ? clamp01((b * f - c * e) / denom) : 0;
+    let t = (b * s + f) / e;
+    if (t < 0) {
+        t = 0;
+        s = clamp01(-c / a);
+    } else if (t > 1) {
+        t = 1;
+        s = clamp01((b - c) / a);
+    }
+
+    const gap = Math.hypot(
+        origin.x + d1.x * s - (base.x + d2.x * t),
+        origin.y + d1.y * s - (base.y + d2.y * t),
+        origin.z + d1.z * s - (base.z + d2.z * t)
+    );
+    if (gap > radius) return null;
+    return Math.max(0, s * range - Math.sqrt(radius * radius - gap * gap));
+}
+
 export { LAYER_STATIC, LAYER_DYNAMIC, LAYER_PLAYER, LAYER_VEHICLE };
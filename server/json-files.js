@@ -0,0 +1,49 @@
+/**
+ * JSON file helpers shared by the server's file-backed stores
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+
+// Suffix for temp files, unique per write in this process
+let tempCounter = 0;
+
+/**
+ * Map a player name onto a safe file/directory name. Different names can share
+ * a key (case and punctuation are folded), so stores keyed by it must check the
+ * name they find in the file.
+ * @param {string} name - Username
+ * @returns {string}
+ */
+export function fileKey(name) {
+    const key = String(name || '').toLowerCase().replace(/[^a-z0-9_-]/g, '_').slice(0, 32);
+    return key || 'player';
+}
+
+/**
+ * Read and parse a JSON file
+ * @returns {Promise<Object|null>} Parsed value, or null if the file does not exist
+ */
+export async function readJsonFile(url) {
+    try {
+        return JSON.parse(await readFile(url, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename) so a crash mid-write
+ * never leaves a truncated file behind. Each write has its own temp file, so
+ * overlapping writes of one file can't rename each other's half-written text
+ * into place; the last to finish wins. Parent directories are created.
+ * @param {URL} url - Target file
+ * @param {Object|string} value - Value to serialize, or pre-serialized text
+ */
+export async function writeJsonFile(url, value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    await mkdir(new URL('./', url), { recursive: true });
+    const tmpUrl = new URL(`${url.href}.${process.pid}-${++tempCounter}.tmp`);
+    await writeFile(tmpUrl, text, 'utf8');
+    await rename(tmpUrl, url);
+}
@@ -0,0 +1,197 @@
+/**
+ * Server-authoritative interactive object actions
+ *
+ * Objects are not simulated on the server; they are re-derived on demand from
+ * the same deterministic chunk placement the client uses (js/object-spawns.js).
+ * The server owns the per-object state, cooldowns and each player's resource
+ * ledger, so rewards can't be forged and a node can only be looted once.
+ */
+
+import { CONFIG } from '../js/config.js';
+import { evaluateAction } from '../js/interaction-actions.js';
+import { ObjectStateStore, objectKey } from '../js/object-state.js';
+import { findChunkObjectSpawn } from '../js/object-spawns.js';
+import { PlayerResources } from '../js/player-resources.js';
+import { clampStat } from '../js/items/item-effects.js';
+import { RECIPES } from '../js/items/recipes.js';
+
+// Extra reach on top of the client interaction range to absorb latency
+const RANGE_TOLERANCE = 6;
+
+// Stamina is simulated client-side (sprinting), so the server neither gates nor tracks it
+const SERVER_RESOURCE_KEYS = ['credits', 'intel', 'salvage', 'health'];
+
+function pickServerResources(values) {
+    const picked = {};
+    if (!values) return picked;
+    SERVER_RESOURCE_KEYS.forEach(key => {
+        if (values[key]) picked[key] = values[key];
+    });
+    return picked;
+}
+
+export class ObjectAuthority {
+    constructor() {
+        this.states = new ObjectStateStore();
+        this.cooldowns = new Map();   // objectKey -> cooldown end (ms, server clock)
+        this.ledgers = new Map();     // clientId -> PlayerResources
+    }
+
+    /**
+     * Get (or create) the resource ledger for a player
+     */
+    getLedger(clientId) {
+        let ledger = this.ledgers.get(clientId);
+        if (!ledger) {
+            ledger = new PlayerResources();
+            this.ledgers.set(clientId, ledger);
+        }
+        return ledger;
+    }
+
+    removeLedger(clientId) {
+        this.ledgers.delete(clientId);
+    }
+
+    /**
+     * Validate and resolve an object action for a player.
+     * @param {string} clientId - Acting client
+     * @param {Object} request - { chunkX, chunkZ, index, objectId, action }
+     * @param {Object} playerPosition - Player body position from the physics world
+     * @param {Object} [bonuses] - { interactionRange, hackChance } from the server's PlayerEffects
+     * @returns {Object} { ok: false, reason } or the authoritative result
+     */
+    resolve(clientId, request, playerPosition, bonuses = {}) {
+        const { chunkX, chunkZ, index, objectId, action } = request || {};
+        if (![chunkX, chunkZ, index].every(Number.isInteger) || typeof action !== 'string') {
+            return { ok: false, reason: 'Malformed object action.' };
+        }
+
+        const spawn = findChunkObjectSpawn(chunkX, chunkZ, index);
+        if (!spawn) {
+            return { ok: false, reason: 'No such object.' };
+        }
+
+        const key = objectKey(spawn.def, spawn.seed);
+        if (objectId && objectId !== key) {
+            return { ok: false, reason: 'Object mismatch.' };
+        }
+        if (!spawn.def.actions?.includes(action)) {
+            return { ok: false, objectId: key, reason: `${action} is not supported by ${spawn.def.name}.` };
+        }
+
+        if (!playerPosition) {
+            return { ok: false, objectId: key, reason: 'Player not spawned.' };
+        }
+        const dx = playerPosition.x - spawn.x;
+        const dz = playerPosition.z - spawn.z;
+        const maxRange = CONFIG.interactionRange + Math.max(0, bonuses.interactionRange || 0) + RANGE_TOLERANCE;
+        if (Math.sqrt(dx * dx + dz * dz) > maxRange) {
+            return { ok: false, objectId: key, reason: 'Out of range.' };
+        }
+
+        const now = Date.now();
+        const lockUntil = this.cooldowns.get(key) || 0;
+        if (lockUntil > now) {
+            return {
+                ok: false,
+                objectId: key,
+                reason: `Cooling down (${((lockUntil - now) / 1000).toFixed(1)}s)`,
+                ...this.getEntry(key)
+            };
+        }
+
+        const state = this.states.get(spawn.def, spawn.seed);
+        const unavailable = this.states.blockedReason(state, action);
+        if (unavailable) {
+            return { ok: false, objectId: key, reason: unavailable, ...this.getEntry(key) };
+        }
+
+        // Deterministic roll: object seed advanced by how many times it has been used.
+        // Any modifiers the client reports are ignored; bonuses come from the server's copy.
+        const modifiers = {
+            hackChance: Math.max(0, clampStat('hackChance', bonuses.hackChance || 0))
+        };
+        const outcome = evaluateAction(spawn.def, action, this.states.rollSeed(state, spawn.seed), state, modifiers);
+
+        const ledger = this.getLedger(clientId);
+        const shortfall = ledger.checkCost(pickServerResources(outcome.cost));
+        if (shortfall) {
+            return { ok: false, objectId: key, reason: shortfall };
+        }
+
+        const applied = ledger.applyDeltas(pickServerResources(outcome));
+        this.states.applyOutcome(state, action, outcome);
+
+        const cooldownMs = Math.max(3000, (outcome.cooldown || 0) * 1000);
+        this.cooldowns.set(key, now + cooldownMs);
+
+        return {
+            ok: true,
+            objectId: key,
+            action,
+            log: outcome.log,
+            applied,
+            stamina: outcome.stamina || 0,
+            resources: ledger.toJSON(),
+            itemId: action === 'salvage' ? spawn.def.id : null,
+            cooldown: cooldownMs / 1000,
+            ...this.getEntry(key)
+        };
+    }
+
+    /**
+     * Spend a recipe's resource cost from a player's ledger. Moving the item
+     * inputs and outputs is up to the caller, which owns the inventory.
+     * @returns {Object} { ok: false, reason } or { ok, recipeId, applied, resources }
+     */
+    spendRecipe(clientId, recipeId) {
+        const recipe = RECIPES.find(entry => entry.id === recipeId);
+        if (!recipe) {
+            return { ok: false, recipeId, reason: `Unknown recipe: ${recipeId}` };
+        }
+
+        const ledger = this.getLedger(clientId);
+        const cost = pickServerResources(recipe.resources);
+        const shortfall = ledger.checkCost(cost);
+        if (shortfall) {
+            return { ok: false, recipeId, reason: shortfall, resources: ledger.toJSON() };
+        }
+
+        const deltas = {};
+        Object.entries(cost).forEach(([key, amount]) => { deltas[key] = -amount; });
+        return {
+            ok: true,
+            recipeId,
+            applied: ledger.applyDeltas(deltas),
+            resources: ledger.toJSON()
+        };
+    }
+
+    /**
+     * Network representation of a single object's state
+     */
+    getEntry(key) {
+        const state = this.states.peek(key);
+        const lockUntil = this.cooldowns.get(key) || 0;
+        return {
+            objectId: key,
+            state: state ? {
+                integrity: state.integrity,
+                security: state.security,
+                signal: state.signal,
+                disabled: state.disabled,
+                repairProgress: state.repairProgress,
+                interactions: state.interactions
+            } : null,
+            cooldownRemaining: Math.max(0, lockUntil - Date.now())
+        };
+    }
+
+    /**
+     * All touched objects, for clients joining the room
+     */
+    snapshot() {
+        return Array.from(this.states.states.keys()).map(key => this.getEntry(key));
+    }
+}
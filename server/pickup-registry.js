@@ -0,0 +1,118 @@
+/**
+ * Pickup Registry (server)
+ *
+ * Items dropped into the world by players. The server owns every pickup so two
+ * players can't both collect the same stack; clients only render them and ask
+ * to claim them. Pickups expire after a while so abandoned drops don't pile up.
+ */
+
+import { getItem } from '../js/items/item-loader.js';
+import { getStackSize } from '../js/items/item-stacking.js';
+
+const PICKUP_LIFETIME = 10 * 60 * 1000;   // ms
+const MAX_PICKUPS = 400;                  // per room; oldest are removed first
+const PICKUP_RANGE = 6;                   // m from the player's body
+
+export class PickupRegistry {
+    constructor({ lifetime = PICKUP_LIFETIME, maxPickups = MAX_PICKUPS } = {}) {
+        this.lifetime = lifetime;
+        this.maxPickups = maxPickups;
+        this.pickups = new Map();   // pickupId -> { id, itemId, quantity, position, droppedBy, expiresAt }
+        this.counter = 0;
+    }
+
+    /**
+     * Validate a drop request against the item registry and the server's
+     * record of the dropping player's inventory
+     * @param {Function} carried - itemId => units the player holds
+     * @returns {string|null} Rejection reason, or null if valid
+     */
+    checkDrop(itemId, quantity, carried) {
+        const def = typeof itemId === 'string' ? getItem(itemId) : null;
+        if (!def) return 'Unknown item';
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > getStackSize(def)) {
+            return 'Invalid quantity';
+        }
+        if (carried(itemId) < quantity) return 'Not in your inventory';
+        return null;
+    }
+
+    /**
+     * Place a stack in the world
+     * @returns {Object} { entry, evicted } - evicted lists pickup ids removed to make room
+     */
+    drop(itemId, quantity, position, droppedBy) {
+        const evicted = [];
+        while (this.pickups.size >= this.maxPickups) {
+            const oldest = this.pickups.keys().next().value;
+            this.pickups.delete(oldest);
+            evicted.push(oldest);
+        }
+
+        const entry = {
+            id: `pickup-${++this.counter}`,
+            itemId,
+            quantity,
+            position: { x: position.x, y: position.y, z: position.z },
+            droppedBy,
+            expiresAt: Date.now() + this.lifetime
+        };
+        this.pickups.set(entry.id, entry);
+        return { entry, evicted };
+    }
+
+    /**
+     * Take up to `quantity` from a pickup for a player standing at `position`
+     * @returns {Object} { ok, reason?, itemId, taken, entry } - entry is null once the stack is empty
+     */
+    claim(pickupId, quantity, position) {
+        const entry = this.pickups.get(pickupId);
+        if (!entry) return { ok: false, reason: 'Already taken' };
+        if (!position) return { ok: false, reason: 'No player body' };
+
+        const dx = entry.position.x - position.x;
+        const dz = entry.position.z - position.z;
+        if (dx * dx + dz * dz > PICKUP_RANGE * PICKUP_RANGE) {
+            return { ok: false, reason: 'Too far away' };
+        }
+
+        const requested = Number.isInteger(quantity) && quantity > 0 ? quantity : entry.quantity;
+        const taken = Math.min(requested, entry.quantity);
+        entry.quantity -= taken;
+        if (entry.quantity <= 0) this.pickups.delete(pickupId);
+
+        return { ok: true, itemId: entry.itemId, taken, entry: entry.quantity > 0 ? entry : null };
+    }
+
+    /**
+     * Drop expired pickups
+     * @returns {Array<string>} Removed pickup ids
+     */
+    expire(now = Date.now()) {
+        const removed = [];
+        for (const [id, entry] of this.pickups) {
+            if (entry.expiresAt <= now) {
+                this.pickups.delete(id);
+                removed.push(id);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Client-facing entry (no expiry bookkeeping)
+     */
+    describe(entry) {
+        return {
+            id: entry.id,
+            itemId: entry.itemId,
+            quantity: entry.quantity,
+            position: entry.position,
+            droppedBy: entry.droppedBy
+        };
+    }
+
+    snapshot() {
+        return Array.from(this.pickups.values(), entry => this.describe(entry));
+    }
+}
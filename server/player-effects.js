@@ -0,0 +1,103 @@
+/**
+ * Player Effects (server)
+ *
+ * The server's copy of each player's worn equipment and timed buffs, mirroring
+ * the client's EffectSystem (js/effects.js). Bonuses the server acts on (reach
+ * and hack chance for object actions, move speed) are read from here, never
+ * from what a client claims. Equipment only counts while the inventory the
+ * server owns holds it (never the client's report of it), and buffs only come
+ * from item uses the server accepted.
+ */
+
+import { getItem } from '../js/items/item-loader.js';
+import { EQUIP_SLOTS, getUseEffects, getEquipSpec, clampStat } from '../js/items/item-effects.js';
+
+// Fraction of an item's cooldown that must pass between uses (absorbs latency jitter)
+const COOLDOWN_TOLERANCE = 0.8;
+
+export class PlayerEffects {
+    /**
+     * @param {Function} carried - (clientId, itemId) => units the server's inventory record holds
+     */
+    constructor(carried) {
+        this.carried = carried;
+        this.players = new Map();   // clientId -> { equipped: Map<slot, itemId>, buffs, uses: Map<itemId, ms> }
+    }
+
+    get(clientId) {
+        let state = this.players.get(clientId);
+        if (!state) {
+            state = { equipped: new Map(), buffs: [], uses: new Map() };
+            this.players.set(clientId, state);
+        }
+        return state;
+    }
+
+    forget(clientId) {
+        this.players.delete(clientId);
+    }
+
+    /**
+     * Replace a player's worn equipment with the carried, equippable items among itemIds
+     * @returns {Array<string>} The items now worn
+     */
+    setEquipment(clientId, itemIds) {
+        const state = this.get(clientId);
+        state.equipped.clear();
+        for (const itemId of itemIds.slice(0, EQUIP_SLOTS.length)) {
+            const spec = getEquipSpec(getItem(itemId));
+            if (spec && this.carried(clientId, itemId) > 0) state.equipped.set(spec.slot, itemId);
+        }
+        return Array.from(state.equipped.values());
+    }
+
+    /**
+     * Record one use of an item the caller has checked the player holds.
+     * Buffs are applied here; restores are returned for the caller to apply.
+     * @returns {Object} { ok: false, reason } or { ok: true, restore } - restore is resource -> amount
+     */
+    use(clientId, itemId, now = Date.now()) {
+        const def = getItem(itemId);
+        const effects = getUseEffects(def);
+        if (!def || effects.length === 0) return { ok: false, reason: 'Item has no use' };
+
+        const state = this.get(clientId);
+        const cooldown = Math.max(1, def.cooldown || 0) * 1000 * COOLDOWN_TOLERANCE;
+        if (now - (state.uses.get(itemId) || 0) < cooldown) {
+            return { ok: false, reason: `${def.name} is recharging` };
+        }
+        state.uses.set(itemId, now);
+
+        const restore = {};
+        effects.forEach(effect => {
+            if (effect.type === 'restore') {
+                restore[effect.resource] = (restore[effect.resource] || 0) + effect.amount;
+            } else if (effect.type === 'buff') {
+                // Re-using the same item refreshes its buff instead of stacking it
+                state.buffs = state.buffs.filter(buff => buff.itemId !== itemId || buff.stat !== effect.stat);
+                state.buffs.push({ itemId, stat: effect.stat, value: effect.value, expiresAt: now + effect.duration * 1000 });
+            }
+        });
+        return { ok: true, restore };
+    }
+
+    /**
+     * Summed bonus for one stat from carried equipment and running buffs
+     */
+    getStat(clientId, stat, now = Date.now()) {
+        const state = this.players.get(clientId);
+        if (!state) return 0;
+
+        let total = 0;
+        state.equipped.forEach(itemId => {
+            if (this.carried(clientId, itemId) > 0) {
+                total += getEquipSpec(getItem(itemId))?.modifiers?.[stat] || 0;
+            }
+        });
+        state.buffs = state.buffs.filter(buff => buff.expiresAt > now);
+        state.buffs.forEach(buff => {
+            if (buff.stat === stat) total += buff.value;
+        });
+        return clampStat(stat, total);
+    }
+}
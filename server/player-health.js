@@ -0,0 +1,192 @@
+/**
+ * Player Health (server)
+ *
+ * Server-authoritative hit points for the players in a room. The points
+ * themselves live in each player's resource ledger (so saves, profiles and
+ * action backlash already see them); this tracks what happens around them:
+ * death, the respawn delay, where a player may come back, and the short
+ * protection window after spawning.
+ */
+
+import { CONFIG } from '../js/config.js';
+
+export const HEALTH_CONFIG = {
+    respawnDelay: 5000,         // ms dead before a respawn is allowed
+    invulnerability: 3000,      // ms of protection after spawning
+    fallDamageSpeed: 25,        // m/s landing speed where falls start to hurt (~8 m drop)
+    fallDamagePerSpeed: 5,      // HP per m/s above that
+    nearbyDistance: [60, 100],  // m from the body for the 'nearby' spawn point
+    allyDistance: 8             // m from the ally for the 'ally' spawn point
+};
+
+// Fixed spawn points offered after every death, besides 'nearby' and 'ally'
+export const RESPAWN_POINTS = [
+    { id: 'origin', label: 'Motor pool', x: 0, z: 0 }
+];
+
+/**
+ * Damage from landing at the given downward speed
+ */
+export function fallDamage(speed) {
+    const excess = speed - HEALTH_CONFIG.fallDamageSpeed;
+    return excess > 0 ? Math.round(excess * HEALTH_CONFIG.fallDamagePerSpeed) : 0;
+}
+
+export class PlayerHealth {
+    /**
+     * @param {Function} getLedger - (clientId) => PlayerResources holding the hit points
+     */
+    constructor(getLedger) {
+        this.getLedger = getLedger;
+        this.players = new Map();   // clientId -> { alive, protectedUntil, diedAt, deathPosition, deaths, cause }
+    }
+
+    /**
+     * (Re)start a life: full health if the last one ended, then a short protection window
+     */
+    spawn(clientId, now = Date.now()) {
+        let state = this.players.get(clientId);
+        if (!state) {
+            state = { alive: true, protectedUntil: 0, diedAt: 0, deathPosition: null, deaths: 0, cause: null };
+            this.players.set(clientId, state);
+        }
+
+        const ledger = this.getLedger(clientId);
+        if (!state.alive || ledger.health <= 0) {
+            ledger.applyDeltas({ health: ledger.maxHealth });
+        }
+        state.alive = true;
+        state.protectedUntil = now + HEALTH_CONFIG.invulnerability;
+        state.diedAt = 0;
+        state.deathPosition = null;
+        state.cause = null;
+        return state;
+    }
+
+    forget(clientId) {
+        this.players.delete(clientId);
+    }
+
+    isAlive(clientId) {
+        return this.players.get(clientId)?.alive || false;
+    }
+
+    /**
+     * Take hit points from a player
+     * @param {Object} source - { cause, by } - what did it, and which client if any
+     * @returns {Object|null} { amount, health, killed }, or null if the player
+     *   is dead, protected or not spawned
+     */
+    damage(clientId, amount, source, now = Date.now()) {
+        const state = this.players.get(clientId);
+        if (!state?.alive || now < state.protectedUntil || !(amount > 0)) return null;
+
+        const applied = this.getLedger(clientId).applyDeltas({ health: -amount });
+        const killed = this.settle(clientId, source, now);
+        return { amount: -(applied.health || 0), health: this.getLedger(clientId).health, killed };
+    }
+
+    /**
+     * Kill the player if its health has run out by other means (action backlash)
+     * @returns {boolean} Whether the player died
+     */
+    settle(clientId, source, now = Date.now()) {
+        const state = this.players.get(clientId);
+        if (!state?.alive || this.getLedger(clientId).health > 0) return false;
+
+        state.alive = false;
+        state.diedAt = now;
+        state.deaths++;
+        state.cause = source || { cause: 'unknown' };
+        return true;
+    }
+
+    heal(clientId, amount) {
+        if (!this.isAlive(clientId) || !(amount > 0)) return 0;
+        return this.getLedger(clientId).applyDeltas({ health: amount }).health || 0;
+    }
+
+    /**
+     * Remember where the player died, for the 'nearby' spawn point
+     */
+    setDeathPosition(clientId, position) {
+        const state = this.players.get(clientId);
+        if (state && !state.alive && position) {
+            state.deathPosition = { x: position.x, y: position.y, z: position.z };
+        }
+    }
+
+    /**
+     * @returns {number} ms until the player may respawn (0 when it can now)
+     */
+    respawnWait(clientId, now = Date.now()) {
+        const state = this.players.get(clientId);
+        if (!state || state.alive) return 0;
+        return Math.max(0, state.diedAt + HEALTH_CONFIG.respawnDelay - now);
+    }
+
+    /**
+     * Spawn points a dead player can choose from
+     * @param {Array<Object>} allies - { clientId, username, position } of living players
+     */
+    getSpawnPoints(clientId, allies = []) {
+        const points = [];
+        if (this.players.get(clientId)?.deathPosition) {
+            points.push({ id: 'nearby', label: 'Near where you fell' });
+        }
+        RESPAWN_POINTS.forEach(point => points.push({ id: point.id, label: point.label }));
+        allies
+            .filter(ally => ally.clientId !== clientId)
+            .forEach(ally => points.push({ id: `ally:${ally.clientId}`, label: `With ${ally.username}` }));
+        return points;
+    }
+
+    /**
+     * Where a chosen spawn point puts the player (y is filled in from the terrain)
+     * @param {Function} random - () => [0, 1)
+     * @returns {Object|null} { x, z }, or null for an unknown or unavailable point
+     */
+    resolveSpawnPoint(clientId, pointId, allies = [], random = Math.random) {
+        const state = this.players.get(clientId);
+        if (!state || typeof pointId !== 'string') return null;
+
+        if (pointId === 'nearby') {
+            if (!state.deathPosition) return null;
+            const [min, max] = HEALTH_CONFIG.nearbyDistance;
+            const angle = random() * Math.PI * 2;
+            const distance = min + random() * (max - min);
+            return {
+                x: state.deathPosition.x + Math.cos(angle) * distance,
+                z: state.deathPosition.z + Math.sin(angle) * distance
+            };
+        }
+
+        if (pointId.startsWith('ally:')) {
+            const ally = allies.find(entry => `ally:${entry.clientId}` === pointId && entry.clientId !== clientId);
+            if (!ally) return null;
+            const angle = random() * Math.PI * 2;
+            return {
+                x: ally.position.x + Math.cos(angle) * HEALTH_CONFIG.allyDistance,
+                z: ally.position.z + Math.sin(angle) * HEALTH_CONFIG.allyDistance
+            };
+        }
+
+        const fixed = RESPAWN_POINTS.find(point => point.id === pointId);
+        return fixed ? { x: fixed.x, z: fixed.z } : null;
+    }
+
+    /**
+     * Health as sent to the player itself
+     */
+    getStatus(clientId, now = Date.now()) {
+        const state = this.players.get(clientId);
+        const ledger = this.getLedger(clientId);
+        return {
+            health: ledger.health,
+            maxHealth: ledger.maxHealth || CONFIG.maxHealth,
+            alive: state?.alive || false,
+            protectedFor: state?.alive ? Math.max(0, state.protectedUntil - now) : 0,
+            respawnIn: this.respawnWait(clientId, now)
+        };
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * Player Profile Store (server)
+ *
+ * File-backed player profiles under server/data/profiles/<username>.json.
+ * A profile is claimed by the first handshake that uses its username; that
+ * session is issued a random token (only its hash is stored) which must be
+ * presented on later handshakes to resume the profile.
+ *
+ * Profiles hold the player's appearance, last position, inventory, resource
+ * ledger and lifetime stats.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { fileKey, readJsonFile, writeJsonFile } from './json-files.js';
+import { getItem } from '../js/items/item-loader.js';
+import { getStackSize } from '../js/items/item-stacking.js';
+
+export const PROFILE_DIR = new URL('./data/profiles/', import.meta.url);
+
+const PROFILE_VERSION = 1;
+const MAX_INVENTORY_ENTRIES = 256;
+
+function hashToken(token) {
+    return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function tokenMatches(token, expectedHash) {
+    if (typeof token !== 'string' || !expectedHash) return false;
+    const actual = Buffer.from(hashToken(token), 'hex');
+    const expected = Buffer.from(expectedHash, 'hex');
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Create an empty profile for a username
+ */
+function createProfile(username, tokenHash) {
+    const now = Date.now();
+    return {
+        version: PROFILE_VERSION,
+        username,
+        tokenHash,
+        createdAt: now,
+        lastSeen: now,
+        appearance: null,
+        position: null,
+        inventory: null,
+        resources: null,
+        stats: {
+            sessions: 0,
+            playTime: 0,       // seconds
+            objectActions: 0,
+            deaths: 0
+        }
+    };
+}
+
+/**
+ * Validate a client-reported inventory ({ slots: [[itemId, qty] | null], maxWeight }).
+ * Older clients reported { items: [[itemId, qty]], maxCapacity }; those are kept
+ * as-is and regridded by the client on load.
+ * @returns {Object|null} Sanitized copy, or null if malformed
+ */
+export function sanitizeInventory(inventory) {
+    const isEntry = entry => Array.isArray(entry) &&
+        typeof entry[0] === 'string' &&
+        Number.isInteger(entry[1]) && entry[1] > 0;
+    const clean = ([itemId, quantity]) => [itemId.slice(0, 64), quantity];
+
+    if (Array.isArray(inventory?.slots)) {
+        const slots = inventory.slots
+            .slice(0, MAX_INVENTORY_ENTRIES)
+            .map(entry => isEntry(entry) ? clean(entry) : null);
+        const result = { slots };
+        if (typeof inventory.maxWeight === 'number' && inventory.maxWeight > 0) {
+            result.maxWeight = inventory.maxWeight;
+        }
+        return result;
+    }
+
+    if (!inventory || !Array.isArray(inventory.items)) return null;
+    return {
+        items: inventory.items.filter(isEntry).slice(0, MAX_INVENTORY_ENTRIES).map(clean)
+    };
+}
+
+/**
+ * Total units per item in a sanitized inventory
+ * @returns {Map} itemId -> quantity
+ */
+export function inventoryTotals(inventory) {
+    const totals = new Map();
+    (inventory?.slots || inventory?.items || []).forEach(entry => {
+        if (entry) totals.set(entry[0], (totals.get(entry[0]) || 0) + entry[1]);
+    });
+    return totals;
+}
+
+/**
+ * Whether two sanitized inventories hold the same items in the same amounts,
+ * however they are laid out
+ */
+export function sameInventoryContents(a, b) {
+    const totals = inventoryTotals(a);
+    inventoryTotals(b).forEach((quantity, itemId) => totals.set(itemId, (totals.get(itemId) || 0) - quantity));
+    return Array.from(totals.values()).every(total => total === 0);
+}
+
+/**
+ * Units of an item in a sanitized inventory
+ */
+export function countInventoryItem(inventory, itemId) {
+    const entries = inventory?.slots || inventory?.items || [];
+    return entries.reduce((sum, entry) => sum + (entry && entry[0] === itemId ? entry[1] : 0), 0);
+}
+
+/**
+ * Remove units of an item from a sanitized inventory
+ * @returns {boolean} false, with nothing removed, if it holds fewer than that
+ */
+export function takeInventoryItem(inventory, itemId, quantity) {
+    if (countInventoryItem(inventory, itemId) < quantity) return false;
+
+    const entries = inventory.slots || inventory.items;
+    let remaining = quantity;
+    for (let i = entries.length - 1; i >= 0 && remaining > 0; i--) {
+        const entry = entries[i];
+        if (!entry || entry[0] !== itemId) continue;
+        const taken = Math.min(entry[1], remaining);
+        entry[1] -= taken;
+        remaining -= taken;
+        if (entry[1] > 0) continue;
+        if (inventory.slots) entries[i] = null;
+        else entries.splice(i, 1);
+    }
+    return true;
+}
+
+/**
+ * Add units of an item to a sanitized inventory, topping up its stacks before
+ * opening free slots like the client's inventory does. The client reports its
+ * real layout with its next profile update.
+ */
+export function addInventoryItem(inventory, itemId, quantity) {
+    if (!inventory?.slots) {
+        inventory?.items?.push([itemId, quantity]);
+        return;
+    }
+    const slots = inventory.slots;
+    const stackSize = getStackSize(getItem(itemId));
+    let remaining = quantity;
+    slots.forEach(entry => {
+        if (remaining <= 0 || !entry || entry[0] !== itemId || entry[1] >= stackSize) return;
+        const added = Math.min(stackSize - entry[1], remaining);
+        entry[1] += added;
+        remaining -= added;
+    });
+    while (remaining > 0) {
+        const free = slots.indexOf(null);
+        if (free < 0 && slots.length >= MAX_INVENTORY_ENTRIES) break;
+        const added = Math.min(stackSize, remaining);
+        if (free >= 0) slots[free] = [itemId, added];
+        else slots.push([itemId, added]);
+        remaining -= added;
+    }
+}
+
+export class ProfileStore {
+    constructor(baseUrl = PROFILE_DIR) {
+        this.baseUrl = baseUrl;
+        this.active = new Map();   // profile key -> username of its live session
+    }
+
+    profileUrl(username) {
+        return new URL(`${fileKey(username)}.json`, this.baseUrl);
+    }
+
+    /**
+     * Resolve a handshake into a profile session.
+     * @param {string} username - Requested username
+     * @param {string|null} token - Token issued on an earlier visit
+     * @returns {Promise<Object>} { status, profile, token }
+     *   status is 'created' (new profile, token issued), 'restored' (token
+     *   matched), 'denied' (name owned by someone else, or a different name
+     *   that shares its file) or 'in-use' (already signed in elsewhere). Only
+     *   created/restored carry a profile.
+     */
+    async claim(username, token) {
+        const key = fileKey(username);
+        if (this.active.has(key)) {
+            const status = this.active.get(key) === username ? 'in-use' : 'denied';
+            return { status, profile: null, token: null };
+        }
+
+        // Reserve the name before any await so concurrent handshakes can't both claim it
+        this.active.set(key, username);
+        try {
+            const existing = await readJsonFile(this.profileUrl(username));
+            if (existing) {
+                if (existing.username !== username || !tokenMatches(token, existing.tokenHash)) {
+                    this.active.delete(key);
+                    return { status: 'denied', profile: null, token: null };
+                }
+                this.begin(existing);
+                return { status: 'restored', profile: existing, token: null };
+            }
+
+            const issued = randomBytes(24).toString('hex');
+            const profile = createProfile(username, hashToken(issued));
+            this.begin(profile);
+            await this.save(profile);
+            return { status: 'created', profile, token: issued };
+        } catch (error) {
+            this.active.delete(key);
+            throw error;
+        }
+    }
+
+    begin(profile) {
+        profile.stats.sessions++;
+        profile.sessionStart = Date.now();
+    }
+
+    /**
+     * Flush a profile to disk, folding the current session into playTime
+     */
+    async save(profile) {
+        const now = Date.now();
+        const { sessionStart, ...stored } = profile;
+        if (sessionStart) {
+            stored.stats = {
+                ...profile.stats,
+                playTime: profile.stats.playTime + Math.floor((now - sessionStart) / 1000)
+            };
+        }
+        stored.lastSeen = now;
+        await writeJsonFile(this.profileUrl(profile.username), stored);
+    }
+
+    /**
+     * Persist and close a profile session
+     */
+    async release(profile) {
+        try {
+            await this.save(profile);
+        } finally {
+            this.active.delete(fileKey(profile.username));
+        }
+    }
+
+    /**
+     * Client-facing view of a profile (never includes the token hash)
+     */
+    describe(profile) {
+        return {
+            username: profile.username,
+            createdAt: profile.createdAt,
+            appearance: profile.appearance,
+            position: profile.position,
+            inventory: profile.inventory,
+            resources: profile.resources,
+            stats: profile.stats
+        };
+    }
+}
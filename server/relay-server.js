@@ -9,8 +9,28 @@
  */
 
 import { WebSocketServer, WebSocket } from 'ws';
+import { createWriteStream } from 'fs';
+import { mkdir, readdir, stat, unlink } from 'fs/promises';
 import { JoltPhysicsWorld } from './jolt-physics-world.js';
-import { getTerrainHeight } from './terrain.js';
+import { getTerrainHeight } from '../js/terrain.js';
+import { TerrainStreamer } from './terrain-streamer.js';
+import { CityColliders, checkCityParity } from './city-colliders.js';
+import { verifyWorldgenFromDisk, reportWorldgenCheck } from './worldgen-check.js';
+import { ObjectAuthority } from './object-authority.js';
+import { loadItemPacksFromDisk } from './item-packs.js';
+import { SaveStore } from './save-store.js';
+import { ProfileStore, sanitizeInventory, sameInventoryContents, inventoryTotals, countInventoryItem, takeInventoryItem, addInventoryItem } from './profile-store.js';
+import { PickupRegistry } from './pickup-registry.js';
+import { InterestGrid } from './interest-grid.js';
+import { WarSimulation } from './war-simulation.js';
+import { PlayerHealth, fallDamage } from './player-health.js';
+import { PlayerEffects } from './player-effects.js';
+import { VehicleDamage, VEHICLE_DAMAGE_CONFIG } from './vehicle-damage.js';
+import { fileKey } from './json-files.js';
+import { itemRegistry } from '../js/items/item-loader.js';
+import { RECIPES, allocateRecipeInputs } from '../js/items/recipes.js';
+import { PhysicsStateEncoder, PHYSICS_FORMAT_BINARY, negotiatePhysicsFormat } from '../js/physics-codec.js';
+import { getVehicleSeats, getVehicleWeapon, getVehicleBomb, getVehicleTurret, getMuzzlePosition, isInFiringArc, isAlongBarrel, headingFromQuaternion } from '../js/vehicle-weapons.js';
 
 const PORT = process.argv[2] || 8080;
 
@@ -33,15 +53,79 @@ const MessageType = {
 
     // Physics (new)
     PHYSICS_STATE: 'physics_state',
+    PHYSICS_ACK: 'physics_ack',
     PLAYER_INPUT: 'player_input',
     VEHICLE_INPUT: 'vehicle_input',
     SPAWN_PLAYER: 'spawn_player',
     SPAWN_VEHICLE: 'spawn_vehicle',
 
+    // Area of interest (entities coming into / going out of a client's range)
+    INTEREST_ENTER: 'interest_enter',
+    INTEREST_LEAVE: 'interest_leave',
+
+    // Faction war (server-simulated; unit_sync is the old host broadcast)
+    WAR_STATE: 'war_state',
+    UNIT_SYNC: 'unit_sync',
+
+    // Vehicle weapons (shots are traced by the server at the time the shooter saw)
+    WEAPON_FIRE: 'weapon_fire',
+    WEAPON_HIT: 'weapon_hit',
+    TURRET_AIM: 'turret_aim',
+    // Bombs (bomb_drop from a client asks to drop one; the server echoes it and simulates the fall)
+    BOMB_DROP: 'bomb_drop',
+    EXPLOSION: 'explosion',
+
     // Player events
     PLAYER_JOIN: 'player_join',
     PLAYER_LEAVE: 'player_leave',
 
+    // Player health (server-authoritative; respawn_request comes from clients, healing
+    // arrives as item_use)
+    PLAYER_HEALTH: 'player_health',
+    PLAYER_DEATH: 'player_death',
+    PLAYER_RESPAWN: 'player_respawn',
+    RESPAWN_REQUEST: 'respawn_request',
+
+    // Vehicle damage (server-authoritative; vehicle_repair comes from clients)
+    VEHICLE_DAMAGE: 'vehicle_damage',
+    VEHICLE_REPAIR: 'vehicle_repair',
+    VEHICLE_REPAIR_RESULT: 'vehicle_repair_result',
+
+    // Interactive objects (server-authoritative)
+    OBJECT_ACTION: 'object_action',
+    OBJECT_ACTION_RESULT: 'object_action_result',
+    OBJECT_STATE: 'object_state',
+
+    // Crafting (inputs come from the server's inventory record, costs from its ledger)
+    CRAFT_ITEM: 'craft_item',
+    CRAFT_RESULT: 'craft_result',
+
+    // Save games (file-backed store)
+    SAVE_GAME: 'save_game',
+    SAVE_GAME_RESULT: 'save_game_result',
+
+    // Persistent player profile (inventory / appearance reports)
+    PROFILE_UPDATE: 'profile_update',
+    INVENTORY_STATE: 'inventory_state',
+
+    // Item use and worn equipment (the server keeps its own copy of buffs and gear)
+    ITEM_USE: 'item_use',
+    ITEM_USE_RESULT: 'item_use_result',
+    ITEM_EQUIP: 'item_equip',
+    ITEM_EQUIP_RESULT: 'item_equip_result',
+
+    // Dropped items in the world (server-owned pickups)
+    ITEM_DROP: 'item_drop',
+    ITEM_DROP_RESULT: 'item_drop_result',
+    ITEM_PICKUP: 'item_pickup',
+    PICKUP_RESULT: 'pickup_result',
+    PICKUP_SPAWN: 'pickup_spawn',
+    PICKUP_REMOVE: 'pickup_remove',
+
+    // City collider parity (client layout digests vs. the server's)
+    CITY_PARITY: 'city_parity',
+    CITY_PARITY_RESULT: 'city_parity_result',
+
     // Chat
     CHAT_MESSAGE: 'chat_message',
 
@@ -49,6 +133,25 @@ const MessageType = {
     GAME_EVENT: 'game_event'
 };
 
+// Event types a client may broadcast to the room as-is. Everything else the
+// server either handles in handleMessage or sends itself (health, deaths, hits,
+// explosions, object and war state), so a copy from a client is dropped.
+const CLIENT_EVENT_TYPES = new Set([
+    MessageType.PLAYER_JOIN,
+    MessageType.GAME_EVENT
+]);
+
+// Entity types a client may spawn through the legacy entity messages; vehicles,
+// units and objects are the server's
+const CLIENT_ENTITY_TYPES = new Set(['player']);
+const MAX_CLIENT_ENTITIES = 4;
+
+// Relayed messages carrying a list of positioned items; each recipient only
+// gets the items inside its area of interest
+const RELAY_LIST_FIELDS = {
+    [MessageType.WORLD_STATE]: 'entities'
+};
+
 // ============================================
 // SERVER STATE
 // ============================================
@@ -56,15 +159,34 @@ const MessageType = {
 // Room storage
 const rooms = new Map();           // roomId -> RoomState
 const clientRooms = new Map();     // client -> roomId
-const clientInfo = new Map();      // client -> { clientId, username, entityId }
+const clientInfo = new Map();      // client -> { clientId, username, entityId, physicsFormat }
 
 // Physics worlds per room
 const physicsWorlds = new Map();   // roomId -> JoltPhysicsWorld
+const terrainStreamers = new Map(); // roomId -> TerrainStreamer
+const cityColliders = new Map(); // roomId -> CityColliders
+const warSimulations = new Map(); // roomId -> { war: WarSimulation, log, logBytes }
+
+// Replay logs of each room's faction war
+const WAR_LOG_DIR = new URL('./data/war/', import.meta.url);
+
+// Player save slots and profiles on disk
+const saveStore = new SaveStore();
+const profileStore = new ProfileStore();
 
 // Server configuration
 const SERVER_CONFIG = {
     physicsTickRate: 60,           // Hz - physics simulation rate
     networkBroadcastRate: 20,      // Hz - network state broadcast rate
+    terrainStreamInterval: 250,    // ms - heightfield tile load/unload pass
+    terrainFloor: -40,             // catch plane below the lowest terrain (-30)
+    profileFlushInterval: 30000,   // ms - periodic profile write-back
+    pickupSweepInterval: 30000,    // ms - expire abandoned dropped items
+    warLogs: true,                 // write data/war/<room>-<time>.jsonl for war-replay.js
+    warLogMaxBytes: 32 * 1024 * 1024, // a war log stops here; what it holds still replays
+    warLogMaxAge: 7 * 24 * 60 * 60 * 1000, // ms - older war logs are deleted when a war starts
+    maxShotRewind: 400,            // ms - furthest back a shot is traced (lag compensation)
+    boardingReach: 12,             // m - a body must be this close to take a vehicle seat
     maxPlayersPerRoom: 32
 };
 
@@ -85,12 +207,23 @@ class RoomState {
         this.entities = new Map();      // entityId -> entity data
         this.vehicles = new Map();      // entityId -> vehicle data
         this.players = new Map();       // clientId -> player data
+        this.clientEntities = new Map(); // network id -> clientId that spawned it (legacy entity relays)
+        this.objects = new ObjectAuthority();
+        this.pickups = new PickupRegistry();
+        this.interest = new InterestGrid();
+        this.health = new PlayerHealth(clientId => this.objects.getLedger(clientId));
+        this.effects = new PlayerEffects((clientId, itemId) =>
+            countInventoryItem(findClientInfo(this, clientId)?.inventory, itemId));
+        this.vehicleDamage = new VehicleDamage();
+        this.bombs = new Map();         // bombId -> { vehicleId, shooterId, blast } while falling
+        this.bombCounter = 0;
         this.hostClientId = null;
         this.createdAt = Date.now();
     }
 
     addClient(client, clientId) {
         this.clients.add(client);
+        this.interest.addSubscriber(client);
         if (!this.hostClientId) {
             this.hostClientId = clientId;
         }
@@ -98,6 +231,7 @@ class RoomState {
 
     removeClient(client, clientId) {
         this.clients.delete(client);
+        this.interest.removeSubscriber(client);
         if (this.hostClientId === clientId && this.clients.size > 0) {
             // Assign new host
             const nextClient = this.clients.values().next().value;
@@ -111,6 +245,23 @@ class RoomState {
     isHost(clientId) {
         return this.hostClientId === clientId;
     }
+
+    /**
+     * Spawn data for a player or vehicle, as sent in entity_spawn
+     */
+    describeEntity(entityId) {
+        const position = this.interest.getEntityPosition(entityId);
+        const vehicle = this.vehicles.get(entityId);
+        if (vehicle) {
+            return { ...vehicle, position: position || vehicle.position, damage: this.vehicleDamage.getStatus(entityId) };
+        }
+        for (const [ownerId, player] of this.players) {
+            if (player.entityId === entityId) {
+                return { id: entityId, type: 'player', ownerId, ...player, position: position || player.position };
+            }
+        }
+        return null;
+    }
 }
 
 // ============================================
@@ -126,16 +277,26 @@ async function initializePhysicsWorld(roomId) {
     const world = new JoltPhysicsWorld();
     await world.initialize();
 
-    // Create ground plane
-    world.createGroundPlane(0);
+    // Real terrain is streamed in as heightfield tiles; the plane only catches
+    // bodies that outrun streaming
+    world.createGroundPlane(SERVER_CONFIG.terrainFloor);
+
+    // City blocks come from the shared layout and load with their terrain tile
+    const city = new CityColliders(world);
+    const terrain = new TerrainStreamer(world, {
+        tileBuilder: (tx, tz) => city.buildChunk(tx, tz)
+    });
 
     physicsWorlds.set(roomId, world);
+    terrainStreamers.set(roomId, terrain);
+    cityColliders.set(roomId, city);
 
     // Spawn default vehicles
     const room = rooms.get(roomId);
     SERVER_VEHICLES.forEach((def, index) => {
         const entityId = `server-vehicle-${roomId}-${index}`;
         const y = getTerrainHeight(def.position.x, def.position.z) + 3;
+        terrain.ensureAt(def.position.x, def.position.z);
 
         world.createVehicle(
             entityId,
@@ -151,6 +312,7 @@ async function initializePhysicsWorld(roomId) {
             ownerId: 'server',
             position: { x: def.position.x, y: y, z: def.position.z }
         });
+        room.vehicleDamage.track(entityId, def.vehicleType);
     });
 
     console.log(`Physics world initialized with ${SERVER_VEHICLES.length} vehicles`);
@@ -161,6 +323,10 @@ async function initializePhysicsWorld(roomId) {
  * Cleanup physics world for a room
  */
 function destroyPhysicsWorld(roomId) {
+    terrainStreamers.get(roomId)?.destroy();
+    terrainStreamers.delete(roomId);
+    cityColliders.delete(roomId);
+
     const world = physicsWorlds.get(roomId);
     if (world) {
         world.destroy();
@@ -169,23 +335,152 @@ function destroyPhysicsWorld(roomId) {
     }
 }
 
+// ============================================
+// FACTION WAR
+// ============================================
+
+/**
+ * Start the faction war for a room, logging it for replay
+ */
+async function startWarSimulation(roomId) {
+    const war = new WarSimulation(Math.floor(Math.random() * 0x7fffffff));
+    const record = { war, log: null, logBytes: 0 };
+
+    if (SERVER_CONFIG.warLogs) {
+        try {
+            await mkdir(WAR_LOG_DIR, { recursive: true });
+            await pruneWarLogs();
+            const log = createWriteStream(new URL(`${fileKey(roomId)}-${Date.now()}.jsonl`, WAR_LOG_DIR));
+            log.on('error', (error) => console.error(`War log for room ${roomId} failed:`, error.message));
+            record.log = log;
+            war.onLog = (entry) => {
+                const line = JSON.stringify(entry) + '\n';
+                record.logBytes += line.length;
+                log.write(line);
+            };
+            war.logStart(roomId);
+        } catch (error) {
+            console.error(`Could not create war log for room ${roomId}:`, error.message);
+        }
+    }
+
+    if (!rooms.has(roomId)) {
+        // Everyone left while the log was being opened
+        record.log?.end();
+        return;
+    }
+    warSimulations.set(roomId, record);
+    console.log(`Faction war started for room: ${roomId} (seed ${war.seed})`);
+}
+
+/**
+ * Stop a room's faction war and close its log
+ */
+function stopWarSimulation(roomId) {
+    const entry = warSimulations.get(roomId);
+    if (!entry) return;
+    entry.war.onLog = null;
+    entry.log?.end();
+    warSimulations.delete(roomId);
+}
+
+/**
+ * Delete war logs older than warLogMaxAge
+ */
+async function pruneWarLogs() {
+    const cutoff = Date.now() - SERVER_CONFIG.warLogMaxAge;
+    for (const name of await readdir(WAR_LOG_DIR)) {
+        if (!name.endsWith('.jsonl')) continue;
+        const url = new URL(name, WAR_LOG_DIR);
+        try {
+            if ((await stat(url)).mtimeMs < cutoff) await unlink(url);
+        } catch (error) {
+            // Another room's war may have pruned it first
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+/**
+ * Advance each room's war and send the units in range to every client
+ */
+function updateWar(deltaMs) {
+    for (const [roomId, entry] of warSimulations) {
+        const room = rooms.get(roomId);
+        if (!room) continue;
+        const { war } = entry;
+
+        const players = [];
+        for (const client of room.clients) {
+            const focus = room.interest.getFocus(client);
+            if (focus) players.push(focus);
+        }
+
+        if (war.advance(deltaMs, players) > 0) {
+            broadcastWarState(room, war);
+        }
+
+        // Close a full log between ticks, so it replays up to where it stops
+        if (entry.log && entry.logBytes > SERVER_CONFIG.warLogMaxBytes) {
+            war.onLog = null;
+            entry.log.end();
+            entry.log = null;
+            console.log(`War log for room ${roomId} reached ${SERVER_CONFIG.warLogMaxBytes} bytes; no longer logging`);
+        }
+    }
+}
+
+/**
+ * Send each client the units and fire/kill events inside its area of interest
+ */
+function broadcastWarState(room, war) {
+    const units = war.getUnitsSyncData();
+    const events = war.takeEvents();
+
+    for (const client of room.clients) {
+        const info = clientInfo.get(client);
+        if (!info) continue;
+
+        const nearUnits = units.filter(unit => room.interest.isInRange(client, unit.position));
+        const nearEvents = events.filter(event =>
+            room.interest.isInRange(client, event.position || event.from));
+
+        // One empty update clears the client's units; after that stay quiet
+        if (nearUnits.length === 0 && nearEvents.length === 0 && info.warUnitsSent === 0) continue;
+        info.warUnitsSent = nearUnits.length;
+
+        send(client, MessageType.WAR_STATE, { tick: war.tick, units: nearUnits, events: nearEvents });
+    }
+}
+
 // ============================================
 // PHYSICS LOOP
 // ============================================
 
 let lastPhysicsTime = Date.now();
 let lastBroadcastTime = Date.now();
+let lastTerrainStreamTime = 0;
 
 function physicsLoop() {
     const now = Date.now();
     const delta = (now - lastPhysicsTime) / 1000;
     lastPhysicsTime = now;
 
+    // Load terrain ahead of moving bodies before stepping
+    if (now - lastTerrainStreamTime >= SERVER_CONFIG.terrainStreamInterval) {
+        lastTerrainStreamTime = now;
+        streamTerrain(now);
+    }
+
     // Step physics for each room
     for (const [roomId, world] of physicsWorlds) {
         world.step(delta);
+        applyFallDamage(roomId, world);
+        applyBombImpacts(roomId, world);
     }
 
+    updateWar(delta * 1000);
+
     // Broadcast state at lower rate
     const broadcastInterval = 1000 / SERVER_CONFIG.networkBroadcastRate;
     if (now - lastBroadcastTime >= broadcastInterval) {
@@ -194,6 +489,16 @@ function physicsLoop() {
     }
 }
 
+/**
+ * Stream heightfield tiles around every player and vehicle in each room
+ */
+function streamTerrain(now) {
+    for (const [roomId, terrain] of terrainStreamers) {
+        const world = physicsWorlds.get(roomId);
+        if (world) terrain.update(world.getFocusPositions(), now);
+    }
+}
+
 /**
  * Broadcast physics state to all clients in each room
  */
@@ -203,20 +508,61 @@ function broadcastPhysicsState() {
         if (!room || room.clients.size === 0) continue;
 
         const states = world.getAllBodyStates();
+        updateInterest(room, states);
         if (states.length === 0) continue;
 
-        const message = JSON.stringify({
-            type: MessageType.PHYSICS_STATE,
-            data: {
-                timestamp: Date.now(),
-                bodies: states
-            }
-        });
+        const timestamp = Date.now();
 
         for (const client of room.clients) {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(message);
+            if (client.readyState !== WebSocket.OPEN) continue;
+
+            // Only bodies inside the client's area of interest
+            const visible = states.filter(state => room.interest.isVisible(client, state.entityId));
+
+            // Binary clients get a delta against their last acknowledged snapshot
+            const encoder = clientInfo.get(client)?.physicsEncoder;
+            if (encoder) {
+                client.send(encoder.encode(visible, timestamp));
+                continue;
             }
+
+            client.send(JSON.stringify({
+                type: MessageType.PHYSICS_STATE,
+                data: {
+                    timestamp,
+                    bodies: visible
+                }
+            }));
+        }
+    }
+}
+
+/**
+ * Move bodies in the room's interest grid and tell clients what came into or
+ * went out of their range
+ */
+function updateInterest(room, states) {
+    const grid = room.interest;
+    for (const state of states) {
+        grid.updateEntity(state.entityId, state.position, state.type);
+    }
+    grid.retainEntities(new Set(states.map(state => state.entityId)));
+
+    for (const client of room.clients) {
+        const info = clientInfo.get(client);
+        if (!info) continue;
+
+        // Crews are centred on their vehicle; their own body always stays visible
+        const vehicleId = info.seat?.vehicleId;
+        const pinned = vehicleId ? [info.entityId, vehicleId] : [info.entityId];
+        const { entered, left } = grid.refresh(client, vehicleId || info.entityId, pinned);
+
+        const entities = entered.map(entityId => room.describeEntity(entityId)).filter(Boolean);
+        if (entities.length > 0) {
+            send(client, MessageType.INTEREST_ENTER, { entities });
+        }
+        if (left.length > 0) {
+            send(client, MessageType.INTEREST_LEAVE, { entities: left });
         }
     }
 }
@@ -229,6 +575,13 @@ setInterval(physicsLoop, physicsInterval);
 // WEBSOCKET SERVER
 // ============================================
 
+// Terrain comes from the shared generator; make sure it still matches the
+// golden samples clients check against before simulating on it
+reportWorldgenCheck(await verifyWorldgenFromDisk());
+
+// Item content packs must match the client's so object placement agrees
+await loadItemPacksFromDisk();
+
 const wss = new WebSocketServer({ port: PORT });
 
 console.log(`Cyberia Game Server starting on port ${PORT}...`);
@@ -285,6 +638,34 @@ function handleMessage(client, message) {
             handleVehicleInput(client, data, clientId);
             break;
 
+        case MessageType.UNIT_SYNC:
+            // The war runs here now; older host clients still broadcast their own units
+            break;
+
+        case MessageType.WEAPON_FIRE:
+            handleWeaponFire(client, data, clientId);
+            break;
+
+        case MessageType.TURRET_AIM:
+            handleTurretAim(client, data, clientId);
+            break;
+
+        case MessageType.BOMB_DROP:
+            handleBombDrop(client, data, clientId);
+            break;
+
+        case MessageType.RESPAWN_REQUEST:
+            handleRespawnRequest(client, data);
+            break;
+
+        case MessageType.VEHICLE_REPAIR:
+            handleVehicleRepair(client, data);
+            break;
+
+        case MessageType.PHYSICS_ACK:
+            clientInfo.get(client)?.physicsEncoder?.acknowledge(data?.snapshot);
+            break;
+
         case MessageType.SPAWN_PLAYER:
             handleSpawnPlayer(client, data, clientId);
             break;
@@ -293,11 +674,47 @@ function handleMessage(client, message) {
             handleSpawnVehicle(client, data, clientId);
             break;
 
+        case MessageType.OBJECT_ACTION:
+            handleObjectAction(client, data, clientId);
+            break;
+
+        case MessageType.CRAFT_ITEM:
+            handleCraftItem(client, data);
+            break;
+
+        case MessageType.SAVE_GAME:
+            handleSaveGame(client, data);
+            break;
+
+        case MessageType.ITEM_DROP:
+            handleItemDrop(client, data);
+            break;
+
+        case MessageType.ITEM_PICKUP:
+            handleItemPickup(client, data);
+            break;
+
+        case MessageType.PROFILE_UPDATE:
+            handleProfileUpdate(client, data);
+            break;
+
+        case MessageType.ITEM_USE:
+            handleItemUse(client, data);
+            break;
+
+        case MessageType.ITEM_EQUIP:
+            handleItemEquip(client, data);
+            break;
+
+        case MessageType.CITY_PARITY:
+            handleCityParity(client, data, clientId);
+            break;
+
         case MessageType.CHAT_MESSAGE:
             if (data.message && data.message.startsWith('/')) {
                 handleCommand(client, data.message, clientId);
             } else if (data.broadcast) {
-                broadcastToRoom(client, message);
+                relayToInterested(client, message);
             }
             break;
 
@@ -307,13 +724,13 @@ function handleMessage(client, message) {
         case MessageType.ENTITY_DESTROY:
         case MessageType.WORLD_STATE:
             if (data?.broadcast) {
-                broadcastToRoom(client, message);
+                relayEntityMessage(client, message);
             }
             break;
 
         default:
-            if (data?.broadcast) {
-                broadcastToRoom(client, message);
+            if (data?.broadcast && CLIENT_EVENT_TYPES.has(type)) {
+                relayToInterested(client, message);
             }
             break;
     }
@@ -325,20 +742,55 @@ function handleMessage(client, message) {
 
 async function handleHandshake(client, data, clientId) {
     const roomId = data.roomId || 'default';
+    const username = typeof data.username === 'string' && data.username.trim()
+        ? data.username.trim().slice(0, 32)
+        : 'Player';
 
     // Store client info
-    clientInfo.set(client, {
+    const info = {
         clientId,
-        username: data.username || 'Player',
+        username,
         version: data.version,
-        entityId: `player-${clientId}`
-    });
+        entityId: `player-${clientId}`,
+        profile: null,
+        inventory: null,    // server-owned; changed by pickups, salvage, crafting, drops and uses
+        resumePosition: null,
+        seat: null,         // { vehicleId, role } held on the server (see takeSeat)
+        lastShots: new Map(), // weapon key -> time of the last accepted shot
+        warUnitsSent: 0,    // war units in the last war_state sent to this client
+        // Physics state wire format; older clients don't offer any and get JSON
+        physicsFormat: negotiatePhysicsFormat(data.physicsFormats),
+        physicsEncoder: null
+    };
+    if (info.physicsFormat === PHYSICS_FORMAT_BINARY) {
+        info.physicsEncoder = new PhysicsStateEncoder();
+    }
+    clientInfo.set(client, info);
+
+    // Resume the player's profile, or claim the name for a new one
+    let claim;
+    try {
+        claim = await profileStore.claim(username, data.token);
+    } catch (error) {
+        console.error(`Profile lookup failed for ${username}:`, error.message);
+        claim = { status: 'unavailable', profile: null, token: null };
+    }
+    if (clientInfo.get(client) !== info) {
+        // Disconnected while the profile was loading
+        if (claim.profile) releaseProfile(claim.profile);
+        return;
+    }
+    info.profile = claim.profile;
+    info.inventory = sanitizeInventory(claim.profile?.inventory) || { slots: [] };
+    if (info.profile) info.profile.inventory = info.inventory;
+    info.resumePosition = claim.status === 'restored' ? claim.profile.position : null;
 
     // Create room if needed
     if (!rooms.has(roomId)) {
         rooms.set(roomId, new RoomState(roomId));
         // Initialize physics world for new room
         await initializePhysicsWorld(roomId);
+        await startWarSimulation(roomId);
     }
 
     const room = rooms.get(roomId);
@@ -347,6 +799,10 @@ async function handleHandshake(client, data, clientId) {
 
     const isHost = room.isHost(clientId);
 
+    if (info.profile?.resources) {
+        room.objects.getLedger(clientId).fromJSON(info.profile.resources);
+    }
+
     // Send handshake response
     send(client, MessageType.HANDSHAKE, {
         success: true,
@@ -355,33 +811,50 @@ async function handleHandshake(client, data, clientId) {
         clientCount: room.clients.size,
         physicsEnabled: true,
         physicsTickRate: SERVER_CONFIG.physicsTickRate,
-        networkBroadcastRate: SERVER_CONFIG.networkBroadcastRate
+        networkBroadcastRate: SERVER_CONFIG.networkBroadcastRate,
+        physicsFormat: info.physicsFormat,
+        objectAuthority: true,
+        warSimulation: true,
+        saveStore: !!info.profile,
+        profile: {
+            status: claim.status,
+            token: claim.token,
+            ...(claim.profile ? profileStore.describe(claim.profile) : {})
+        }
     });
 
-    // Send existing players to new client
-    for (const [existingClientId, playerData] of room.players) {
-        send(client, MessageType.ENTITY_SPAWN, {
-            id: playerData.entityId,
-            type: 'player',
-            ownerId: existingClientId,
-            ...playerData
+    if (!info.profile) {
+        send(client, MessageType.CHAT_MESSAGE, {
+            username: 'System',
+            message: claim.status === 'in-use'
+                ? `${username} is already signed in. Playing as a guest; progress will not be kept.`
+                : `The name ${username} belongs to another player. Playing as a guest; progress will not be kept.`
         });
     }
 
-    // Send existing vehicles to new client
-    for (const [vehicleId, vehicleData] of room.vehicles) {
-        send(client, MessageType.ENTITY_SPAWN, vehicleData);
+    // Send state of objects that have already been interacted with
+    const objectSnapshot = room.objects.snapshot();
+    if (objectSnapshot.length > 0) {
+        send(client, MessageType.OBJECT_STATE, { objects: objectSnapshot });
     }
 
+    // Send items lying in the world
+    const pickupSnapshot = room.pickups.snapshot();
+    if (pickupSnapshot.length > 0) {
+        send(client, MessageType.PICKUP_SPAWN, { pickups: pickupSnapshot });
+    }
+
+    // Players and vehicles arrive through interest_enter once this client has a body
+
     // Notify others about new player
     broadcastToRoom(client, {
         type: MessageType.PLAYER_JOIN,
-        data: { clientId, username: data.username || 'Player' },
+        data: { clientId, username },
         clientId,
         timestamp: Date.now()
     });
 
-    console.log(`Client ${clientId} joined room ${roomId} (${room.clients.size} clients, host: ${isHost})`);
+    console.log(`Client ${clientId} (${username}, profile ${claim.status}) joined room ${roomId} (${room.clients.size} clients, host: ${isHost})`);
 }
 
 function handleDisconnect(client) {
@@ -393,6 +866,11 @@ function handleDisconnect(client) {
         const world = physicsWorlds.get(roomId);
 
         if (info) {
+            // Capture position and ledger before the body and ledger go away
+            if (info.profile) {
+                captureProfile(info, room, world);
+            }
+
             // Remove player from physics
             if (world && info.entityId) {
                 world.removeBody(info.entityId);
@@ -400,16 +878,15 @@ function handleDisconnect(client) {
 
             // Remove from room state
             room.players.delete(info.clientId);
-            room.removeClient(client, info.clientId);
-
-            // Notify others
-            broadcastToRoom(client, {
-                type: MessageType.ENTITY_DESTROY,
-                data: { id: info.entityId, type: 'player' },
-                clientId: info.clientId,
-                timestamp: Date.now()
+            room.health.forget(info.clientId);
+            room.effects.forget(info.clientId);
+            room.objects.removeLedger(info.clientId);
+            room.clientEntities.forEach((ownerId, id) => {
+                if (ownerId === info.clientId) room.clientEntities.delete(id);
             });
+            room.removeClient(client, info.clientId);
 
+            // Clients that could see the player get interest_leave once the body is gone
             broadcastToRoom(client, {
                 type: MessageType.PLAYER_LEAVE,
                 data: { clientId: info.clientId, username: info.username },
@@ -422,10 +899,15 @@ function handleDisconnect(client) {
         if (room.clients.size === 0) {
             rooms.delete(roomId);
             destroyPhysicsWorld(roomId);
+            stopWarSimulation(roomId);
             console.log(`Room ${roomId} closed (empty)`);
         }
     }
 
+    if (info?.profile) {
+        releaseProfile(info.profile);
+    }
+
     clientRooms.delete(client);
     clientInfo.delete(client);
 
@@ -444,49 +926,55 @@ function handleSpawnPlayer(client, data, clientId) {
     if (!room || !world || !info) return;
 
     const entityId = info.entityId;
-    const position = data.position || { x: 0, y: 5, z: 0 };
+
+    // One body per connection. Dead players come back through respawn_request,
+    // which keeps the wait and the spawn point rules.
+    if (room.players.has(info.clientId) || world.getBodyState(entityId)) {
+        send(client, MessageType.PLAYER_HEALTH, { ...room.health.getStatus(info.clientId), reason: 'Already spawned.' });
+        return;
+    }
+
+    // Returning players resume at their last known position
+    const position = info.resumePosition
+        ? { ...info.resumePosition }
+        : (data.position || { x: 0, y: 5, z: 0 });
+    info.resumePosition = null;
 
     // Adjust Y to terrain height
     const terrainY = getTerrainHeight(position.x, position.z);
     position.y = Math.max(position.y, terrainY + 1);
+    terrainStreamers.get(roomId)?.ensureAt(position.x, position.z);
 
-    // Create player physics body
-    world.createCapsuleBody(
+    // Create player character controller
+    world.createCharacter(
         entityId,
         position,
         1.6,   // height
         0.4,   // radius
-        80,    // mass (kg)
-        { isPlayer: true }
+        80     // mass (kg)
     );
 
     // Store player data
     const playerData = {
         entityId,
         position,
-        username: data.username || info.username,
-        appearance: data.appearance || {}
-    };
-    room.players.set(clientId, playerData);
-
-    // Broadcast spawn to all clients (including sender for confirmation)
-    const spawnMessage = {
-        type: MessageType.ENTITY_SPAWN,
-        data: {
-            id: entityId,
-            type: 'player',
-            ownerId: clientId,
-            ...playerData
-        },
-        clientId,
-        timestamp: Date.now()
+        username: info.username,
+        appearance: data.appearance || info.profile?.appearance || {}
     };
-
-    for (const c of room.clients) {
-        if (c.readyState === WebSocket.OPEN) {
-            c.send(JSON.stringify(spawnMessage));
-        }
+    if (info.profile && data.appearance) {
+        info.profile.appearance = sanitizeAppearance(data.appearance);
     }
+    room.players.set(info.clientId, playerData);
+    room.health.spawn(info.clientId);
+
+    // Confirm to the sender; nearby clients get interest_enter on the next broadcast
+    send(client, MessageType.ENTITY_SPAWN, {
+        id: entityId,
+        type: 'player',
+        ownerId: clientId,
+        ...playerData
+    });
+    send(client, MessageType.PLAYER_HEALTH, room.health.getStatus(info.clientId));
 
     console.log(`Spawned player ${entityId} at (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})`);
 }
@@ -495,9 +983,17 @@ function handlePlayerInput(client, data, clientId) {
     const roomId = clientRooms.get(client);
     if (!roomId) return;
 
+    const room = rooms.get(roomId);
     const world = physicsWorlds.get(roomId);
     const info = clientInfo.get(client);
-    if (!world || !info) return;
+    if (!room || !world || !info) return;
+
+    // The dead don't walk
+    if (!room.health.isAlive(info.clientId)) return;
+
+    // Walking again - the area of interest follows the player's body, and the
+    // seat is given up
+    info.seat = null;
 
     // Apply input to player's physics body
     world.applyPlayerInput(info.entityId, {
@@ -507,7 +1003,11 @@ function handlePlayerInput(client, data, clientId) {
         right: data.right || false,
         jump: data.jump || false,
         running: data.running || false,
-        rotationY: data.rotationY || 0
+        crouching: data.crouching || false,
+        rotationY: data.rotationY || 0,
+        seq: Number.isSafeInteger(data.seq) ? data.seq : 0,
+        // Equipment/buff speed bonus from the server's copy; the client's claim is ignored
+        speedMultiplier: 1 + Math.max(0, room.effects.getStat(info.clientId, 'speed'))
     });
 }
 
@@ -515,11 +1015,17 @@ function handleVehicleInput(client, data, clientId) {
     const roomId = clientRooms.get(client);
     if (!roomId) return;
 
+    const room = rooms.get(roomId);
     const world = physicsWorlds.get(roomId);
-    if (!world) return;
+    const info = clientInfo.get(client);
+    if (!room || !world || !info) return;
 
     const entityId = data.vehicleId;
-    if (!entityId) return;
+    if (!entityId || !room.health.isAlive(info.clientId)) return;
+
+    // Only the client holding the driving seat may drive
+    const vehicle = room.vehicles.get(entityId);
+    if (!vehicle || !takeSeat(room, world, info, entityId, getVehicleSeats(vehicle.vehicleType)[0])) return;
 
     // Apply input to vehicle's physics body
     world.applyVehicleInput(entityId, {
@@ -533,6 +1039,215 @@ function handleVehicleInput(client, data, clientId) {
     });
 }
 
+/**
+ * Trace a vehicle weapon shot against the world as the shooter saw it. The
+ * client only supplies the weapon, its aim and the (interpolated) server time
+ * it was looking at; the muzzle comes from the vehicle's rewound pose, and
+ * shots faster than the weapon's rate, outside its arc or off a turret's
+ * barrel are dropped.
+ */
+function handleWeaponFire(client, data, clientId) {
+    const roomId = clientRooms.get(client);
+    if (!roomId) return;
+
+    const room = rooms.get(roomId);
+    const world = physicsWorlds.get(roomId);
+    const info = clientInfo.get(client);
+    if (!room || !world || !info || !data || !room.health.isAlive(info.clientId)) return;
+
+    const vehicle = room.vehicles.get(data.vehicleId);
+    const weapon = vehicle ? getVehicleWeapon(vehicle.vehicleType, data.weapon) : null;
+    if (!weapon || !weapon.seats.includes(data.seatRole) || room.vehicleDamage.isWrecked(vehicle.id)) return;
+    if (!takeSeat(room, world, info, vehicle.id, data.seatRole)) return;
+
+    const direction = normalizeDirection(data.direction);
+    if (!direction) return;
+
+    // Rate limit, with some slack for network jitter
+    const now = Date.now();
+    const shotKey = `${vehicle.id}:${data.weapon}`;
+    if (now - (info.lastShots.get(shotKey) || 0) < weapon.cooldown * 1000 * 0.8) return;
+
+    // Rewind to what the shooter was looking at, but never further than allowed
+    const requested = Number.isFinite(data.time) ? data.time : now;
+    const shotTime = Math.min(now, Math.max(now - SERVER_CONFIG.maxShotRewind, requested));
+    const pose = world.getPosesAt(shotTime).get(vehicle.id);
+    if (!pose) return;
+
+    // Turreted weapons fire along the barrel as it stood then, not where the client says
+    const heading = headingFromQuaternion(pose.rotation);
+    const turret = pose.turret || { yaw: 0, pitch: 0 };
+    if (!isInFiringArc(weapon, heading, direction) || !isAlongBarrel(weapon, heading, turret, direction)) return;
+    info.lastShots.set(shotKey, now);
+
+    // The shot passes through its own vehicle and everyone aboard
+    const crew = getVehicleCrew(room, vehicle.id);
+
+    const origin = getMuzzlePosition(weapon, pose.position, heading, turret.yaw);
+    const hit = weapon.drop
+        ? world.castArc(origin, {
+            x: direction.x * weapon.speed, y: direction.y * weapon.speed, z: direction.z * weapon.speed
+        }, weapon.drop, weapon.range / weapon.speed, shotTime, crew)
+        : world.castShot(origin, direction, weapon.range, shotTime, crew);
+    // Shells still burst where they hit the ground
+    if (!hit || (!hit.entityId && !weapon.splash)) return;
+
+    const event = {
+        shooterId: clientId,
+        vehicleId: vehicle.id,
+        weapon: data.weapon,
+        targetId: hit.entityId,
+        targetType: hit.type,
+        damage: weapon.damage,
+        origin,
+        point: hit.point,
+        rewind: now - shotTime
+    };
+    for (const member of room.clients) {
+        if (member === client || room.interest.isInRange(member, hit.point)) {
+            send(member, MessageType.WEAPON_HIT, event);
+        }
+    }
+
+    const source = { cause: 'weapon', by: clientId };
+    if (hit.type === 'player') {
+        const victim = findClientByEntity(room, hit.entityId);
+        if (victim) damagePlayer(room, victim, weapon.damage, source);
+    } else if (hit.type === 'vehicle') {
+        damageVehicle(room, world, hit.entityId, weapon.damage, hit.localPoint, source);
+    }
+    if (weapon.splash) {
+        const exclude = hit.entityId ? [...crew, hit.entityId] : crew;
+        applyExplosion(room, world, hit.point, weapon.splash, source, exclude);
+    }
+}
+
+/**
+ * Aim a vehicle's turret. Whoever holds the turret seat sends where it wants
+ * the turret; the physics world turns it there at the turret's rate limits.
+ */
+function handleTurretAim(client, data, clientId) {
+    const roomId = clientRooms.get(client);
+    if (!roomId) return;
+
+    const room = rooms.get(roomId);
+    const world = physicsWorlds.get(roomId);
+    const info = clientInfo.get(client);
+    if (!room || !world || !info || !data || !room.health.isAlive(info.clientId)) return;
+
+    const vehicle = room.vehicles.get(data.vehicleId);
+    const turret = vehicle ? getVehicleTurret(vehicle.vehicleType) : null;
+    if (!turret || !turret.seats.includes(data.seatRole) || room.vehicleDamage.isWrecked(vehicle.id)) return;
+    if (!takeSeat(room, world, info, vehicle.id, data.seatRole)) return;
+
+    // The first occupied turret seat aims; the others wait their turn
+    const aimer = turret.seats.find(role => findSeatHolder(room, vehicle.id, role));
+    if (aimer !== info.seat.role) return;
+
+    const yaw = Number(data.yaw), pitch = Number(data.pitch);
+    if (!Number.isFinite(yaw) || !Number.isFinite(pitch)) return;
+    world.setTurretAim(vehicle.id, yaw, pitch);
+}
+
+/**
+ * Drop a bomb from a vehicle. The client only asks; the bomb leaves from the
+ * vehicle's current pose and the server simulates its fall (see applyBombImpacts).
+ */
+function handleBombDrop(client, data, clientId) {
+    const roomId = clientRooms.get(client);
+    if (!roomId) return;
+
+    const room = rooms.get(roomId);
+    const world = physicsWorlds.get(roomId);
+    const info = clientInfo.get(client);
+    if (!room || !world || !info || !data || !room.health.isAlive(info.clientId)) return;
+
+    const vehicle = room.vehicles.get(data.vehicleId);
+    const bomb = vehicle ? getVehicleBomb(vehicle.vehicleType) : null;
+    if (!bomb || !bomb.seats.includes(data.seatRole) || room.vehicleDamage.isWrecked(vehicle.id)) return;
+    if (!takeSeat(room, world, info, vehicle.id, data.seatRole)) return;
+
+    // Rate limit, with some slack for network jitter
+    const now = Date.now();
+    const shotKey = `${vehicle.id}:bomb`;
+    if (now - (info.lastShots.get(shotKey) || 0) < bomb.cooldown * 1000 * 0.8) return;
+
+    const body = world.getBodyState(vehicle.id);
+    if (!body) return;
+    info.lastShots.set(shotKey, now);
+
+    const id = `bomb-${++room.bombCounter}`;
+    const position = getMuzzlePosition(bomb, body.position, headingFromQuaternion(body.rotation));
+    const velocity = { x: body.velocity.x, y: body.velocity.y - bomb.dropSpeed, z: body.velocity.z };
+    world.launchProjectile(id, position, velocity, getVehicleCrew(room, vehicle.id));
+    room.bombs.set(id, { vehicleId: vehicle.id, shooterId: clientId, blast: bomb.blast });
+
+    const event = { id, vehicleId: vehicle.id, shooterId: clientId, position, velocity };
+    for (const member of room.clients) {
+        if (member === client || room.interest.isInRange(member, position)) {
+            send(member, MessageType.BOMB_DROP, event);
+        }
+    }
+}
+
+/**
+ * A vehicle and the entities of everyone aboard it
+ */
+function getVehicleCrew(room, vehicleId) {
+    const crew = [vehicleId];
+    for (const member of room.clients) {
+        const memberInfo = clientInfo.get(member);
+        if (memberInfo?.seat?.vehicleId === vehicleId) {
+            crew.push(memberInfo.entityId);
+        }
+    }
+    return crew;
+}
+
+/**
+ * Client info of whoever holds a seat, or null
+ */
+function findSeatHolder(room, vehicleId, role) {
+    for (const member of room.clients) {
+        const memberInfo = clientInfo.get(member);
+        if (memberInfo?.seat?.vehicleId === vehicleId && memberInfo.seat.role === role) return memberInfo;
+    }
+    return null;
+}
+
+/**
+ * Put a client in a vehicle seat, or confirm it already holds it. A free seat
+ * is taken by standing by the vehicle, and kept until the client walks again;
+ * moving to another seat means getting out first.
+ * @returns {boolean} Whether the client now holds the seat
+ */
+function takeSeat(room, world, info, vehicleId, role) {
+    if (info.seat) return info.seat.vehicleId === vehicleId && info.seat.role === role;
+
+    const type = room.vehicles.get(vehicleId)?.vehicleType;
+    if (!getVehicleSeats(type).includes(role) || findSeatHolder(room, vehicleId, role)) return false;
+
+    const player = world.getBodyState(info.entityId);
+    const vehicle = world.getBodyState(vehicleId);
+    if (!player || !vehicle) return false;
+
+    const dx = player.position.x - vehicle.position.x;
+    const dy = player.position.y - vehicle.position.y;
+    const dz = player.position.z - vehicle.position.z;
+    if (Math.sqrt(dx * dx + dy * dy + dz * dz) > SERVER_CONFIG.boardingReach) return false;
+
+    info.seat = { vehicleId, role };
+    return true;
+}
+
+function normalizeDirection(direction) {
+    if (!direction) return null;
+    const x = Number(direction.x), y = Number(direction.y), z = Number(direction.z);
+    const length = Math.sqrt(x * x + y * y + z * z);
+    if (!Number.isFinite(length) || length < 1e-6) return null;
+    return { x: x / length, y: y / length, z: z / length };
+}
+
 function handleSpawnVehicle(client, data, clientId) {
     const roomId = clientRooms.get(client);
     if (!roomId) return;
@@ -547,6 +1262,7 @@ function handleSpawnVehicle(client, data, clientId) {
     // Adjust Y to terrain height
     const terrainY = getTerrainHeight(position.x, position.z);
     position.y = Math.max(position.y, terrainY + 3);
+    terrainStreamers.get(roomId)?.ensureAt(position.x, position.z);
 
     const entityId = `vehicle-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
 
@@ -566,27 +1282,682 @@ function handleSpawnVehicle(client, data, clientId) {
     };
 
     room.vehicles.set(entityId, vehicleData);
+    room.vehicleDamage.track(entityId, vehicleType);
 
-    // Broadcast spawn
-    const spawnMessage = JSON.stringify({
-        type: MessageType.ENTITY_SPAWN,
-        data: vehicleData,
-        clientId,
-        timestamp: Date.now()
-    });
-
-    for (const c of room.clients) {
-        if (c.readyState === WebSocket.OPEN) {
-            c.send(spawnMessage);
-        }
-    }
+    // Confirm to the sender; nearby clients get interest_enter on the next broadcast
+    send(client, MessageType.ENTITY_SPAWN, vehicleData);
 
     console.log(`Spawned ${vehicleType} ${entityId} at (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})`);
 }
 
-function handleCommand(client, message, clientId) {
-    const args = message.split(' ');
-    const command = args[0].toLowerCase();
+function handleObjectAction(client, data, clientId) {
+    const roomId = clientRooms.get(client);
+    if (!roomId) return;
+
+    const room = rooms.get(roomId);
+    const world = physicsWorlds.get(roomId);
+    const info = clientInfo.get(client);
+    if (!room || !world || !info || !data) return;
+
+    if (!room.health.isAlive(info.clientId)) {
+        send(client, MessageType.OBJECT_ACTION_RESULT, { requestId: data.requestId, ok: false, reason: 'You are dead.' });
+        return;
+    }
+
+    // Range is validated against the authoritative body, not the client's claim
+    const bodyState = world.getBodyState(info.entityId);
+    const result = room.objects.resolve(info.clientId, data, bodyState?.position || null, {
+        interactionRange: room.effects.getStat(info.clientId, 'interactionRange'),
+        hackChance: room.effects.getStat(info.clientId, 'hackChance')
+    });
+
+    send(client, MessageType.OBJECT_ACTION_RESULT, {
+        requestId: data.requestId,
+        ...result
+    });
+
+    if (!result.ok) return;
+    if (info.profile) info.profile.stats.objectActions++;
+    if (result.itemId) addInventoryItem(info.inventory, result.itemId, 1);
+
+    // Backlash can be fatal
+    if (result.applied?.health < 0) {
+        const source = { cause: 'backlash' };
+        const killed = room.health.settle(info.clientId, source);
+        send(client, MessageType.PLAYER_HEALTH, {
+            ...room.health.getStatus(info.clientId),
+            amount: -result.applied.health,
+            cause: source.cause
+        });
+        if (killed) announceDeath(room, client, info, source);
+    }
+
+    const stateMessage = JSON.stringify({
+        type: MessageType.OBJECT_STATE,
+        data: { objects: [room.objects.getEntry(result.objectId)] },
+        timestamp: Date.now()
+    });
+
+    for (const c of room.clients) {
+        if (c.readyState === WebSocket.OPEN) {
+            c.send(stateMessage);
+        }
+    }
+}
+
+/**
+ * Craft a recipe from the server's inventory record: the inputs must be there,
+ * the resource cost is spent from the ledger, and only then are the inputs
+ * swapped for the outputs. The reply carries the inventory either way.
+ */
+function handleCraftItem(client, data) {
+    const room = rooms.get(clientRooms.get(client));
+    const info = clientInfo.get(client);
+    if (!room || !info || !data) return;
+
+    const recipe = RECIPES.find(entry => entry.id === data.recipeId);
+    const inputs = recipe ? allocateRecipeInputs(recipe, inventoryTotals(info.inventory)) : null;
+
+    let result;
+    if (!room.health.isAlive(info.clientId)) {
+        result = { ok: false, recipeId: data.recipeId, reason: 'You are dead.' };
+    } else if (inputs?.missing.length) {
+        result = { ok: false, recipeId: data.recipeId, reason: `Missing ${inputs.missing.join(', ')}` };
+    } else {
+        result = room.objects.spendRecipe(info.clientId, data.recipeId);
+    }
+
+    if (result.ok) {
+        inputs.consumed.forEach((quantity, itemId) => takeInventoryItem(info.inventory, itemId, quantity));
+        recipe.outputs.forEach(output => addInventoryItem(info.inventory, output.item, output.quantity));
+    }
+    send(client, MessageType.CRAFT_RESULT, { requestId: data.requestId, ...result, inventory: info.inventory });
+}
+
+// ============================================
+// PLAYER HEALTH
+// ============================================
+
+/**
+ * Hurt players that landed too hard since the last step
+ */
+function applyFallDamage(roomId, world) {
+    const landings = world.takeLandings();
+    if (landings.length === 0) return;
+
+    const room = rooms.get(roomId);
+    if (!room) return;
+    for (const { entityId, speed } of landings) {
+        const amount = fallDamage(speed);
+        const client = amount > 0 ? findClientByEntity(room, entityId) : null;
+        if (client) damagePlayer(room, client, amount, { cause: 'fall' });
+    }
+}
+
+/**
+ * Apply damage to a player, tell it its new health and announce its death
+ * @param {Object} source - { cause, by } - by is the responsible clientId, if any
+ */
+function damagePlayer(room, client, amount, source) {
+    const info = clientInfo.get(client);
+    if (!info) return null;
+
+    const result = room.health.damage(info.clientId, amount, source);
+    if (!result) return null;
+
+    send(client, MessageType.PLAYER_HEALTH, {
+        ...room.health.getStatus(info.clientId),
+        amount: result.amount,
+        cause: source.cause,
+        by: source.by || null
+    });
+    if (result.killed) announceDeath(room, client, info, source);
+    return result;
+}
+
+/**
+ * Set off an explosion: the physics world throws back every player and body
+ * in range, and players and vehicles take damage falling off linearly from
+ * the centre (measured to the nearest part of each body)
+ * @param {Object} blast - { radius, damage, impulse }
+ * @param {Array<string>} exclude - Entities that take no damage (already hit directly, or the crew)
+ */
+function applyExplosion(room, world, center, blast, source, exclude = []) {
+    const affected = world.applyExplosion(center, blast.radius, blast.impulse || 0);
+    for (const { entityId, type, distance } of affected) {
+        if (exclude.includes(entityId)) continue;
+        const amount = Math.round(blast.damage * (1 - distance / blast.radius));
+        if (amount <= 0) continue;
+
+        if (type === 'player') {
+            const victim = findClientByEntity(room, entityId);
+            if (victim) damagePlayer(room, victim, amount, source);
+        } else if (type === 'vehicle' && room.vehicles.has(entityId)) {
+            damageVehicle(room, world, entityId, amount, null, source);
+        }
+    }
+}
+
+/**
+ * Burst the bombs that landed since the last step
+ */
+function applyBombImpacts(roomId, world) {
+    const impacts = world.takeImpacts();
+    if (impacts.length === 0) return;
+
+    const room = rooms.get(roomId);
+    if (!room) return;
+    for (const impact of impacts) {
+        const bomb = room.bombs.get(impact.id);
+        if (!bomb) continue;
+        room.bombs.delete(impact.id);
+
+        const event = { id: impact.id, position: impact.point, radius: bomb.blast.radius, targetId: impact.entityId };
+        for (const member of room.clients) {
+            if (clientInfo.get(member)?.clientId === bomb.shooterId || room.interest.isInRange(member, impact.point)) {
+                send(member, MessageType.EXPLOSION, event);
+            }
+        }
+        applyExplosion(room, world, impact.point, bomb.blast, { cause: 'bomb', by: bomb.shooterId });
+    }
+}
+
+/**
+ * Tell the room a player died, and the player where it can come back
+ */
+function announceDeath(room, client, info, source) {
+    const world = physicsWorlds.get(room.roomId);
+    const body = world?.getBodyState(info.entityId);
+    room.health.setDeathPosition(info.clientId, body?.position);
+
+    // The body stops where it fell, and gives up any vehicle
+    world?.applyPlayerInput(info.entityId, {});
+    info.seat = null;
+
+    const killer = source.by ? findClientInfo(room, source.by) : null;
+    const death = {
+        clientId: info.clientId,
+        entityId: info.entityId,
+        username: info.username,
+        cause: source.cause,
+        killerId: killer?.clientId || null,
+        killerName: killer?.username || null,
+        position: body?.position || null
+    };
+    sendToRoom(room, MessageType.PLAYER_DEATH, death);
+
+    send(client, MessageType.PLAYER_HEALTH, {
+        ...room.health.getStatus(info.clientId),
+        spawnPoints: room.health.getSpawnPoints(info.clientId, livingPlayers(room, world))
+    });
+
+    if (info.profile) info.profile.stats.deaths = (info.profile.stats.deaths || 0) + 1;
+    console.log(`${info.username} died (${source.cause}${killer ? ` by ${killer.username}` : ''})`);
+}
+
+/**
+ * Bring a dead player back at the spawn point it picked
+ */
+function handleRespawnRequest(client, data) {
+    const roomId = clientRooms.get(client);
+    if (!roomId) return;
+
+    const room = rooms.get(roomId);
+    const world = physicsWorlds.get(roomId);
+    const info = clientInfo.get(client);
+    if (!room || !world || !info || room.health.isAlive(info.clientId)) return;
+
+    const wait = room.health.respawnWait(info.clientId);
+    if (wait > 0) {
+        send(client, MessageType.PLAYER_HEALTH, { ...room.health.getStatus(info.clientId), reason: 'Not yet.' });
+        return;
+    }
+
+    const allies = livingPlayers(room, world);
+    const spot = room.health.resolveSpawnPoint(info.clientId, data?.spawnPoint, allies);
+    if (!spot) {
+        send(client, MessageType.PLAYER_HEALTH, {
+            ...room.health.getStatus(info.clientId),
+            spawnPoints: room.health.getSpawnPoints(info.clientId, allies),
+            reason: 'That spawn point is not available.'
+        });
+        return;
+    }
+
+    terrainStreamers.get(roomId)?.ensureAt(spot.x, spot.z);
+    const position = { x: spot.x, y: getTerrainHeight(spot.x, spot.z) + 1, z: spot.z };
+    world.setBodyPosition(info.entityId, position);
+
+    room.health.spawn(info.clientId);
+    const status = room.health.getStatus(info.clientId);
+    sendToRoom(room, MessageType.PLAYER_RESPAWN, {
+        clientId: info.clientId,
+        entityId: info.entityId,
+        position,
+        protectedFor: status.protectedFor
+    });
+    send(client, MessageType.PLAYER_HEALTH, status);
+}
+
+function findClientByEntity(room, entityId) {
+    for (const member of room.clients) {
+        if (clientInfo.get(member)?.entityId === entityId) return member;
+    }
+    return null;
+}
+
+function findClientInfo(room, clientId) {
+    for (const member of room.clients) {
+        const info = clientInfo.get(member);
+        if (info?.clientId === clientId) return info;
+    }
+    return null;
+}
+
+/**
+ * Living players with bodies, as possible spawn companions
+ */
+function livingPlayers(room, world) {
+    const players = [];
+    for (const member of room.clients) {
+        const info = clientInfo.get(member);
+        if (!info || !room.health.isAlive(info.clientId)) continue;
+        const body = world?.getBodyState(info.entityId);
+        if (body) players.push({ clientId: info.clientId, username: info.username, position: body.position });
+    }
+    return players;
+}
+
+// ============================================
+// VEHICLE DAMAGE
+// ============================================
+
+/**
+ * Damage a vehicle, update its handling and tell the room
+ * @param {Object|null} localPoint - Hit point in vehicle space, for zone damage
+ */
+function damageVehicle(room, world, vehicleId, amount, localPoint, source) {
+    const result = room.vehicleDamage.damage(vehicleId, amount, localPoint);
+    if (!result) return null;
+
+    world.setVehicleHandling(vehicleId, room.vehicleDamage.getHandling(vehicleId));
+    sendToRoom(room, MessageType.VEHICLE_DAMAGE, {
+        ...room.vehicleDamage.getStatus(vehicleId),
+        amount: result.amount,
+        zone: result.zone,
+        cause: source.cause,
+        by: source.by || null
+    });
+    if (result.wrecked) wreckVehicle(room, world, vehicleId, source);
+    return result;
+}
+
+/**
+ * A destroyed vehicle throws its crew out beside it and bursts
+ */
+function wreckVehicle(room, world, vehicleId, source) {
+    const body = world.getBodyState(vehicleId);
+    if (!body) return;
+
+    for (const member of room.clients) {
+        const info = clientInfo.get(member);
+        if (info?.seat?.vehicleId !== vehicleId) continue;
+        info.seat = null;
+
+        const x = body.position.x + (Math.random() - 0.5) * 6;
+        const z = body.position.z + (Math.random() < 0.5 ? -4 : 4);
+        world.setBodyPosition(info.entityId, { x, y: getTerrainHeight(x, z) + 1, z });
+    }
+
+    applyExplosion(room, world, body.position, VEHICLE_DAMAGE_CONFIG.wreckBlast,
+        { cause: 'wreck', by: source.by || null }, [vehicleId]);
+    console.log(`Vehicle ${vehicleId} wrecked (${source.cause})`);
+}
+
+/**
+ * Spend salvage to patch up a vehicle the player is standing next to
+ */
+function handleVehicleRepair(client, data) {
+    const roomId = clientRooms.get(client);
+    const room = rooms.get(roomId);
+    const world = physicsWorlds.get(roomId);
+    const info = clientInfo.get(client);
+    if (!room || !world || !info || !data) return;
+
+    const result = resolveVehicleRepair(room, world, info, data.vehicleId);
+    send(client, MessageType.VEHICLE_REPAIR_RESULT, {
+        requestId: data.requestId,
+        vehicleId: data.vehicleId,
+        ...result
+    });
+
+    if (!result.ok) return;
+    world.setVehicleHandling(data.vehicleId, room.vehicleDamage.getHandling(data.vehicleId));
+    sendToRoom(room, MessageType.VEHICLE_DAMAGE, {
+        ...room.vehicleDamage.getStatus(data.vehicleId),
+        amount: -result.restored,
+        zone: null,
+        cause: 'repair',
+        by: info.clientId
+    });
+}
+
+/**
+ * @returns {Object} { ok: false, reason } or { ok, applied, restored, wasWrecked }
+ */
+function resolveVehicleRepair(room, world, info, vehicleId) {
+    if (!room.vehicles.has(vehicleId)) return { ok: false, reason: 'No such vehicle.' };
+    if (!room.health.isAlive(info.clientId)) return { ok: false, reason: 'You are dead.' };
+
+    const player = world.getBodyState(info.entityId);
+    const vehicle = world.getBodyState(vehicleId);
+    if (!player || !vehicle) return { ok: false, reason: 'Player not spawned.' };
+    const dx = player.position.x - vehicle.position.x;
+    const dy = player.position.y - vehicle.position.y;
+    const dz = player.position.z - vehicle.position.z;
+    if (Math.sqrt(dx * dx + dy * dy + dz * dz) > SERVER_CONFIG.boardingReach) {
+        return { ok: false, reason: 'Out of range.' };
+    }
+
+    const cost = room.vehicleDamage.repairCost(vehicleId);
+    if (cost === 0) return { ok: false, reason: 'Nothing to repair.' };
+
+    const ledger = room.objects.getLedger(info.clientId);
+    const shortfall = ledger.checkCost({ salvage: cost });
+    if (shortfall) return { ok: false, reason: shortfall };
+
+    const applied = ledger.applyDeltas({ salvage: -cost });
+    const { restored, wasWrecked } = room.vehicleDamage.repair(vehicleId);
+    return { ok: true, applied, restored, wasWrecked };
+}
+
+// ============================================
+// DROPPED ITEMS
+// ============================================
+
+/**
+ * Place an item the player removed from their inventory at their body's
+ * position. Rejected drops are echoed back so the client can restore the item.
+ */
+function handleItemDrop(client, data) {
+    const roomId = clientRooms.get(client);
+    const room = rooms.get(roomId);
+    const world = physicsWorlds.get(roomId);
+    const info = clientInfo.get(client);
+    if (!room || !world || !info || !data) return;
+
+    const { itemId, quantity } = data;
+    const reject = (reason) => send(client, MessageType.ITEM_DROP_RESULT, { ok: false, itemId, quantity, reason });
+
+    const reason = room.pickups.checkDrop(itemId, quantity, id => countInventoryItem(info.inventory, id));
+    if (reason) return reject(reason);
+
+    const position = world.getBodyState(info.entityId)?.position;
+    if (!position) return reject('No player body');
+    takeInventoryItem(info.inventory, itemId, quantity);
+
+    const { entry, evicted } = room.pickups.drop(itemId, quantity, position, info.clientId);
+    if (evicted.length) sendToRoom(room, MessageType.PICKUP_REMOVE, { ids: evicted });
+    sendToRoom(room, MessageType.PICKUP_SPAWN, { pickups: [room.pickups.describe(entry)] });
+}
+
+/**
+ * Claim (part of) a pickup. The requester gets PICKUP_RESULT; everyone sees
+ * the stack shrink or disappear.
+ */
+function handleItemPickup(client, data) {
+    const roomId = clientRooms.get(client);
+    const room = rooms.get(roomId);
+    const world = physicsWorlds.get(roomId);
+    const info = clientInfo.get(client);
+    if (!room || !world || !info || !data) return;
+
+    const position = world.getBodyState(info.entityId)?.position || null;
+    const result = room.pickups.claim(data.pickupId, data.quantity, position);
+
+    send(client, MessageType.PICKUP_RESULT, {
+        pickupId: data.pickupId,
+        ok: result.ok,
+        reason: result.reason,
+        itemId: result.itemId,
+        quantity: result.taken
+    });
+
+    if (!result.ok) return;
+    addInventoryItem(info.inventory, result.itemId, result.taken);
+    if (result.entry) {
+        sendToRoom(room, MessageType.PICKUP_SPAWN, { pickups: [room.pickups.describe(result.entry)] });
+    } else {
+        sendToRoom(room, MessageType.PICKUP_REMOVE, { ids: [data.pickupId] });
+    }
+}
+
+function expirePickups() {
+    for (const room of rooms.values()) {
+        const expired = room.pickups.expire();
+        if (expired.length) sendToRoom(room, MessageType.PICKUP_REMOVE, { ids: expired });
+    }
+}
+
+setInterval(expirePickups, SERVER_CONFIG.pickupSweepInterval);
+
+// ============================================
+// CITY COLLIDERS
+// ============================================
+
+/**
+ * Compare a client's city collider digests with the server's layouts.
+ * Any mismatch means players would collide with geometry the server doesn't
+ * have (or the reverse), so it is logged as well as reported back.
+ */
+function handleCityParity(client, data, clientId) {
+    const result = checkCityParity(data?.footprints);
+    if (result.mismatches.length) {
+        console.warn(`City collider mismatch for ${clientId}: ${result.mismatches.map(m => m.chunk).join(' ')}`);
+    }
+    send(client, MessageType.CITY_PARITY_RESULT, result);
+}
+
+/**
+ * Handle save slot requests (list / load / write / delete) for a player.
+ * Slots are keyed by the player's profile. The server-owned parts of a save
+ * (body position, resource ledger, inventory) always come from the live server
+ * state, on write and on load, so a save can't forge items or resources or
+ * move the player.
+ */
+async function handleSaveGame(client, data) {
+    const info = clientInfo.get(client);
+    if (!info || !data) return;
+
+    const { requestId, op, slot } = data;
+    const reply = (result) => send(client, MessageType.SAVE_GAME_RESULT, { requestId, op, slot, ...result });
+
+    // Slots belong to the verified profile, never to a claimed name
+    if (!info.profile) {
+        reply({ ok: false, reason: 'Server saves need a signed-in profile' });
+        return;
+    }
+    const owner = info.profile.username;
+
+    try {
+        if (op === 'list') {
+            reply({ ok: true, slots: await saveStore.list(owner) });
+        } else if (op === 'write') {
+            await saveStore.write(owner, slot, withServerState(client, info, data.save));
+            reply({ ok: true });
+        } else if (op === 'delete') {
+            await saveStore.remove(owner, slot);
+            reply({ ok: true });
+        } else if (op === 'load') {
+            const save = await saveStore.read(owner, slot);
+            if (!save) {
+                reply({ ok: false, reason: `No save in slot "${slot}"` });
+                return;
+            }
+            reply({ ok: true, save: withServerState(client, info, save) });
+        } else {
+            reply({ ok: false, reason: `Unknown save operation: ${op}` });
+        }
+    } catch (error) {
+        console.error(`Save ${op} failed for ${owner}:`, error.message);
+        reply({ ok: false, reason: error.message });
+    }
+}
+
+/**
+ * Copy of a save with its server-owned parts (body position, resource ledger)
+ * replaced by the server's current state
+ */
+function withServerState(client, info, save) {
+    if (!save || typeof save !== 'object') return save;
+    const roomId = clientRooms.get(client);
+    const room = rooms.get(roomId);
+    const result = { ...save };
+
+    const player = save.player && typeof save.player === 'object' ? { ...save.player } : {};
+    const bodyState = physicsWorlds.get(roomId)?.getBodyState(info.entityId);
+    if (bodyState?.position) {
+        const { x, y, z } = bodyState.position;
+        player.position = { x, y, z };
+    } else {
+        delete player.position;
+    }
+    result.player = player;
+
+    if (room) {
+        result.resources = room.objects.getLedger(info.clientId).toJSON();
+    } else {
+        delete result.resources;
+    }
+    result.inventory = structuredClone(info.inventory);
+    return result;
+}
+
+/**
+ * Use one unit of an item the server's inventory record holds. Buffs go to the
+ * server's PlayerEffects, healing to PlayerHealth and credits/intel/salvage
+ * restores to the ledger; stamina is only simulated by the client. A refused
+ * use carries the server's inventory, so the client gets back what it spent.
+ */
+function handleItemUse(client, data) {
+    const room = rooms.get(clientRooms.get(client));
+    const info = clientInfo.get(client);
+    if (!room || !info || typeof data?.itemId !== 'string') return;
+
+    const ledger = room.objects.getLedger(info.clientId);
+    const reply = (result) => send(client, MessageType.ITEM_USE_RESULT, {
+        itemId: data.itemId,
+        ...result,
+        resources: ledger.toJSON(),
+        inventory: result.ok ? undefined : info.inventory
+    });
+
+    if (!room.health.isAlive(info.clientId)) return reply({ ok: false, reason: 'You are dead.' });
+    if (countInventoryItem(info.inventory, data.itemId) < 1) return reply({ ok: false, reason: 'Not in your inventory' });
+
+    const result = room.effects.use(info.clientId, data.itemId);
+    if (!result.ok) return reply(result);
+    takeInventoryItem(info.inventory, data.itemId, 1);
+
+    const { health, stamina, ...restore } = result.restore;
+    const healed = health > 0 ? room.health.heal(info.clientId, health) : 0;
+    reply({ ok: true, applied: ledger.applyDeltas(restore) });
+    if (healed > 0) {
+        send(client, MessageType.PLAYER_HEALTH, { ...room.health.getStatus(info.clientId), amount: healed, cause: 'heal' });
+    }
+}
+
+/**
+ * Replace the server's copy of a player's worn equipment, and tell the client
+ * which of the items it asked for are worn (items the server's inventory
+ * doesn't hold are not)
+ */
+function handleItemEquip(client, data) {
+    const room = rooms.get(clientRooms.get(client));
+    const info = clientInfo.get(client);
+    if (!room || !info || !Array.isArray(data?.itemIds)) return;
+
+    const requested = data.itemIds.filter(itemId => typeof itemId === 'string');
+    const worn = room.effects.setEquipment(info.clientId, requested);
+    send(client, MessageType.ITEM_EQUIP_RESULT, { requested, worn });
+}
+
+/**
+ * Record client-owned profile data: the inventory's layout and appearance.
+ * What the inventory holds is the server's; a report that holds anything else
+ * is answered with the server's inventory instead.
+ */
+function handleProfileUpdate(client, data) {
+    const info = clientInfo.get(client);
+    if (!info || !data) return;
+
+    const inventory = sanitizeInventory(data.inventory);
+    if (inventory && sameInventoryContents(inventory, info.inventory)) {
+        info.inventory = inventory;
+        if (info.profile) info.profile.inventory = inventory;
+    } else if (inventory) {
+        send(client, MessageType.INVENTORY_STATE, { inventory: info.inventory });
+    }
+    if (info.profile && data.appearance) info.profile.appearance = sanitizeAppearance(data.appearance);
+}
+
+/**
+ * Keep only primitive appearance parameters
+ */
+function sanitizeAppearance(appearance) {
+    const result = {};
+    if (!appearance || typeof appearance !== 'object') return result;
+    for (const [key, value] of Object.entries(appearance).slice(0, 32)) {
+        if (['string', 'number', 'boolean'].includes(typeof value)) {
+            result[key] = typeof value === 'string' ? value.slice(0, 64) : value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Copy server-owned state (body position, resource ledger) into a profile
+ */
+function captureProfile(info, room, world) {
+    const bodyState = world?.getBodyState(info.entityId);
+    if (bodyState?.position) {
+        const { x, y, z } = bodyState.position;
+        info.profile.position = { x, y, z };
+    }
+    if (room.objects.ledgers.has(info.clientId)) {
+        info.profile.resources = room.objects.getLedger(info.clientId).toJSON();
+    }
+}
+
+/**
+ * Write a profile back and end its session
+ */
+function releaseProfile(profile) {
+    profileStore.release(profile).catch(error => {
+        console.error(`Failed to save profile ${profile.username}:`, error.message);
+    });
+}
+
+/**
+ * Periodic write-back so a crash loses at most one interval of progress
+ */
+function flushProfiles() {
+    for (const [client, info] of clientInfo) {
+        if (!info.profile) continue;
+        const roomId = clientRooms.get(client);
+        const room = rooms.get(roomId);
+        if (room) captureProfile(info, room, physicsWorlds.get(roomId));
+        profileStore.save(info.profile).catch(error => {
+            console.error(`Failed to save profile ${info.profile.username}:`, error.message);
+        });
+    }
+}
+
+setInterval(flushProfiles, SERVER_CONFIG.profileFlushInterval);
+
+function handleCommand(client, message, clientId) {
+    const args = message.split(' ');
+    const command = args[0].toLowerCase();
 
     if (command === '/spawnvehicle') {
         const type = args[1] ? args[1].toLowerCase() : 'jeep';
@@ -642,14 +2013,48 @@ function handleCommand(client, message, clientId) {
                 message: 'Invalid vehicle type. Use: tank, helicopter, or jeep.'
             });
         }
+    } else if (command === '/loot') {
+        // Inspect the weighted loot table for a biome
+        const biome = args[1] ? args[1].toLowerCase() : 'wasteland';
+        const table = itemRegistry.describeLootTables().find(entry => entry.biome === biome);
+        if (!table) {
+            send(client, MessageType.CHAT_MESSAGE, {
+                username: 'System',
+                message: `Unknown biome. Use: ${itemRegistry.describeLootTables().map(entry => entry.biome).join(', ')}.`
+            });
+            return;
+        }
+        const tiers = table.tiers
+            .map(tier => `${tier.rarity} ${(tier.probability * 100).toFixed(1)}% (${tier.items})`)
+            .join(', ');
+        send(client, MessageType.CHAT_MESSAGE, {
+            username: 'System',
+            message: `Loot [${biome}] density x${table.spawnWeight}: ${tiers}`
+        });
     } else if (command === '/physics') {
         const roomId = clientRooms.get(client);
         const world = physicsWorlds.get(roomId);
         if (world) {
             const stats = world.getStats();
+            const terrain = terrainStreamers.get(roomId)?.getStats();
+            const city = cityColliders.get(roomId)?.getStats();
+            const room = rooms.get(roomId);
+            send(client, MessageType.CHAT_MESSAGE, {
+                username: 'System',
+                message: `Physics: ${stats.bodyCount} bodies, step time: ${stats.lastStepTime}` +
+                    (terrain ? `, terrain ${terrain.loadedTiles} tiles loaded / ${terrain.cachedTiles} cached` : '') +
+                    (city ? `, city ${city.chunksBuilt} chunks / ${city.boxesBuilt} boxes built` : '') +
+                    (room ? `, ${room.interest.visibleCount(client)} in range` : '')
+            });
+        }
+    } else if (command === '/war') {
+        const war = warSimulations.get(clientRooms.get(client))?.war;
+        if (war) {
+            const stats = war.getStats();
             send(client, MessageType.CHAT_MESSAGE, {
                 username: 'System',
-                message: `Physics: ${stats.bodyCount} bodies, step time: ${stats.lastStepTime}`
+                message: `War: ${stats.units} units, tick ${stats.tick}, seed ${war.seed}, ` +
+                    `${stats.spawned} spawned / ${stats.killed} killed / ${stats.despawned} despawned`
             });
         }
     }
@@ -673,6 +2078,90 @@ function broadcastToRoom(sender, message) {
     }
 }
 
+/**
+ * Relay a client message to the room members whose area of interest covers it.
+ * List messages are trimmed per recipient; other messages are placed at their
+ * own position or the sender's, and reach everyone if neither is known yet.
+ */
+function relayToInterested(sender, message) {
+    const room = rooms.get(clientRooms.get(sender));
+    if (!room) return;
+
+    const listField = RELAY_LIST_FIELDS[message.type];
+    const items = listField ? message.data?.[listField] : null;
+    const origin = message.data?.position || room.interest.getFocus(sender);
+    let messageStr = null;
+
+    for (const client of room.clients) {
+        if (client === sender || client.readyState !== WebSocket.OPEN) continue;
+
+        if (Array.isArray(items)) {
+            const nearby = items.filter(item => room.interest.isInRange(client, item.position || origin));
+            client.send(JSON.stringify({ ...message, data: { ...message.data, [listField]: nearby } }));
+            continue;
+        }
+
+        if (origin && !room.interest.isInRange(client, origin)) continue;
+        messageStr ??= JSON.stringify(message);
+        client.send(messageStr);
+    }
+}
+
+/**
+ * Relay a legacy entity message, limited to entities the sender spawned itself.
+ * Otherwise a client could destroy or overwrite anyone's entity (another player,
+ * a server vehicle) on every other screen and claim the kill.
+ */
+function relayEntityMessage(sender, message) {
+    const room = rooms.get(clientRooms.get(sender));
+    const info = clientInfo.get(sender);
+    if (!room || !info) return;
+
+    const { type, data } = message;
+    const owns = entity => typeof entity?.id === 'string' && room.clientEntities.get(entity.id) === info.clientId;
+    const relay = (relayed) => relayToInterested(sender, { ...message, clientId: info.clientId, data: relayed });
+
+    switch (type) {
+        case MessageType.ENTITY_SPAWN:
+            if (typeof data.id !== 'string' || !CLIENT_ENTITY_TYPES.has(data.type)) return;
+            if (room.clientEntities.has(data.id) && !owns(data)) return;
+            if (!owns(data) && countClientEntities(room, info.clientId) >= MAX_CLIENT_ENTITIES) return;
+            room.clientEntities.set(data.id, info.clientId);
+            relay({ ...data, ownerId: info.clientId });
+            break;
+
+        case MessageType.WORLD_STATE: {
+            const entities = Array.isArray(data.entities) ? data.entities.filter(owns) : [];
+            if (entities.length) relay({ ...data, entities });
+            break;
+        }
+
+        case MessageType.ENTITY_DESTROY:
+            if (!owns(data)) return;
+            room.clientEntities.delete(data.id);
+            relay(data);
+            break;
+
+        default:
+            if (owns(data)) relay(data);
+    }
+}
+
+function countClientEntities(room, clientId) {
+    let count = 0;
+    room.clientEntities.forEach(ownerId => { if (ownerId === clientId) count++; });
+    return count;
+}
+
+/**
+ * Send a server message to every client in a room, including the originator
+ */
+function sendToRoom(room, type, data) {
+    for (const client of room.clients) {
+        send(client, type, data);
+    }
+}
+
 function send(client, type, data) {
     if (client.readyState !== WebSocket.OPEN) return;
 
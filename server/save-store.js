@@ -0,0 +1,113 @@
+/**
+ * Save Store (server)
+ *
+ * File-backed save slots for connected players, one JSON file per slot under
+ * server/data/saves/<owner>/. Saves are produced by the client's SaveGameManager;
+ * the relay replaces their position and resources with its own state before
+ * writing and again when handing a save back.
+ */
+
+import { readdir, unlink } from 'fs/promises';
+import { fileKey, readJsonFile, writeJsonFile } from './json-files.js';
+
+const SLOT_PATTERN = /^[a-z0-9_-]{1,24}$/;
+const MAX_SAVE_BYTES = 512 * 1024;
+const MAX_SLOTS = 8;
+const AUTOSAVE_SLOT = 'autosave';
+
+export const SAVE_DIR = new URL('./data/saves/', import.meta.url);
+
+export class SaveStore {
+    constructor(baseUrl = SAVE_DIR) {
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Directory URL holding one owner's slots
+     */
+    ownerDir(owner) {
+        return new URL(`${fileKey(owner)}/`, this.baseUrl);
+    }
+
+    /**
+     * Validate a slot name, throwing a user-facing message when invalid
+     */
+    checkSlot(slot) {
+        if (typeof slot !== 'string' || !SLOT_PATTERN.test(slot)) {
+            throw new Error('Invalid save slot name');
+        }
+        return slot;
+    }
+
+    /**
+     * List an owner's slots with their metadata
+     * @returns {Promise<Array>} [{ slot, version, savedAt, label }]
+     */
+    async list(owner) {
+        let files;
+        try {
+            files = await readdir(this.ownerDir(owner));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const slots = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const slot = file.slice(0, -5);
+            try {
+                const save = await this.read(owner, slot);
+                slots.push({
+                    slot,
+                    version: save?.version ?? 0,
+                    savedAt: save?.savedAt || 0,
+                    label: save?.label || ''
+                });
+            } catch (error) {
+                console.warn(`Unreadable save ${fileKey(owner)}/${file}:`, error.message);
+            }
+        }
+        return slots;
+    }
+
+    /**
+     * Read one slot
+     * @returns {Promise<Object|null>} The save, or null if the slot is empty
+     */
+    async read(owner, slot) {
+        return readJsonFile(new URL(`${this.checkSlot(slot)}.json`, this.ownerDir(owner)));
+    }
+
+    /**
+     * Write one slot (replaced atomically)
+     */
+    async write(owner, slot, save) {
+        this.checkSlot(slot);
+        if (!save || typeof save !== 'object') {
+            throw new Error('Save data missing');
+        }
+        const text = JSON.stringify(save);
+        if (text.length > MAX_SAVE_BYTES) {
+            throw new Error('Save data too large');
+        }
+
+        const slots = await this.list(owner);
+        if (slot !== AUTOSAVE_SLOT && !slots.some(entry => entry.slot === slot) && slots.length >= MAX_SLOTS) {
+            throw new Error(`All ${MAX_SLOTS} save slots are in use`);
+        }
+
+        await writeJsonFile(new URL(`${slot}.json`, this.ownerDir(owner)), text);
+    }
+
+    /**
+     * Delete one slot (missing slots are ignored)
+     */
+    async remove(owner, slot) {
+        const url = new URL(`${this.checkSlot(slot)}.json`, this.ownerDir(owner));
+        try {
+            await unlink(url);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
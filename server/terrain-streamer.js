@@ -0,0 +1,172 @@
+/**
+ * Terrain Streamer (server)
+ *
+ * Keeps Jolt heightfield tiles loaded around every player and vehicle so the
+ * server simulates the same hills clients see. Tiles line up with the client's
+ * world chunks, so per-chunk static geometry (city colliders) can be loaded and
+ * released along with them through `tileBuilder`. Sampled heights are cached after a tile is released, so
+ * driving back into an area does not resample the terrain.
+ */
+
+import { getTerrainHeight } from '../js/terrain.js';
+
+const STREAM_CONFIG = {
+    tileSize: 200,          // m - matches the client chunk size
+    sampleCount: 81,        // samples per side (2.5 m cells)
+    loadRadius: 120,        // m - tiles closer than this to a body are loaded
+    unloadDelay: 15000,     // ms a tile stays loaded after nobody needs it
+    maxBuildsPerUpdate: 2,  // nearby-but-not-underfoot tiles built per update
+    cacheSize: 48           // released tiles whose heights are kept
+};
+
+export class TerrainStreamer {
+    constructor(world, options = {}) {
+        this.world = world;
+        this.config = { ...STREAM_CONFIG, ...options };
+        this.heightSampler = options.heightSampler || getTerrainHeight;
+        this.tileBuilder = options.tileBuilder || null;   // (tx, tz) -> extra static body or null
+        this.tiles = new Map();     // key -> { tx, tz, body, extraBody, lastNeeded }
+        this.cache = new Map();     // key -> Float32Array (oldest first)
+        this.stats = { built: 0, cacheHits: 0, released: 0 };
+    }
+
+    tileKey(tx, tz) {
+        return `${tx},${tz}`;
+    }
+
+    tileCoord(value) {
+        return Math.floor(value / this.config.tileSize);
+    }
+
+    /**
+     * Load tiles around the given positions and release stale ones.
+     * The tile under each position is always built immediately; others are
+     * spread across updates so a new arrival doesn't stall the physics loop.
+     * @param {Array<{x, z}>} positions - Bodies that need terrain
+     */
+    update(positions, now = Date.now()) {
+        const { tileSize, loadRadius, maxBuildsPerUpdate, unloadDelay } = this.config;
+        const wanted = new Map();   // key -> { tx, tz, urgent }
+
+        positions.forEach(({ x, z }) => {
+            for (let tx = this.tileCoord(x - loadRadius); tx <= this.tileCoord(x + loadRadius); tx++) {
+                for (let tz = this.tileCoord(z - loadRadius); tz <= this.tileCoord(z + loadRadius); tz++) {
+                    // Distance from the point to the tile's square
+                    const dx = Math.max(tx * tileSize - x, 0, x - (tx + 1) * tileSize);
+                    const dz = Math.max(tz * tileSize - z, 0, z - (tz + 1) * tileSize);
+                    if (dx * dx + dz * dz > loadRadius * loadRadius) continue;
+
+                    const key = this.tileKey(tx, tz);
+                    const urgent = dx === 0 && dz === 0;
+                    wanted.set(key, { tx, tz, urgent: urgent || wanted.get(key)?.urgent || false });
+                }
+            }
+        });
+
+        let builds = 0;
+        wanted.forEach(({ tx, tz, urgent }, key) => {
+            const tile = this.tiles.get(key);
+            if (tile) {
+                tile.lastNeeded = now;
+                return;
+            }
+            if (!urgent && builds >= maxBuildsPerUpdate) return;
+            if (!urgent) builds++;
+            this.loadTile(tx, tz, now);
+        });
+
+        for (const [key, tile] of this.tiles) {
+            if (!wanted.has(key) && now - tile.lastNeeded > unloadDelay) {
+                this.releaseTile(key);
+            }
+        }
+    }
+
+    /**
+     * Make sure the ground under a point exists right now (spawns, teleports)
+     */
+    ensureAt(x, z, now = Date.now()) {
+        const tx = this.tileCoord(x);
+        const tz = this.tileCoord(z);
+        const tile = this.tiles.get(this.tileKey(tx, tz));
+        if (tile) {
+            tile.lastNeeded = now;
+            return;
+        }
+        this.loadTile(tx, tz, now);
+    }
+
+    loadTile(tx, tz, now) {
+        const key = this.tileKey(tx, tz);
+        const { tileSize, sampleCount } = this.config;
+        const heights = this.getHeights(tx, tz);
+        const body = this.world.createHeightfieldBody(
+            { x: tx * tileSize, z: tz * tileSize },
+            tileSize / (sampleCount - 1),
+            sampleCount,
+            heights
+        );
+        if (!body) return;
+        const extraBody = this.tileBuilder ? this.tileBuilder(tx, tz) : null;
+        this.tiles.set(key, { tx, tz, body, extraBody, lastNeeded: now });
+    }
+
+    /**
+     * Heights for a tile, from the cache or freshly sampled.
+     * Edge samples are shared with neighbouring tiles so there are no seams.
+     */
+    getHeights(tx, tz) {
+        const key = this.tileKey(tx, tz);
+        const cached = this.cache.get(key);
+        if (cached) {
+            // Re-insert so the cache evicts least recently used tiles first
+            this.cache.delete(key);
+            this.cache.set(key, cached);
+            this.stats.cacheHits++;
+            return cached;
+        }
+
+        const { tileSize, sampleCount, cacheSize } = this.config;
+        const cellSize = tileSize / (sampleCount - 1);
+        const heights = new Float32Array(sampleCount * sampleCount);
+        for (let z = 0; z < sampleCount; z++) {
+            for (let x = 0; x < sampleCount; x++) {
+                heights[z * sampleCount + x] = this.heightSampler(tx * tileSize + x * cellSize, tz * tileSize + z * cellSize);
+            }
+        }
+        this.stats.built++;
+
+        this.cache.set(key, heights);
+        while (this.cache.size > cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return heights;
+    }
+
+    releaseTile(key) {
+        const tile = this.tiles.get(key);
+        if (!tile) return;
+        this.world.removeStaticBody(tile.body);
+        this.world.removeStaticBody(tile.extraBody);
+        this.tiles.delete(key);
+        this.stats.released++;
+    }
+
+    /**
+     * Remove every tile from the world (room shutdown)
+     */
+    destroy() {
+        for (const key of Array.from(this.tiles.keys())) {
+            this.releaseTile(key);
+        }
+        this.cache.clear();
+    }
+
+    getStats() {
+        return {
+            loadedTiles: this.tiles.size,
+            cachedTiles: this.cache.size,
+            ...this.stats
+        };
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * Vehicle Damage (server)
+ *
+ * Server-authoritative hit points for the vehicles in a room. Every hit takes
+ * points off the hull; hits that land in a zone (tracks, wheels, rotor,
+ * engine) also wear that zone down, and worn zones cost the vehicle handling.
+ * A hull at zero is a wreck: it can't be driven or fire until it is repaired
+ * with salvage.
+ */
+
+export const VEHICLE_DAMAGE_CONFIG = {
+    repairFraction: 0.25,       // of max health restored per repair action
+    repairSalvage: 10,          // salvage per repair action
+    wreckSalvage: 40,           // salvage for the first repair of a wreck
+    wreckBlast: { radius: 8, damage: 40, impulse: 12000 }  // hurts whoever was aboard or nearby
+};
+
+// Zones are boxes in vehicle space (+Z forward, +X left, origin at the body
+// centre). `loss` is how much of each handling factor is gone once the zone
+// is at zero: drive (engine force), steer, lift and control (helicopter torques).
+export const VEHICLE_ARMOR = {
+    tank: {
+        health: 1200,
+        zones: {
+            tracks: {
+                health: 300,
+                boxes: [
+                    { min: { x: 2.0, y: -1.1, z: -4.25 }, max: { x: 2.8, y: 0.3, z: 4.25 } },
+                    { min: { x: -2.8, y: -1.1, z: -4.25 }, max: { x: -2.0, y: 0.3, z: 4.25 } }
+                ],
+                loss: { drive: 0.6, steer: 0.7 }
+            },
+            engine: {
+                health: 250,
+                boxes: [{ min: { x: -2.0, y: -1.1, z: -4.25 }, max: { x: 2.0, y: 1.1, z: -2.5 } }],
+                loss: { drive: 0.5 }
+            }
+        }
+    },
+    jeep: {
+        health: 300,
+        zones: {
+            wheels: {
+                health: 100,
+                boxes: [{ min: { x: -1.2, y: -0.9, z: -2.3 }, max: { x: 1.2, y: -0.3, z: 2.3 } }],
+                loss: { steer: 0.6, drive: 0.3 }
+            },
+            engine: {
+                health: 120,
+                boxes: [{ min: { x: -1.2, y: -0.3, z: 1.2 }, max: { x: 1.2, y: 0.9, z: 2.3 } }],
+                loss: { drive: 0.7 }
+            }
+        }
+    },
+    helicopter: {
+        health: 400,
+        zones: {
+            rotor: {
+                health: 120,
+                boxes: [{ min: { x: -1.5, y: 1.0, z: -4.5 }, max: { x: 1.5, y: 1.5, z: 4.5 } }],
+                loss: { lift: 0.25, control: 0.6 }
+            },
+            engine: {
+                health: 150,
+                boxes: [{ min: { x: -1.5, y: -1.5, z: -4.5 }, max: { x: 1.5, y: 1.0, z: -2.5 } }],
+                loss: { lift: 0.15 }
+            }
+        }
+    }
+};
+
+export class VehicleDamage {
+    constructor() {
+        this.vehicles = new Map();  // vehicleId -> { vehicleType, health, maxHealth, zones: { id: { health, maxHealth } }, wrecked }
+    }
+
+    /**
+     * Start tracking a vehicle at full health
+     */
+    track(vehicleId, vehicleType) {
+        const armor = VEHICLE_ARMOR[vehicleType] || VEHICLE_ARMOR.jeep;
+        const zones = {};
+        Object.entries(armor.zones).forEach(([zoneId, zone]) => {
+            zones[zoneId] = { health: zone.health, maxHealth: zone.health };
+        });
+
+        const state = { vehicleType, health: armor.health, maxHealth: armor.health, zones, wrecked: false };
+        this.vehicles.set(vehicleId, state);
+        return state;
+    }
+
+    forget(vehicleId) {
+        this.vehicles.delete(vehicleId);
+    }
+
+    isWrecked(vehicleId) {
+        return this.vehicles.get(vehicleId)?.wrecked || false;
+    }
+
+    /**
+     * Zone containing a point in vehicle space, or null for the plain hull
+     */
+    findZone(vehicleType, localPoint) {
+        const armor = VEHICLE_ARMOR[vehicleType];
+        if (!armor || !localPoint) return null;
+
+        // Hits land on the surface, so allow a little slack around each box
+        const slack = 0.05;
+        for (const [zoneId, zone] of Object.entries(armor.zones)) {
+            const inside = zone.boxes.some(({ min, max }) =>
+                localPoint.x >= min.x - slack && localPoint.x <= max.x + slack &&
+                localPoint.y >= min.y - slack && localPoint.y <= max.y + slack &&
+                localPoint.z >= min.z - slack && localPoint.z <= max.z + slack);
+            if (inside) return zoneId;
+        }
+        return null;
+    }
+
+    /**
+     * Take hit points from a vehicle, and from the zone the hit landed in
+     * @param {Object|null} localPoint - Hit point in vehicle space (null for splash)
+     * @returns {Object|null} { amount, zone, wrecked } - wrecked is true only for
+     *   the hit that destroyed it; null for wrecks and unknown vehicles
+     */
+    damage(vehicleId, amount, localPoint = null) {
+        const state = this.vehicles.get(vehicleId);
+        if (!state || state.wrecked || !(amount > 0)) return null;
+
+        const zone = this.findZone(state.vehicleType, localPoint);
+        if (zone) {
+            const zoneState = state.zones[zone];
+            zoneState.health = Math.max(0, zoneState.health - amount);
+        }
+
+        const applied = Math.min(state.health, amount);
+        state.health -= applied;
+        if (state.health <= 0) {
+            state.health = 0;
+            state.wrecked = true;
+        }
+        return { amount: applied, zone, wrecked: state.wrecked };
+    }
+
+    /**
+     * Salvage the next repair action costs, or 0 if there is nothing to repair
+     */
+    repairCost(vehicleId) {
+        const state = this.vehicles.get(vehicleId);
+        if (!state) return 0;
+        if (state.wrecked) return VEHICLE_DAMAGE_CONFIG.wreckSalvage;
+        const worn = state.health < state.maxHealth ||
+            Object.values(state.zones).some(zone => zone.health < zone.maxHealth);
+        return worn ? VEHICLE_DAMAGE_CONFIG.repairSalvage : 0;
+    }
+
+    /**
+     * One repair action: hull and every zone get a share of their max health
+     * back. A repaired wreck can be driven again.
+     * @returns {Object|null} { restored, wasWrecked }, or null if nothing to repair
+     */
+    repair(vehicleId) {
+        const state = this.vehicles.get(vehicleId);
+        if (!state || this.repairCost(vehicleId) === 0) return null;
+
+        const fraction = VEHICLE_DAMAGE_CONFIG.repairFraction;
+        const before = state.health;
+        state.health = Math.min(state.maxHealth, state.health + Math.round(state.maxHealth * fraction));
+        Object.values(state.zones).forEach(zone => {
+            zone.health = Math.min(zone.maxHealth, zone.health + Math.round(zone.maxHealth * fraction));
+        });
+
+        const wasWrecked = state.wrecked;
+        state.wrecked = false;
+        return { restored: state.health - before, wasWrecked };
+    }
+
+    /**
+     * Handling factors (0..1) for the physics world; wrecks get no control at all
+     */
+    getHandling(vehicleId) {
+        const state = this.vehicles.get(vehicleId);
+        const handling = { drive: 1, steer: 1, lift: 1, control: 1, wrecked: false };
+        if (!state) return handling;
+        if (state.wrecked) return { drive: 0, steer: 0, lift: 0, control: 0, wrecked: true };
+
+        const armor = VEHICLE_ARMOR[state.vehicleType];
+        Object.entries(state.zones).forEach(([zoneId, zone]) => {
+            const worn = 1 - zone.health / zone.maxHealth;
+            Object.entries(armor.zones[zoneId].loss).forEach(([factor, loss]) => {
+                handling[factor] *= 1 - loss * worn;
+            });
+        });
+        return handling;
+    }
+
+    /**
+     * Damage state as sent to clients
+     */
+    getStatus(vehicleId) {
+        const state = this.vehicles.get(vehicleId);
+        if (!state) return null;
+
+        const zones = {};
+        Object.entries(state.zones).forEach(([zoneId, zone]) => {
+            zones[zoneId] = { health: zone.health, maxHealth: zone.maxHealth };
+        });
+        return {
+            vehicleId,
+            health: state.health,
+            maxHealth: state.maxHealth,
+            zones,
+            wrecked: state.wrecked,
+            repairCost: this.repairCost(vehicleId)
+        };
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * War Replay (server)
+ *
+ * Re-runs a faction war log written by the relay (data/war/<room>-<time>.jsonl)
+ * and checks that the simulation reproduces the recorded kills and checksums.
+ *
+ *   node war-replay.js data/war/default-1700000000000.jsonl
+ */
+
+import { readFile } from 'fs/promises';
+import { replayWarLog } from './war-simulation.js';
+
+async function main() {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: node war-replay.js <war log>');
+        process.exitCode = 1;
+        return;
+    }
+
+    const entries = (await readFile(file, 'utf8'))
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+
+    const result = replayWarLog(entries);
+    if (result.ok) {
+        console.log(`War log replayed: ${result.ticks} ticks, ${result.checked} kills/checksums match`);
+        return;
+    }
+
+    console.error(`War log diverged (${result.mismatches.length} mismatches), first at tick ${result.mismatches[0].t}:`);
+    result.mismatches.slice(0, 5).forEach(m => {
+        console.error(`  ${m.type} expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.actual)}`);
+    });
+    process.exitCode = 1;
+}
+
+await main();
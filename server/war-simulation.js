@@ -0,0 +1,341 @@
+/**
+ * War Simulation (server)
+ *
+ * The faction war for one room: skirmishes spawn around each player, units pick the
+ * nearest enemy, move over the shared terrain and shoot it out. Clients only
+ * render what the server sends, so units survive the host leaving and everyone
+ * sees the same battle.
+ *
+ * The simulation steps at a fixed rate and draws every random number from one
+ * seeded stream, so its only outside input is where the players are. Those
+ * anchor positions are quantized and logged when they change, along with kills
+ * and periodic state checksums; `war-replay.js` re-runs a log and checks that
+ * it reproduces the same battle.
+ */
+
+import { getTerrainHeight, seededRandom } from '../js/terrain.js';
+
+export const WAR_LOG_VERSION = 1;
+
+export const WAR_CONFIG = {
+    tickRate: 10,               // Hz - fixed step
+    spawnInterval: 8,           // s between skirmishes
+    spawnDistance: [120, 200],  // m from the player
+    localUnitCap: 16,           // units near a player before skirmishes stop spawning there
+    maxUnits: 64,               // per room
+    despawnDistance: 500,       // m from the nearest player
+    engageDistance: 50,         // m - units stop closing in on their target inside this
+    fireRange: 200,             // m
+    fireChance: 0.18,           // per tick while a target is in range
+    killChance: 0.08,           // per shot
+    anchorGrid: 10,             // m - player positions are snapped to this before use
+    checksumInterval: 100,      // ticks between logged state checksums
+    tank: { speed: 8, hover: 1.25 },
+    heli: { speed: 18, altitude: [70, 100], minClearance: 15 }
+};
+
+export class WarSimulation {
+    constructor(seed, options = {}) {
+        this.seed = seed;
+        this.config = { ...WAR_CONFIG, ...options };
+        this.tick = 0;
+        this.random = 0;            // draws taken from the seeded stream
+        this.units = [];            // { id, type, faction, x, y, z, heading, speed, altitude }
+        this.unitCounter = 0;
+        this.spawnTimer = 0;
+        this.accumulator = 0;       // ms not yet simulated
+        this.anchors = [];          // quantized [x, z] of every player
+        this.anchorKey = '';
+        this.events = [];           // fire/kill events not yet sent to clients
+        this.onLog = null;          // (entry) => void - replay log sink
+        this.stats = { spawned: 0, killed: 0, despawned: 0 };
+    }
+
+    rng() {
+        return seededRandom(this.seed + ++this.random);
+    }
+
+    log(entry) {
+        if (this.onLog) this.onLog({ t: this.tick, ...entry });
+    }
+
+    /**
+     * Start a replay log with everything needed to reproduce the run
+     */
+    logStart(roomId) {
+        this.log({ type: 'start', version: WAR_LOG_VERSION, room: roomId, seed: this.seed, config: this.config });
+    }
+
+    /**
+     * Run as many fixed ticks as the elapsed time covers
+     * @param {number} elapsedMs - Wall time since the last call
+     * @param {Array<{x, z}>} players - Player positions spawns and despawns are based on
+     * @returns {number} Ticks simulated
+     */
+    advance(elapsedMs, players) {
+        const stepMs = 1000 / this.config.tickRate;
+        // Don't try to catch up after a long stall
+        this.accumulator = Math.min(this.accumulator + elapsedMs, stepMs * 5);
+
+        let steps = 0;
+        while (this.accumulator >= stepMs) {
+            this.accumulator -= stepMs;
+            this.setAnchors(players);
+            this.step();
+            steps++;
+        }
+        return steps;
+    }
+
+    /**
+     * Snap player positions to the anchor grid and log them when they change
+     */
+    setAnchors(players) {
+        const grid = this.config.anchorGrid;
+        const anchors = players
+            .map(p => [Math.round(p.x / grid) * grid, Math.round(p.z / grid) * grid])
+            .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        const key = JSON.stringify(anchors);
+        if (key === this.anchorKey) return;
+
+        this.anchors = anchors;
+        this.anchorKey = key;
+        this.log({ type: 'anchors', anchors });
+    }
+
+    /**
+     * One fixed tick. Replays call this directly after setting the logged anchors.
+     */
+    step() {
+        const dt = 1 / this.config.tickRate;
+        this.tick++;
+
+        this.spawnTimer += dt;
+        if (this.spawnTimer >= this.config.spawnInterval) {
+            this.spawnTimer = 0;
+            this.anchors.forEach(anchor => this.spawnSkirmish(anchor));
+        }
+
+        // Targets are picked from positions at the start of the tick
+        const targets = this.units.map(unit => this.findEnemy(unit));
+        const killed = new Set();
+
+        this.units.forEach((unit, index) => {
+            if (killed.has(unit.id)) return;
+            const enemy = targets[index];
+
+            if (enemy && !killed.has(enemy.id)) {
+                const dx = enemy.x - unit.x;
+                const dz = enemy.z - unit.z;
+                const dist = Math.sqrt(dx * dx + dz * dz);
+
+                if (dist > 0.1) {
+                    unit.heading = Math.atan2(dx, dz);
+                    if (dist > this.config.engageDistance) {
+                        unit.x += dx / dist * unit.speed * dt;
+                        unit.z += dz / dist * unit.speed * dt;
+                    }
+                }
+
+                if (dist <= this.config.fireRange && this.rng() < this.config.fireChance) {
+                    this.events.push({
+                        type: 'fire',
+                        faction: unit.faction,
+                        from: this.unitPosition(unit),
+                        to: this.unitPosition(enemy)
+                    });
+                    if (this.rng() < this.config.killChance) {
+                        killed.add(enemy.id);
+                        this.events.push({ type: 'kill', id: enemy.id, by: unit.id, position: this.unitPosition(enemy) });
+                        this.log({ type: 'kill', id: enemy.id, by: unit.id });
+                    }
+                }
+            } else {
+                // Nobody to fight - patrol along the current heading
+                unit.x += Math.sin(unit.heading) * unit.speed * 0.3 * dt;
+                unit.z += Math.cos(unit.heading) * unit.speed * 0.3 * dt;
+            }
+
+            this.placeOnTerrain(unit);
+        });
+
+        if (killed.size > 0) {
+            this.units = this.units.filter(unit => !killed.has(unit.id));
+            this.stats.killed += killed.size;
+        }
+
+        // Units nobody is near any more are dropped
+        const before = this.units.length;
+        this.units = this.units.filter(unit =>
+            this.distanceToNearestAnchor(unit.x, unit.z) <= this.config.despawnDistance);
+        this.stats.despawned += before - this.units.length;
+
+        if (this.tick % this.config.checksumInterval === 0) {
+            this.log({ type: 'checksum', units: this.units.length, hash: this.checksum() });
+        }
+    }
+
+    spawnSkirmish(anchor) {
+        const nearby = this.units.filter(unit =>
+            Math.hypot(unit.x - anchor[0], unit.z - anchor[1]) <= this.config.despawnDistance).length;
+        if (nearby >= this.config.localUnitCap || this.units.length + 4 > this.config.maxUnits) return;
+
+        const [minDist, maxDist] = this.config.spawnDistance;
+        const angle = this.rng() * Math.PI * 2;
+        const dist = minDist + this.rng() * (maxDist - minDist);
+        const cx = anchor[0] + Math.cos(angle) * dist;
+        const cz = anchor[1] + Math.sin(angle) * dist;
+
+        const f1 = Math.floor(this.rng() * 3);
+        const f2 = (f1 + 1 + Math.floor(this.rng() * 2)) % 3;
+
+        for (let i = 0; i < 2; i++) {
+            this.spawnUnit(f1, cx - 25 + this.rng() * 10, cz + this.rng() * 10);
+            this.spawnUnit(f2, cx + 25 + this.rng() * 10, cz + this.rng() * 10);
+        }
+    }
+
+    spawnUnit(faction, x, z) {
+        const isHeli = this.rng() > 0.6;
+        const spec = isHeli ? this.config.heli : this.config.tank;
+        const unit = {
+            id: `unit-${++this.unitCounter}`,
+            type: isHeli ? 'heli' : 'tank',
+            faction,
+            x,
+            y: 0,
+            z,
+            heading: 0,
+            speed: spec.speed,
+            altitude: isHeli ? spec.altitude[0] + this.rng() * (spec.altitude[1] - spec.altitude[0]) : 0
+        };
+        this.placeOnTerrain(unit);
+        this.units.push(unit);
+        this.stats.spawned++;
+        return unit;
+    }
+
+    placeOnTerrain(unit) {
+        const terrainY = getTerrainHeight(unit.x, unit.z);
+        unit.y = unit.type === 'heli'
+            ? Math.max(unit.altitude, terrainY + this.config.heli.minClearance)
+            : terrainY + this.config.tank.hover;
+    }
+
+    findEnemy(unit) {
+        let nearest = null;
+        let nearestDist = Infinity;
+
+        for (const other of this.units) {
+            if (other.faction === unit.faction) continue;
+            const dx = other.x - unit.x;
+            const dy = other.y - unit.y;
+            const dz = other.z - unit.z;
+            const dist = dx * dx + dy * dy + dz * dz;
+            if (dist < nearestDist) {
+                nearest = other;
+                nearestDist = dist;
+            }
+        }
+        return nearest;
+    }
+
+    distanceToNearestAnchor(x, z) {
+        let nearest = Infinity;
+        for (const [ax, az] of this.anchors) {
+            nearest = Math.min(nearest, Math.hypot(x - ax, z - az));
+        }
+        return nearest;
+    }
+
+    unitPosition(unit) {
+        return { x: unit.x, y: unit.y, z: unit.z };
+    }
+
+    /**
+     * FNV-1a over the rounded unit state; equal for equal battles
+     */
+    checksum() {
+        const text = this.units
+            .map(u => `${u.id}:${u.faction}:${u.x.toFixed(3)}:${u.y.toFixed(3)}:${u.z.toFixed(3)}:${u.heading.toFixed(4)}`)
+            .join('|');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Unit state as sent to clients
+     */
+    getUnitsSyncData() {
+        return this.units.map(unit => ({
+            id: unit.id,
+            position: this.unitPosition(unit),
+            rotationY: unit.heading,
+            faction: unit.faction,
+            unitType: unit.type,
+            speed: unit.speed
+        }));
+    }
+
+    /**
+     * Fire/kill events since the last call
+     */
+    takeEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+
+    getStats() {
+        return { ...this.stats, units: this.units.length, tick: this.tick };
+    }
+}
+
+/**
+ * Re-run a war log and compare it against what was recorded
+ * @param {Array<Object>} entries - Parsed log lines, starting with the 'start' entry
+ * @returns {Object} { ok, ticks, checked, mismatches: [{ t, type, expected, actual }] }
+ */
+export function replayWarLog(entries) {
+    const start = entries[0];
+    if (start?.type !== 'start' || start.version !== WAR_LOG_VERSION) {
+        throw new Error('Not a war log (missing start entry)');
+    }
+
+    const sim = new WarSimulation(start.seed, start.config);
+    const actual = [];
+    sim.onLog = entry => {
+        if (entry.type === 'kill' || entry.type === 'checksum') actual.push(entry);
+    };
+
+    const anchorsAt = new Map();
+    const expected = [];
+    let lastTick = 0;
+    for (const entry of entries.slice(1)) {
+        if (entry.type === 'anchors') anchorsAt.set(entry.t, entry.anchors);
+        if (entry.type === 'kill' || entry.type === 'checksum') expected.push(entry);
+        lastTick = Math.max(lastTick, entry.t);
+    }
+
+    // Anchors are logged inside the tick they take effect in
+    while (sim.tick < lastTick) {
+        const anchors = anchorsAt.get(sim.tick);
+        if (anchors) sim.anchors = anchors;
+        sim.step();
+    }
+
+    const mismatches = [];
+    const count = Math.max(expected.length, actual.length);
+    for (let i = 0; i < count; i++) {
+        const e = expected[i];
+        const a = actual[i];
+        if (JSON.stringify(e) !== JSON.stringify(a)) {
+            mismatches.push({ t: e?.t ?? a?.t, type: e?.type ?? a?.type, expected: e || null, actual: a || null });
+        }
+    }
+    return { ok: mismatches.length === 0, ticks: sim.tick, checked: expected.length, mismatches };
+}
@@ -0,0 +1,60 @@
+/**
+ * Worldgen Check (server)
+ *
+ * Verifies the shared terrain generator against js/worldgen-golden.json before
+ * the server simulates anything on it. Also runnable on its own:
+ *
+ *   node worldgen-check.js            verify and exit non-zero on mismatch
+ *   node worldgen-check.js --update   rewrite the fixture from the current generator
+ */
+
+import { pathToFileURL } from 'url';
+import { readJsonFile, writeJsonFile } from './json-files.js';
+import {
+    GOLDEN_SAMPLES_URL,
+    createGoldenSamples,
+    verifyGoldenSamples,
+    describeGoldenFailures
+} from '../js/worldgen-golden.js';
+
+/**
+ * Check the golden samples on disk
+ * @returns {Promise<Object>} { ok, checked, failures } - ok is false if the fixture is missing
+ */
+export async function verifyWorldgenFromDisk() {
+    const fixture = await readJsonFile(GOLDEN_SAMPLES_URL);
+    if (!fixture?.samples) {
+        return { ok: false, checked: 0, failures: [], missing: true };
+    }
+    return verifyGoldenSamples(fixture.samples);
+}
+
+/**
+ * Log the result of a check in the server's console style
+ * @returns {boolean} True when worldgen matches the fixture
+ */
+export function reportWorldgenCheck(result) {
+    if (result.missing) {
+        console.error('Worldgen golden samples missing - run "npm run worldgen:update"');
+    } else if (!result.ok) {
+        console.error(`Worldgen differs from golden samples (${result.failures.length} mismatches): ` +
+            describeGoldenFailures(result.failures));
+    } else {
+        console.log(`Worldgen matches ${result.checked} golden samples`);
+    }
+    return result.ok;
+}
+
+async function main() {
+    if (process.argv.includes('--update')) {
+        const samples = createGoldenSamples();
+        await writeJsonFile(GOLDEN_SAMPLES_URL, JSON.stringify({ version: 1, samples }, null, 2) + '\n');
+        console.log(`Wrote ${samples.length} golden samples to ${GOLDEN_SAMPLES_URL.pathname}`);
+        return;
+    }
+    if (!reportWorldgenCheck(await verifyWorldgenFromDisk())) process.exitCode = 1;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    await main();
+}